@@ -0,0 +1,3 @@
+import TinyInventoryShop from '../libs/TinyInventoryShop.mjs';
+
+export { TinyInventoryShop };
@@ -0,0 +1,3 @@
+import TinyInventoryTradeSession from '../libs/TinyInventoryTradeSession.mjs';
+
+export { TinyInventoryTradeSession };
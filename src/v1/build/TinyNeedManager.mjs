@@ -0,0 +1,3 @@
+import TinyNeedManager from '../libs/TinyNeedManager.mjs';
+
+export { TinyNeedManager };
@@ -0,0 +1,3 @@
+import TinyPromiseQueueFileStore from '../libs/TinyPromiseQueueFileStore.mjs';
+
+export { TinyPromiseQueueFileStore };
@@ -0,0 +1,3 @@
+import TinyRateLimiterFileStore from '../libs/TinyRateLimiterFileStore.mjs';
+
+export { TinyRateLimiterFileStore };
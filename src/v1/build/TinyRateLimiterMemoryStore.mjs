@@ -0,0 +1,3 @@
+import TinyRateLimiterMemoryStore from '../libs/TinyRateLimiterMemoryStore.mjs';
+
+export { TinyRateLimiterMemoryStore };
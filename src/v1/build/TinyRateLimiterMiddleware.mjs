@@ -0,0 +1,3 @@
+import TinyRateLimiterMiddleware from '../libs/TinyRateLimiterMiddleware.mjs';
+
+export { TinyRateLimiterMiddleware };
@@ -44,7 +44,11 @@ import {
 } from './basics/text.mjs';
 import ColorSafeStringify from './libs/ColorSafeStringify.mjs';
 import TinyPromiseQueue from './libs/TinyPromiseQueue.mjs';
+import TinyPromiseQueueFileStore from './libs/TinyPromiseQueueFileStore.mjs';
 import TinyRateLimiter from './libs/TinyRateLimiter.mjs';
+import TinyRateLimiterMemoryStore from './libs/TinyRateLimiterMemoryStore.mjs';
+import TinyRateLimiterFileStore from './libs/TinyRateLimiterFileStore.mjs';
+import TinyRateLimiterMiddleware from './libs/TinyRateLimiterMiddleware.mjs';
 import TinyNotifyCenter from './libs/TinyNotifyCenter.mjs';
 import TinyToastNotify from './libs/TinyToastNotify.mjs';
 import {
@@ -134,9 +138,12 @@ import TinyAdvancedRaffle from './libs/TinyAdvancedRaffle.mjs';
 import TinyArrayPaginator from './libs/TinyArrayPaginator.mjs';
 import TinyInventory from './libs/TinyInventory.mjs';
 import TinyInventoryTrader from './libs/TinyInventoryTrader.mjs';
+import TinyInventoryShop from './libs/TinyInventoryShop.mjs';
+import TinyInventoryTradeSession from './libs/TinyInventoryTradeSession.mjs';
 import TinyCookieConsent from './libs/TinyCookieConsent.mjs';
 import TinyI18 from './libs/TinyI18.mjs';
 import TinyNeedBar from './libs/TinyNeedBar.mjs';
+import TinyNeedManager from './libs/TinyNeedManager.mjs';
 import TinySimpleDice from './libs/TinySimpleDice.mjs';
 import TinyElementObserver from './libs/TinyElementObserver.mjs';
 import TinyLoadingScreen from './libs/TinyLoadingScreen.mjs';
@@ -150,10 +157,13 @@ export {
   TinyElementObserver,
   TinySimpleDice,
   TinyNeedBar,
+  TinyNeedManager,
   TinyI18,
   TinyCookieConsent,
   TinyInventory,
   TinyInventoryTrader,
+  TinyInventoryShop,
+  TinyInventoryTradeSession,
   TinyArrayPaginator,
   TinyAdvancedRaffle,
   TinyDayNightCycle,
@@ -178,8 +188,12 @@ export {
   TinyToastNotify,
   TinyNotifyCenter,
   TinyRateLimiter,
+  TinyRateLimiterMemoryStore,
+  TinyRateLimiterFileStore,
+  TinyRateLimiterMiddleware,
   ColorSafeStringify,
   TinyPromiseQueue,
+  TinyPromiseQueueFileStore,
   TinyLevelUp,
   diffArrayList,
   diffStrings,
@@ -1,5 +1,118 @@
 import TinyEvents from './TinyEvents.mjs';
 
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+
+/**
+ * SHA-256 round constants.
+ * @type {number[]}
+ */
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+/**
+ * Synchronous SHA-256 used by the provably-fair mode (draws are synchronous,
+ * so the async Web Crypto API cannot be used).
+ *
+ * @param {Uint8Array} bytes - Data to hash.
+ * @returns {Uint8Array} The 32-byte digest.
+ */
+const sha256 = (bytes) => {
+  const length = bytes.length;
+  const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+  const h = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ];
+  const w = new Uint32Array(64);
+  /** @type {(x: number, n: number) => number} */
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 =
+        (hh +
+          (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) +
+          ((e & f) ^ (~e & g)) +
+          SHA256_K[i] +
+          w[i]) >>>
+        0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+    h[5] = (h[5] + f) >>> 0;
+    h[6] = (h[6] + g) >>> 0;
+    h[7] = (h[7] + hh) >>> 0;
+  }
+
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  h.forEach((value, i) => outView.setUint32(i * 4, value));
+  return out;
+};
+
+/**
+ * HMAC-SHA256 of a message.
+ *
+ * @param {Uint8Array} key - Secret key.
+ * @param {Uint8Array} message - Message to authenticate.
+ * @returns {Uint8Array} The 32-byte MAC.
+ */
+const hmacSha256 = (key, message) => {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha256(key) : key);
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 32);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha256(inner), 64);
+  return sha256(outer);
+};
+
+/**
+ * Converts bytes into a lowercase hexadecimal string.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
 /**
  * Defines the available normalization strategies for probability weight calculations.
  * @typedef {'relative' | 'softmax'} Normalization
@@ -38,6 +151,8 @@ import TinyEvents from './TinyEvents.mjs';
  * @property {string[]} exclusions - List of item IDs excluded from the draw.
  * @property {Normalization} normalization - The normalization mode used in weight calculations.
  * @property {number|null} seed - The RNG seed used for reproducibility, or null if no seed is set.
+ * @property {[string, LootEntry][]} [loot] - Array of tuples with the item ID and its loot entry configuration.
+ * @property {[string, ExportedJson][]} [tables] - Array of tuples with the sub-table name and its exported state.
  */
 
 /**
@@ -95,6 +210,112 @@ import TinyEvents from './TinyEvents.mjs';
  * @property {number} prob - Final probability of the item at draw time.
  */
 
+/**
+ * Inclusive integer range used by loot entries.
+ * @typedef {Object} LootRange
+ * @property {number} min - Minimum value (inclusive).
+ * @property {number} max - Maximum value (inclusive).
+ */
+
+/**
+ * Loot configuration of an item.
+ * @typedef {Object} LootEntry
+ * @property {LootRange} quantity - Amount dropped when the item is selected.
+ * @property {string|null} table - Name of the sub-table rolled when the item is selected, or null for a regular drop.
+ * @property {LootRange} rolls - How many times the sub-table is rolled.
+ * @property {boolean} guaranteed - Whether the item always drops (it is then removed from the weighted rolls).
+ */
+
+/**
+ * A node of the loot drop tree.
+ * @typedef {Object} LootDrop
+ * @property {string} id - Item ID.
+ * @property {string} label - Human-readable label of the item.
+ * @property {ItemMetadata} meta - Arbitrary metadata of the item.
+ * @property {number} quantity - Amount dropped (0 for sub-table entries).
+ * @property {number|null} prob - Probability of the item at draw time, or null for guaranteed drops.
+ * @property {boolean} guaranteed - Whether it was a guaranteed drop.
+ * @property {string|null} table - Name of the rolled sub-table, if any.
+ * @property {LootDrop[]} children - Drops produced by the sub-table.
+ */
+
+/**
+ * Result of a loot roll.
+ * @typedef {Object} LootResult
+ * @property {LootDrop[]} drops - Full drop tree.
+ * @property {Record<string, number>} items - Total quantity of every regular drop, flattened from the tree.
+ */
+
+/**
+ * Statistics of one item in a simulation report.
+ * @typedef {Object} SimulationItemStats
+ * @property {string} id - Item ID.
+ * @property {string} label - Human-readable label of the item.
+ * @property {number} count - Times the item was drawn.
+ * @property {number} rate - Observed rate (`count / totalDraws`).
+ * @property {number} ciLow - Lower bound of the confidence interval of the rate (Wilson score).
+ * @property {number} ciHigh - Upper bound of the confidence interval of the rate (Wilson score).
+ * @property {number} initialRate - Probability of the item on the first draw, before any state change.
+ * @property {number|null} expectedDrawsToHit - Average draws until the first hit in each run, or null if it never hit.
+ * @property {number} runsWithHit - Runs in which the item was drawn at least once.
+ * @property {number} pityActiveDraws - Draws in which the pity bonus of the item was active.
+ * @property {number} pityTriggers - Hits that happened while the pity bonus was active.
+ */
+
+/**
+ * Result of a raffle simulation.
+ * @typedef {Object} SimulationReport
+ * @property {number} draws - Draws per run.
+ * @property {number} runs - Independent runs, each starting from the current state.
+ * @property {number} totalDraws - Draws that returned an item.
+ * @property {number} emptyDraws - Draws that returned nothing.
+ * @property {number|null} seed - Seed used by the simulation RNG, or null if it was not seeded.
+ * @property {number} confidence - Confidence level of the intervals.
+ * @property {SimulationItemStats[]} items - Statistics of every registered item.
+ */
+
+/**
+ * Public state of the provably-fair mode.
+ * @typedef {Object} FairState
+ * @property {string} serverSeedHash - SHA-256 (hex) of the server seed, shared before the draws.
+ * @property {string} clientSeed - Client seed combined with the server seed.
+ * @property {number} nonce - Nonce of the next `drawOne`/`drawMany`/`rollLoot` call.
+ */
+
+/**
+ * Internal state of the provably-fair mode.
+ * `session` is set while a `drawOne`/`drawMany`/`rollLoot` call is consuming random values.
+ * @typedef {Object} FairConfig
+ * @property {string} serverSeed - Secret server seed.
+ * @property {string} serverSeedHash - SHA-256 (hex) of the server seed.
+ * @property {string} clientSeed - Client seed.
+ * @property {number} nonce - Nonce of the next call.
+ * @property {{ cursor: number, buffer: number[] }|null} session - Random stream of the running call.
+ * @property {FairReceipt|null} lastReceipt - Receipt of the last call.
+ */
+
+/**
+ * Receipt of a provably-fair draw, produced by every `drawOne`/`drawMany`/`rollLoot` call in fair mode.
+ * Together with the revealed server seed, it is everything `verifyDraw()` needs.
+ * @typedef {Object} FairReceipt
+ * @property {'drawOne'|'drawMany'|'rollLoot'} call - Method that produced the result.
+ * @property {any[]} args - Arguments of the call (JSON copy).
+ * @property {string} serverSeedHash - Committed hash of the server seed.
+ * @property {string} clientSeed - Client seed used.
+ * @property {number} nonce - Nonce of the call.
+ * @property {ExportedJson} state - `exportToJson()` state right before the call (sub-tables are only included for `rollLoot`).
+ * @property {any} result - Result of the call (JSON copy).
+ */
+
+/**
+ * Result of `verifyDraw()`.
+ * @typedef {Object} FairVerification
+ * @property {boolean} valid - Whether the hash matches and the replayed result is the same.
+ * @property {boolean} hashMatches - Whether the revealed server seed matches the committed hash.
+ * @property {boolean} resultMatches - Whether the replayed result is the same as the receipt.
+ * @property {any} expected - Result produced by the replay.
+ */
+
 /**
  * Generic event handler function for message or signal reception.
  * @callback handler
@@ -111,6 +332,9 @@ import TinyEvents from './TinyEvents.mjs';
  * - Pity system support for fairness in repeated draws.
  * - Temporary and permanent weight modifiers.
  * - Item exclusions and group-based filtering.
+ * - Loot tables with nested sub-tables, quantity ranges and guaranteed drops.
+ * - Seeded simulations with drop-rate reports (JSON/CSV).
+ * - Provably-fair draws (committed server seed + client seed + nonce).
  * - JSON import/export for persistence and sharing.
  * - Event-based architecture for monitoring and extending behaviors.
  *
@@ -155,9 +379,10 @@ class TinyAdvancedRaffle {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  prependListener(event, handler) {
-    return this.#events.prependListener(event, handler);
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
   }
 
   /**
@@ -165,10 +390,11 @@ class TinyAdvancedRaffle {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped handler used internally.
    */
-  prependListenerOnce(event, handler) {
-    return this.#events.prependListenerOnce(event, handler);
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
   }
 
   //////////////////////////////////////////////////////////////////////
@@ -178,9 +404,10 @@ class TinyAdvancedRaffle {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  appendListener(event, handler) {
-    return this.#events.appendListener(event, handler);
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
   }
 
   /**
@@ -188,10 +415,11 @@ class TinyAdvancedRaffle {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  appendListenerOnce(event, handler) {
-    return this.#events.appendListenerOnce(event, handler);
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
   }
 
   /**
@@ -199,9 +427,10 @@ class TinyAdvancedRaffle {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  on(event, handler) {
-    return this.#events.on(event, handler);
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
   }
 
   /**
@@ -209,10 +438,11 @@ class TinyAdvancedRaffle {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  once(event, handler) {
-    return this.#events.once(event, handler);
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
   }
 
   ////////////////////////////////////////////////////////////////////
@@ -294,6 +524,17 @@ class TinyAdvancedRaffle {
     return this.#events.eventNames();
   }
 
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
   //////////////////////////////////////////////////////
 
   /**
@@ -397,6 +638,33 @@ class TinyAdvancedRaffle {
    */
   #freq = new Map();
 
+  /**
+   * Loot configuration of the items.
+   * Keyed by `itemId`.
+   * @type {Map<string, LootEntry>}
+   */
+  #loot = new Map();
+
+  /**
+   * Sub-tables that loot entries can roll.
+   * Keyed by table name.
+   * @type {Map<string, TinyAdvancedRaffle>}
+   */
+  #tables = new Map();
+
+  /**
+   * Provably-fair mode state, or null when disabled.
+   * @type {FairConfig|null}
+   */
+  #fair = null;
+
+  /**
+   * Raffle whose fair call is rolling this instance as a sub-table, or null.
+   * While set, random values come from that raffle's fair stream.
+   * @type {TinyAdvancedRaffle|null}
+   */
+  #fairParent = null;
+
   /* -------------------- GETTERS & SETTERS -------------------- */
 
   /**
@@ -776,6 +1044,7 @@ class TinyAdvancedRaffle {
       if (s) s.delete(id);
     }
     this.#items.delete(id);
+    this.#loot.delete(id);
     this.#emit('itemRemoved', id);
     this.resetFreq(id);
     this.resetPity(id);
@@ -825,6 +1094,7 @@ class TinyAdvancedRaffle {
   clearList() {
     this._checkDestroyed();
     this.#items.clear();
+    this.#loot.clear();
     this.clearFreqs();
     this.clearPities();
   }
@@ -1317,6 +1587,7 @@ class TinyAdvancedRaffle {
       throw new TypeError(
         `drawOne: opts.metadata must be a non-null object if provided, got ${typeof opts.metadata}`,
       );
+    if (this.#startsFairCall()) return this.#fairCall('drawOne', [opts], () => this.drawOne(opts));
 
     const context = {
       previousDraws: opts.previousDraws ?? [],
@@ -1328,7 +1599,7 @@ class TinyAdvancedRaffle {
     const dist = this._weightsToDistribution(weights);
     if (!dist.length) return null;
 
-    const r = this.#rng();
+    const r = this._random();
     // find first cumulative >= r
     const chosen = dist.find((d) => r <= d.cumulative) ?? dist[dist.length - 1];
     // Update pity counters
@@ -1411,6 +1682,8 @@ class TinyAdvancedRaffle {
       throw new TypeError(
         `drawMany: opts.previousDraws must be an array if provided, got ${typeof opts.previousDraws}`,
       );
+    if (this.#startsFairCall())
+      return this.#fairCall('drawMany', [count, opts], () => this.drawMany(count, opts));
 
     const withReplacement = opts.withReplacement ?? true;
     const ensureUnique = opts.ensureUnique ?? false;
@@ -1456,6 +1729,737 @@ class TinyAdvancedRaffle {
     return results;
   }
 
+  /* ===========================
+     Loot tables
+     =========================== */
+
+  /**
+   * Normalize a number or `[min, max]` pair into an inclusive integer range.
+   * @param {number|[number, number]} value - Fixed value or range.
+   * @param {string} name - Parameter name used in error messages.
+   * @param {number} minAllowed - Lowest allowed value.
+   * @returns {LootRange}
+   * @throws {TypeError} If the value is invalid.
+   * @private
+   */
+  _toLootRange(value, name, minAllowed) {
+    const [min, max] = Array.isArray(value) ? value : [value, value];
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < minAllowed || max < min)
+      throw new TypeError(
+        `${name} must be an integer >= ${minAllowed} or a [min, max] pair of such integers`,
+      );
+    return { min, max };
+  }
+
+  /**
+   * Roll an integer inside an inclusive range using the instance RNG.
+   * @param {LootRange} range - Range to roll.
+   * @returns {number}
+   * @private
+   */
+  _rollRange(range) {
+    if (range.min === range.max) return range.min;
+    return range.min + Math.floor(this._random() * (range.max - range.min + 1));
+  }
+
+  /**
+   * Check if a sub-table is registered.
+   * @param {string} name - Table name.
+   * @returns {boolean} `true` if the table exists, otherwise `false`.
+   * @throws {TypeError} If `name` is not a string.
+   */
+  hasTable(name) {
+    if (typeof name !== 'string') throw new TypeError('name must be a string');
+    return this.#tables.has(name);
+  }
+
+  /**
+   * Register (or replace) a sub-table that loot entries can roll.
+   * The sub-table keeps its own RNG, modifiers, pity and loot configuration.
+   * @param {string} name - Table name.
+   * @param {TinyAdvancedRaffle} table - Raffle used as sub-table.
+   * @throws {TypeError} If parameters are invalid.
+   * @throws {Error} If the table is this instance or already reaches it through its own sub-tables.
+   */
+  setTable(name, table) {
+    this._checkDestroyed();
+    if (typeof name !== 'string' || !name.trim())
+      throw new TypeError('name must be a non-empty string');
+    if (!(table instanceof TinyAdvancedRaffle))
+      throw new TypeError('table must be a TinyAdvancedRaffle instance');
+    if (table === this) throw new Error('A raffle cannot be its own sub-table');
+    if (table.#reachesTable(this))
+      throw new Error('Sub-tables cannot reference each other in a loop');
+    this.#tables.set(name, table);
+  }
+
+  /**
+   * Check whether a raffle is reachable from this one through the sub-table graph.
+   * @param {TinyAdvancedRaffle} raffle - Raffle to look for.
+   * @returns {boolean} `true` if `raffle` is this instance or one of its nested sub-tables.
+   */
+  #reachesTable(raffle) {
+    /** @type {Set<TinyAdvancedRaffle>} */
+    const seen = new Set();
+    /** @type {TinyAdvancedRaffle[]} */
+    const pending = [this];
+    while (pending.length) {
+      const table = /** @type {TinyAdvancedRaffle} */ (pending.pop());
+      if (table === raffle) return true;
+      if (seen.has(table)) continue;
+      seen.add(table);
+      pending.push(...table.#tables.values());
+    }
+    return false;
+  }
+
+  /**
+   * Get a registered sub-table.
+   * @param {string} name - Table name.
+   * @returns {TinyAdvancedRaffle|null} The sub-table, or null if not found.
+   * @throws {TypeError} If `name` is not a string.
+   */
+  getTable(name) {
+    if (typeof name !== 'string') throw new TypeError('name must be a string');
+    return this.#tables.get(name) ?? null;
+  }
+
+  /**
+   * Unregister a sub-table.
+   * Loot entries pointing to it will fail to roll until another table is registered with the same name.
+   * @param {string} name - Table name.
+   * @returns {boolean} True if the table was removed.
+   * @throws {TypeError} If `name` is not a string.
+   */
+  removeTable(name) {
+    this._checkDestroyed();
+    if (typeof name !== 'string') throw new TypeError('name must be a string');
+    return this.#tables.delete(name);
+  }
+
+  /**
+   * Configure how an item behaves in loot rolls.
+   * Items without configuration drop a quantity of 1.
+   * @param {string} itemId - ID of the item.
+   * @param {Object} [cfg={}] - Loot configuration.
+   * @param {number|[number, number]} [cfg.quantity=1] - Fixed quantity or `[min, max]` range.
+   * @param {string|null} [cfg.table=null] - Sub-table rolled when the item is selected.
+   * @param {number|[number, number]} [cfg.rolls=1] - How many times the sub-table is rolled.
+   * @param {boolean} [cfg.guaranteed=false] - Whether the item always drops.
+   * @returns {LootEntry}
+   * @throws {Error} If the item does not exist.
+   * @throws {TypeError} If parameters are invalid.
+   */
+  setLootEntry(itemId, cfg = {}) {
+    this._checkDestroyed();
+    if (typeof itemId !== 'string') throw new TypeError('itemId must be a string');
+    if (!this.#items.has(itemId)) throw new Error('Item not found');
+    if (typeof cfg !== 'object' || cfg === null) throw new TypeError('cfg must be an object');
+    const { quantity = 1, table = null, rolls = 1, guaranteed = false } = cfg;
+    if (table !== null && (typeof table !== 'string' || !table.trim()))
+      throw new TypeError('table must be a non-empty string or null');
+    if (typeof guaranteed !== 'boolean') throw new TypeError('guaranteed must be a boolean');
+
+    /** @type {LootEntry} */
+    const entry = {
+      quantity: this._toLootRange(quantity, 'quantity', 0),
+      table,
+      rolls: this._toLootRange(rolls, 'rolls', 0),
+      guaranteed,
+    };
+    this.#loot.set(itemId, entry);
+    return { ...entry, quantity: { ...entry.quantity }, rolls: { ...entry.rolls } };
+  }
+
+  /**
+   * Get the loot configuration of an item.
+   * @param {string} itemId - ID of the item.
+   * @returns {LootEntry|null} A copy of the configuration, or null if the item has none.
+   * @throws {TypeError} If `itemId` is not a string.
+   */
+  getLootEntry(itemId) {
+    if (typeof itemId !== 'string') throw new TypeError('itemId must be a string');
+    const entry = this.#loot.get(itemId);
+    if (!entry) return null;
+    return { ...entry, quantity: { ...entry.quantity }, rolls: { ...entry.rolls } };
+  }
+
+  /**
+   * Remove the loot configuration of an item.
+   * @param {string} itemId - ID of the item.
+   * @returns {boolean} True if a configuration was removed.
+   * @throws {TypeError} If `itemId` is not a string.
+   */
+  removeLootEntry(itemId) {
+    this._checkDestroyed();
+    if (typeof itemId !== 'string') throw new TypeError('itemId must be a string');
+    return this.#loot.delete(itemId);
+  }
+
+  /**
+   * Roll the loot table.
+   *
+   * Guaranteed entries always drop, then the remaining items are drawn `rolls` times
+   * with `drawOne()` (so modifiers, pity, exclusions and frequencies apply as usual).
+   * Entries pointing to a sub-table roll that table, building a drop tree.
+   *
+   * @param {Object} [opts={}] - Optional roll options.
+   * @param {number|[number, number]} [opts.rolls=1] - Weighted rolls on this table.
+   * @param {ItemMetadata} [opts.metadata={}] - Metadata passed to conditional rules (also in sub-tables).
+   * @param {DrawOne[]} [opts.previousDraws=[]] - Previous draw history for context (not modified).
+   * @returns {LootResult} The drop tree and the flattened item totals.
+   * @throws {TypeError} If options are invalid.
+   * @throws {Error} If a sub-table is missing or tables reference each other in a loop.
+   */
+  rollLoot(opts = {}) {
+    this._checkDestroyed();
+    if (typeof opts !== 'object' || opts === null)
+      throw new TypeError(
+        `rollLoot: parameter 'opts' must be a non-null object, got ${typeof opts}`,
+      );
+    if (
+      'metadata' in opts &&
+      typeof opts.metadata !== 'undefined' &&
+      (typeof opts.metadata !== 'object' || opts.metadata === null)
+    )
+      throw new TypeError(
+        `rollLoot: opts.metadata must be a non-null object if provided, got ${typeof opts.metadata}`,
+      );
+    if ('previousDraws' in opts && !Array.isArray(opts.previousDraws))
+      throw new TypeError(
+        `rollLoot: opts.previousDraws must be an array if provided, got ${typeof opts.previousDraws}`,
+      );
+    if (this.#startsFairCall())
+      return this.#fairCall('rollLoot', [opts], () => this.rollLoot(opts));
+
+    const drops = this.#rollLoot(
+      this._toLootRange(opts.rolls ?? 1, 'rolls', 0),
+      opts.metadata ?? {},
+      [...(opts.previousDraws ?? [])],
+      [this],
+    );
+
+    /** @type {Record<string, number>} */
+    const items = {};
+    /** @param {LootDrop[]} list */
+    const flatten = (list) => {
+      for (const drop of list) {
+        if (drop.table === null && drop.quantity > 0)
+          items[drop.id] = (items[drop.id] || 0) + drop.quantity;
+        flatten(drop.children);
+      }
+    };
+    flatten(drops);
+
+    /** @type {LootResult} */
+    const result = { drops, items };
+    this.#emit('loot', result);
+    return result;
+  }
+
+  /**
+   * Internal loot roll used recursively by sub-tables.
+   * @param {LootRange} rolls - Weighted rolls on this table.
+   * @param {ItemMetadata} metadata - Metadata for conditional rules.
+   * @param {DrawOne[]} previousDraws - Draw history of this table (new draws are appended).
+   * @param {TinyAdvancedRaffle[]} stack - Tables being rolled, used to detect loops.
+   * @returns {LootDrop[]}
+   */
+  #rollLoot(rolls, metadata, previousDraws, stack) {
+    this._checkDestroyed();
+    /** @type {LootDrop[]} */
+    const drops = [];
+
+    /**
+     * @param {ItemData} item
+     * @param {number|null} prob
+     */
+    const makeDrop = (item, prob) => {
+      const entry = this.#loot.get(item.id);
+      /** @type {LootDrop} */
+      const drop = {
+        id: item.id,
+        label: item.label,
+        meta: { ...item.meta },
+        quantity: 0,
+        prob,
+        guaranteed: prob === null,
+        table: entry?.table ?? null,
+        children: [],
+      };
+
+      if (!entry || entry.table === null) {
+        drop.quantity = entry ? this._rollRange(entry.quantity) : 1;
+        return drop;
+      }
+
+      const table = this.#tables.get(entry.table);
+      if (!table) throw new Error(`Loot table "${entry.table}" not found`);
+      if (stack.includes(table))
+        throw new Error(`Loot table "${entry.table}" is referenced in a loop`);
+      // In fair mode, the sub-table draws from the same stream (and nonce) as this call
+      const fairParent = table.#fairParent;
+      table.#fairParent = this.#fairParent ?? (this.#fair?.session ? this : null);
+      try {
+        drop.children = table.#rollLoot(entry.rolls, metadata, [], [...stack, table]);
+      } finally {
+        table.#fairParent = fairParent;
+      }
+      return drop;
+    };
+
+    // Guaranteed drops
+    /** @type {string[]} */
+    const guaranteed = [];
+    for (const [id, entry] of this.#loot) {
+      const item = this.#items.get(id);
+      if (!entry.guaranteed || !item || this.#exclusions.has(id)) continue;
+      guaranteed.push(id);
+      drops.push(makeDrop(item, null));
+    }
+
+    // Weighted rolls (guaranteed items are temporarily excluded)
+    const count = this._rollRange(rolls);
+    const savedEx = new Set(this.#exclusions);
+    for (const id of guaranteed) this.#exclusions.add(id);
+    try {
+      for (let i = 0; i < count; ++i) {
+        const r = this.drawOne({ previousDraws, metadata });
+        if (!r) break;
+        previousDraws.push(r);
+        const item = this.#items.get(r.id);
+        if (item) drops.push(makeDrop(item, r.prob));
+      }
+    } finally {
+      this.#exclusions = savedEx;
+    }
+
+    return drops;
+  }
+
+  /* ===========================
+     Simulation
+     =========================== */
+
+  /**
+   * Approximate the quantile function of the standard normal distribution
+   * (Acklam's rational approximation).
+   * @param {number} p - Probability in (0, 1).
+   * @returns {number} The z value.
+   * @private
+   */
+  _normalQuantile(p) {
+    const a = [-39.6968302866538, 220.946098424521, -275.928510446969, 138.357751867269];
+    const a2 = [-30.6647980661472, 2.50662827745924];
+    const b = [-54.4760987982241, 161.585836858041, -155.698979859887, 66.8013118877197];
+    const b2 = -13.2806815528857;
+    const c = [-0.00778489400243029, -0.322396458041136, -2.40075827716184, -2.54973253934373];
+    const c2 = [4.37466414146497, 2.93816398269878];
+    const d = [0.00778469570904146, 0.32246712907004, 2.445134137143, 3.75440866190742];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (
+        (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c2[0]) * q + c2[1]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+      );
+    }
+    if (p > 1 - low) return -this._normalQuantile(1 - p);
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a2[0]) * r + a2[1]) * q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b2) * r + 1)
+    );
+  }
+
+  /**
+   * Run many draws on copies of the raffle and report the observed drop rates.
+   *
+   * Each run starts from a clone of the current state (pity, temporary modifiers, exclusions...),
+   * so the live instance is never mutated and no events are emitted.
+   *
+   * @param {Object} [opts={}] - Simulation options.
+   * @param {number} [opts.draws=1000] - Draws per run.
+   * @param {number} [opts.runs=1] - Independent runs (useful to measure draws until the first hit).
+   * @param {number|null} [opts.seed] - Seed of the simulation RNG. Defaults to the instance seed;
+   *   when both are null, `Math.random` is used.
+   * @param {ItemMetadata} [opts.metadata={}] - Metadata passed to conditional rules.
+   * @param {number} [opts.confidence=0.95] - Confidence level of the intervals, in (0, 1).
+   * @returns {SimulationReport} The simulation report (JSON-serializable).
+   * @throws {TypeError} If options are invalid.
+   */
+  simulate(opts = {}) {
+    this._checkDestroyed();
+    if (typeof opts !== 'object' || opts === null)
+      throw new TypeError(
+        `simulate: parameter 'opts' must be a non-null object, got ${typeof opts}`,
+      );
+    const { draws = 1000, runs = 1, metadata = {}, confidence = 0.95 } = opts;
+    const seed = opts.seed === undefined ? this.#seed : opts.seed;
+    if (!Number.isInteger(draws) || draws <= 0)
+      throw new TypeError(`simulate: opts.draws must be a positive integer, got ${draws}`);
+    if (!Number.isInteger(runs) || runs <= 0)
+      throw new TypeError(`simulate: opts.runs must be a positive integer, got ${runs}`);
+    if (seed !== null && (typeof seed !== 'number' || !Number.isFinite(seed)))
+      throw new TypeError('simulate: opts.seed must be a finite number or null');
+    if (typeof metadata !== 'object' || metadata === null)
+      throw new TypeError('simulate: opts.metadata must be a non-null object');
+    if (typeof confidence !== 'number' || !(confidence > 0 && confidence < 1))
+      throw new TypeError('simulate: opts.confidence must be a number between 0 and 1');
+
+    const rng = seed !== null ? this._makeSeededRng(seed) : Math.random;
+
+    /** @type {Map<string, SimulationItemStats & { firstHitSum: number }>} */
+    const stats = new Map();
+    const initial = this.clone();
+    initial.#rng = rng;
+    const initialDist = initial._weightsToDistribution(
+      initial.computeEffectiveWeights({ previousDraws: [], metadata }),
+    );
+    for (const item of this.#items.values()) {
+      stats.set(item.id, {
+        id: item.id,
+        label: item.label,
+        count: 0,
+        rate: 0,
+        ciLow: 0,
+        ciHigh: 0,
+        initialRate: initialDist.find((d) => d.id === item.id)?.p ?? 0,
+        expectedDrawsToHit: null,
+        runsWithHit: 0,
+        pityActiveDraws: 0,
+        pityTriggers: 0,
+        firstHitSum: 0,
+      });
+    }
+
+    let totalDraws = 0;
+    let emptyDraws = 0;
+    for (let run = 0; run < runs; run++) {
+      const sim = this.clone();
+      sim.#rng = rng;
+      /** @type {DrawOne[]} */
+      const previousDraws = [];
+      /** @type {Set<string>} */
+      const hit = new Set();
+
+      for (let i = 1; i <= draws; i++) {
+        /** @type {Set<string>} */
+        const pityActive = new Set();
+        for (const [itemId, pity] of sim.#pitySystems) {
+          if (pity.counter > pity.threshold) {
+            pityActive.add(itemId);
+            const stat = stats.get(itemId);
+            if (stat) stat.pityActiveDraws++;
+          }
+        }
+
+        const r = sim.drawOne({ previousDraws, metadata });
+        if (!r) {
+          emptyDraws++;
+          continue;
+        }
+        totalDraws++;
+        previousDraws.push(r);
+        const stat = stats.get(r.id);
+        if (!stat) continue;
+        stat.count++;
+        if (pityActive.has(r.id)) stat.pityTriggers++;
+        if (!hit.has(r.id)) {
+          hit.add(r.id);
+          stat.runsWithHit++;
+          stat.firstHitSum += i;
+        }
+      }
+      sim.destroy();
+    }
+    initial.destroy();
+
+    // Wilson score interval
+    const z = this._normalQuantile(1 - (1 - confidence) / 2);
+    /** @type {SimulationItemStats[]} */
+    const items = [];
+    for (const { firstHitSum, ...stat } of stats.values()) {
+      const n = totalDraws;
+      if (n > 0) {
+        const p = stat.count / n;
+        const denom = 1 + (z * z) / n;
+        const center = (p + (z * z) / (2 * n)) / denom;
+        const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+        stat.rate = p;
+        stat.ciLow = Math.max(0, center - margin);
+        stat.ciHigh = Math.min(1, center + margin);
+      }
+      if (stat.runsWithHit > 0) stat.expectedDrawsToHit = firstHitSum / stat.runsWithHit;
+      items.push(stat);
+    }
+
+    return { draws, runs, totalDraws, emptyDraws, seed, confidence, items };
+  }
+
+  /**
+   * Convert a simulation report into CSV (one line per item), ready for spreadsheets.
+   * @param {SimulationReport} report - Report returned by `simulate()`.
+   * @param {string} [separator=','] - Column separator.
+   * @returns {string} CSV text with a header line.
+   * @throws {TypeError} If the report is invalid.
+   */
+  simulationToCsv(report, separator = ',') {
+    if (typeof report !== 'object' || report === null || !Array.isArray(report.items))
+      throw new TypeError('report must be a SimulationReport object');
+    if (typeof separator !== 'string' || !separator)
+      throw new TypeError('separator must be a non-empty string');
+
+    /** @type {(keyof SimulationItemStats)[]} */
+    const columns = [
+      'id',
+      'label',
+      'count',
+      'rate',
+      'ciLow',
+      'ciHigh',
+      'initialRate',
+      'expectedDrawsToHit',
+      'runsWithHit',
+      'pityActiveDraws',
+      'pityTriggers',
+    ];
+    /** @param {any} value */
+    const cell = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /["\r\n]/.test(text) || text.includes(separator)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    };
+    const lines = [columns.join(separator)];
+    for (const stat of report.items) lines.push(columns.map((c) => cell(stat[c])).join(separator));
+    return lines.join('\n');
+  }
+
+  /* ===========================
+     Provably fair
+     =========================== */
+
+  /**
+   * Get the next random number: from the provably-fair stream during a fair call,
+   * otherwise from the configured RNG.
+   * @returns {number} A number in [0, 1).
+   * @private
+   */
+  _random() {
+    const fair = (this.#fairParent ?? this).#fair;
+    const session = fair?.session;
+    if (!session || !fair) return this.#rng();
+    if (!session.buffer.length) {
+      const { serverSeed, clientSeed, nonce } = fair;
+      const encoder = new TextEncoder();
+      const mac = hmacSha256(
+        encoder.encode(serverSeed),
+        encoder.encode(`${clientSeed}:${nonce}:${session.cursor++}`),
+      );
+      const view = new DataView(mac.buffer);
+      for (let i = 0; i < mac.length; i += 4) session.buffer.push(view.getUint32(i) / 4294967296);
+    }
+    return /** @type {number} */ (session.buffer.shift());
+  }
+
+  /**
+   * Whether a public draw call must run as a new provably-fair call.
+   * Calls made inside a running fair call (including sub-table rolls) share its nonce and receipt.
+   * @returns {boolean}
+   */
+  #startsFairCall() {
+    return this.#fair !== null && !this.#fair.session && !this.#fairParent;
+  }
+
+  /**
+   * Run a draw call in provably-fair mode, producing its receipt.
+   * The state is exported once for the whole call, and the nonce is only consumed when the call succeeds.
+   * @template T
+   * @param {'drawOne'|'drawMany'|'rollLoot'} call - Method name.
+   * @param {any[]} args - Call arguments.
+   * @param {() => T} fn - Function performing the draw.
+   * @returns {T}
+   */
+  #fairCall(call, args, fn) {
+    const fair = /** @type {FairConfig} */ (this.#fair);
+    // Only loot rolls can reach the sub-tables
+    const state = this.#exportState(call === 'rollLoot');
+    const argsCopy = JSON.parse(JSON.stringify(args));
+    fair.session = { cursor: 0, buffer: [] };
+    /** @type {T} */
+    let result;
+    try {
+      result = fn();
+    } finally {
+      fair.session = null;
+    }
+
+    /** @type {FairReceipt} */
+    const receipt = {
+      call,
+      args: argsCopy,
+      serverSeedHash: fair.serverSeedHash,
+      clientSeed: fair.clientSeed,
+      nonce: fair.nonce,
+      state,
+      result: JSON.parse(JSON.stringify(result ?? null)),
+    };
+    fair.nonce++;
+    fair.lastReceipt = receipt;
+    this.#emit('fairDraw', receipt);
+    return result;
+  }
+
+  /**
+   * Whether the provably-fair mode is enabled.
+   * @returns {boolean}
+   */
+  get isProvablyFair() {
+    return this.#fair !== null;
+  }
+
+  /**
+   * Receipt of the last provably-fair call, or null.
+   * @returns {FairReceipt|null}
+   */
+  get lastFairReceipt() {
+    return this.#fair?.lastReceipt ?? null;
+  }
+
+  /**
+   * Compute the SHA-256 (hex) commitment of a server seed.
+   * @param {string} serverSeed - Server seed.
+   * @returns {string} Lowercase hexadecimal hash.
+   * @throws {TypeError} If `serverSeed` is not a non-empty string.
+   */
+  hashServerSeed(serverSeed) {
+    if (typeof serverSeed !== 'string' || !serverSeed)
+      throw new TypeError('serverSeed must be a non-empty string');
+    return toHex(sha256(new TextEncoder().encode(serverSeed)));
+  }
+
+  /**
+   * Enable the provably-fair mode.
+   *
+   * While enabled, every `drawOne`/`drawMany`/`rollLoot` call uses random numbers from
+   * `HMAC-SHA256(serverSeed, "clientSeed:nonce:cursor")` instead of `rng`, then increments the nonce.
+   * A loot roll uses a single nonce, including its quantities and sub-table rolls.
+   * Share `serverSeedHash` with the player before drawing, and reveal the server seed afterwards.
+   *
+   * @param {Object} cfg - Fair mode configuration.
+   * @param {string} cfg.serverSeed - Secret server seed.
+   * @param {string} [cfg.clientSeed=''] - Client seed chosen by the player.
+   * @param {number} [cfg.nonce=0] - Nonce of the next call.
+   * @returns {FairState} The public state (with the committed hash).
+   * @throws {TypeError} If parameters are invalid.
+   */
+  enableProvablyFair({ serverSeed, clientSeed = '', nonce = 0 }) {
+    this._checkDestroyed();
+    if (typeof clientSeed !== 'string') throw new TypeError('clientSeed must be a string');
+    if (!Number.isInteger(nonce) || nonce < 0)
+      throw new TypeError('nonce must be a non-negative integer');
+    const serverSeedHash = this.hashServerSeed(serverSeed);
+    this.#fair = {
+      serverSeed,
+      serverSeedHash,
+      clientSeed,
+      nonce,
+      session: null,
+      lastReceipt: null,
+    };
+    return this.getFairState();
+  }
+
+  /**
+   * Get the public state of the provably-fair mode.
+   * @returns {FairState} The public state.
+   * @throws {Error} If the fair mode is disabled.
+   */
+  getFairState() {
+    if (!this.#fair) throw new Error('Provably-fair mode is not enabled');
+    const { serverSeedHash, clientSeed, nonce } = this.#fair;
+    return { serverSeedHash, clientSeed, nonce };
+  }
+
+  /**
+   * Change the client seed. The nonce restarts from zero.
+   * @param {string} clientSeed - New client seed.
+   * @returns {FairState} The public state.
+   * @throws {Error} If the fair mode is disabled.
+   */
+  setClientSeed(clientSeed) {
+    this._checkDestroyed();
+    if (!this.#fair) throw new Error('Provably-fair mode is not enabled');
+    if (typeof clientSeed !== 'string') throw new TypeError('clientSeed must be a string');
+    this.#fair.clientSeed = clientSeed;
+    this.#fair.nonce = 0;
+    return this.getFairState();
+  }
+
+  /**
+   * Disable the provably-fair mode and reveal the server seed,
+   * so the player can verify the previous draws.
+   * @returns {string} The revealed server seed.
+   * @throws {Error} If the fair mode is disabled.
+   */
+  revealServerSeed() {
+    this._checkDestroyed();
+    if (!this.#fair) throw new Error('Provably-fair mode is not enabled');
+    const { serverSeed } = this.#fair;
+    this.#fair = null;
+    return serverSeed;
+  }
+
+  /**
+   * Verify a provably-fair receipt by replaying it from the revealed server seed.
+   *
+   * The draw is replayed on a new raffle loaded from `receipt.state`.
+   * Modifiers and conditional rules are functions and are not part of the exported state:
+   * use `setup` to register them again before the replay.
+   *
+   * @param {FairReceipt} receipt - Receipt produced by the draw.
+   * @param {string} serverSeed - Revealed server seed.
+   * @param {(raffle: TinyAdvancedRaffle) => void} [setup] - Optional callback to prepare the replay raffle.
+   * @returns {FairVerification} The verification result.
+   * @throws {TypeError} If parameters are invalid.
+   */
+  static verifyDraw(receipt, serverSeed, setup) {
+    if (typeof receipt !== 'object' || receipt === null)
+      throw new TypeError('receipt must be a non-null object');
+    if (!['drawOne', 'drawMany', 'rollLoot'].includes(receipt.call))
+      throw new TypeError('receipt.call must be "drawOne", "drawMany" or "rollLoot"');
+    if (!Array.isArray(receipt.args)) throw new TypeError('receipt.args must be an array');
+    if (setup !== undefined && typeof setup !== 'function')
+      throw new TypeError('setup must be a function if provided');
+
+    const raffle = new TinyAdvancedRaffle();
+    raffle.loadFromJson(receipt.state);
+    if (setup) setup(raffle);
+    raffle.enableProvablyFair({
+      serverSeed,
+      clientSeed: receipt.clientSeed,
+      nonce: receipt.nonce,
+    });
+    const hashMatches = raffle.getFairState().serverSeedHash === receipt.serverSeedHash;
+
+    const args = JSON.parse(JSON.stringify(receipt.args));
+    const result =
+      receipt.call === 'drawOne'
+        ? raffle.drawOne(...args)
+        : receipt.call === 'drawMany'
+          ? raffle.drawMany(...args)
+          : raffle.rollLoot(...args);
+    const expected = JSON.parse(JSON.stringify(result ?? null));
+    const resultMatches = JSON.stringify(expected) === JSON.stringify(receipt.result);
+    raffle.destroy();
+
+    return { valid: hashMatches && resultMatches, hashMatches, resultMatches, expected };
+  }
+
   /* ===========================
      Save / Load (JSON)
      =========================== */
@@ -1468,6 +2472,15 @@ class TinyAdvancedRaffle {
    */
   exportToJson() {
     this._checkDestroyed();
+    return this.#exportState(true);
+  }
+
+  /**
+   * Build the exported state.
+   * @param {boolean} withTables - Whether to export the sub-tables too.
+   * @returns {ExportedJson}
+   */
+  #exportState(withTables) {
     const data = {
       items: Array.from(this.#items.values()).map((it) => ({
         id: it.id,
@@ -1481,8 +2494,15 @@ class TinyAdvancedRaffle {
       exclusions: Array.from(this.#exclusions),
       normalization: this.#normalization,
       seed: this.#seed,
+      loot: Array.from(this.#loot.entries()).map(([id, entry]) => [
+        id,
+        { ...entry, quantity: { ...entry.quantity }, rolls: { ...entry.rolls } },
+      ]),
+      tables: withTables
+        ? Array.from(this.#tables.entries()).map(([name, table]) => [name, table.exportToJson()])
+        : [],
     };
-    return data;
+    return /** @type {ExportedJson} */ (data);
   }
 
   /**
@@ -1503,8 +2523,13 @@ class TinyAdvancedRaffle {
       throw new TypeError('data.normalization must be a string');
     if (data.seed !== undefined && data.seed !== null && typeof data.seed !== 'number')
       throw new TypeError('data.seed must be a number, null, or undefined');
+    if (data.loot !== undefined && !Array.isArray(data.loot))
+      throw new TypeError('data.loot must be an array if provided');
+    if (data.tables !== undefined && !Array.isArray(data.tables))
+      throw new TypeError('data.tables must be an array if provided');
 
     this.clearList();
+    this.#tables.clear();
     for (const it of data.items) {
       if (typeof it !== 'object' || it === null)
         throw new TypeError('Each item must be a non-null object');
@@ -1539,6 +2564,22 @@ class TinyAdvancedRaffle {
     this.exclusions = new Set(data.exclusions || []);
     this.normalization = data.normalization;
     if (data.seed !== undefined) this.seed = data.seed;
+
+    for (const [name, tableData] of data.tables || []) {
+      const table = new TinyAdvancedRaffle();
+      table.loadFromJson(tableData);
+      this.setTable(name, table);
+    }
+    for (const [id, entry] of data.loot || []) {
+      if (typeof entry !== 'object' || entry === null)
+        throw new TypeError(`Loot entry of item "${id}" must be a non-null object`);
+      this.setLootEntry(id, {
+        quantity: [entry.quantity.min, entry.quantity.max],
+        table: entry.table,
+        rolls: [entry.rolls.min, entry.rolls.max],
+        guaranteed: entry.guaranteed,
+      });
+    }
   }
 
   /**
@@ -1594,6 +2635,17 @@ class TinyAdvancedRaffle {
     // Clone Map<string, number>
     cloneInstance.#freq = new Map(this.#freq);
 
+    // Clone Map<string, LootEntry>
+    cloneInstance.#loot = new Map(
+      [...this.#loot.entries()].map(([id, entry]) => [
+        id,
+        { ...entry, quantity: { ...entry.quantity }, rolls: { ...entry.rolls } },
+      ]),
+    );
+
+    // Sub-tables (copied by reference, they are independent raffles)
+    cloneInstance.#tables = new Map(this.#tables);
+
     return cloneInstance;
   }
 
@@ -1638,6 +2690,9 @@ class TinyAdvancedRaffle {
     this.#groups.clear();
     this.#items.clear();
     this.#freq.clear();
+    this.#loot.clear();
+    this.#tables.clear();
+    this.#fair = null;
 
     // Clear arrays
     this.#globalModifiers = [];
@@ -1,3 +1,9 @@
+import TinyEvents from './TinyEvents.mjs';
+import TinyColorConverter from './TinyColorConverter.mjs';
+
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+
 /**
  * Represents a mapping of weather type names to their selected values.
  * Each key is the name of a weather type, and the value is either:
@@ -65,6 +71,190 @@
  * @property {string[]} [phaseNames] - Optional list of names for each phase in the cycle.
  */
 
+/**
+ * A month of the calendar.
+ *
+ * @typedef {Object} CalendarMonth
+ * @property {string} name - Month name.
+ * @property {number} days - Days of the month.
+ * @property {number} [leapDays=0] - Extra days added in leap years.
+ */
+
+/**
+ * Leap year rule: a year is leap when divisible by `every`, except when divisible by `except`,
+ * unless it is also divisible by `unless` (Gregorian: `{ every: 4, except: 100, unless: 400 }`).
+ * A function can be used for custom rules (it is not serialized).
+ *
+ * @typedef {{ every: number, except?: number, unless?: number } | ((year: number) => boolean)} LeapRule
+ */
+
+/**
+ * Calendar definition accepted by `setCalendar()`.
+ *
+ * @typedef {Object} CalendarDefinition
+ * @property {CalendarMonth[]} [months] - Months of the year, in order.
+ * @property {string[]} [weekdays] - Weekday names, in order (empty to disable weeks).
+ * @property {LeapRule|null} [leapRule] - Leap year rule, or null for no leap years.
+ * @property {number} [epochWeekday] - Weekday index of year 1, month 1, day 1.
+ * @property {(day: number) => string} [ordinal] - Formats day ordinals for `{dayOrdinal}` (English by default).
+ */
+
+/**
+ * A calendar date.
+ *
+ * @typedef {Object} CalendarDate
+ * @property {number} year - Year count.
+ * @property {number} month - Month number (1-based).
+ * @property {number} day - Day of the month (1-based).
+ */
+
+/**
+ * A calendar date with its computed details.
+ *
+ * @typedef {Object} CalendarDateInfo
+ * @property {number} year - Year count.
+ * @property {number} month - Month number (1-based).
+ * @property {number} day - Day of the month (1-based).
+ * @property {string} monthName - Month name.
+ * @property {number|null} weekdayIndex - Weekday index, or null without weekdays.
+ * @property {string|null} weekday - Weekday name, or null without weekdays.
+ * @property {number} dayOfYear - Day of the year (1-based).
+ * @property {number} dayNumber - Days since year 1, month 1, day 1.
+ * @property {boolean} isLeapYear - Whether the year is a leap year.
+ * @property {string[]} holidays - Names of the holidays on this date.
+ */
+
+/**
+ * Date rule used by holidays and the scheduler. Every given property must match:
+ * - `year`, `month`, `day`: exact values (`day` can be negative to count from the end of the month, `-1` = last day).
+ * - `weekday`: weekday index or name.
+ * - `every` (+ optional `from`): every N days starting at a date (default: the epoch).
+ * - `hour`: scheduler only, fires when this hour starts instead of at midnight.
+ * - `match`: custom test (not serialized).
+ *
+ * @typedef {Object} DateRule
+ * @property {number} [year]
+ * @property {number} [month]
+ * @property {number} [day]
+ * @property {number|string} [weekday]
+ * @property {number} [every]
+ * @property {CalendarDate} [from]
+ * @property {number} [hour]
+ * @property {(date: CalendarDateInfo) => boolean} [match]
+ */
+
+/**
+ * Callback of a scheduled date rule.
+ *
+ * @callback ScheduleCallback
+ * @param {{ id: string, date: CalendarDateInfo, hour: number|null }} info - Schedule and current date.
+ * @returns {void}
+ */
+
+/**
+ * Serializable calendar definition.
+ *
+ * @typedef {Object} SerializedCalendar
+ * @property {CalendarMonth[]} months - Months of the year.
+ * @property {string[]} weekdays - Weekday names.
+ * @property {{ every: number, except?: number, unless?: number }|null} leapRule - Leap rule (null if none or a function).
+ * @property {number} epochWeekday - Weekday index of the epoch.
+ * @property {Record<string, { name: string, rule: DateRule }>} holidays - Holidays without `match` callbacks.
+ */
+
+/**
+ * A color stop of the sky gradient.
+ *
+ * @typedef {Object} SkyKeyframe
+ * @property {number} hour - Time of the stop in hours since midnight (decimals allowed, e.g. `6.5`).
+ * @property {string} color - Hex color (e.g. `#87ceeb`).
+ */
+
+/**
+ * Configuration of the light model.
+ *
+ * @typedef {Object} LightConfig
+ * @property {number} dawnLength - Minutes of dawn twilight before `dayStart`.
+ * @property {number} duskLength - Minutes of dusk twilight after `nightStart`.
+ * @property {number} maxElevation - Sun elevation at noon, in degrees.
+ * @property {number} dayIntensity - Ambient light at noon (0–1).
+ * @property {number} twilightIntensity - Ambient light at sunrise and sunset (0–1).
+ * @property {number} nightIntensity - Ambient light at night without moons (0–1).
+ * @property {number} moonIntensity - Extra night light given by a full moon (0–1).
+ * @property {SkyKeyframe[]} skyGradient - Sky color stops used by default.
+ * @property {Record<string, SkyKeyframe[]>} seasonSkyGradients - Sky color stops by season name.
+ */
+
+/**
+ * Twilight phase of the light model.
+ *
+ * @typedef {'night'|'dawn'|'day'|'dusk'} TwilightPhase
+ */
+
+/**
+ * Position of the sun.
+ *
+ * @typedef {Object} SunPosition
+ * @property {number} elevation - Degrees above (positive) or below (negative) the horizon.
+ * @property {number} angle - Degrees along the daily path: 0 = sunrise, 90 = noon, 180 = sunset, 270 = midnight.
+ * @property {boolean} isAboveHorizon - Whether the sun is up.
+ */
+
+/**
+ * Complete light state at a time of the day.
+ *
+ * @typedef {Object} LightState
+ * @property {TwilightPhase} phase - Current twilight phase.
+ * @property {number} phaseProgress - Progress inside the phase (0–1).
+ * @property {SunPosition} sun - Sun position.
+ * @property {number} ambient - Ambient light intensity (0–1).
+ * @property {{ hex: string, rgb: number[] }} sky - Sky color.
+ * @property {number} moonBrightness - Brightness of the brightest moon (0–1).
+ * @property {(MoonData & { brightness: number })[]} moons - Every moon with its brightness.
+ */
+
+/**
+ * Plain object produced by `toJSON()` and accepted by `fromJSON()`.
+ * Weather callbacks are not serialized.
+ *
+ * @typedef {Object} SerializedDayNightCycle
+ * @property {number} dayStart - Hour of the day start.
+ * @property {number} nightStart - Hour of the night start.
+ * @property {boolean} autoSizeAdjuste - Whether size changes keep their proportions.
+ * @property {number} daySize - In-game seconds of a day.
+ * @property {number} hourSize - In-game seconds of an hour.
+ * @property {number} minuteSize - In-game seconds of a minute.
+ * @property {number} currentSeconds - Seconds since midnight.
+ * @property {number} currentDay - Day of the month.
+ * @property {number} currentMonth - Month number.
+ * @property {number} currentYear - Year count.
+ * @property {string} currentSeason - Current season name.
+ * @property {number[]} monthDays - Days of each month.
+ * @property {Record<string, number[]>} seasons - Months of each season.
+ * @property {MoonRaw[]} moons - Moons with their current phase.
+ * @property {SelectedWeather} weather - Active weather of each zone.
+ * @property {{min: number, max: number}} weatherDuration - Weather duration range in minutes.
+ * @property {number} weatherTimeLeft - Minutes left until the weather changes.
+ * @property {WeatherCfgs} weatherConfig - Weather probabilities (numeric values only).
+ * @property {number} timeScale - Time scale of the clock driver.
+ * @property {SerializedCalendar} [calendar] - Month names, weekdays, leap rule and holidays.
+ * @property {LightConfig} [light] - Light model configuration.
+ */
+
+/**
+ * Generic event handler function for message or signal reception.
+ * @callback handler
+ * @param {any} payload - The data sent by the emitter.
+ * @param {any} event - Metadata about the emitted event.
+ */
+
+/**
+ * Function returning the current real time in milliseconds (like `Date.now`).
+ *
+ * @callback ClockNow
+ * @returns {number}
+ */
+
 /**
  * TinyDayNightCycle is a lightweight and flexible JavaScript library designed to simulate day and
  * night cycles along with seasonal changes, moons, weather patterns, and in-game time tracking.
@@ -80,13 +270,241 @@
  *
  * This class provides:
  * - Customizable day/night cycle with variable sunrise/sunset.
- * - Calendar system with adjustable month lengths.
+ * - Calendar system with named months, weekdays, leap years, holidays and a date scheduler.
  * - Dynamic weather with multiple configurable probability layers.
  * - Multi-moon phase tracking.
+ * - Continuous light model (sun elevation, twilight, ambient light, sky color and moon brightness).
+ * - Save/restore with `toJSON()` / `fromJSON()`.
+ * - Optional clock driver that advances the game time from a real (or injected) clock.
  *
  * Time and date calculations are independent from the real world and can run at any speed.
+ *
+ * Events (emitted for every boundary crossed, even in a single large `addTime()`):
+ * - `hour` → `{ hour, day, month, year }`.
+ * - `phase` → `{ phase: 'day'|'night', hour }`.
+ * - `day` → `{ day, month, year, direction: 'forward'|'backward' }`.
+ * - `month` → `{ month, year }` / `year` → `{ year }`.
+ * - `season` → `{ season, previous }`.
+ * - `weather` → `{ where, type, previous }`.
+ * - `moonPhase` → `{ index, moon, previous }`.
+ * - `clockStart` / `clockPause` / `clockResume` / `clockStop` → `{ timeScale }`.
+ * - `holiday` → `{ id, name, date }` when a holiday starts.
  */
 class TinyDayNightCycle {
+  #events = new TinyEvents();
+
+  /**
+   * Emits an event, triggering all registered handlers for that event.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {boolean[]} True if any listeners were called, false otherwise.
+   */
+  #emit(event, ...payload) {
+    return this.#events.emit(event, ...payload);
+  }
+
+  /**
+   * Enables or disables throwing an error when the maximum number of listeners is exceeded.
+   *
+   * @param {boolean} shouldThrow - If true, an error will be thrown when the max is exceeded.
+   */
+  setThrowOnMaxListeners(shouldThrow) {
+    return this.#events.setThrowOnMaxListeners(shouldThrow);
+  }
+
+  /**
+   * Checks whether an error will be thrown when the max listener limit is exceeded.
+   *
+   * @returns {boolean} True if an error will be thrown, false if only a warning is shown.
+   */
+  getThrowOnMaxListeners() {
+    return this.#events.getThrowOnMaxListeners();
+  }
+
+  /////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
+  }
+
+  /**
+   * Adds a one-time listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped handler used internally.
+   */
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
+  }
+
+  //////////////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'hour' or 'day'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'hour' or 'day'.
+   * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
+  }
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'hour' or 'day'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'hour' or 'day'.
+   * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
+  }
+
+  ////////////////////////////////////////////////////////////////////
+
+  /**
+   * Removes a previously registered event listener.
+   *
+   * @param {string|string[]} event - The name of the event to remove the handler from.
+   * @param {handler} handler - The specific callback function to remove.
+   */
+  off(event, handler) {
+    return this.#events.off(event, handler);
+  }
+
+  /**
+   * Removes all event listeners of a specific type from the instance.
+   *
+   * @param {string|string[]} event - The event type to remove (e.g. 'hour').
+   */
+  offAll(event) {
+    return this.#events.offAll(event);
+  }
+
+  /**
+   * Removes all event listeners of all types from the instance.
+   */
+  offAllTypes() {
+    return this.#events.offAllTypes();
+  }
+
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * Returns the number of listeners for a given event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {number} Number of listeners for the event.
+   */
+  listenerCount(event) {
+    return this.#events.listenerCount(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  listeners(event) {
+    return this.#events.listeners(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  onceListeners(event) {
+    return this.#events.onceListeners(event);
+  }
+
+  /**
+   * Returns a copy of the internal listeners array for the specified event,
+   * including wrapper functions like those used by `.once()`.
+   * @param {string | symbol} event - The event name.
+   * @returns {handler[]} An array of raw listener functions.
+   */
+  allListeners(event) {
+    return this.#events.allListeners(event);
+  }
+
+  /**
+   * Returns an array of event names for which there are registered listeners.
+   *
+   * @returns {string[]} Array of registered event names.
+   */
+  eventNames() {
+    return this.#events.eventNames();
+  }
+
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
+  //////////////////////////////////////////////////////
+
+  /**
+   * Sets the maximum number of listeners per event before a warning is shown.
+   *
+   * @param {number} n - The maximum number of listeners.
+   */
+  setMaxListeners(n) {
+    return this.#events.setMaxListeners(n);
+  }
+
+  /**
+   * Gets the maximum number of listeners allowed per event.
+   *
+   * @returns {number} The maximum number of listeners.
+   */
+  getMaxListeners() {
+    return this.#events.getMaxListeners();
+  }
+
   /**
    * Whether to automatically adjust `daySize`, `hourSize`, and `minuteSize` when one of them changes.
    * @type {boolean}
@@ -190,6 +608,58 @@ class TinyDayNightCycle {
    */
   #monthDays = [31, 31, 31, 31, 31, 31, 31, 31, 31, 31, 31, 31];
 
+  /**
+   * Name of each month. Missing names fall back to the month number.
+   * @type {string[]}
+   */
+  #monthNames = [];
+
+  /**
+   * Extra days of each month in leap years.
+   * @type {number[]}
+   */
+  #monthLeapDays = [];
+
+  /**
+   * Weekday names.
+   * @type {string[]}
+   */
+  #weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  /**
+   * Weekday index of year 1, month 1, day 1.
+   * @type {number}
+   */
+  #epochWeekday = 0;
+
+  /**
+   * Leap year rule, or null for no leap years.
+   * @type {LeapRule|null}
+   */
+  #leapRule = null;
+
+  /**
+   * Formats day ordinals.
+   * @type {(day: number) => string}
+   */
+  #ordinal = (day) => {
+    const mod100 = day % 100;
+    if (mod100 >= 11 && mod100 <= 13) return `${day}th`;
+    return `${day}${['th', 'st', 'nd', 'rd'][day % 10] ?? 'th'}`;
+  };
+
+  /**
+   * Holidays by ID.
+   * @type {Map<string, { name: string, rule: DateRule }>}
+   */
+  #holidays = new Map();
+
+  /**
+   * Scheduled callbacks by ID.
+   * @type {Map<string, { rule: DateRule, callback: ScheduleCallback, once: boolean }>}
+   */
+  #schedules = new Map();
+
   /**
    * Weather configuration layers:
    * - `default`: Global fallback probabilities.
@@ -237,6 +707,68 @@ class TinyDayNightCycle {
    */
   #weatherTimeLeft = 0;
 
+  /**
+   * In-game seconds advanced per real second by the clock driver.
+   * @type {number}
+   */
+  #timeScale = 1;
+
+  /**
+   * Real time source of the clock driver.
+   * @type {ClockNow}
+   */
+  #clockNow = () => Date.now();
+
+  /**
+   * Timer of the clock driver, or null when ticks are manual.
+   * @type {ReturnType<typeof setInterval>|null}
+   */
+  #clockTimer = null;
+
+  /**
+   * Real time of the last clock tick.
+   * @type {number}
+   */
+  #clockLast = 0;
+
+  /**
+   * Fraction of in-game seconds not applied yet.
+   * @type {number}
+   */
+  #clockCarry = 0;
+
+  /** @type {boolean} */
+  #clockRunning = false;
+
+  /** @type {boolean} */
+  #clockPaused = false;
+
+  /**
+   * Light model configuration.
+   * @type {LightConfig}
+   */
+  #light = {
+    dawnLength: 60,
+    duskLength: 60,
+    maxElevation: 60,
+    dayIntensity: 1,
+    twilightIntensity: 0.35,
+    nightIntensity: 0.05,
+    moonIntensity: 0.15,
+    skyGradient: [
+      { hour: 0, color: '#0b1026' },
+      { hour: 4.5, color: '#1c2350' },
+      { hour: 5.5, color: '#f4a261' },
+      { hour: 7, color: '#87ceeb' },
+      { hour: 12, color: '#4fa3e0' },
+      { hour: 17, color: '#87ceeb' },
+      { hour: 18.5, color: '#f07b3f' },
+      { hour: 19.5, color: '#1c2350' },
+      { hour: 21, color: '#0b1026' },
+    ],
+    seasonSkyGradients: {},
+  };
+
   /**
    * Gets the number of in-game seconds representing a full day.
    * @returns {number}
@@ -568,7 +1100,11 @@ class TinyDayNightCycle {
    */
   set currentDay(value) {
     this._checkDestroyed();
-    if (typeof value !== 'number' || value < 1 || value > this.#monthDays[this.#currentMonth - 1])
+    if (
+      typeof value !== 'number' ||
+      value < 1 ||
+      value > this.getDaysInMonth(this.#currentMonth, this.#currentYear)
+    )
       throw new TypeError(`currentDay must be a valid day number, received ${typeof value}`);
     this.#currentDay = value;
   }
@@ -810,8 +1346,38 @@ class TinyDayNightCycle {
    */
   setTime({ hour = 0, minute = 0, second = 0 }) {
     this._checkDestroyed();
+    const prevHour = this.#getHourIndex(this.#currentSeconds);
+    const prevIsDay = this.isDay();
     this.currentSeconds =
       (hour * this.#hourSize + minute * this.#minuteSize + second) % this.#daySize;
+    this.#emitTimeEvents(prevHour, prevIsDay);
+  }
+
+  /**
+   * Returns the hour index of a time of the day.
+   * @param {number} seconds - Seconds since midnight.
+   * @returns {number}
+   */
+  #getHourIndex(seconds) {
+    return Math.floor(seconds / this.#hourSize);
+  }
+
+  /**
+   * Emits `hour` and `phase` if they changed.
+   * @param {number} prevHour - Hour index before the change.
+   * @param {boolean} prevIsDay - Whether it was day before the change.
+   */
+  #emitTimeEvents(prevHour, prevIsDay) {
+    const hour = this.#getHourIndex(this.#currentSeconds);
+    if (hour !== prevHour)
+      this.#emit('hour', {
+        hour,
+        day: this.#currentDay,
+        month: this.#currentMonth,
+        year: this.#currentYear,
+      });
+    const isDay = this.isDay();
+    if (isDay !== prevIsDay) this.#emit('phase', { phase: isDay ? 'day' : 'night', hour });
   }
 
   /**
@@ -823,21 +1389,51 @@ class TinyDayNightCycle {
    */
   addTime({ hours = 0, minutes = 0, seconds = 0 }) {
     this._checkDestroyed();
-    let total = this.currentSeconds + hours * this.#hourSize + minutes * this.#minuteSize + seconds;
+    let remaining = hours * this.#hourSize + minutes * this.#minuteSize + seconds;
+    let position = this.#currentSeconds;
+
+    // Time moves in steps that stop at every hour, midnight and weather change,
+    // so each boundary crossed is applied (and emitted) in order.
+    while (remaining !== 0) {
+      const prevHour = this.#getHourIndex(position);
+      const prevIsDay = this.isDay();
+      let step;
+      let weatherDue = false;
+
+      if (remaining > 0) {
+        const nextHour = Math.min((prevHour + 1) * this.#hourSize, this.#daySize);
+        step = Math.min(remaining, nextHour - position);
+        const weatherStep = this.#weatherTimeLeft * this.#minuteSize;
+        if (this.#weatherTimeLeft > 0 && weatherStep <= step) {
+          step = weatherStep;
+          weatherDue = true;
+        }
+        position += step;
+        if (position >= this.#daySize) {
+          position -= this.#daySize;
+          this.nextDay();
+        }
+      } else {
+        if (position <= 0) {
+          position += this.#daySize;
+          this.prevDay();
+        }
+        const prevBoundary = (Math.ceil(position / this.#hourSize) - 1) * this.#hourSize;
+        step = -Math.min(-remaining, position - prevBoundary);
+        position += step;
+      }
 
-    while (total >= this.#daySize) {
-      total -= this.#daySize;
-      this.nextDay();
-    }
-    while (total < 0) {
-      total += this.#daySize;
-      this.prevDay();
-    }
+      remaining -= step;
+      if (Math.abs(remaining) < 1e-9) remaining = 0;
 
-    this.currentSeconds = total;
-    this.updateWeatherTimer(
-      (hours * this.#hourSize + minutes * this.#minuteSize + seconds) / this.#minuteSize,
-    ); // in minutes for compatibility
+      this.currentSeconds = position;
+      // in minutes for compatibility
+      this.updateWeatherTimer(weatherDue ? this.#weatherTimeLeft : step / this.#minuteSize);
+      this.#emitTimeEvents(prevHour, prevIsDay);
+
+      const hour = this.#getHourIndex(position);
+      if (step > 0 && hour !== prevHour) this.#runDateRules(hour);
+    }
   }
 
   /**
@@ -986,8 +1582,10 @@ class TinyDayNightCycle {
   nextDay(amount = 1) {
     this._checkDestroyed();
     for (let i = 0; i < amount; i++) {
+      const prevMonth = this.#currentMonth;
+      const prevYear = this.#currentYear;
       this.#currentDay++;
-      const monthDays = this.#monthDays[this.#currentMonth - 1];
+      const monthDays = this.getDaysInMonth(this.#currentMonth, this.#currentYear);
       if (Number.isNaN(monthDays) || !Number.isFinite(monthDays))
         throw new Error('Invalid month day count: monthDays must be a finite number.');
       if (this.#currentDay > monthDays) {
@@ -998,8 +1596,10 @@ class TinyDayNightCycle {
           this.#currentYear++;
         }
       }
+      this.#emitDateEvents(prevMonth, prevYear, 'forward');
       this.updateSeason();
       this.advanceMoons(1);
+      this.#runDateRules(null);
     }
   }
 
@@ -1012,6 +1612,8 @@ class TinyDayNightCycle {
   prevDay(amount = 1) {
     this._checkDestroyed();
     for (let i = 0; i < amount; i++) {
+      const prevMonth = this.#currentMonth;
+      const prevYear = this.#currentYear;
       this.#currentDay--;
       if (this.#currentDay < 1) {
         this.#currentMonth--;
@@ -1019,37 +1621,539 @@ class TinyDayNightCycle {
           this.#currentMonth = this.#monthDays.length;
           this.#currentYear--;
         }
-        this.#currentDay = this.#monthDays[this.#currentMonth - 1] || 30;
+        this.#currentDay = this.getDaysInMonth(this.#currentMonth, this.#currentYear) || 30;
       }
+      this.#emitDateEvents(prevMonth, prevYear, 'backward');
       this.updateSeason();
       this.rewindMoons(1);
     }
   }
 
+  /**
+   * Emits `day`, and `month` / `year` if they changed.
+   * @param {number} prevMonth - Month before the change.
+   * @param {number} prevYear - Year before the change.
+   * @param {'forward'|'backward'} direction - Direction of the change.
+   */
+  #emitDateEvents(prevMonth, prevYear, direction) {
+    const month = this.#currentMonth;
+    const year = this.#currentYear;
+    this.#emit('day', { day: this.#currentDay, month, year, direction });
+    if (month !== prevMonth) this.#emit('month', { month, year });
+    if (year !== prevYear) this.#emit('year', { year });
+  }
+
   /**
    * Updates the current season based on the month.
    */
   updateSeason() {
     this._checkDestroyed();
+    const previous = this.#currentSeason;
     this.#seasons.forEach((seasonMonths, name) => {
       if (seasonMonths.includes(this.#currentMonth)) this.#currentSeason = name;
     });
+    if (this.#currentSeason !== previous)
+      this.#emit('season', { season: this.#currentSeason, previous });
   }
 
-  /** --------------------- WEATHER SYSTEM --------------------- */
+  /** --------------------- CALENDAR SYSTEM --------------------- */
 
   /**
-   * Sets the weather configuration.
-   * @param {WeatherCfgs} config
-   * An object defining default probabilities, time-based probabilities, day/night differences, and seasonal probabilities.
+   * Defines the calendar: months (names, lengths and leap days), weekdays, leap rule and epoch weekday.
+   * Omitted properties keep their current values. The current date is clamped to the new calendar.
+   *
+   * @param {CalendarDefinition} definition - Calendar definition.
+   * @throws {TypeError} If the definition is invalid.
    */
-  setWeatherConfig(config) {
+  setCalendar({ months, weekdays, leapRule, epochWeekday, ordinal } = {}) {
     this._checkDestroyed();
-    this.#weatherConfig = { ...this.#weatherConfig, ...config };
+    if (months !== undefined) {
+      if (!Array.isArray(months) || months.length === 0)
+        throw new TypeError('months must be a non-empty array.');
+      for (const month of months) {
+        if (
+          typeof month !== 'object' ||
+          month === null ||
+          typeof month.name !== 'string' ||
+          !Number.isInteger(month.days) ||
+          month.days < 1 ||
+          (month.leapDays !== undefined && !Number.isInteger(month.leapDays))
+        )
+          throw new TypeError(
+            'Each month must have a name, a positive integer of days and integer leapDays.',
+          );
+      }
+    }
+    if (
+      weekdays !== undefined &&
+      (!Array.isArray(weekdays) || !weekdays.every((name) => typeof name === 'string'))
+    )
+      throw new TypeError('weekdays must be an array of strings.');
+    if (
+      leapRule !== undefined &&
+      leapRule !== null &&
+      typeof leapRule !== 'function' &&
+      (typeof leapRule !== 'object' ||
+        !Number.isInteger(leapRule.every) ||
+        leapRule.every < 1 ||
+        (leapRule.except !== undefined && !Number.isInteger(leapRule.except)) ||
+        (leapRule.unless !== undefined && !Number.isInteger(leapRule.unless)))
+    )
+      throw new TypeError('leapRule must be a function, null or { every, except?, unless? }.');
+    if (epochWeekday !== undefined && !Number.isInteger(epochWeekday))
+      throw new TypeError('epochWeekday must be an integer.');
+    if (ordinal !== undefined && typeof ordinal !== 'function')
+      throw new TypeError('ordinal must be a function.');
+
+    if (months !== undefined) {
+      this.#monthDays = months.map((month) => month.days);
+      this.#monthNames = months.map((month) => month.name);
+      this.#monthLeapDays = months.map((month) => month.leapDays ?? 0);
+    }
+    if (weekdays !== undefined) this.#weekdays = [...weekdays];
+    if (typeof leapRule === 'function' || leapRule === null) this.#leapRule = leapRule;
+    else if (leapRule !== undefined) this.#leapRule = { ...leapRule };
+    if (epochWeekday !== undefined) this.#epochWeekday = epochWeekday;
+    if (ordinal !== undefined) this.#ordinal = ordinal;
+
+    // Keep the current date valid
+    this.#currentMonth = Math.min(this.#currentMonth, this.#monthDays.length);
+    this.#currentDay = Math.min(
+      this.#currentDay,
+      this.getDaysInMonth(this.#currentMonth, this.#currentYear),
+    );
   }
 
   /**
-   * Sets the minimum and maximum duration for any weather type.
+   * Returns the calendar definition.
+   * @returns {Required<Omit<CalendarDefinition, 'ordinal'>>}
+   */
+  getCalendar() {
+    return {
+      months: this.#monthDays.map((days, index) => ({
+        name: this.getMonthName(index + 1),
+        days,
+        leapDays: this.#monthLeapDays[index] ?? 0,
+      })),
+      weekdays: [...this.#weekdays],
+      leapRule:
+        typeof this.#leapRule === 'object' && this.#leapRule
+          ? { ...this.#leapRule }
+          : this.#leapRule,
+      epochWeekday: this.#epochWeekday,
+    };
+  }
+
+  /** @returns {string[]} Weekday names. */
+  get weekdays() {
+    return [...this.#weekdays];
+  }
+
+  /**
+   * Returns the name of a month.
+   * @param {number} month - Month number (1-based).
+   * @returns {string} The month name, or the month number if it has no name.
+   */
+  getMonthName(month) {
+    return this.#monthNames[month - 1] ?? String(month);
+  }
+
+  /**
+   * Checks whether a year is a leap year.
+   * @param {number} year - Year count.
+   * @returns {boolean}
+   */
+  isLeapYear(year) {
+    const rule = this.#leapRule;
+    if (!rule) return false;
+    if (typeof rule === 'function') return !!rule(year);
+    if (year % rule.every !== 0) return false;
+    if (rule.except && year % rule.except === 0) return !!rule.unless && year % rule.unless === 0;
+    return true;
+  }
+
+  /**
+   * Returns the number of days of a month, including leap days.
+   * @param {number} month - Month number (1-based).
+   * @param {number} [year=this.currentYear] - Year count.
+   * @returns {number}
+   */
+  getDaysInMonth(month, year = this.#currentYear) {
+    const days = this.#monthDays[month - 1];
+    if (typeof days !== 'number') return days;
+    return days + (this.isLeapYear(year) ? (this.#monthLeapDays[month - 1] ?? 0) : 0);
+  }
+
+  /**
+   * Returns the number of days of a year.
+   * @param {number} year - Year count.
+   * @returns {number}
+   */
+  getDaysInYear(year) {
+    let total = 0;
+    for (let month = 1; month <= this.#monthDays.length; month++)
+      total += this.getDaysInMonth(month, year);
+    return total;
+  }
+
+  /**
+   * Validates a date of the calendar.
+   * @param {CalendarDate} date
+   * @throws {TypeError} If the date is invalid.
+   */
+  #validateDate(date) {
+    if (typeof date !== 'object' || date === null)
+      throw new TypeError('date must be an object with year, month and day.');
+    const { year, month, day } = date;
+    if (!Number.isInteger(year)) throw new TypeError(`Invalid year: ${year}`);
+    if (!Number.isInteger(month) || month < 1 || month > this.#monthDays.length)
+      throw new TypeError(`Invalid month: ${month}`);
+    if (!Number.isInteger(day) || day < 1 || day > this.getDaysInMonth(month, year))
+      throw new TypeError(`Invalid day: ${day}`);
+  }
+
+  /**
+   * Converts a date into the number of days since year 1, month 1, day 1.
+   * @param {CalendarDate} [date] - Date to convert (defaults to the current date).
+   * @returns {number} Day number (negative before the epoch).
+   */
+  toDayNumber(date = this.#getCurrentDate()) {
+    this.#validateDate(date);
+    let total = 0;
+    for (let year = 1; year < date.year; year++) total += this.getDaysInYear(year);
+    for (let year = date.year; year < 1; year++) total -= this.getDaysInYear(year);
+    for (let month = 1; month < date.month; month++) total += this.getDaysInMonth(month, date.year);
+    return total + date.day - 1;
+  }
+
+  /**
+   * Converts a day number (days since year 1, month 1, day 1) into a date.
+   * @param {number} dayNumber - Day number.
+   * @returns {CalendarDate}
+   */
+  fromDayNumber(dayNumber) {
+    if (!Number.isInteger(dayNumber)) throw new TypeError('dayNumber must be an integer.');
+    let year = 1;
+    let rest = dayNumber;
+    while (rest < 0) {
+      year--;
+      rest += this.getDaysInYear(year);
+    }
+    while (rest >= this.getDaysInYear(year)) {
+      rest -= this.getDaysInYear(year);
+      year++;
+    }
+    let month = 1;
+    while (rest >= this.getDaysInMonth(month, year)) {
+      rest -= this.getDaysInMonth(month, year);
+      month++;
+    }
+    return { year, month, day: rest + 1 };
+  }
+
+  /**
+   * Returns a date moved by a number of days.
+   * @param {CalendarDate} date - Start date.
+   * @param {number} days - Days to add (negative to subtract).
+   * @returns {CalendarDate}
+   */
+  addDays(date, days) {
+    if (!Number.isInteger(days)) throw new TypeError('days must be an integer.');
+    return this.fromDayNumber(this.toDayNumber(date) + days);
+  }
+
+  /**
+   * Returns the number of days from one date to another.
+   * @param {CalendarDate} from - Start date.
+   * @param {CalendarDate} to - End date.
+   * @returns {number} Positive if `to` is after `from`.
+   */
+  diffDays(from, to) {
+    return this.toDayNumber(to) - this.toDayNumber(from);
+  }
+
+  /**
+   * @returns {CalendarDate} The current date.
+   */
+  #getCurrentDate() {
+    return { year: this.#currentYear, month: this.#currentMonth, day: this.#currentDay };
+  }
+
+  /**
+   * Returns a date with its computed details (month name, weekday, day of year, holidays...).
+   * @param {CalendarDate} [date] - Date to describe (defaults to the current date).
+   * @returns {CalendarDateInfo}
+   */
+  getDate(date = this.#getCurrentDate()) {
+    const dayNumber = this.toDayNumber(date);
+    const { year, month, day } = date;
+    const weekCount = this.#weekdays.length;
+    const weekdayIndex =
+      weekCount > 0
+        ? (((this.#epochWeekday + dayNumber) % weekCount) + weekCount) % weekCount
+        : null;
+
+    let dayOfYear = day;
+    for (let m = 1; m < month; m++) dayOfYear += this.getDaysInMonth(m, year);
+
+    /** @type {CalendarDateInfo} */
+    const info = {
+      year,
+      month,
+      day,
+      monthName: this.getMonthName(month),
+      weekdayIndex,
+      weekday: weekdayIndex !== null ? this.#weekdays[weekdayIndex] : null,
+      dayOfYear,
+      dayNumber,
+      isLeapYear: this.isLeapYear(year),
+      holidays: [],
+    };
+    for (const holiday of this.#holidays.values())
+      if (this.#matchesRule(holiday.rule, info)) info.holidays.push(holiday.name);
+    return info;
+  }
+
+  /**
+   * Jumps to a date. Seasons and moons are updated by the days moved,
+   * but schedules and holidays of the skipped days are not fired.
+   *
+   * @param {CalendarDate} date - Target date.
+   * @throws {TypeError} If the date is invalid.
+   */
+  setDate(date) {
+    this._checkDestroyed();
+    const diff = this.diffDays(this.#getCurrentDate(), date);
+    if (diff === 0) return;
+    const prevMonth = this.#currentMonth;
+    const prevYear = this.#currentYear;
+    this.#currentYear = date.year;
+    this.#currentMonth = date.month;
+    this.#currentDay = date.day;
+    this.#emitDateEvents(prevMonth, prevYear, diff > 0 ? 'forward' : 'backward');
+    this.updateSeason();
+    if (diff > 0) this.advanceMoons(diff);
+    else this.rewindMoons(-diff);
+  }
+
+  /**
+   * Formats a date. Placeholders:
+   * `{weekday}`, `{weekdayIndex}`, `{day}`, `{day2}` (zero-padded), `{dayOrdinal}`, `{month}` (name),
+   * `{monthNumber}`, `{month2}` (zero-padded), `{year}`, `{dayOfYear}`, `{season}`, `{time}` (HH:MM).
+   *
+   * @example
+   * cycle.formatDate(); // "Moonday, 3rd of Frostfall, Year 212"
+   * cycle.formatDate('{year}-{month2}-{day2}'); // "212-01-03"
+   *
+   * @param {string} [format='{weekday}, {dayOrdinal} of {month}, Year {year}'] - Output template.
+   * @param {CalendarDate} [date] - Date to format (defaults to the current date).
+   * @returns {string} The formatted date.
+   */
+  formatDate(format = '{weekday}, {dayOrdinal} of {month}, Year {year}', date) {
+    const info = this.getDate(date);
+    /** @type {Record<string, string>} */
+    const values = {
+      weekday: info.weekday ?? '',
+      weekdayIndex: info.weekdayIndex !== null ? String(info.weekdayIndex) : '',
+      day: String(info.day),
+      day2: String(info.day).padStart(2, '0'),
+      dayOrdinal: this.#ordinal(info.day),
+      month: info.monthName,
+      monthNumber: String(info.month),
+      month2: String(info.month).padStart(2, '0'),
+      year: String(info.year),
+      dayOfYear: String(info.dayOfYear),
+      season: this.#currentSeason,
+      time: this.getTime().formatted,
+    };
+    return format.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+  }
+
+  /**
+   * Checks if a date matches a date rule.
+   * @param {DateRule} rule
+   * @param {CalendarDateInfo} info
+   * @returns {boolean}
+   */
+  #matchesRule(rule, info) {
+    if (rule.year !== undefined && rule.year !== info.year) return false;
+    if (rule.month !== undefined && rule.month !== info.month) return false;
+    if (rule.day !== undefined) {
+      const day =
+        rule.day < 0 ? this.getDaysInMonth(info.month, info.year) + 1 + rule.day : rule.day;
+      if (day !== info.day) return false;
+    }
+    if (rule.weekday !== undefined) {
+      const weekday =
+        typeof rule.weekday === 'string' ? this.#weekdays.indexOf(rule.weekday) : rule.weekday;
+      if (weekday !== info.weekdayIndex) return false;
+    }
+    if (rule.every !== undefined) {
+      const start = rule.from ? this.toDayNumber(rule.from) : 0;
+      const diff = info.dayNumber - start;
+      if (diff < 0 || diff % rule.every !== 0) return false;
+    }
+    if (rule.match && !rule.match(info)) return false;
+    return true;
+  }
+
+  /**
+   * Validates a date rule.
+   * @param {DateRule} rule
+   * @throws {TypeError} If the rule is invalid.
+   */
+  #validateRule(rule) {
+    if (typeof rule !== 'object' || rule === null) throw new TypeError('rule must be an object.');
+    for (const key of ['year', 'month', 'day', 'hour']) {
+      const value = rule[/** @type {'year'|'month'|'day'|'hour'} */ (key)];
+      if (value !== undefined && !Number.isInteger(value))
+        throw new TypeError(`rule.${key} must be an integer.`);
+    }
+    if (
+      rule.weekday !== undefined &&
+      typeof rule.weekday !== 'string' &&
+      !Number.isInteger(rule.weekday)
+    )
+      throw new TypeError('rule.weekday must be an integer or a weekday name.');
+    if (rule.every !== undefined && (!Number.isInteger(rule.every) || rule.every < 1))
+      throw new TypeError('rule.every must be a positive integer.');
+    if (rule.from !== undefined) this.#validateDate(rule.from);
+    if (rule.match !== undefined && typeof rule.match !== 'function')
+      throw new TypeError('rule.match must be a function.');
+  }
+
+  /**
+   * Adds or replaces a holiday. A `holiday` event is emitted when its date starts.
+   *
+   * @param {string} id - Holiday ID.
+   * @param {string} name - Display name.
+   * @param {DateRule} rule - Dates of the holiday (e.g., `{ month: 12, day: 25 }`).
+   * @throws {TypeError} If the arguments are invalid.
+   */
+  addHoliday(id, name, rule) {
+    this._checkDestroyed();
+    if (typeof id !== 'string') throw new TypeError('Holiday id must be a string.');
+    if (typeof name !== 'string') throw new TypeError('Holiday name must be a string.');
+    this.#validateRule(rule);
+    this.#holidays.set(id, { name, rule: { ...rule } });
+  }
+
+  /**
+   * Removes a holiday.
+   * @param {string} id - Holiday ID.
+   * @returns {boolean} Whether the holiday existed.
+   */
+  removeHoliday(id) {
+    return this.#holidays.delete(id);
+  }
+
+  /**
+   * Checks whether a holiday exists.
+   * @param {string} id - Holiday ID.
+   * @returns {boolean}
+   */
+  hasHoliday(id) {
+    return this.#holidays.has(id);
+  }
+
+  /**
+   * Returns all holidays.
+   * @returns {Record<string, { name: string, rule: DateRule }>}
+   */
+  getHolidays() {
+    /** @type {Record<string, { name: string, rule: DateRule }>} */
+    const result = {};
+    for (const [id, holiday] of this.#holidays)
+      result[id] = { name: holiday.name, rule: { ...holiday.rule } };
+    return result;
+  }
+
+  /**
+   * Schedules a callback for the dates matching a rule.
+   * Callbacks fire when the time moves forward into a matching date (at midnight,
+   * or when `rule.hour` starts), through `nextDay()` or `addTime()` (including the clock driver).
+   *
+   * @param {string} id - Schedule ID (replaces an existing one).
+   * @param {DateRule} rule - Dates to fire on.
+   * @param {ScheduleCallback} callback - Function to call.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.once=false] - Removes the schedule after the first call.
+   * @throws {TypeError} If the arguments are invalid.
+   */
+  schedule(id, rule, callback, { once = false } = {}) {
+    this._checkDestroyed();
+    if (typeof id !== 'string') throw new TypeError('Schedule id must be a string.');
+    if (typeof callback !== 'function') throw new TypeError('callback must be a function.');
+    if (typeof once !== 'boolean') throw new TypeError('once must be a boolean.');
+    this.#validateRule(rule);
+    this.#schedules.set(id, { rule: { ...rule }, callback, once });
+  }
+
+  /**
+   * Removes a scheduled callback.
+   * @param {string} id - Schedule ID.
+   * @returns {boolean} Whether the schedule existed.
+   */
+  unschedule(id) {
+    return this.#schedules.delete(id);
+  }
+
+  /**
+   * Checks whether a schedule exists.
+   * @param {string} id - Schedule ID.
+   * @returns {boolean}
+   */
+  hasSchedule(id) {
+    return this.#schedules.has(id);
+  }
+
+  /**
+   * Removes every scheduled callback.
+   */
+  clearSchedules() {
+    this.#schedules.clear();
+  }
+
+  /**
+   * Fires holidays and schedules for the current date.
+   * @param {number|null} hour - Hour that just started, or null at the start of a day.
+   */
+  #runDateRules(hour) {
+    if (
+      hour === null
+        ? this.#holidays.size === 0 && this.#schedules.size === 0
+        : this.#schedules.size === 0
+    )
+      return;
+    const date = this.getDate();
+
+    if (hour === null)
+      for (const [id, holiday] of this.#holidays)
+        if (this.#matchesRule(holiday.rule, date))
+          this.#emit('holiday', { id, name: holiday.name, date });
+
+    for (const [id, item] of [...this.#schedules]) {
+      if ((item.rule.hour ?? null) !== hour) continue;
+      if (!this.#matchesRule(item.rule, date)) continue;
+      if (item.once) this.#schedules.delete(id);
+      item.callback({ id, date, hour });
+    }
+  }
+
+  /** --------------------- WEATHER SYSTEM --------------------- */
+
+  /**
+   * Sets the weather configuration.
+   * @param {WeatherCfgs} config
+   * An object defining default probabilities, time-based probabilities, day/night differences, and seasonal probabilities.
+   */
+  setWeatherConfig(config) {
+    this._checkDestroyed();
+    this.#weatherConfig = { ...this.#weatherConfig, ...config };
+  }
+
+  /**
+   * Sets the minimum and maximum duration for any weather type.
    * @param {number} minMinutes - Minimum duration in minutes.
    * @param {number} maxMinutes - Maximum duration in minutes.
    */
@@ -1081,11 +2185,13 @@ class TinyDayNightCycle {
    */
   forceWeather({ where = 'main', type, duration = null }) {
     this._checkDestroyed();
+    const previous = this.#weather[where] ?? null;
     const weather = this.#weather;
     weather[where] = type;
     this.weather = weather;
     this.#weatherTimeLeft =
       duration ?? this._randomInRange(this.#weatherDuration.min, this.#weatherDuration.max);
+    if (type !== previous) this.#emit('weather', { where, type, previous });
   }
 
   /**
@@ -1104,6 +2210,14 @@ class TinyDayNightCycle {
    */
   chooseNewWeather({ customWeather, where = 'main' } = {}) {
     this._checkDestroyed();
+    const previous = this.#weather[where] ?? null;
+    /** @param {string|null} type */
+    const select = (type) => {
+      this.#weather[where] = type;
+      if (type !== previous) this.#emit('weather', { where, type, previous });
+      return type;
+    };
+
     /** @type {WeatherData} */
     let probabilities = {};
 
@@ -1171,28 +2285,23 @@ class TinyDayNightCycle {
 
     // Pick random based on final probabilities
     const entries = Object.entries(probabilities).filter(([, prob]) => prob > 0);
-    if (!entries.length) {
-      this.#weather[where] = null;
-      return null;
-    }
+    if (!entries.length) return select(null);
 
     const total = entries.reduce((sum, [, prob]) => sum + prob, 0);
     let rand = Math.random() * total;
 
     for (const [type, prob] of entries) {
       if (rand < prob) {
-        this.#weather[where] = type;
         this.#weatherTimeLeft = this._randomInRange(
           this.#weatherDuration.min,
           this.#weatherDuration.max,
         );
-        return type;
+        return select(type);
       }
       rand -= prob;
     }
 
-    this.#weather[where] = null;
-    return null;
+    return select(null);
   }
 
   /**
@@ -1262,7 +2371,10 @@ class TinyDayNightCycle {
     this._checkDestroyed();
     const moon = this.#moons[moonIndex];
     if (!moon) throw new RangeError(`No moon found at index ${moonIndex}`);
+    const previous = moon.currentPhase;
     moon.currentPhase = (moon.currentPhase + days) % moon.cycleLength;
+    if (moon.currentPhase !== previous)
+      this.#emit('moonPhase', { index: moonIndex, moon: this.getMoon(moonIndex), previous });
   }
 
   /**
@@ -1275,7 +2387,10 @@ class TinyDayNightCycle {
     this._checkDestroyed();
     const moon = this.#moons[moonIndex];
     if (!moon) throw new RangeError(`No moon found at index ${moonIndex}`);
+    const previous = moon.currentPhase;
     moon.currentPhase = (moon.currentPhase - days + moon.cycleLength) % moon.cycleLength;
+    if (moon.currentPhase !== previous)
+      this.#emit('moonPhase', { index: moonIndex, moon: this.getMoon(moonIndex), previous });
   }
 
   /**
@@ -1327,6 +2442,555 @@ class TinyDayNightCycle {
     };
   }
 
+  /** --------------------- LIGHT SYSTEM --------------------- */
+
+  /**
+   * Returns a copy of the light model configuration.
+   * @returns {LightConfig}
+   */
+  getLightConfig() {
+    /** @type {Record<string, SkyKeyframe[]>} */
+    const seasonSkyGradients = {};
+    for (const name in this.#light.seasonSkyGradients)
+      seasonSkyGradients[name] = this.#light.seasonSkyGradients[name].map((key) => ({ ...key }));
+    return {
+      ...this.#light,
+      skyGradient: this.#light.skyGradient.map((key) => ({ ...key })),
+      seasonSkyGradients,
+    };
+  }
+
+  /**
+   * Updates the light model configuration. Omitted properties keep their values.
+   *
+   * @param {Partial<LightConfig>} config - Values to change.
+   * @throws {TypeError} If a value is invalid.
+   */
+  setLightConfig(config) {
+    this._checkDestroyed();
+    if (typeof config !== 'object' || config === null)
+      throw new TypeError('Light config must be an object.');
+
+    /**
+     * @param {SkyKeyframe[]} keys
+     * @param {string} label
+     * @returns {SkyKeyframe[]}
+     */
+    const checkGradient = (keys, label) => {
+      if (!Array.isArray(keys) || keys.length === 0)
+        throw new TypeError(`${label} must be a non-empty array.`);
+      for (const key of keys) {
+        if (
+          typeof key !== 'object' ||
+          key === null ||
+          typeof key.hour !== 'number' ||
+          !Number.isFinite(key.hour) ||
+          typeof key.color !== 'string' ||
+          !/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(key.color)
+        )
+          throw new TypeError(`${label} must contain { hour: number, color: hex string } items.`);
+      }
+      return keys
+        .map((key) => ({ hour: key.hour, color: key.color }))
+        .sort((a, b) => a.hour - b.hour);
+    };
+
+    const next = { ...this.#light };
+    /** @type {('dawnLength'|'duskLength'|'maxElevation')[]} */
+    const sizeKeys = ['dawnLength', 'duskLength', 'maxElevation'];
+    for (const key of sizeKeys) {
+      const value = config[key];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0)
+        throw new TypeError(`${key} must be a non-negative finite number.`);
+      next[key] = value;
+    }
+
+    /** @type {('dayIntensity'|'twilightIntensity'|'nightIntensity'|'moonIntensity')[]} */
+    const intensityKeys = ['dayIntensity', 'twilightIntensity', 'nightIntensity', 'moonIntensity'];
+    for (const key of intensityKeys) {
+      const value = config[key];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !(value >= 0 && value <= 1))
+        throw new TypeError(`${key} must be a number between 0 and 1.`);
+      next[key] = value;
+    }
+
+    if (config.skyGradient !== undefined)
+      next.skyGradient = checkGradient(config.skyGradient, 'skyGradient');
+    if (config.seasonSkyGradients !== undefined) {
+      if (typeof config.seasonSkyGradients !== 'object' || config.seasonSkyGradients === null)
+        throw new TypeError('seasonSkyGradients must be an object.');
+      /** @type {Record<string, SkyKeyframe[]>} */
+      const seasons = {};
+      for (const [name, keys] of Object.entries(config.seasonSkyGradients))
+        seasons[name] = checkGradient(keys, `seasonSkyGradients["${name}"]`);
+      next.seasonSkyGradients = seasons;
+    }
+    this.#light = next;
+  }
+
+  /**
+   * Returns the sunrise time and the day length, in seconds.
+   * @returns {{ sunrise: number, sunset: number, dayLength: number }}
+   */
+  #getSunTimes() {
+    const sunrise = this.#dayStart * this.#hourSize;
+    const sunset = this.#nightStart * this.#hourSize;
+    const dayLength = (((sunset - sunrise) % this.#daySize) + this.#daySize) % this.#daySize;
+    return { sunrise, sunset, dayLength };
+  }
+
+  /**
+   * Returns the seconds elapsed from `start` to `seconds`, wrapping at midnight.
+   * @param {number} seconds
+   * @param {number} start
+   * @returns {number}
+   */
+  #elapsedSince(seconds, start) {
+    return (((seconds - start) % this.#daySize) + this.#daySize) % this.#daySize;
+  }
+
+  /**
+   * Calculates the sun position. The sun rises at `dayStart`, peaks at the middle of the day
+   * at `maxElevation` and sets at `nightStart`, going below the horizon during the night.
+   *
+   * @param {number} [seconds=this.currentSeconds] - Seconds since midnight.
+   * @returns {SunPosition}
+   */
+  getSunPosition(seconds = this.#currentSeconds) {
+    const { sunrise, dayLength } = this.#getSunTimes();
+    const since = this.#elapsedSince(seconds, sunrise);
+    const max = this.#light.maxElevation;
+
+    if (since < dayLength) {
+      const progress = since / dayLength;
+      return {
+        elevation: max * Math.sin(Math.PI * progress),
+        angle: 180 * progress,
+        isAboveHorizon: true,
+      };
+    }
+    const nightLength = this.#daySize - dayLength;
+    const progress = nightLength > 0 ? (since - dayLength) / nightLength : 0;
+    return {
+      elevation: -max * Math.sin(Math.PI * progress),
+      angle: 180 + 180 * progress,
+      isAboveHorizon: false,
+    };
+  }
+
+  /**
+   * Returns the twilight phase. Dawn lasts `dawnLength` minutes before `dayStart`
+   * and dusk lasts `duskLength` minutes after `nightStart`.
+   *
+   * @param {number} [seconds=this.currentSeconds] - Seconds since midnight.
+   * @returns {{ phase: TwilightPhase, progress: number }} The phase and the progress inside it (0–1).
+   */
+  getTwilightPhase(seconds = this.#currentSeconds) {
+    const { sunrise, sunset, dayLength } = this.#getSunTimes();
+    const nightLength = this.#daySize - dayLength;
+    const dawn = Math.min(this.#light.dawnLength * this.#minuteSize, nightLength);
+    const dusk = Math.min(this.#light.duskLength * this.#minuteSize, nightLength - dawn);
+
+    const sinceSunrise = this.#elapsedSince(seconds, sunrise);
+    if (sinceSunrise < dayLength)
+      return { phase: 'day', progress: dayLength > 0 ? sinceSunrise / dayLength : 0 };
+
+    const sinceSunset = this.#elapsedSince(seconds, sunset);
+    if (sinceSunset < dusk) return { phase: 'dusk', progress: sinceSunset / dusk };
+
+    const untilSunrise = this.#daySize - sinceSunrise;
+    if (untilSunrise <= dawn) return { phase: 'dawn', progress: 1 - untilSunrise / dawn };
+
+    const night = nightLength - dawn - dusk;
+    return { phase: 'night', progress: night > 0 ? (sinceSunset - dusk) / night : 0 };
+  }
+
+  /**
+   * Calculates the brightness of a moon from its phase.
+   * Phase `0` is the new moon and the middle of the cycle is the full moon.
+   *
+   * @param {number} index - Moon index.
+   * @returns {number} Illuminated fraction (0–1).
+   * @throws {RangeError} If the moon does not exist.
+   */
+  getMoonBrightness(index) {
+    const moon = this.getMoon(index);
+    return (1 - Math.cos((2 * Math.PI * moon.phaseIndex) / moon.cycleLength)) / 2;
+  }
+
+  /**
+   * Calculates the ambient light intensity. It follows the sun elevation during the day,
+   * fades smoothly during dawn and dusk, and at night is `nightIntensity` plus the light
+   * of the brightest moon.
+   *
+   * @param {number} [seconds=this.currentSeconds] - Seconds since midnight.
+   * @returns {number} Intensity between 0 and 1.
+   */
+  getAmbientLight(seconds = this.#currentSeconds) {
+    const { phase, progress } = this.getTwilightPhase(seconds);
+    const { dayIntensity, twilightIntensity, nightIntensity, moonIntensity } = this.#light;
+
+    let moon = 0;
+    for (let i = 0; i < this.#moons.length; i++) moon = Math.max(moon, this.getMoonBrightness(i));
+    const night = Math.min(1, nightIntensity + moonIntensity * moon);
+
+    /** @param {number} t */
+    const smooth = (t) => t * t * (3 - 2 * t);
+
+    switch (phase) {
+      case 'day':
+        return (
+          twilightIntensity + (dayIntensity - twilightIntensity) * Math.sin(Math.PI * progress)
+        );
+      case 'dawn':
+        return night + (twilightIntensity - night) * smooth(progress);
+      case 'dusk':
+        return twilightIntensity + (night - twilightIntensity) * smooth(progress);
+      default:
+        return night;
+    }
+  }
+
+  /**
+   * Calculates the sky color by interpolating the sky gradient (the gradient of the
+   * season when `seasonSkyGradients` has one).
+   *
+   * @param {number} [seconds=this.currentSeconds] - Seconds since midnight.
+   * @param {string} [season=this.currentSeason] - Season whose gradient is used.
+   * @returns {{ hex: string, rgb: number[] }}
+   */
+  getSkyColor(seconds = this.#currentSeconds, season = this.#currentSeason) {
+    const keys = this.#light.seasonSkyGradients[season] ?? this.#light.skyGradient;
+    const hoursPerDay = this.#daySize / this.#hourSize;
+    const hour = seconds / this.#hourSize;
+
+    // Surrounding stops, wrapping around midnight
+    let prev = keys[keys.length - 1];
+    let next = keys[0];
+    for (let i = 0; i < keys.length; i++) {
+      if (keys[i].hour > hour) {
+        next = keys[i];
+        prev = keys[i - 1] ?? keys[keys.length - 1];
+        break;
+      }
+      prev = keys[i];
+      next = keys[i + 1] ?? keys[0];
+    }
+
+    const span = (((next.hour - prev.hour) % hoursPerDay) + hoursPerDay) % hoursPerDay;
+    const offset = (((hour - prev.hour) % hoursPerDay) + hoursPerDay) % hoursPerDay;
+    const t = span > 0 ? Math.min(offset / span, 1) : 0;
+
+    const from = TinyColorConverter.hexToRgb(prev.color);
+    const to = TinyColorConverter.hexToRgb(next.color);
+    const rgb = from.map((value, i) => Math.round(value + (to[i] - value) * t));
+    return { hex: TinyColorConverter.rgbToHex(rgb[0], rgb[1], rgb[2]), rgb };
+  }
+
+  /**
+   * Returns the complete light state, handy to drive CSS variables or canvas tinting.
+   *
+   * @param {number} [seconds=this.currentSeconds] - Seconds since midnight.
+   * @returns {LightState}
+   */
+  getLightState(seconds = this.#currentSeconds) {
+    const { phase, progress } = this.getTwilightPhase(seconds);
+    const moons = this.moons.map((moon, index) => ({
+      ...moon,
+      brightness: this.getMoonBrightness(index),
+    }));
+    return {
+      phase,
+      phaseProgress: progress,
+      sun: this.getSunPosition(seconds),
+      ambient: this.getAmbientLight(seconds),
+      sky: this.getSkyColor(seconds),
+      moonBrightness: moons.reduce((max, moon) => Math.max(max, moon.brightness), 0),
+      moons,
+    };
+  }
+
+  /** --------------------- CLOCK DRIVER --------------------- */
+
+  /**
+   * In-game seconds advanced per real second by the clock driver.
+   * @returns {number}
+   */
+  get timeScale() {
+    return this.#timeScale;
+  }
+
+  /**
+   * Sets the time scale. Time elapsed before the change is applied with the previous scale.
+   * @param {number} value - Finite number (negative values rewind the time).
+   * @throws {TypeError} If value is not a finite number.
+   */
+  set timeScale(value) {
+    this._checkDestroyed();
+    if (typeof value !== 'number' || !Number.isFinite(value))
+      throw new TypeError('timeScale must be a finite number.');
+    this.tickClock();
+    this.#timeScale = value;
+  }
+
+  /** @returns {boolean} Whether the clock driver is started (even if paused). */
+  get isClockRunning() {
+    return this.#clockRunning;
+  }
+
+  /** @returns {boolean} Whether the clock driver is paused. */
+  get isClockPaused() {
+    return this.#clockPaused;
+  }
+
+  /**
+   * Starts advancing the game time from a real clock.
+   * Restarts the driver if it was already running.
+   *
+   * @param {Object} [settings={}]
+   * @param {number} [settings.timeScale=this.timeScale] - In-game seconds per real second (e.g., `60` = 1 minute per second).
+   * @param {ClockNow} [settings.now=Date.now] - Real time source in milliseconds (injectable for tests or game loops).
+   * @param {number|null} [settings.interval=1000] - Milliseconds between automatic ticks. `null` disables the timer, so `tickClock()` must be called manually (e.g., each frame).
+   * In Node.js the timer is unref'd, so it never keeps the process alive on its own.
+   * @throws {TypeError} If a setting is invalid.
+   */
+  startClock({ timeScale = this.#timeScale, now = () => Date.now(), interval = 1000 } = {}) {
+    this._checkDestroyed();
+    if (typeof now !== 'function') throw new TypeError('now must be a function.');
+    if (interval !== null && (typeof interval !== 'number' || !(interval > 0)))
+      throw new TypeError('interval must be a positive number or null.');
+    if (this.#clockRunning) this.stopClock();
+
+    this.timeScale = timeScale;
+    this.#clockNow = now;
+    this.#clockLast = now();
+    this.#clockCarry = 0;
+    this.#clockRunning = true;
+    this.#clockPaused = false;
+    if (interval !== null) {
+      const timer = setInterval(() => this.tickClock(), interval);
+      // The clock alone should not keep a Node.js process alive
+      if (typeof timer === 'object' && typeof timer.unref === 'function') timer.unref();
+      this.#clockTimer = timer;
+    }
+    this.#emit('clockStart', { timeScale: this.#timeScale });
+  }
+
+  /**
+   * Applies the real time elapsed since the last tick.
+   * Fractions of in-game seconds are kept until they add up to a whole second.
+   *
+   * @returns {number} In-game seconds added (0 if the clock is stopped or paused).
+   */
+  tickClock() {
+    if (!this.#clockRunning || this.#clockPaused) return 0;
+    const now = this.#clockNow();
+    const elapsed = Math.max(0, now - this.#clockLast);
+    this.#clockLast = now;
+
+    const total = (elapsed / 1000) * this.#timeScale + this.#clockCarry;
+    const seconds = Math.trunc(total);
+    this.#clockCarry = total - seconds;
+    if (seconds !== 0) this.addTime({ seconds });
+    return seconds;
+  }
+
+  /**
+   * Pauses the clock driver. The time elapsed until now is applied first.
+   */
+  pauseClock() {
+    this._checkDestroyed();
+    if (!this.#clockRunning || this.#clockPaused) return;
+    this.tickClock();
+    this.#clockPaused = true;
+    this.#emit('clockPause', { timeScale: this.#timeScale });
+  }
+
+  /**
+   * Resumes a paused clock driver. The time spent paused is ignored.
+   */
+  resumeClock() {
+    this._checkDestroyed();
+    if (!this.#clockRunning || !this.#clockPaused) return;
+    this.#clockLast = this.#clockNow();
+    this.#clockPaused = false;
+    this.#emit('clockResume', { timeScale: this.#timeScale });
+  }
+
+  /**
+   * Stops the clock driver. The time elapsed until now is applied first.
+   */
+  stopClock() {
+    if (!this.#clockRunning) return;
+    this.tickClock();
+    if (this.#clockTimer !== null) clearInterval(this.#clockTimer);
+    this.#clockTimer = null;
+    this.#clockRunning = false;
+    this.#clockPaused = false;
+    this.#clockCarry = 0;
+    this.#emit('clockStop', { timeScale: this.#timeScale });
+  }
+
+  /** --------------------- SERIALIZATION --------------------- */
+
+  /**
+   * Serializes the whole state into a plain JSON-compatible object.
+   * Weather callbacks (functions in `weatherConfig`), function leap rules, holidays using `match`,
+   * schedules and the clock driver state are not included.
+   *
+   * @returns {SerializedDayNightCycle}
+   */
+  toJSON() {
+    this._checkDestroyed();
+
+    /**
+     * @param {WeatherCfg} cfg
+     * @returns {WeatherCfg}
+     */
+    const numbersOnly = (cfg) => {
+      /** @type {WeatherCfg} */
+      const result = {};
+      for (const [key, value] of Object.entries(cfg))
+        if (typeof value === 'number') result[key] = value;
+      return result;
+    };
+
+    /**
+     * @param {Record<string, WeatherCfg>} group
+     * @returns {Record<string, WeatherCfg>}
+     */
+    const groupNumbersOnly = (group) => {
+      /** @type {Record<string, WeatherCfg>} */
+      const result = {};
+      for (const name in group) result[name] = numbersOnly(group[name]);
+      return result;
+    };
+
+    /** @type {Record<string, number[]>} */
+    const seasons = {};
+    this.#seasons.forEach((months, name) => (seasons[name] = [...months]));
+
+    /** @type {Record<string, { name: string, rule: DateRule }>} */
+    const holidays = {};
+    for (const [id, holiday] of this.#holidays) {
+      const { match, ...rule } = holiday.rule;
+      if (!match) holidays[id] = { name: holiday.name, rule };
+    }
+
+    return {
+      dayStart: this.#dayStart,
+      nightStart: this.#nightStart,
+      autoSizeAdjuste: this.#autoSizeAdjuste,
+      daySize: this.#daySize,
+      hourSize: this.#hourSize,
+      minuteSize: this.#minuteSize,
+      currentSeconds: this.#currentSeconds,
+      currentDay: this.#currentDay,
+      currentMonth: this.#currentMonth,
+      currentYear: this.#currentYear,
+      currentSeason: this.#currentSeason,
+      monthDays: [...this.#monthDays],
+      seasons,
+      moons: this.#moons.map((moon) => ({
+        ...moon,
+        phaseNames: moon.phaseNames ? [...moon.phaseNames] : undefined,
+      })),
+      weather: { ...this.#weather },
+      weatherDuration: { ...this.#weatherDuration },
+      weatherTimeLeft: this.#weatherTimeLeft,
+      weatherConfig: {
+        default: numbersOnly(this.#weatherConfig.default),
+        day: numbersOnly(this.#weatherConfig.day),
+        night: numbersOnly(this.#weatherConfig.night),
+        hours: groupNumbersOnly(this.#weatherConfig.hours),
+        seasons: groupNumbersOnly(this.#weatherConfig.seasons),
+      },
+      timeScale: this.#timeScale,
+      calendar: {
+        months: this.getCalendar().months,
+        weekdays: [...this.#weekdays],
+        leapRule:
+          this.#leapRule && typeof this.#leapRule === 'object' ? { ...this.#leapRule } : null,
+        epochWeekday: this.#epochWeekday,
+        holidays,
+      },
+      light: this.getLightConfig(),
+    };
+  }
+
+  /**
+   * Creates a new instance from data produced by `toJSON()`.
+   * No events are emitted while restoring.
+   *
+   * @param {SerializedDayNightCycle} data - Serialized state.
+   * @returns {TinyDayNightCycle}
+   * @throws {TypeError} If the data is invalid.
+   */
+  static fromJSON(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data))
+      throw new TypeError('fromJSON expects an object produced by toJSON().');
+    for (const key of ['daySize', 'hourSize', 'minuteSize']) {
+      const value = data[/** @type {'daySize'|'hourSize'|'minuteSize'} */ (key)];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)
+        throw new TypeError(`${key} must be a positive finite number.`);
+    }
+    if (typeof data.seasons !== 'object' || data.seasons === null)
+      throw new TypeError('seasons must be an object.');
+    if (!Array.isArray(data.moons)) throw new TypeError('moons must be an array.');
+
+    const cycle = new TinyDayNightCycle();
+    cycle.dayStart = data.dayStart;
+    cycle.nightStart = data.nightStart;
+    cycle.autoSizeAdjuste = data.autoSizeAdjuste;
+    cycle.#daySize = data.daySize;
+    cycle.#hourSize = data.hourSize;
+    cycle.#minuteSize = data.minuteSize;
+
+    cycle.monthDays = data.monthDays;
+    if (data.calendar) {
+      const { months, weekdays, leapRule, epochWeekday, holidays } = data.calendar;
+      cycle.setCalendar({ months, weekdays, leapRule, epochWeekday });
+      for (const [id, holiday] of Object.entries(holidays ?? {}))
+        cycle.addHoliday(id, holiday.name, holiday.rule);
+    }
+    for (const [name, months] of Object.entries(data.seasons)) cycle.addSeason(name, [...months]);
+    // The day is validated against the month and year (leap days)
+    cycle.currentYear = data.currentYear;
+    cycle.currentMonth = data.currentMonth;
+    cycle.currentDay = data.currentDay;
+    if (data.currentSeason) cycle.currentSeason = data.currentSeason;
+    cycle.currentSeconds = data.currentSeconds;
+
+    for (const moon of data.moons) {
+      if (
+        typeof moon !== 'object' ||
+        moon === null ||
+        typeof moon.name !== 'string' ||
+        typeof moon.cycleLength !== 'number' ||
+        typeof moon.currentPhase !== 'number'
+      )
+        throw new TypeError('Invalid moon data.');
+      cycle.#moons.push({
+        name: moon.name,
+        cycleLength: Math.max(1, moon.cycleLength),
+        currentPhase: moon.currentPhase,
+        phaseNames: Array.isArray(moon.phaseNames) ? [...moon.phaseNames] : undefined,
+      });
+    }
+
+    if (typeof data.weather !== 'object' || data.weather === null)
+      throw new TypeError('weather must be an object.');
+    cycle.#weather = { ...data.weather };
+    cycle.weatherDuration = data.weatherDuration;
+    cycle.weatherTimeLeft = data.weatherTimeLeft;
+    cycle.weatherConfig = data.weatherConfig;
+    if (typeof data.timeScale === 'number') cycle.timeScale = data.timeScale;
+    if (data.light) cycle.setLightConfig(data.light);
+    return cycle;
+  }
+
   /**
    * Checks if the instance has been destroyed and throws an error if so.
    * @private
@@ -1345,8 +3009,14 @@ class TinyDayNightCycle {
   destroy() {
     if (this.#isDestroyed) return;
 
+    // Stop the clock driver and listeners
+    this.stopClock();
+    this.#events.offAllTypes();
+
     // Clear collections
     this.#seasons.clear();
+    this.#holidays.clear();
+    this.#schedules.clear();
     this.#moons.length = 0;
 
     // Reset numbers
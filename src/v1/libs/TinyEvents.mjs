@@ -3,7 +3,104 @@
  *
  * @callback handler
  * @param {...any} payload - The data payload passed when the event is triggered.
- * @returns {void}
+ * @returns {any} Return `TinyEvents.STOP` to stop the listeners not called yet.
+ */
+
+/**
+ * Options accepted when adding a listener.
+ *
+ * @typedef {Object} ListenerOptions
+ * @property {number} [priority=0] - Listeners with higher priorities run first. Equal priorities keep their insertion order.
+ * @property {AbortSignal} [signal] - Removes the listener when aborted.
+ * @property {boolean} [replay=true] - Calls the listener right away with the saved history of sticky events.
+ */
+
+/**
+ * Map of event names to their payload tuples, used to type listeners in editors,
+ * such as `TinyEvents<{ login: [user: User], logout: [] }>`.
+ *
+ * @typedef {Record<string, any[]>} EventMap
+ */
+
+/**
+ * Payload of an event. Names missing from the map (such as wildcard patterns) use `any[]`.
+ *
+ * @template {EventMap} TMap
+ * @template {string} K
+ * @typedef {K extends keyof TMap ? TMap[K] : any[]} EventPayload
+ */
+
+/**
+ * Listener of an event. Names missing from the map (such as wildcard patterns) use {@link handler}.
+ *
+ * @template {EventMap} TMap
+ * @template {string} K
+ * @typedef {K extends keyof TMap ? (...payload: TMap[K]) => any : handler} EventHandler
+ */
+
+/**
+ * Context of an emission, shared by its interceptors.
+ *
+ * @typedef {Object} EmitContext
+ * @property {string} event - The emitted event name.
+ * @property {any[]} payload - Payload given to the listeners. `before` hooks may change or replace it.
+ * @property {boolean} async - Whether the event was emitted with `emitAsync()` or `emitAsyncParallel()`.
+ * @property {boolean} cancelled - Whether a `before` hook canceled the event.
+ * @property {boolean} stopped - Whether the remaining listeners were stopped.
+ * @property {number} called - Amount of listeners called.
+ * @property {any[]} results - Values returned by the listeners (settled results with async emits).
+ * @property {() => void} cancel - Prevents every listener from running. Only works in `before` hooks.
+ * @property {() => void} stop - Stops the listeners not called yet.
+ */
+
+/**
+ * Interceptor of emissions.
+ *
+ * Hooks of `emit()` run synchronously. Hooks of `emitAsync()` and `emitAsyncParallel()` are awaited.
+ *
+ * @typedef {Object} EventInterceptor
+ * @property {string|string[]} [event='**'] - Event names or patterns intercepted.
+ * @property {(context: EmitContext) => any} [before] - Runs before the listeners.
+ * @property {(context: EmitContext) => any} [after] - Runs after the listeners, even if the event was canceled.
+ */
+
+/**
+ * Saved emission of a sticky event.
+ *
+ * @typedef {Object} StickyEntry
+ * @property {string} event - The emitted event name.
+ * @property {any[]} payload - The payload given to the listeners.
+ * @property {number} time - Emission timestamp (ms).
+ */
+
+/**
+ * Internal data of a registered listener.
+ *
+ * @typedef {Object} ListenerData
+ * @property {handler} handler - The callback function.
+ * @property {{ once: boolean, priority: number }} config - Listener settings.
+ * @property {(() => void)|null} unlink - Removes the `AbortSignal` listener, if any.
+ */
+
+/**
+ * Result of an event emitted with `emitAsync()` or `emitAsyncParallel()`.
+ *
+ * @typedef {Object} AsyncEmitResult
+ * @property {string} event - The emitted event name.
+ * @property {boolean} called - Whether any listener was called.
+ * @property {boolean} cancelled - Whether an interceptor canceled the event.
+ * @property {PromiseSettledResult<any>[]} results - Outcome of each listener, in call order.
+ * @property {any[]} errors - Errors thrown or rejected by the listeners.
+ */
+
+/**
+ * Options accepted by `waitFor()`.
+ *
+ * @typedef {Object} WaitForOptions
+ * @property {number|null} [timeout=null] - Rejects after this amount of ms.
+ * @property {(...payload: any[]) => boolean} [filter] - Only resolves for payloads accepted by this function.
+ * @property {AbortSignal} [signal] - Rejects when aborted.
+ * @property {boolean} [replay=false] - Resolves right away with the latest matching sticky emission, if any.
  */
 
 /**
@@ -13,19 +110,52 @@
  * Features include:
  * - Adding/removing event listeners (`on`, `off`, `offAll`, `offAllTypes`)
  * - One-time listeners (`once`)
- * - Emitting events (`emit`)
+ * - Emitting events (`emit`), or awaiting async listeners (`emitAsync`, `emitAsyncParallel`)
+ * - Listener priorities and `AbortSignal` removal
+ * - Wildcard and namespaced listeners (`inventory.*`, `inventory.**`, `**`)
+ * - Waiting for an event as a promise (`waitFor`)
+ * - Interceptors that change, cancel or stop emissions (`addInterceptor`)
+ * - Sticky events replayed to late listeners (`setSticky`, `getHistory`)
+ * - Typed listeners through a JSDoc event map (`TinyEvents<{ name: [payload] }>`)
  * - Listener inspection and limits (`listenerCount`, `listeners`, `eventNames`)
  * - Maximum listener control (`setMaxListeners`, `getMaxListeners`)
  *
+ * Event names are split in segments by dots. When a listener name contains `*`, it is a pattern:
+ * `*` matches any text inside a single segment, and a `**` segment matches any amount of segments
+ * (including none). Emitted names are always taken literally.
+ *
  * This class is useful for lightweight, dependency-free publish/subscribe event handling
  * within modular JavaScript applications.
  *
+ * @template {EventMap} [TMap=EventMap]
  * @class
  */
 class TinyEvents {
-  /** @type {Map<string, { handler: handler; config: { once: boolean } }[]>} */
+  /**
+   * Value a listener may return to stop the listeners not called yet.
+   *
+   * @type {symbol}
+   */
+  static STOP = Symbol('TinyEvents.STOP');
+
+  /** @type {Map<string, ListenerData[]>} */
   #listeners = new Map();
 
+  /** @type {Map<string, (((segment: string) => boolean)|null)[]>} Compiled wildcard patterns. */
+  #patterns = new Map();
+
+  /** @type {EventInterceptor[]} */
+  #interceptors = [];
+
+  /** @type {Map<string, number>} Sticky event names or patterns, with their history limit. */
+  #sticky = new Map();
+
+  /** @type {Map<string, (StickyEntry & { order: number })[]>} Saved emissions of sticky events. */
+  #history = new Map();
+
+  /** @type {number} */
+  #historyOrder = 0;
+
   /** @type {number} */
   #maxListeners = 10;
 
@@ -68,21 +198,61 @@ class TinyEvents {
   ///////////////////////////////////////////////////
 
   /**
-   * Internal method to prepend a listener with options.
+   * Validates the options of a new listener.
+   *
+   * @param {ListenerOptions} options
+   * @param {string} method
+   */
+  #checkListenerOptions(options, method) {
+    if (typeof options !== 'object' || options === null)
+      throw new TypeError(`${method}(event, handler, options): options must be an object`);
+    const { priority, signal, replay } = options;
+    if (priority !== undefined && (typeof priority !== 'number' || !Number.isFinite(priority)))
+      throw new TypeError(`${method}(event, handler, options): priority must be a finite number`);
+    if (signal !== undefined && !(signal instanceof AbortSignal))
+      throw new TypeError(`${method}(event, handler, options): signal must be an AbortSignal`);
+    if (replay !== undefined && typeof replay !== 'boolean')
+      throw new TypeError(`${method}(event, handler, options): replay must be a boolean`);
+  }
+
+  /**
+   * Internal method to add a listener with options.
+   *
+   * Listeners are kept sorted by priority. Appended listeners go after every listener with the
+   * same priority, and prepended listeners before them.
    *
    * @param {string} event - Event name.
    * @param {handler} handler - The callback function.
    * @param {Object} [settings={}] - Optional settings.
    * @param {boolean} [settings.once=false] - If the listener should be executed once.
+   * @param {boolean} [settings.prepend=false] - If the listener should be added before the others.
+   * @param {number} [settings.priority=0] - Listener priority.
+   * @param {AbortSignal} [settings.signal] - Removes the listener when aborted.
+   * @returns {boolean} `false` if the signal was already aborted.
    */
-  #prepend(event, handler, { once = false } = {}) {
+  #add(event, handler, { once = false, prepend = false, priority = 0, signal } = {}) {
+    if (signal?.aborted) return false;
     let eventData = this.#listeners.get(event);
     if (!Array.isArray(eventData)) {
       eventData = [];
       this.#listeners.set(event, eventData);
     }
-    eventData.unshift({ handler, config: { once } });
 
+    /** @type {ListenerData} */
+    const data = { handler, config: { once, priority }, unlink: null };
+    if (signal) {
+      const onAbort = () => this.#remove(event, data);
+      signal.addEventListener('abort', onAbort, { once: true });
+      data.unlink = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    let index = eventData.findIndex((listener) =>
+      prepend ? listener.config.priority <= priority : listener.config.priority < priority,
+    );
+    if (index === -1) index = eventData.length;
+    eventData.splice(index, 0, data);
+
+    // Warn if listener count exceeds the max allowed
     const max = this.#maxListeners;
     if (max > 0 && eventData.length > max) {
       const warnMessage =
@@ -91,133 +261,154 @@ class TinyEvents {
       if (!this.#throwMaxListeners) console.warn(warnMessage);
       else throw new Error(warnMessage);
     }
+    return true;
   }
 
   /**
-   * Adds a listener to the beginning of the listeners array for the specified event.
+   * Removes a specific listener entry.
    *
-   * @param {string|string[]} event - Event name.
-   * @param {handler} handler - The callback function.
+   * @param {string} event - Event name.
+   * @param {ListenerData} data - The listener entry.
    */
-  prependListener(event, handler) {
-    const events = this.#normalizeEvents(event, 'prependListener');
-    if (typeof handler !== 'function')
-      throw new TypeError('prependListener(event, handler): handler must be a function');
-    for (const ev of events) this.#prepend(ev, handler);
+  #remove(event, data) {
+    const listeners = this.#listeners.get(event);
+    if (!Array.isArray(listeners)) return;
+    const index = listeners.indexOf(data);
+    if (index === -1) return;
+    listeners.splice(index, 1);
+    if (data.unlink) data.unlink();
+    if (listeners.length === 0) this.#deleteEvent(event);
   }
 
   /**
-   * Adds a one-time listener to the beginning of the listeners array for the specified event.
+   * Removes every listener of an event name.
+   *
+   * @param {string} event - Event name.
+   */
+  #deleteEvent(event) {
+    const listeners = this.#listeners.get(event);
+    if (Array.isArray(listeners)) {
+      for (const listener of listeners) if (listener.unlink) listener.unlink();
+    }
+    this.#listeners.delete(event);
+    this.#patterns.delete(event);
+  }
+
+  /**
+   * Adds normal or one-time listeners for each event name.
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
-   * @returns {handler[]} - The wrapped handler used internally.
+   * @param {ListenerOptions} options - Listener options.
+   * @param {string} method - Public method name, used in error messages.
+   * @param {boolean} once - If the listener should be executed once.
+   * @param {boolean} prepend - If the listener should be added before the others.
+   * @returns {handler[]} - The wrapped handlers of one-time listeners.
    */
-  prependListenerOnce(event, handler) {
-    const events = this.#normalizeEvents(event, 'prependListenerOnce');
+  #register(event, handler, options, method, once, prepend) {
+    const events = this.#normalizeEvents(event, method);
     if (typeof handler !== 'function')
-      throw new TypeError('prependListenerOnce(event, handler): handler must be a function');
+      throw new TypeError(`${method}(event, handler): handler must be a function`);
+    this.#checkListenerOptions(options, method);
 
     const wrappedHandlers = [];
     for (const ev of events) {
+      if (!once) {
+        if (this.#add(ev, handler, { ...options, prepend }) && options.replay !== false) {
+          for (const entry of this.#getEntries(ev)) handler(...entry.payload);
+        }
+        continue;
+      }
       /** @type {handler} */
       const wrapped = (...args) => {
-        this.off(ev, wrapped);
-        handler(...args);
+        this.#removeHandler(ev, wrapped);
+        return handler(...args);
       };
-      this.#prepend(ev, wrapped, { once: true });
       wrappedHandlers.push(wrapped);
+      if (this.#add(ev, wrapped, { ...options, once: true, prepend }) && options.replay !== false) {
+        // One-time listeners only receive the latest sticky emission
+        const latest = this.#getEntries(ev).pop();
+        if (latest) wrapped(...latest.payload);
+      }
     }
     return wrappedHandlers;
   }
 
-  ////////////////////////////////////////////////////////////
+  /**
+   * Adds a listener to the beginning of the listeners array for the specified event.
+   *
+   * @template {string} K
+   * @param {K|K[]} event - Event name.
+   * @param {EventHandler<TMap, K>} handler - The callback function.
+   * @param {ListenerOptions} [options={}] - Listener priority, abort signal and sticky replay.
+   */
+  prependListener(event, handler, options = {}) {
+    this.#register(event, handler, options, 'prependListener', false, true);
+  }
 
   /**
-   * Adds a event listener.
+   * Adds a one-time listener to the beginning of the listeners array for the specified event.
    *
-   * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
-   * @param {handler} handler - Callback function to be called when event fires.
-   * @param {Object} [settings={}] - Optional settings.
-   * @param {boolean} [settings.once=false] - This is a once event.
+   * @template {string} K
+   * @param {K|K[]} event - Event name.
+   * @param {EventHandler<TMap, K>} handler - The callback function.
+   * @param {ListenerOptions} [options={}] - Listener priority, abort signal and sticky replay.
+   * @returns {handler[]} - The wrapped handler used internally.
    */
-  #on(event, handler, { once = false } = {}) {
-    const events = this.#normalizeEvents(event, 'on');
-    for (const ev of events) {
-      let eventData = this.#listeners.get(ev);
-      if (!Array.isArray(eventData)) {
-        eventData = [];
-        this.#listeners.set(ev, eventData);
-      }
-      eventData.push({ handler, config: { once } });
-      // Warn if listener count exceeds the max allowed
-      const max = this.#maxListeners;
-      if (max > 0 && eventData.length > max) {
-        const warnMessage =
-          `Possible memory leak detected. ${eventData.length} "${ev}" listeners added. ` +
-          `Use setMaxListeners() to increase limit.`;
-        if (!this.#throwMaxListeners) console.warn(warnMessage);
-        else throw new Error(warnMessage);
-      }
-    }
+  prependListenerOnce(event, handler, options = {}) {
+    return this.#register(event, handler, options, 'prependListenerOnce', true, true);
   }
 
+  ////////////////////////////////////////////////////////////
+
   /**
    * Adds a event listener.
    *
-   * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
-   * @param {handler} handler - Callback function to be called when event fires.
+   * @template {string} K
+   * @param {K|K[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
+   * @param {EventHandler<TMap, K>} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options={}] - Listener priority, abort signal and sticky replay.
    */
-  on(event, handler) {
-    if (typeof handler !== 'function')
-      throw new TypeError('on(event, handler): handler must be a function');
-    return this.#on(event, handler);
+  on(event, handler, options = {}) {
+    this.#register(event, handler, options, 'on', false, false);
   }
 
   /**
    * Registers an event listener that runs only once, then is removed.
    *
-   * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
-   * @param {handler} handler - The callback function to run on event.
+   * @template {string} K
+   * @param {K|K[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
+   * @param {EventHandler<TMap, K>} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options={}] - Listener priority, abort signal and sticky replay.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  once(event, handler) {
-    const events = this.#normalizeEvents(event, 'once');
-    if (typeof handler !== 'function')
-      throw new TypeError('once(event, handler): handler must be a function');
-
-    const wrappedHandlers = [];
-    for (const ev of events) {
-      /** @type {handler} */
-      const wrapped = (...args) => {
-        this.off(ev, wrapped);
-        handler(...args);
-      };
-      this.#on(ev, wrapped, { once: true });
-      wrappedHandlers.push(wrapped);
-    }
-    return wrappedHandlers;
+  once(event, handler, options = {}) {
+    return this.#register(event, handler, options, 'once', true, false);
   }
 
   /**
    * Adds a event listener.
    *
-   * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
-   * @param {handler} handler - Callback function to be called when event fires.
+   * @template {string} K
+   * @param {K|K[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
+   * @param {EventHandler<TMap, K>} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options={}] - Listener priority, abort signal and sticky replay.
    */
-  appendListener(event, handler) {
-    return this.on(event, handler);
+  appendListener(event, handler, options = {}) {
+    return this.on(event, handler, options);
   }
 
   /**
    * Registers an event listener that runs only once, then is removed.
    *
-   * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
-   * @param {handler} handler - The callback function to run on event.
+   * @template {string} K
+   * @param {K|K[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
+   * @param {EventHandler<TMap, K>} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options={}] - Listener priority, abort signal and sticky replay.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  appendListenerOnce(event, handler) {
-    return this.once(event, handler);
+  appendListenerOnce(event, handler, options = {}) {
+    return this.once(event, handler, options);
   }
 
   ///////////////////////////////////////////////
@@ -225,24 +416,30 @@ class TinyEvents {
   /**
    * Removes a previously registered event listener.
    *
-   * @param {string|string[]} event - The name of the event to remove the handler from.
-   * @param {handler} handler - The specific callback function to remove.
+   * @template {string} K
+   * @param {K|K[]} event - The name of the event to remove the handler from.
+   * @param {EventHandler<TMap, K>} handler - The specific callback function to remove.
    */
   off(event, handler) {
     const events = this.#normalizeEvents(event, 'off');
     if (typeof handler !== 'function')
       throw new TypeError('off(event, handler): handler must be a function');
 
-    for (const ev of events) {
-      const listeners = this.#listeners.get(ev);
-      if (!Array.isArray(listeners)) continue;
+    for (const ev of events) this.#removeHandler(ev, handler);
+  }
 
-      const index = listeners.findIndex((listener) => listener.handler === handler);
-      if (index !== -1) listeners.splice(index, 1);
+  /**
+   * Removes the first listener entry using a handler.
+   *
+   * @param {string} event - Event name.
+   * @param {handler} handler - The callback function.
+   */
+  #removeHandler(event, handler) {
+    const listeners = this.#listeners.get(event);
+    if (!Array.isArray(listeners)) return;
 
-      // Optionally clean up empty arrays (optional)
-      if (listeners.length === 0) this.#listeners.delete(ev);
-    }
+    const listener = listeners.find((item) => item.handler === handler);
+    if (listener) this.#remove(event, listener);
   }
 
   /**
@@ -252,14 +449,14 @@ class TinyEvents {
    */
   offAll(event) {
     const events = this.#normalizeEvents(event, 'offAll');
-    for (const ev of events) this.#listeners.delete(ev);
+    for (const ev of events) this.#deleteEvent(ev);
   }
 
   /**
    * Removes all event listeners of all types from the element.
    */
   offAllTypes() {
-    this.#listeners.clear();
+    for (const ev of [...this.#listeners.keys()]) this.#deleteEvent(ev);
   }
 
   /////////////////////////////////////////////
@@ -336,30 +533,541 @@ class TinyEvents {
     return [...this.#listeners.keys()];
   }
 
+  /**
+   * Checks whether a listener name is a wildcard pattern.
+   *
+   * @param {string} name - Listener name.
+   * @returns {boolean}
+   */
+  static isPattern(name) {
+    return typeof name === 'string' && name.includes('*');
+  }
+
+  /**
+   * Checks whether an event name matches a listener pattern.
+   *
+   * Names are split by dots. `*` matches any text inside a single segment, and a `**` segment
+   * matches any amount of segments (including none).
+   *
+   * @param {string} pattern - Listener pattern, such as `inventory.*` or `**`.
+   * @param {string} event - Event name, such as `inventory.add`.
+   * @returns {boolean}
+   */
+  static matchPattern(pattern, event) {
+    if (typeof pattern !== 'string' || typeof event !== 'string')
+      throw new TypeError('matchPattern(pattern, event): pattern and event must be strings');
+    const names = event.split('.');
+    return TinyEvents.#matchSegments(TinyEvents.#compilePattern(pattern), names, 0, 0);
+  }
+
+  /**
+   * Compiles a pattern into segment matchers. `null` stands for a `**` segment.
+   *
+   * @param {string} pattern
+   * @returns {(((segment: string) => boolean)|null)[]}
+   */
+  static #compilePattern(pattern) {
+    return pattern.split('.').map((segment) => {
+      if (segment === '**') return null;
+      if (!segment.includes('*')) return (value) => value === segment;
+      const source = segment
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      const regex = new RegExp(`^${source}$`);
+      return (value) => regex.test(value);
+    });
+  }
+
+  /**
+   * Matches compiled pattern segments against event segments.
+   *
+   * @param {(((segment: string) => boolean)|null)[]} pattern
+   * @param {string[]} names
+   * @param {number} p - Current pattern index.
+   * @param {number} n - Current name index.
+   * @returns {boolean}
+   */
+  static #matchSegments(pattern, names, p, n) {
+    if (p === pattern.length) return n === names.length;
+    const matcher = pattern[p];
+    if (matcher === null) {
+      for (let i = n; i <= names.length; i++)
+        if (TinyEvents.#matchSegments(pattern, names, p + 1, i)) return true;
+      return false;
+    }
+    if (n === names.length || !matcher(names[n])) return false;
+    return TinyEvents.#matchSegments(pattern, names, p + 1, n + 1);
+  }
+
+  /**
+   * Collects the listeners of an emitted event: the exact listeners plus every matching pattern,
+   * sorted by priority. With equal priorities, exact listeners run first.
+   *
+   * @param {string} event - The emitted event name.
+   * @returns {ListenerData[]} A snapshot of the listeners.
+   */
+  #collect(event) {
+    const exact = this.#listeners.get(event);
+    /** @type {ListenerData[]} */
+    const result = Array.isArray(exact) ? [...exact] : [];
+
+    const names = event.split('.');
+    let hasPatterns = false;
+    for (const [name, listeners] of this.#listeners) {
+      if (name === event || !TinyEvents.isPattern(name)) continue;
+      let compiled = this.#patterns.get(name);
+      if (!compiled) {
+        compiled = TinyEvents.#compilePattern(name);
+        this.#patterns.set(name, compiled);
+      }
+      if (!TinyEvents.#matchSegments(compiled, names, 0, 0)) continue;
+      result.push(...listeners);
+      hasPatterns = true;
+    }
+
+    if (hasPatterns) result.sort((a, b) => b.config.priority - a.config.priority);
+    return result;
+  }
+
   /**
    * Emits an event, triggering all registered handlers for that event.
    *
-   * @param {string|string[]} event - The event name to emit.
-   * @param {...any} payload - Optional data to pass to each handler.
+   * Listeners registered with a matching wildcard pattern are also called.
+   * A listener returning `TinyEvents.STOP` stops the listeners not called yet.
+   *
+   * @template {string} K
+   * @param {K|K[]} event - The event name to emit.
+   * @param {EventPayload<TMap, K>} payload - Optional data to pass to each handler.
    * @returns {boolean[]} True if any listeners were called, false otherwise.
    */
   emit(event, ...payload) {
     const events = this.#normalizeEvents(event, 'emit');
     const called = [];
     for (const ev of events) {
-      const listeners = this.#listeners.get(ev);
-      if (!Array.isArray(listeners) || listeners.length === 0) {
-        called.push(false);
+      const listeners = this.#collect(ev);
+      const interceptors = this.#getInterceptors(ev);
+      if (interceptors.length === 0 && !this.#isStickyName(ev)) {
+        if (listeners.length === 0) {
+          called.push(false);
+          continue;
+        }
+
+        // Call all listeners with the provided data
+        for (const listener of listeners) {
+          if (listener.handler(...payload) === TinyEvents.STOP) break;
+        }
+        called.push(true);
         continue;
       }
 
-      // Call all listeners with the provided data
-      listeners.forEach((listener) => listener.handler(...payload));
-      called.push(true);
+      const { context, start } = this.#createContext(ev, payload, false);
+      for (const interceptor of interceptors) {
+        if (context.cancelled) break;
+        if (interceptor.before) interceptor.before(context);
+      }
+
+      start();
+      if (!context.cancelled) {
+        this.#record(ev, context.payload);
+        for (const listener of listeners) {
+          if (context.stopped) break;
+          const result = listener.handler(...context.payload);
+          context.called++;
+          context.results.push(result);
+          if (result === TinyEvents.STOP) context.stop();
+        }
+      }
+
+      for (const interceptor of interceptors) if (interceptor.after) interceptor.after(context);
+      called.push(context.called > 0);
     }
     return called;
   }
 
+  /**
+   * Emits events and awaits their listeners.
+   *
+   * @param {string|string[]} event - The event names to emit.
+   * @param {any[]} payload - Data to pass to each handler.
+   * @param {boolean} parallel - Whether listeners run at the same time.
+   * @param {string} method - Public method name, used in error messages.
+   * @returns {Promise<AsyncEmitResult[]>}
+   */
+  async #emitAsync(event, payload, parallel, method) {
+    const events = this.#normalizeEvents(event, method);
+    /** @type {AsyncEmitResult[]} */
+    const output = [];
+    for (const ev of events) {
+      const listeners = this.#collect(ev);
+      const interceptors = this.#getInterceptors(ev);
+      const { context, start } = this.#createContext(ev, payload, true);
+      for (const interceptor of interceptors) {
+        if (context.cancelled) break;
+        if (interceptor.before) await interceptor.before(context);
+      }
+
+      /** @type {PromiseSettledResult<any>[]} */
+      let results = [];
+      start();
+      if (!context.cancelled) {
+        this.#record(ev, context.payload);
+        const args = context.payload;
+        if (parallel) {
+          results = await Promise.allSettled(
+            listeners.map((listener) => (async () => listener.handler(...args))()),
+          );
+        } else {
+          for (const listener of listeners) {
+            if (context.stopped) break;
+            try {
+              const value = await listener.handler(...args);
+              results.push({ status: 'fulfilled', value });
+              if (value === TinyEvents.STOP) context.stop();
+            } catch (reason) {
+              results.push({ status: 'rejected', reason });
+            }
+          }
+        }
+        context.called = results.length;
+        context.results = results;
+      }
+
+      for (const interceptor of interceptors) {
+        if (interceptor.after) await interceptor.after(context);
+      }
+
+      output.push({
+        event: ev,
+        called: context.called > 0,
+        cancelled: context.cancelled,
+        results,
+        errors: results
+          .filter((result) => result.status === 'rejected')
+          .map((result) => /** @type {PromiseRejectedResult} */ (result).reason),
+      });
+    }
+    return output;
+  }
+
+  /**
+   * Emits an event and awaits each listener in order, one after another.
+   *
+   * Errors never stop the remaining listeners: they are collected in the result instead.
+   * A listener resolving with `TinyEvents.STOP` stops the listeners not called yet.
+   *
+   * @template {string} K
+   * @param {K|K[]} event - The event name to emit.
+   * @param {EventPayload<TMap, K>} payload - Optional data to pass to each handler.
+   * @returns {Promise<AsyncEmitResult[]>} The results and errors of each emitted event.
+   */
+  emitAsync(event, ...payload) {
+    return this.#emitAsync(event, payload, false, 'emitAsync');
+  }
+
+  /**
+   * Emits an event and awaits every listener at the same time.
+   *
+   * Errors never stop the remaining listeners: they are collected in the result instead.
+   *
+   * @template {string} K
+   * @param {K|K[]} event - The event name to emit.
+   * @param {EventPayload<TMap, K>} payload - Optional data to pass to each handler.
+   * @returns {Promise<AsyncEmitResult[]>} The results and errors of each emitted event.
+   */
+  emitAsyncParallel(event, ...payload) {
+    return this.#emitAsync(event, payload, true, 'emitAsyncParallel');
+  }
+
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @template {string} K
+   * @param {K|K[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options={}] - Timeout, payload filter, abort signal and sticky replay.
+   * @returns {Promise<EventPayload<TMap, K>>} Resolves with the payload of the emission.
+   */
+  waitFor(event, { timeout = null, filter, signal, replay = false } = {}) {
+    const events = this.#normalizeEvents(event, 'waitFor');
+    if (
+      timeout !== null &&
+      (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout < 0)
+    )
+      throw new TypeError('waitFor(event, options): timeout must be a non-negative number or null');
+    if (filter !== undefined && typeof filter !== 'function')
+      throw new TypeError('waitFor(event, options): filter must be a function');
+    if (signal !== undefined && !(signal instanceof AbortSignal))
+      throw new TypeError('waitFor(event, options): signal must be an AbortSignal');
+    if (typeof replay !== 'boolean')
+      throw new TypeError('waitFor(event, options): replay must be a boolean');
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      if (replay) {
+        const entries = events
+          .flatMap((ev) => this.#getEntries(ev))
+          .filter((entry) => !filter || filter(...entry.payload))
+          .sort((a, b) => a.order - b.order);
+        // @ts-ignore
+        if (entries.length) return resolve([...entries[entries.length - 1].payload]);
+      }
+      /** @type {ReturnType<typeof setTimeout>|null} */
+      let timer = null;
+
+      const cleanup = () => {
+        if (timer !== null) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        for (const ev of events) this.#removeHandler(ev, listener);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(signal?.reason);
+      };
+      /** @type {handler} */
+      const listener = (...payload) => {
+        if (filter && !filter(...payload)) return;
+        cleanup();
+        // @ts-ignore
+        resolve(payload);
+      };
+
+      for (const ev of events) this.#add(ev, listener, { once: true });
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      if (timeout !== null) {
+        timer = setTimeout(() => {
+          cleanup();
+          reject(new Error(`waitFor(event): timed out after ${timeout}ms`));
+        }, timeout);
+      }
+    });
+  }
+
+  ///////////////////////////////////
+
+  /**
+   * Returns the interceptors of an event name.
+   *
+   * @param {string} event - The emitted event name.
+   * @returns {EventInterceptor[]}
+   */
+  #getInterceptors(event) {
+    if (this.#interceptors.length === 0) return [];
+    return this.#interceptors.filter((interceptor) => {
+      const names = interceptor.event ?? '**';
+      return (Array.isArray(names) ? names : [names]).some(
+        (name) => name === event || TinyEvents.matchPattern(name, event),
+      );
+    });
+  }
+
+  /**
+   * Creates the context of an emission.
+   *
+   * @param {string} event - The emitted event name.
+   * @param {any[]} payload - The emitted payload.
+   * @param {boolean} async - Whether the emission is async.
+   * @returns {{ context: EmitContext, start: () => void }} The context, and a function ignoring `cancel()` once the listeners start.
+   */
+  #createContext(event, payload, async) {
+    let started = false;
+    /** @type {EmitContext} */
+    const context = {
+      event,
+      payload: [...payload],
+      async,
+      cancelled: false,
+      stopped: false,
+      called: 0,
+      results: [],
+      cancel: () => {
+        if (!started) context.cancelled = true;
+      },
+      stop: () => {
+        context.stopped = true;
+      },
+    };
+    return { context, start: () => (started = true) };
+  }
+
+  /**
+   * Adds an interceptor, which can observe, change, cancel or stop emissions.
+   *
+   * `before` hooks run in insertion order before the listeners, and can change `context.payload`,
+   * call `context.cancel()` to prevent every listener, or `context.stop()` to skip the remaining
+   * listeners. `after` hooks run once the listeners are done, with their results.
+   *
+   * @param {EventInterceptor} interceptor - The interceptor hooks.
+   * @returns {() => boolean} Function removing the interceptor.
+   */
+  addInterceptor(interceptor) {
+    if (typeof interceptor !== 'object' || interceptor === null)
+      throw new TypeError('addInterceptor(interceptor): interceptor must be an object');
+    const { event, before, after } = interceptor;
+    if (event !== undefined) this.#normalizeEvents(event, 'addInterceptor');
+    if (before !== undefined && typeof before !== 'function')
+      throw new TypeError('addInterceptor(interceptor): before must be a function');
+    if (after !== undefined && typeof after !== 'function')
+      throw new TypeError('addInterceptor(interceptor): after must be a function');
+    if (!before && !after)
+      throw new TypeError('addInterceptor(interceptor): a before or after hook is required');
+
+    this.#interceptors.push(interceptor);
+    return () => this.removeInterceptor(interceptor);
+  }
+
+  /**
+   * Removes an interceptor.
+   *
+   * @param {EventInterceptor} interceptor - The interceptor given to `addInterceptor()`.
+   * @returns {boolean} `true` if the interceptor was registered.
+   */
+  removeInterceptor(interceptor) {
+    const index = this.#interceptors.indexOf(interceptor);
+    if (index === -1) return false;
+    this.#interceptors.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Returns a copy of the registered interceptors.
+   *
+   * @returns {EventInterceptor[]}
+   */
+  getInterceptors() {
+    return [...this.#interceptors];
+  }
+
+  ///////////////////////////////////
+
+  /**
+   * Returns the history limit of an emitted event name, or `0` if it is not sticky.
+   *
+   * @param {string} event - The emitted event name.
+   * @returns {number}
+   */
+  #getStickyLimit(event) {
+    let limit = 0;
+    for (const [name, max] of this.#sticky) {
+      if (max > limit && (name === event || TinyEvents.matchPattern(name, event))) limit = max;
+    }
+    return limit;
+  }
+
+  /**
+   * Checks whether an emitted event name is sticky.
+   *
+   * @param {string} event - The emitted event name.
+   * @returns {boolean}
+   */
+  #isStickyName(event) {
+    return this.#sticky.size > 0 && this.#getStickyLimit(event) > 0;
+  }
+
+  /**
+   * Saves an emission of a sticky event.
+   *
+   * @param {string} event - The emitted event name.
+   * @param {any[]} payload - The payload given to the listeners.
+   */
+  #record(event, payload) {
+    const limit = this.#getStickyLimit(event);
+    if (limit === 0) return;
+    let entries = this.#history.get(event);
+    if (!entries) {
+      entries = [];
+      this.#history.set(event, entries);
+    }
+    entries.push({ event, payload: [...payload], time: Date.now(), order: this.#historyOrder++ });
+    if (entries.length > limit) entries.splice(0, entries.length - limit);
+  }
+
+  /**
+   * Returns the saved emissions matching an event name or pattern, oldest first.
+   *
+   * @param {string} event - Event name or pattern.
+   * @returns {(StickyEntry & { order: number })[]}
+   */
+  #getEntries(event) {
+    if (this.#history.size === 0) return [];
+    if (!TinyEvents.isPattern(event)) return [...(this.#history.get(event) ?? [])];
+    const entries = [];
+    for (const [name, list] of this.#history)
+      if (TinyEvents.matchPattern(event, name)) entries.push(...list);
+    return entries.sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Makes events sticky: their latest emissions are saved and replayed to listeners added later.
+   *
+   * Patterns are accepted, such as `config.*`. Canceled emissions are not saved.
+   *
+   * @param {string|string[]} event - Event names or patterns.
+   * @param {number} [limit=1] - Amount of emissions saved per event name.
+   */
+  setSticky(event, limit = 1) {
+    const events = this.#normalizeEvents(event, 'setSticky');
+    if (!Number.isInteger(limit) || limit < 1)
+      throw new TypeError('setSticky(event, limit): limit must be a positive integer');
+    for (const ev of events) this.#sticky.set(ev, limit);
+    for (const [name, entries] of this.#history) {
+      const max = this.#getStickyLimit(name);
+      if (entries.length > max) entries.splice(0, entries.length - max);
+    }
+  }
+
+  /**
+   * Stops saving emissions of events made sticky with `setSticky()`.
+   * Saved emissions of names no longer sticky are removed.
+   *
+   * @param {string|string[]} event - Event names or patterns given to `setSticky()`.
+   */
+  unsetSticky(event) {
+    const events = this.#normalizeEvents(event, 'unsetSticky');
+    for (const ev of events) this.#sticky.delete(ev);
+    for (const name of [...this.#history.keys()])
+      if (this.#getStickyLimit(name) === 0) this.#history.delete(name);
+  }
+
+  /**
+   * Checks whether an event name is sticky.
+   *
+   * @param {string} event - The event name.
+   * @returns {boolean}
+   */
+  isSticky(event) {
+    if (typeof event !== 'string') throw new TypeError('isSticky(event): event must be a string');
+    return this.#getStickyLimit(event) > 0;
+  }
+
+  /**
+   * Returns the saved emissions of sticky events, oldest first.
+   *
+   * @param {string} [event='**'] - Event name or pattern.
+   * @returns {StickyEntry[]}
+   */
+  getHistory(event = '**') {
+    if (typeof event !== 'string') throw new TypeError('getHistory(event): event must be a string');
+    return this.#getEntries(event).map(({ event: name, payload, time }) => ({
+      event: name,
+      payload: [...payload],
+      time,
+    }));
+  }
+
+  /**
+   * Removes saved emissions of sticky events.
+   *
+   * @param {string|string[]} [event='**'] - Event names or patterns.
+   */
+  clearHistory(event = '**') {
+    const events = this.#normalizeEvents(event, 'clearHistory');
+    for (const ev of events) {
+      for (const name of [...this.#history.keys()]) {
+        if (name === ev || TinyEvents.matchPattern(ev, name)) this.#history.delete(name);
+      }
+    }
+  }
+
   ///////////////////////////////////
 
   /**
@@ -1,6 +1,9 @@
 import { isJsonObject } from '../basics/objChecker.mjs';
 import TinyEvents from './TinyEvents.mjs';
 
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+
 /** @type {WeakMap<Window, TinyIframeEvents>} */
 const instances = new WeakMap();
 
@@ -53,9 +56,10 @@ class TinyIframeEvents {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  prependListener(event, handler) {
-    return this.#events.prependListener(event, handler);
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
   }
 
   /**
@@ -63,10 +67,11 @@ class TinyIframeEvents {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped handler used internally.
    */
-  prependListenerOnce(event, handler) {
-    return this.#events.prependListenerOnce(event, handler);
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
   }
 
   //////////////////////////////////////////////////////////////////////
@@ -76,9 +81,10 @@ class TinyIframeEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  appendListener(event, handler) {
-    return this.#events.appendListener(event, handler);
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
   }
 
   /**
@@ -86,10 +92,11 @@ class TinyIframeEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  appendListenerOnce(event, handler) {
-    return this.#events.appendListenerOnce(event, handler);
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
   }
 
   /**
@@ -97,9 +104,10 @@ class TinyIframeEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  on(event, handler) {
-    return this.#events.on(event, handler);
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
   }
 
   /**
@@ -107,10 +115,11 @@ class TinyIframeEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  once(event, handler) {
-    return this.#events.once(event, handler);
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
   }
 
   ////////////////////////////////////////////////////////////////////
@@ -192,6 +201,17 @@ class TinyIframeEvents {
     return this.#events.eventNames();
   }
 
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
   //////////////////////////////////////////////////////
 
   /**
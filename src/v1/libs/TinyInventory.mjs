@@ -8,6 +8,15 @@
  * @property {number} maxStack - Maximum quantity per stack.
  * @property {OnUseEvent|null} onUse - Callback triggered when the item is used.
  * @property {string|null} type - Optional category/type identifier.
+ * @property {number} width - Number of grid cells the item occupies horizontally (grid mode only).
+ * @property {number} height - Number of grid cells the item occupies vertically (grid mode only).
+ * @property {boolean} rotatable - Whether the item can be rotated by 90 degrees inside a grid.
+ * @property {number|null} durability - Maximum durability of a single unit, or null if the item does not wear out.
+ * @property {number} durabilityCost - Durability lost each time the item is used.
+ * @property {string|null} breakInto - Item ID that replaces a broken unit, or null to simply remove it.
+ * @property {number|null} lifetime - Time (in clock units, usually ms) until a new stack expires, or null if it never expires.
+ * @property {number|null} expiryStep - New expiry times are rounded up to a multiple of this value, so stacks created close together can merge (null for exact times).
+ * @property {string|null} expireInto - Item ID that replaces an expired stack, or null to simply remove it.
  */
 
 /**
@@ -17,6 +26,8 @@
  * @property {string} id - Unique identifier for the item.
  * @property {InventoryMetadata} metadata - Metadata specific to this item instance.
  * @property {number} quantity - Number of units in this stack.
+ * @property {number|null} [durability] - Remaining durability of the top unit (items with durability only).
+ * @property {number|null} [expiresAt] - Clock time when the stack expires (items with expiry only).
  */
 
 /**
@@ -68,6 +79,18 @@
  * @typedef {OnEvent} UseItemEvent
  */
 
+/**
+ * Event fired when a recipe is crafted.
+ *
+ * @typedef {(payload: CraftEventPayload) => void} CraftItemEvent
+ */
+
+/**
+ * Event fired when an item breaks or expires.
+ *
+ * @typedef {(payload: ItemStateEventPayload) => void} ItemStateEvent
+ */
+
 /**
  * A function executed when an inventory item is used.
  * Can be assigned to handle custom "on use" behavior.
@@ -78,7 +101,7 @@
 
 /**
  * Represents the supported event types for inventory actions.
- * @typedef {'add'|'remove'|'use'|'set'} EventsType
+ * @typedef {'add'|'remove'|'use'|'set'|'craft'|'transaction'|'break'|'expire'} EventsType
  */
 
 /**
@@ -114,6 +137,8 @@
  * @property {number} maxStack - Maximum stack size allowed per item.
  * @property {(InventoryItem|null)[]} items - Flat inventory items.
  * @property {Record<string, SpecialSlot>} specialSlots - Special equipment or reserved slots keyed by ID.
+ * @property {{ width: number; height: number }|null} [grid] - Grid dimensions, or null if the inventory is not a grid.
+ * @property {(GridPlacement|null)[]} [gridPlacements] - Grid placement of each entry in `items` (same indexes).
  */
 
 /**
@@ -138,6 +163,179 @@
  * @property {{ index: number; quantity: number }[]} placesAdded - Array of slot indexes in the inventory where the item was successfully added.
  */
 
+/**
+ * Filter used to match the metadata of an item stack.
+ * Can be an object (exact match) or a predicate function.
+ *
+ * @typedef {InventoryMetadata|((metadata: InventoryMetadata, item: InventoryItem) => boolean)} MetadataFilter
+ */
+
+/**
+ * Ingredient consumed by a recipe.
+ *
+ * @typedef {Object} RecipeInput
+ * @property {string} itemId - ID of the required item.
+ * @property {number} quantity - Quantity consumed per craft.
+ * @property {MetadataFilter|null} metadata - Optional metadata filter for the consumed stacks.
+ */
+
+/**
+ * Item produced by a recipe.
+ *
+ * @typedef {Object} RecipeOutput
+ * @property {string} itemId - ID of the produced item.
+ * @property {number} quantity - Quantity produced per craft.
+ * @property {InventoryMetadata} metadata - Metadata applied to the produced stacks.
+ */
+
+/**
+ * Tool required by a recipe. Tools are never consumed.
+ *
+ * @typedef {Object} RecipeTool
+ * @property {string} itemId - ID of the required tool.
+ * @property {number} quantity - Quantity that must be owned.
+ * @property {MetadataFilter|null} metadata - Optional metadata filter for the tool.
+ */
+
+/**
+ * Special slot that must hold an item for a recipe to be crafted.
+ *
+ * @typedef {Object} RecipeSlotRequirement
+ * @property {string} slotId - ID of the special slot.
+ * @property {string|null} itemId - Required item ID, or null if any item is accepted.
+ */
+
+/**
+ * Represents a registered recipe definition in the global registry.
+ *
+ * @typedef {Object} RecipeDef
+ * @property {string} id - Unique identifier for the recipe.
+ * @property {RecipeInput[]} inputs - Items consumed by the recipe.
+ * @property {RecipeOutput[]} outputs - Items produced by the recipe.
+ * @property {RecipeTool[]} tools - Items required but not consumed.
+ * @property {RecipeSlotRequirement[]} specialSlots - Special slots that must be filled.
+ */
+
+/**
+ * Result of a craft attempt.
+ *
+ * @typedef {Object} CraftResult
+ * @property {boolean} success - Whether the craft was performed.
+ * @property {'ingredients'|'space'|null} reason - Why the craft failed (null on success).
+ * @property {string} recipeId - ID of the recipe.
+ * @property {number} times - How many times the recipe was crafted.
+ * @property {InventoryItem[]} consumed - Items removed from the inventory.
+ * @property {InventoryItem[]} produced - Items added to the inventory.
+ */
+
+/**
+ * Payload dispatched when a recipe is crafted.
+ *
+ * @typedef {Object} CraftEventPayload
+ * @property {string} recipeId - ID of the crafted recipe.
+ * @property {number} times - How many times the recipe was crafted.
+ * @property {InventoryItem[]} consumed - Items removed from the inventory.
+ * @property {InventoryItem[]} produced - Items added to the inventory.
+ */
+
+/**
+ * Payload dispatched when an item breaks or expires.
+ *
+ * @typedef {Object} ItemStateEventPayload
+ * @property {number|null} index - Slot index of the item (null for special slots).
+ * @property {string|null} specialSlot - ID of the special slot, if any.
+ * @property {boolean} isCollection - Whether the item is stored in the normal slots.
+ * @property {InventoryItem} item - The broken unit or the expired stack.
+ * @property {InventoryItem|null} replacement - Units created to replace the item, if any (even when they merged into an existing stack).
+ */
+
+/**
+ * Event fired when a transaction is committed, undone or redone.
+ *
+ * @typedef {(payload: TransactionEventPayload) => void} TransactionEvent
+ */
+
+/**
+ * Change of a normal slot between two inventory states.
+ *
+ * @typedef {Object} SlotDiff
+ * @property {number} index - Slot index.
+ * @property {InventoryItem|null} before - Item stored before the change.
+ * @property {InventoryItem|null} after - Item stored after the change.
+ * @property {GridPlacement|null} beforePlacement - Grid position before the change (grid mode only).
+ * @property {GridPlacement|null} afterPlacement - Grid position after the change (grid mode only).
+ */
+
+/**
+ * Change of a special slot between two inventory states.
+ *
+ * @typedef {Object} SpecialSlotDiff
+ * @property {string} slotId - Special slot ID.
+ * @property {InventoryItem|null} before - Item equipped before the change.
+ * @property {InventoryItem|null} after - Item equipped after the change.
+ */
+
+/**
+ * Every slot changed between two inventory states.
+ *
+ * @typedef {Object} InventoryDiff
+ * @property {SlotDiff[]} slots - Changed normal slots.
+ * @property {SpecialSlotDiff[]} specialSlots - Changed special slots.
+ */
+
+/**
+ * Payload dispatched when a transaction is committed, undone or redone.
+ *
+ * @typedef {Object} TransactionEventPayload
+ * @property {'commit'|'undo'|'redo'} action - What happened to the transaction.
+ * @property {string|null} label - Optional label given to the transaction.
+ * @property {InventoryDiff} diff - Slots changed by this action.
+ */
+
+/**
+ * Entry of the undo/redo history.
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {string|null} label - Optional label given to the transaction.
+ * @property {InventoryState} before - State before the transaction.
+ * @property {InventoryState} after - State after the transaction.
+ */
+
+/**
+ * Internal copy of the item state, used to roll back failed operations.
+ *
+ * @typedef {Object} InventoryState
+ * @property {InvSlots} items - Normal slots.
+ * @property {Map<string, SpecialSlot>} specialSlots - Special slots.
+ * @property {Map<number, GridPlacement>} gridPlacements - Grid positions keyed by slot index.
+ */
+
+/**
+ * Supported item rotations (in degrees) inside a grid inventory.
+ * @typedef {0|90|180|270} GridRotation
+ */
+
+/**
+ * Position of an item stack inside a grid inventory.
+ * The `x`/`y` coordinates point to the top-left cell occupied by the item.
+ *
+ * @typedef {Object} GridPlacement
+ * @property {number} x - Column of the top-left cell.
+ * @property {number} y - Row of the top-left cell.
+ * @property {GridRotation} rotation - Rotation applied to the item footprint.
+ */
+
+/**
+ * Area occupied by an item stack inside a grid inventory.
+ *
+ * @typedef {Object} GridArea
+ * @property {number} x - Column of the top-left cell.
+ * @property {number} y - Row of the top-left cell.
+ * @property {GridRotation} rotation - Rotation applied to the item footprint.
+ * @property {number} width - Occupied width after rotation.
+ * @property {number} height - Occupied height after rotation.
+ */
+
 /**
  * TinyInventory — A flexible inventory management system.
  *
@@ -146,8 +344,13 @@
  * - Special slots for equipment, tools, or unique item types.
  * - Full CRUD operations for items (add, remove, move, use, equip, unequip).
  * - Metadata-aware operations to differentiate items with durability, enchantments, etc.
+ * - Optional grid mode where items occupy multi-cell (and rotatable) footprints.
  * - Serialization and deserialization to/from JSON for saving/loading inventory state.
- * - Event triggers for 'add', 'remove', 'use', and 'set' actions.
+ * - Recipe registry with atomic crafting (ingredients, tools and special slot requirements).
+ * - Transactions that commit or roll back as a whole, with undo/redo history.
+ * - Stateful item instances with durability and time-based expiry (using an injectable clock).
+ * - Slot locks that freeze stacks (e.g., while they are offered in a trade).
+ * - Event triggers for 'add', 'remove', 'use', 'set', 'craft', 'transaction', 'break', and 'expire' actions.
  *
  * @beta
  */
@@ -185,6 +388,15 @@ class TinyInventory {
    * @param {number} [config.maxStack=1] - Maximum quantity allowed in a single stack.
    * @param {OnUseEvent|null} [config.onUse=null] - Optional callback executed when the item is used.
    * @param {string|null} [config.type=null] - Optional type/category identifier for the item.
+   * @param {number} [config.width=1] - Width of the item footprint in grid cells.
+   * @param {number} [config.height=1] - Height of the item footprint in grid cells.
+   * @param {boolean} [config.rotatable=true] - Whether the item can be rotated inside a grid.
+   * @param {number|null} [config.durability=null] - Maximum durability of a unit (null for items that never wear out).
+   * @param {number} [config.durabilityCost=1] - Durability lost each time the item is used.
+   * @param {string|null} [config.breakInto=null] - Item ID that replaces a broken unit.
+   * @param {number|null} [config.lifetime=null] - Time until a new stack expires (null for items that never expire).
+   * @param {number|null} [config.expiryStep=null] - Rounds new expiry times up to a multiple of this value (null for exact times).
+   * @param {string|null} [config.expireInto=null] - Item ID that replaces an expired stack (e.g., "rotten_apple").
    * @throws {Error} If `id` is missing or not a string.
    */
   static defineItem(config) {
@@ -205,6 +417,55 @@ class TinyInventory {
       throw new TypeError('onUse must be a function or null.');
     if (config.type !== undefined && config.type !== null && typeof config.type !== 'string')
       throw new TypeError('type must be a string or null.');
+    if (config.width !== undefined && (!Number.isInteger(config.width) || config.width <= 0))
+      throw new TypeError(`width must be a positive integer. Received: ${config.width}`);
+    if (config.height !== undefined && (!Number.isInteger(config.height) || config.height <= 0))
+      throw new TypeError(`height must be a positive integer. Received: ${config.height}`);
+    if (config.rotatable !== undefined && typeof config.rotatable !== 'boolean')
+      throw new TypeError('rotatable must be a boolean.');
+    if (
+      config.durability !== undefined &&
+      config.durability !== null &&
+      (typeof config.durability !== 'number' || config.durability <= 0)
+    )
+      throw new TypeError(
+        `durability must be a positive number or null. Received: ${config.durability}`,
+      );
+    if (
+      config.durabilityCost !== undefined &&
+      (typeof config.durabilityCost !== 'number' || config.durabilityCost < 0)
+    )
+      throw new TypeError(
+        `durabilityCost must be a number >= 0. Received: ${config.durabilityCost}`,
+      );
+    if (
+      config.lifetime !== undefined &&
+      config.lifetime !== null &&
+      (typeof config.lifetime !== 'number' || config.lifetime <= 0)
+    )
+      throw new TypeError(
+        `lifetime must be a positive number or null. Received: ${config.lifetime}`,
+      );
+    if (
+      config.expiryStep !== undefined &&
+      config.expiryStep !== null &&
+      (typeof config.expiryStep !== 'number' || config.expiryStep <= 0)
+    )
+      throw new TypeError(
+        `expiryStep must be a positive number or null. Received: ${config.expiryStep}`,
+      );
+    if (
+      config.breakInto !== undefined &&
+      config.breakInto !== null &&
+      typeof config.breakInto !== 'string'
+    )
+      throw new TypeError('breakInto must be a string or null.');
+    if (
+      config.expireInto !== undefined &&
+      config.expireInto !== null &&
+      typeof config.expireInto !== 'string'
+    )
+      throw new TypeError('expireInto must be a string or null.');
 
     TinyInventory.#ItemRegistry.set(config.id, {
       id: config.id,
@@ -213,6 +474,15 @@ class TinyInventory {
       metadata: config.metadata || {},
       type: config.type ?? null,
       onUse: typeof config.onUse === 'function' ? config.onUse : null,
+      width: config.width ?? 1,
+      height: config.height ?? 1,
+      rotatable: config.rotatable ?? true,
+      durability: config.durability ?? null,
+      durabilityCost: config.durabilityCost ?? 1,
+      breakInto: config.breakInto ?? null,
+      lifetime: config.lifetime ?? null,
+      expiryStep: config.expiryStep ?? null,
+      expireInto: config.expireInto ?? null,
     });
   }
 
@@ -254,6 +524,167 @@ class TinyInventory {
 
   /////////////////////////////////////////////////////////////////
 
+  /**
+   * Registry of all recipe definitions available in TinyInventory.
+   * Keys are recipe IDs, values are configuration objects created with {@link TinyInventory.defineRecipe}.
+   * @type {Map<string, RecipeDef>}
+   */
+  static #RecipeRegistry = new Map();
+
+  /**
+   * Returns a cloned snapshot of all registered recipes.
+   * Ensures the caller cannot mutate the internal registry.
+   *
+   * @returns {Record<string, RecipeDef>} A map of recipe IDs to their definitions.
+   */
+  static get recipeRegistry() {
+    /** @type {Record<string, RecipeDef>} */
+    const results = {};
+    for (const [recipeId, recipe] of TinyInventory.#RecipeRegistry)
+      results[recipeId] = TinyInventory.#cloneRecipe(recipe);
+    return results;
+  }
+
+  /**
+   * Creates a copy of a recipe definition.
+   * @param {RecipeDef} recipe - Recipe to clone.
+   * @returns {RecipeDef}
+   */
+  static #cloneRecipe(recipe) {
+    return {
+      id: recipe.id,
+      inputs: recipe.inputs.map((input) => ({ ...input })),
+      outputs: recipe.outputs.map((output) => ({ ...output, metadata: { ...output.metadata } })),
+      tools: recipe.tools.map((tool) => ({ ...tool })),
+      specialSlots: recipe.specialSlots.map((slot) => ({ ...slot })),
+    };
+  }
+
+  /**
+   * Defines or updates a recipe in the global recipe registry.
+   *
+   * @param {Object} config - Recipe configuration object.
+   * @param {string} config.id - Unique identifier for the recipe.
+   * @param {{ itemId: string; quantity?: number; metadata?: MetadataFilter|null }[]} config.inputs - Items consumed per craft.
+   * @param {{ itemId: string; quantity?: number; metadata?: InventoryMetadata }[]} config.outputs - Items produced per craft.
+   * @param {{ itemId: string; quantity?: number; metadata?: MetadataFilter|null }[]} [config.tools=[]] - Items required but not consumed.
+   * @param {{ slotId: string; itemId?: string|null }[]} [config.specialSlots=[]] - Special slots that must hold an item.
+   * @throws {Error} If the configuration is invalid.
+   */
+  static defineRecipe(config) {
+    if (!config || typeof config !== 'object')
+      throw new TypeError('Config must be a valid object.');
+    if (!config.id || typeof config.id !== 'string')
+      throw new TypeError("Recipe must have a valid string 'id'.");
+    if (!Array.isArray(config.inputs)) throw new TypeError('inputs must be an array.');
+    if (!Array.isArray(config.outputs) || config.outputs.length < 1)
+      throw new TypeError('outputs must be a non-empty array.');
+    if (config.tools !== undefined && !Array.isArray(config.tools))
+      throw new TypeError('tools must be an array.');
+    if (config.specialSlots !== undefined && !Array.isArray(config.specialSlots))
+      throw new TypeError('specialSlots must be an array.');
+
+    /**
+     * @param {{ itemId: string; quantity?: number; metadata?: any }} entry
+     * @param {string} where
+     */
+    const validateEntry = (entry, where) => {
+      if (!entry || typeof entry !== 'object')
+        throw new TypeError(`Each ${where} entry must be an object.`);
+      if (typeof entry.itemId !== 'string')
+        throw new TypeError(`Each ${where} entry must have a string 'itemId'.`);
+      if (
+        entry.quantity !== undefined &&
+        (!Number.isInteger(entry.quantity) || entry.quantity <= 0)
+      )
+        throw new TypeError(`${where} quantity must be a positive integer.`);
+      if (
+        entry.metadata !== undefined &&
+        entry.metadata !== null &&
+        typeof entry.metadata !== 'object' &&
+        typeof entry.metadata !== 'function'
+      )
+        throw new TypeError(`${where} metadata must be an object, a function or null.`);
+    };
+
+    const tools = config.tools ?? [];
+    const specialSlots = config.specialSlots ?? [];
+    config.inputs.forEach((input) => validateEntry(input, 'input'));
+    config.outputs.forEach((output) => {
+      validateEntry(output, 'output');
+      if (typeof output.metadata === 'function')
+        throw new TypeError('output metadata must be an object.');
+    });
+    tools.forEach((tool) => validateEntry(tool, 'tool'));
+    specialSlots.forEach((slot) => {
+      if (!slot || typeof slot !== 'object' || typeof slot.slotId !== 'string')
+        throw new TypeError("Each specialSlots entry must have a string 'slotId'.");
+      if (slot.itemId !== undefined && slot.itemId !== null && typeof slot.itemId !== 'string')
+        throw new TypeError('specialSlots itemId must be a string or null.');
+    });
+
+    TinyInventory.#RecipeRegistry.set(config.id, {
+      id: config.id,
+      inputs: config.inputs.map((input) => ({
+        itemId: input.itemId,
+        quantity: input.quantity ?? 1,
+        metadata: input.metadata ?? null,
+      })),
+      outputs: config.outputs.map((output) => ({
+        itemId: output.itemId,
+        quantity: output.quantity ?? 1,
+        metadata: /** @type {InventoryMetadata} */ (output.metadata ?? {}),
+      })),
+      tools: tools.map((tool) => ({
+        itemId: tool.itemId,
+        quantity: tool.quantity ?? 1,
+        metadata: tool.metadata ?? null,
+      })),
+      specialSlots: specialSlots.map((slot) => ({
+        slotId: slot.slotId,
+        itemId: slot.itemId ?? null,
+      })),
+    });
+  }
+
+  /**
+   * Removes a recipe definition from the global registry.
+   *
+   * @param {string} recipeId - Unique identifier of the recipe to remove.
+   * @returns {boolean} True if the recipe was removed, false if it did not exist.
+   */
+  static removeRecipe(recipeId) {
+    if (typeof recipeId !== 'string') throw new TypeError('recipeId must be a string.');
+    return TinyInventory.#RecipeRegistry.delete(recipeId);
+  }
+
+  /**
+   * Checks whether a recipe is registered.
+   *
+   * @param {string} recipeId - The recipe ID to check.
+   * @returns {boolean} True if the recipe exists in the registry, false otherwise.
+   */
+  static hasRecipe(recipeId) {
+    if (typeof recipeId !== 'string') throw new TypeError('recipeId must be a string.');
+    return TinyInventory.#RecipeRegistry.has(recipeId);
+  }
+
+  /**
+   * Retrieves a recipe definition from the registry.
+   *
+   * @param {string} recipeId - The ID of the recipe to retrieve.
+   * @returns {RecipeDef} The definition of the requested recipe.
+   * @throws {Error} If the recipe is not registered.
+   */
+  static getRecipe(recipeId) {
+    if (typeof recipeId !== 'string') throw new TypeError('recipeId must be a string.');
+    const recipe = TinyInventory.#RecipeRegistry.get(recipeId);
+    if (!recipe) throw new Error(`Recipe '${recipeId}' not defined in registry.`);
+    return TinyInventory.#cloneRecipe(recipe);
+  }
+
+  /////////////////////////////////////////////////////////////////
+
   /** @type {Map<string, SpecialSlot>} */
   #specialSlots = new Map();
 
@@ -269,6 +700,14 @@ class TinyInventory {
     use: [],
     /** @type {SetItemEvent[]} */
     set: [],
+    /** @type {CraftItemEvent[]} */
+    craft: [],
+    /** @type {TransactionEvent[]} */
+    transaction: [],
+    /** @type {ItemStateEvent[]} */
+    break: [],
+    /** @type {ItemStateEvent[]} */
+    expire: [],
   };
 
   /** @type {InvSlots} */
@@ -286,6 +725,42 @@ class TinyInventory {
   /** @type {number|null} */
   #maxWeight;
 
+  /** @type {{ width: number; height: number }|null} */
+  #grid = null;
+
+  /**
+   * Grid placements keyed by the slot index of the stack they belong to.
+   * @type {Map<number, GridPlacement>}
+   */
+  #gridPlacements = new Map();
+
+  /**
+   * How many transactions are currently running (nested calls join the outer one).
+   * @type {number}
+   */
+  #transactionDepth = 0;
+
+  /**
+   * Whether the running transaction (or one joined into it) cannot be undone.
+   * @type {boolean}
+   */
+  #nonUndoable = false;
+
+  /** @type {HistoryEntry[]} */
+  #undoStack = [];
+
+  /** @type {HistoryEntry[]} */
+  #redoStack = [];
+
+  /** @type {number} */
+  #historyLimit = 50;
+
+  /** @type {() => number} */
+  #clock = () => Date.now();
+
+  /** @type {Set<number>} */
+  #lockedSlots = new Set();
+
   /////////////////////////////////////////////////////////////////
 
   /**
@@ -368,12 +843,99 @@ class TinyInventory {
     this.#maxWeight = value;
   }
 
+  /**
+   * Whether the inventory works as a 2D grid.
+   * @returns {boolean}
+   */
+  get isGrid() {
+    return this.#grid !== null;
+  }
+
+  /**
+   * Gets the grid width (columns), or null if the inventory is not a grid.
+   * @returns {number|null}
+   */
+  get gridWidth() {
+    return this.#grid ? this.#grid.width : null;
+  }
+
+  /**
+   * Gets the grid height (rows), or null if the inventory is not a grid.
+   * @returns {number|null}
+   */
+  get gridHeight() {
+    return this.#grid ? this.#grid.height : null;
+  }
+
+  /**
+   * Gets the maximum number of transactions kept in the undo history.
+   * @returns {number}
+   */
+  get historyLimit() {
+    return this.#historyLimit;
+  }
+
+  /**
+   * Sets the maximum number of transactions kept in the undo history.
+   * Older entries are discarded when the limit is reduced.
+   * @param {number} value - Must be a non-negative integer.
+   * @throws {Error} If the value is not a non-negative integer.
+   */
+  set historyLimit(value) {
+    if (!Number.isInteger(value) || value < 0)
+      throw new TypeError(`historyLimit must be a non-negative integer. Received: ${value}`);
+    this.#historyLimit = value;
+    if (this.#undoStack.length > value) this.#undoStack.splice(0, this.#undoStack.length - value);
+  }
+
+  /**
+   * Whether there is a committed transaction that can be undone.
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is an undone transaction that can be redone.
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  /**
+   * Gets the clock used for item expiry.
+   * @returns {() => number}
+   */
+  get clock() {
+    return this.#clock;
+  }
+
+  /**
+   * Sets the clock used for item expiry (e.g., a game clock or a fake clock in tests).
+   * @param {() => number} value - Function returning the current time.
+   * @throws {Error} If the value is not a function.
+   */
+  set clock(value) {
+    if (typeof value !== 'function') throw new TypeError('clock must be a function.');
+    this.#clock = value;
+  }
+
+  /**
+   * Whether a transaction is currently running.
+   * @returns {boolean}
+   */
+  get inTransaction() {
+    return this.#transactionDepth > 0;
+  }
+
   /////////////////////////////////////////////////////////////////
 
   /**
    * Gets the registered inventory event listeners.
    * Always returns a clone to prevent external mutation.
-   * @returns {{ add: AddItemEvent[], remove: RemoveItemEvent[], use: UseItemEvent[], set: SetItemEvent[] }}
+   * @returns {{ add: AddItemEvent[], remove: RemoveItemEvent[], use: UseItemEvent[], set: SetItemEvent[], craft: CraftItemEvent[], transaction: TransactionEvent[], break: ItemStateEvent[], expire: ItemStateEvent[] }}
    */
   get events() {
     return {
@@ -381,6 +943,10 @@ class TinyInventory {
       remove: [...this.#events.remove],
       use: [...this.#events.use],
       set: [...this.#events.set],
+      craft: [...this.#events.craft],
+      transaction: [...this.#events.transaction],
+      break: [...this.#events.break],
+      expire: [...this.#events.expire],
     };
   }
 
@@ -470,6 +1036,9 @@ class TinyInventory {
    * @param {number|null} [options.maxSize=null] - Maximum number of total item amount (null for no limit).
    * @param {number} [options.maxStack=Infinity] - Global maximum stack size (per slot).
    * @param {Record<string, { type: string | null; }>} [options.specialSlots] - IDs for special slots (e.g., "helmet", "weapon").
+   * @param {{ width: number; height: number }|null} [options.grid=null] - Enables grid mode with the given dimensions (in cells).
+   * @param {number} [options.historyLimit=50] - Maximum number of transactions kept for undo.
+   * @param {() => number} [options.clock=Date.now] - Clock used for item expiry.
    */
   constructor(options = {}) {
     if (typeof options !== 'object' || options === null)
@@ -496,6 +1065,17 @@ class TinyInventory {
       throw new TypeError('`maxStack` must be a number.');
     if (options.specialSlots !== undefined && typeof options.specialSlots !== 'object')
       throw new TypeError('`specialSlots` must be an object if defined.');
+    if (options.grid !== undefined && options.grid !== null) {
+      if (typeof options.grid !== 'object')
+        throw new TypeError('`grid` must be an object or null.');
+      if (!Number.isInteger(options.grid.width) || options.grid.width <= 0)
+        throw new TypeError('`grid.width` must be a positive integer.');
+      if (!Number.isInteger(options.grid.height) || options.grid.height <= 0)
+        throw new TypeError('`grid.height` must be a positive integer.');
+      this.#grid = { width: options.grid.width, height: options.grid.height };
+    }
+    if (options.historyLimit !== undefined) this.historyLimit = options.historyLimit;
+    if (options.clock !== undefined) this.clock = options.clock;
 
     this.#maxWeight = options.maxWeight ?? null;
     this.#maxSlots = options.maxSlots ?? null;
@@ -597,27 +1177,33 @@ class TinyInventory {
 
   /**
    * Internal event trigger.
+   * Events are not dispatched while a transaction is running; the transaction
+   * triggers a single `transaction` event when it is committed.
    * @param {EventsType} type - Event type.
-   * @param {EventPayload} payload - Event data passed to listeners.
+   * @param {EventPayload|CraftEventPayload|TransactionEventPayload|ItemStateEventPayload} payload - Event data passed to listeners.
    */
   #triggerEvent(type, payload) {
     if (typeof type !== 'string') throw new TypeError('`type` must be a string.');
     if (typeof payload !== 'object' || payload === null)
       throw new TypeError('`payload` must be an object.');
+    if (this.#transactionDepth > 0 && type !== 'transaction') return;
     if (this.#events[type]) {
-      for (const cb of this.#events[type]) cb(payload);
+      /** @type {((payload: any) => void)[]} */
+      const callbacks = this.#events[type];
+      for (const cb of callbacks) cb(payload);
     }
   }
 
   /**
    * Unregisters a specific callback for the given event type.
    * @param {EventsType} eventType - The event type to remove from.
-   * @param {OnEvent} callback - The callback function to remove.
+   * @param {OnEvent|CraftItemEvent|TransactionEvent|ItemStateEvent} callback - The callback function to remove.
    */
   off(eventType, callback) {
     if (typeof eventType !== 'string') throw new TypeError('`eventType` must be a string.');
     if (typeof callback !== 'function') throw new TypeError('`callback` must be a function.');
     if (!this.#events[eventType]) return;
+    /** @type {(OnEvent|CraftItemEvent|TransactionEvent|ItemStateEvent)[]} */
     const list = this.#events[eventType];
     const index = list.indexOf(callback);
     if (index !== -1) list.splice(index, 1);
@@ -636,7 +1222,7 @@ class TinyInventory {
   /**
    * Returns a shallow copy of the callbacks for a given event type.
    * @param {EventsType} eventType - The event type to clone.
-   * @returns {OnEvent[]} A cloned array of callback functions.
+   * @returns {(OnEvent|CraftItemEvent|TransactionEvent|ItemStateEvent)[]} A cloned array of callback functions.
    */
   cloneEventCallbacks(eventType) {
     if (typeof eventType !== 'string') throw new TypeError('`eventType` must be a string.');
@@ -680,6 +1266,42 @@ class TinyInventory {
     this.#events.use.push(callback);
   }
 
+  /**
+   * Registers a callback to be executed when a recipe is crafted.
+   * @param {CraftItemEvent} callback - Function receiving the craft payload.
+   */
+  onCraft(callback) {
+    if (typeof callback !== 'function') throw new TypeError('`callback` must be a function.');
+    this.#events.craft.push(callback);
+  }
+
+  /**
+   * Registers a callback to be executed when a transaction is committed, undone or redone.
+   * @param {TransactionEvent} callback - Function receiving the transaction payload.
+   */
+  onTransaction(callback) {
+    if (typeof callback !== 'function') throw new TypeError('`callback` must be a function.');
+    this.#events.transaction.push(callback);
+  }
+
+  /**
+   * Registers a callback to be executed when an item unit breaks.
+   * @param {ItemStateEvent} callback - Function receiving the break payload.
+   */
+  onItemBreak(callback) {
+    if (typeof callback !== 'function') throw new TypeError('`callback` must be a function.');
+    this.#events.break.push(callback);
+  }
+
+  /**
+   * Registers a callback to be executed when an item stack expires.
+   * @param {ItemStateEvent} callback - Function receiving the expire payload.
+   */
+  onItemExpire(callback) {
+    if (typeof callback !== 'function') throw new TypeError('`callback` must be a function.');
+    this.#events.expire.push(callback);
+  }
+
   /////////////////////////////////////////////////////////////////
 
   /**
@@ -687,6 +1309,19 @@ class TinyInventory {
    * Preserves the relative order of items and does not modify metadata.
    */
   compactInventory() {
+    if (this.#lockedSlots.size > 0)
+      throw new Error('Cannot compact the inventory while slots are locked.');
+    /** @type {Map<number, GridPlacement>} */
+    const placements = new Map();
+    let newIndex = 0;
+    this.#items.forEach((item, index) => {
+      if (!item) return;
+      const placement = this.#gridPlacements.get(index);
+      if (placement) placements.set(newIndex, placement);
+      newIndex++;
+    });
+    this.#gridPlacements = placements;
+
     this.#items = this.#items.filter((i, index) => {
       const result = i !== null;
       if (!result)
@@ -706,24 +1341,33 @@ class TinyInventory {
   /**
    * Adds an item to the inventory, respecting stackability rules, stack limits, and metadata matching.
    * If the item cannot be fully added (e.g., due to stack limits), the remaining quantity is returned.
+   * In grid inventories, `forceSpace` cannot create grid cells: units without a free area are also returned.
    *
    * @param {Object} options - Item addition configuration.
    * @param {string} options.itemId - ID of the item to add.
    * @param {boolean} [options.forceSpace=false] - Forces the item to be added even if space or stack limits would normally prevent it.
    * @param {number} [options.quantity=1] - Quantity to add.
    * @param {InventoryMetadata} [options.metadata={}] - Instance-specific metadata (must match for stacking).
+   * @param {number|null} [options.durability] - Durability of the new units (defaults to the item's max durability).
+   * @param {number|null} [options.expiresAt] - Expiry time of the new units (defaults to `clock() + lifetime`).
    * @returns {AddItemResult} Quantity that could not be added (0 if all were added).
    * @throws {Error} If the item is not registered.
    */
-  addItem({ itemId, quantity = 1, metadata = {}, forceSpace = false }) {
+  addItem({ itemId, quantity = 1, metadata = {}, forceSpace = false, durability, expiresAt }) {
     if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
     if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0)
       throw new TypeError('`quantity` must be a positive number.');
     if (typeof metadata !== 'object' || metadata === null)
       throw new TypeError('`metadata` must be an object.');
     if (typeof forceSpace !== 'boolean') throw new TypeError('`forceSpace` must be a boolean.');
+    if (durability !== undefined && durability !== null && typeof durability !== 'number')
+      throw new TypeError('`durability` must be a number or null.');
+    if (expiresAt !== undefined && expiresAt !== null && typeof expiresAt !== 'number')
+      throw new TypeError('`expiresAt` must be a number or null.');
 
     const def = TinyInventory.getItem(itemId);
+    const state = this.#createItemState(def, durability, expiresAt);
+    const stateRef = { id: itemId, quantity: 0, metadata, ...state };
     let remaining = quantity;
     const maxStack = def.maxStack <= this.#maxStack ? def.maxStack : this.#maxStack;
     /** @type {{ index: number; quantity: number }[]} */
@@ -746,7 +1390,9 @@ class TinyInventory {
           existing &&
           existing.id === itemId &&
           existing.quantity < maxStack &&
-          metadataEquals(existing.metadata, metadata)
+          !this.#lockedSlots.has(Number(index)) &&
+          metadataEquals(existing.metadata, metadata) &&
+          this.#stateEquals(existing, stateRef)
         ) {
           const canAdd = Math.min(maxStack - existing.quantity, remaining);
           if (!forceSpace && !this.hasSpace({ weight: def.weight * canAdd, sizeLength: canAdd }))
@@ -788,11 +1434,17 @@ class TinyInventory {
           )
             continue;
 
-          const item = { id: itemId, quantity: stackQty, metadata };
+          const indexInt = Number(index);
+          if (this.#grid) {
+            const area = this.findFreeArea(itemId);
+            if (!area) break;
+            this.#gridPlacements.set(indexInt, { x: area.x, y: area.y, rotation: area.rotation });
+          }
+
+          const item = { id: itemId, quantity: stackQty, metadata, ...state };
           this.#items[index] = item;
           remaining -= stackQty;
 
-          const indexInt = Number(index);
           const placeId = placesAdded.findIndex((data) => data.index === indexInt);
           if (placeId < 0) placesAdded.push({ index: indexInt, quantity: stackQty });
           else placesAdded[placeId].quantity += stackQty;
@@ -823,9 +1475,13 @@ class TinyInventory {
       )
         break;
 
-      const item = { id: itemId, quantity: stackQty, metadata };
+      const area = this.#grid ? this.findFreeArea(itemId) : null;
+      if (this.#grid && !area) break;
+
+      const item = { id: itemId, quantity: stackQty, metadata, ...state };
       this.#items.push(item);
       const index = this.#items.length - 1;
+      if (area) this.#gridPlacements.set(index, { x: area.x, y: area.y, rotation: area.rotation });
 
       const placeId = placesAdded.findIndex((data) => data.index === index);
       if (placeId < 0) placesAdded.push({ index: index, quantity: stackQty });
@@ -871,12 +1527,16 @@ class TinyInventory {
    * @param {number} options.slotIndex - Index of the slot to set.
    * @param {InventoryItem|null} options.item - Item to place in the slot, or null to clear.
    * @param {boolean} [options.forceSpace=false] - Forces the item to be added even if space or stack limits would normally prevent it.
+   * @param {GridPlacement|null} [options.placement=null] - Grid position for the item (grid mode only).
+   * When omitted, the current position of the slot is kept if it still fits, otherwise a free area is searched.
    * @throws {Error} If the index is out of range, or item type is invalid.
    */
-  setItem({ slotIndex, item, forceSpace = false }) {
+  setItem({ slotIndex, item, forceSpace = false, placement = null }) {
     if (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex))
       throw new TypeError('`slotIndex` must be an integer.');
     if (typeof forceSpace !== 'boolean') throw new TypeError('`forceSpace` must be a boolean.');
+    if (placement !== null && (typeof placement !== 'object' || Array.isArray(placement)))
+      throw new TypeError('`placement` must be an object or null.');
     // Validate type: must be null or a proper InventoryItem object
     const isInventoryItem =
       item &&
@@ -886,7 +1546,13 @@ class TinyInventory {
       !Number.isNaN(item.quantity) &&
       Number.isFinite(item.quantity) &&
       item.quantity > -1 &&
-      typeof item.metadata === 'object';
+      typeof item.metadata === 'object' &&
+      (item.durability === undefined ||
+        item.durability === null ||
+        typeof item.durability === 'number') &&
+      (item.expiresAt === undefined ||
+        item.expiresAt === null ||
+        typeof item.expiresAt === 'number');
 
     if (item !== null && !isInventoryItem)
       throw new Error(`Invalid item type: must be null or a valid InventoryItem.`);
@@ -906,6 +1572,8 @@ class TinyInventory {
     if (this.#maxSlots !== null && (slotIndex < 0 || slotIndex >= this.#maxSlots))
       throw new Error(`Slot index ${slotIndex} out of range.`);
 
+    this.#assertUnlocked(slotIndex);
+
     // Convert the set to an array for index-based manipulation
     const oldItem = this.#items[slotIndex] ?? null;
     const oldItemData = oldItem ? (TinyInventory.#ItemRegistry.get(oldItem.id) ?? null) : null;
@@ -933,11 +1601,21 @@ class TinyInventory {
     )
       throw new Error('Inventory is full or overweight.');
 
+    // Resolve the grid area before touching the slots
+    /** @type {GridPlacement|null} */
+    let gridPlacement = null;
+    if (this.#grid && item) {
+      gridPlacement = this.#resolvePlacement(item.id, slotIndex, placement);
+      if (!gridPlacement) throw new Error(`No free grid area for item '${item.id}'.`);
+    }
+
     // Fill empty slots with nulls only up to the desired index
     while (this.#items.length <= slotIndex) this.#items.push(null);
 
     // Set the slot
     this.#items[slotIndex] = item;
+    if (gridPlacement) this.#gridPlacements.set(slotIndex, gridPlacement);
+    else this.#gridPlacements.delete(slotIndex);
 
     // Cleanup unnecessary trailing nulls
     this._cleanNulls();
@@ -989,9 +1667,18 @@ class TinyInventory {
     const item = this.#items[fromIndex];
 
     if (!item) throw new Error(`No item found in slot ${fromIndex}.`);
-
-    // Place the item in the new slot
-    this.setItem({ slotIndex: toIndex, item, forceSpace });
+    this.#assertUnlocked(fromIndex);
+    this.#assertUnlocked(toIndex);
+
+    // Place the item in the new slot (keeping its grid position)
+    const placement = this.#gridPlacements.get(fromIndex) ?? null;
+    this.#gridPlacements.delete(fromIndex);
+    try {
+      this.setItem({ slotIndex: toIndex, item, forceSpace, placement });
+    } catch (err) {
+      if (placement) this.#gridPlacements.set(fromIndex, placement);
+      throw err;
+    }
 
     // Clear the original slot
     this.setItem({ slotIndex: fromIndex, item: null, forceSpace });
@@ -1025,6 +1712,7 @@ class TinyInventory {
       if (
         item &&
         item.id === itemId &&
+        !this.#lockedSlots.has(index) &&
         (metadata === null || metadataEquals(item.metadata, metadata))
       ) {
         const removeQty = Math.min(item.quantity, remaining);
@@ -1032,7 +1720,10 @@ class TinyInventory {
         remaining -= removeQty;
 
         const indexInt = Number(index);
-        if (item.quantity <= 0) this.#items[index] = null;
+        if (item.quantity <= 0) {
+          this.#items[index] = null;
+          this.#gridPlacements.delete(index);
+        }
         if (remaining <= 0) {
           this._cleanNulls();
           this.#triggerEvent('remove', {
@@ -1137,21 +1828,25 @@ class TinyInventory {
    * Uses an item from a specific slot, or special slot,
    * triggering its `onUse` callback if defined.
    * Automatically removes the item if `remove()` is called inside the callback.
+   * Items with durability lose `wear` points afterwards (unless the callback removed them).
    *
    * @param {Object} location - Item location data.
    * @param {number} [location.slotIndex] - Index in inventory.
    * @param {string} [location.specialSlot] - Name of the special slot (if applicable).
    * @param {boolean} [location.forceSpace=false] - Forces the item to be added even if space or stack limits would normally prevent it.
+   * @param {number|null} [location.wear=null] - Durability lost by this use (defaults to the item's `durabilityCost`).
    * @param {...any} args - Additional arguments passed to the `onUse` handler.
    * @returns {any} - The return value of the `onUse` callback, or `null` if no callback exists.
    * @throws {Error} - If the item is not found in the specified location.
    */
-  useItem({ slotIndex, specialSlot, forceSpace = false }, ...args) {
+  useItem({ slotIndex, specialSlot, forceSpace = false, wear = null }, ...args) {
     if (slotIndex !== undefined && (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex)))
       throw new TypeError('`slotIndex` must be an integer if provided.');
     if (specialSlot !== undefined && typeof specialSlot !== 'string')
       throw new TypeError('`specialSlot` must be a string if provided.');
     if (typeof forceSpace !== 'boolean') throw new TypeError('`forceSpace` must be boolean.');
+    if (wear !== null && (typeof wear !== 'number' || !Number.isFinite(wear) || wear < 0))
+      throw new TypeError('`wear` must be a number >= 0 or null.');
 
     /** @type {InventoryItem|null} */
     let item = null;
@@ -1181,9 +1876,22 @@ class TinyInventory {
           : `No item found in slot ${slotIndex} of inventory.`,
       );
     }
+    if (locationType === 'normal') this.#assertUnlocked(slotIndex ?? -1);
 
     // Get item info
     const def = TinyInventory.getItem(item.id);
+    const usedItem = item;
+
+    /** Applies wear if the used stack is still in place after the callback. */
+    const applyWear = () => {
+      if (def.durability === null) return;
+      const stillThere =
+        locationType === 'special'
+          ? this.#specialSlots.get(specialSlot ?? '')?.item === usedItem
+          : this.#items[slotIndex ?? -1] === usedItem;
+      if (stillThere)
+        this.damageItem({ slotIndex, specialSlot, amount: wear ?? def.durabilityCost });
+    };
 
     if (def.onUse) {
       const onUse = {
@@ -1205,20 +1913,329 @@ class TinyInventory {
 
       const result = def.onUse(onUse);
       this.#triggerEvent('use', onUse);
+      applyWear();
       return result;
     }
+    applyWear();
     return null;
   }
 
-  /////////////////////////////////////////////////////////////////
-
   /**
-   * Checks if a special slot with the given ID exists in the inventory.
-   * @param {string} slotId - ID of the special slot.
-   * @returns {boolean} True if the slot exists, otherwise false.
+   * Finds the stack stored at a normal slot or special slot.
+   * @param {number|undefined} slotIndex - Index in inventory.
+   * @param {string|undefined} specialSlot - Name of the special slot.
+   * @returns {InventoryItem} The stored item.
+   * @throws {Error} If the location is invalid or empty.
    */
-  hasSpecialSlot(slotId) {
-    if (typeof slotId !== 'string') throw new TypeError('`slotId` must be a string.');
+  #getItemAt(slotIndex, specialSlot) {
+    if (slotIndex !== undefined && (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex)))
+      throw new TypeError('`slotIndex` must be an integer if provided.');
+    if (specialSlot !== undefined && typeof specialSlot !== 'string')
+      throw new TypeError('`specialSlot` must be a string if provided.');
+    if (specialSlot) {
+      const slot = this.#specialSlots.get(specialSlot);
+      if (!slot) throw new Error(`Special slot '${specialSlot}' not found.`);
+      if (!slot.item) throw new Error(`No item found in special slot '${specialSlot}'.`);
+      return slot.item;
+    }
+    const item = this.#items[slotIndex ?? -1];
+    if (!item) throw new Error(`No item found in slot ${slotIndex} of inventory.`);
+    return item;
+  }
+
+  /**
+   * Replaces the stack stored at a location, bypassing space checks.
+   * @param {number|undefined} slotIndex - Index in inventory.
+   * @param {string|undefined} specialSlot - Name of the special slot.
+   * @param {InventoryItem|null} item - New item, or null to clear the location.
+   */
+  #replaceItemAt(slotIndex, specialSlot, item) {
+    if (specialSlot) this.setSpecialSlot({ slotId: specialSlot, item, forceSpace: true });
+    else this.setItem({ slotIndex: slotIndex ?? -1, item, forceSpace: true });
+  }
+
+  /**
+   * Checks if a replacement item fits once a stack is changed.
+   * Only grid inventories can run out of room when space limits are ignored.
+   *
+   * Mirrors `addItem()` without changing anything: the replacement first fills the
+   * matching stacks, then every new stack needs its own free grid area.
+   *
+   * @param {number|undefined} slotIndex - Index in inventory.
+   * @param {string|undefined} specialSlot - Name of the special slot (if applicable).
+   * @param {InventoryItem|null} item - New content of the location.
+   * @param {string} itemId - Replacement item ID.
+   * @param {number} quantity - Replacement quantity.
+   * @returns {boolean}
+   */
+  #fitsReplacement(slotIndex, specialSlot, item, itemId, quantity) {
+    if (!this.#grid) return true;
+    const def = TinyInventory.getItem(itemId);
+    const maxStack = def.maxStack <= this.#maxStack ? def.maxStack : this.#maxStack;
+    const stateRef = { id: itemId, quantity: 0, metadata: {}, ...this.#createItemState(def) };
+    const changedIndex = specialSlot ? null : (slotIndex ?? null);
+    let remaining = quantity;
+
+    // Room left in the stacks that would be filled first
+    for (const [index, existing] of this.#items.entries()) {
+      const stack = index === changedIndex ? item : existing;
+      if (
+        stack &&
+        stack.id === itemId &&
+        !this.#lockedSlots.has(index) &&
+        JSON.stringify(stack.metadata) === '{}' &&
+        this.#stateEquals(stack, stateRef)
+      )
+        remaining -= Math.max(0, maxStack - stack.quantity);
+    }
+
+    // New stacks, each taking the first free area left by the previous ones
+    const map = this.#buildGridMap(changedIndex !== null && !item ? changedIndex : null);
+    while (remaining > 0) {
+      const area = this.#findAreaInMap(map, itemId, true);
+      if (!area) return false;
+      for (let y = area.y; y < area.y + area.height; y++)
+        for (let x = area.x; x < area.x + area.width; x++) map[y][x] = -1;
+      remaining -= maxStack;
+    }
+    return true;
+  }
+
+  /**
+   * Adds the replacement of a broken or expired item, bypassing space checks.
+   *
+   * @param {string} itemId - Replacement item ID.
+   * @param {number} quantity - Units to add.
+   * @returns {InventoryItem|null} The created units, or null if none could be added.
+   */
+  #addReplacement(itemId, quantity) {
+    const state = this.#createItemState(TinyInventory.getItem(itemId));
+    const { remaining } = this.addItem({ itemId, quantity, forceSpace: true, ...state });
+    if (remaining >= quantity) return null;
+    return { id: itemId, quantity: quantity - remaining, metadata: {}, ...state };
+  }
+
+  /**
+   * Reduces the durability of the top unit of a stack.
+   *
+   * When durability reaches zero the unit breaks: it is removed from the stack
+   * (the next unit starts with full durability), the item's `breakInto` replacement
+   * is added to the inventory, and a `break` event is triggered.
+   * In grid inventories, a unit whose replacement has no free area stays in its slot
+   * with zero durability, and breaks on the next damage if there is room by then.
+   *
+   * @param {Object} config - Item location data.
+   * @param {number} [config.slotIndex] - Index in inventory.
+   * @param {string} [config.specialSlot] - Name of the special slot (if applicable).
+   * @param {number} [config.amount=1] - Durability to remove.
+   * @returns {boolean} True if the unit broke.
+   * @throws {Error} If the location is empty or the item has no durability.
+   */
+  damageItem({ slotIndex, specialSlot, amount = 1 }) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)
+      throw new TypeError('`amount` must be a number >= 0.');
+    const item = this.#getItemAt(slotIndex, specialSlot);
+    const def = TinyInventory.getItem(item.id);
+    if (def.durability === null) throw new Error(`Item '${item.id}' has no durability.`);
+
+    const durability = (item.durability ?? def.durability) - amount;
+    if (durability > 0) {
+      this.#replaceItemAt(slotIndex, specialSlot, { ...this.#cloneItemData(item), durability });
+      return false;
+    }
+
+    // The top unit breaks
+    const broken = { ...this.#cloneItemData(item), quantity: 1, durability: 0 };
+    const rest =
+      item.quantity > 1
+        ? { ...this.#cloneItemData(item), quantity: item.quantity - 1, durability: def.durability }
+        : null;
+    if (def.breakInto && !this.#fitsReplacement(slotIndex, specialSlot, rest, def.breakInto, 1)) {
+      if (item.durability !== 0)
+        this.#replaceItemAt(slotIndex, specialSlot, {
+          ...this.#cloneItemData(item),
+          durability: 0,
+        });
+      return false;
+    }
+    this.#replaceItemAt(slotIndex, specialSlot, rest);
+
+    const replacement = def.breakInto ? this.#addReplacement(def.breakInto, 1) : null;
+
+    this.#triggerEvent('break', {
+      index: specialSlot ? null : (slotIndex ?? null),
+      specialSlot: specialSlot ?? null,
+      isCollection: !specialSlot,
+      item: broken,
+      replacement,
+    });
+    return true;
+  }
+
+  /**
+   * Restores durability of the top unit of a stack, up to the item's maximum.
+   *
+   * @param {Object} config - Item location data.
+   * @param {number} [config.slotIndex] - Index in inventory.
+   * @param {string} [config.specialSlot] - Name of the special slot (if applicable).
+   * @param {number|null} [config.amount=null] - Durability to restore (null for a full repair).
+   * @returns {number} The new durability.
+   * @throws {Error} If the location is empty or the item has no durability.
+   */
+  repairItem({ slotIndex, specialSlot, amount = null }) {
+    if (amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0))
+      throw new TypeError('`amount` must be a number >= 0 or null.');
+    const item = this.#getItemAt(slotIndex, specialSlot);
+    const def = TinyInventory.getItem(item.id);
+    if (def.durability === null) throw new Error(`Item '${item.id}' has no durability.`);
+
+    const current = item.durability ?? def.durability;
+    const durability =
+      amount === null ? def.durability : Math.min(def.durability, current + amount);
+    this.#replaceItemAt(slotIndex, specialSlot, { ...this.#cloneItemData(item), durability });
+    return durability;
+  }
+
+  /**
+   * Checks whether an item stack has expired according to the inventory clock.
+   * @param {InventoryItem} item - The item to check.
+   * @returns {boolean} True if the item has an expiry time that already passed.
+   */
+  isExpired(item) {
+    if (!item || typeof item !== 'object')
+      throw new TypeError('`item` must be an InventoryItem object.');
+    return typeof item.expiresAt === 'number' && item.expiresAt <= this.#clock();
+  }
+
+  /**
+   * Removes every expired stack from the normal and special slots.
+   *
+   * Each expired stack is replaced by the same quantity of its `expireInto` item
+   * (added to the inventory, bypassing space checks), and an `expire` event is triggered.
+   * In grid inventories, a stack whose replacement has no free area stays in its slot until there is room.
+   * Call this periodically (e.g., on each game tick) to spoil items over time.
+   *
+   * @returns {InventoryItem[]} The expired stacks.
+   */
+  processExpired() {
+    /** @type {InventoryItem[]} */
+    const expired = [];
+
+    /**
+     * @param {InventoryItem} item
+     * @param {number|undefined} slotIndex
+     * @param {string|undefined} specialSlot
+     */
+    const expire = (item, slotIndex, specialSlot) => {
+      const def = TinyInventory.getItem(item.id);
+      const oldItem = this.#cloneItemData(item);
+      if (
+        def.expireInto &&
+        !this.#fitsReplacement(slotIndex, specialSlot, null, def.expireInto, oldItem.quantity)
+      )
+        return;
+      this.#replaceItemAt(slotIndex, specialSlot, null);
+
+      const replacement = def.expireInto
+        ? this.#addReplacement(def.expireInto, oldItem.quantity)
+        : null;
+
+      expired.push(oldItem);
+      this.#triggerEvent('expire', {
+        index: specialSlot ? null : (slotIndex ?? null),
+        specialSlot: specialSlot ?? null,
+        isCollection: !specialSlot,
+        item: oldItem,
+        replacement,
+      });
+    };
+
+    for (let index = 0; index < this.#items.length; index++) {
+      const item = this.#items[index];
+      if (item && !this.#lockedSlots.has(index) && this.isExpired(item))
+        expire(item, index, undefined);
+    }
+    for (const [slotId, slot] of this.#specialSlots) {
+      if (slot.item && this.isExpired(slot.item)) expire(slot.item, undefined, slotId);
+    }
+    return expired;
+  }
+
+  /////////////////////////////////////////////////////////////////
+
+  /**
+   * Throws if a normal slot is locked.
+   * @param {number} slotIndex - Slot index.
+   * @throws {Error} If the slot is locked.
+   */
+  #assertUnlocked(slotIndex) {
+    if (this.#lockedSlots.has(slotIndex)) throw new Error(`Slot ${slotIndex} is locked.`);
+  }
+
+  /**
+   * Locks a normal slot, freezing its stack until it is unlocked.
+   *
+   * A locked stack cannot be set, moved, used or equipped, is skipped by `removeItem`,
+   * `processExpired` and crafting, and never receives new units from `addItem`.
+   * While any slot is locked, `compactInventory`, `undo` and `redo` are not allowed.
+   *
+   * @param {number} slotIndex - Slot index.
+   * @throws {Error} If the slot is empty or already locked.
+   */
+  lockSlot(slotIndex) {
+    if (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex))
+      throw new TypeError('`slotIndex` must be an integer.');
+    if (!this.#items[slotIndex]) throw new Error(`No item found in slot ${slotIndex}.`);
+    this.#assertUnlocked(slotIndex);
+    this.#lockedSlots.add(slotIndex);
+  }
+
+  /**
+   * Unlocks a normal slot.
+   * @param {number} slotIndex - Slot index.
+   * @returns {boolean} True if the slot was locked.
+   */
+  unlockSlot(slotIndex) {
+    if (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex))
+      throw new TypeError('`slotIndex` must be an integer.');
+    return this.#lockedSlots.delete(slotIndex);
+  }
+
+  /**
+   * Checks whether a normal slot is locked.
+   * @param {number} slotIndex - Slot index.
+   * @returns {boolean}
+   */
+  isSlotLocked(slotIndex) {
+    if (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex))
+      throw new TypeError('`slotIndex` must be an integer.');
+    return this.#lockedSlots.has(slotIndex);
+  }
+
+  /**
+   * Gets the indexes of all locked slots.
+   * @returns {number[]}
+   */
+  getLockedSlots() {
+    return [...this.#lockedSlots].sort((a, b) => a - b);
+  }
+
+  /**
+   * Unlocks every slot.
+   */
+  unlockAllSlots() {
+    this.#lockedSlots.clear();
+  }
+
+  /////////////////////////////////////////////////////////////////
+
+  /**
+   * Checks if a special slot with the given ID exists in the inventory.
+   * @param {string} slotId - ID of the special slot.
+   * @returns {boolean} True if the slot exists, otherwise false.
+   */
+  hasSpecialSlot(slotId) {
+    if (typeof slotId !== 'string') throw new TypeError('`slotId` must be a string.');
     return this.#specialSlots.has(slotId);
   }
 
@@ -1273,7 +2290,13 @@ class TinyInventory {
       !Number.isNaN(item.quantity) &&
       Number.isFinite(item.quantity) &&
       item.quantity > -1 &&
-      typeof item.metadata === 'object';
+      typeof item.metadata === 'object' &&
+      (item.durability === undefined ||
+        item.durability === null ||
+        typeof item.durability === 'number') &&
+      (item.expiresAt === undefined ||
+        item.expiresAt === null ||
+        typeof item.expiresAt === 'number');
 
     if (item !== null && !isInventoryItem)
       throw new Error(`Invalid item type: must be null or a valid InventoryItem.`);
@@ -1376,6 +2399,7 @@ class TinyInventory {
 
     const invItem = this.getItemFrom(slotIndex);
     if (!invItem) throw new Error(`No item found in inventory slot ${slotIndex}.`);
+    this.#assertUnlocked(slotIndex);
     if (invItem.quantity < quantity)
       throw new Error(`Not enough quantity of item '${invItem.id}' in inventory slot.`);
 
@@ -1390,14 +2414,18 @@ class TinyInventory {
     const maxStack = Math.min(def.maxStack, this.#maxStack);
 
     // CASE 1: Same item already equipped & stackable → merge
-    if (current.item && current.item.id === invItem.id) {
+    if (
+      current.item &&
+      current.item.id === invItem.id &&
+      this.#stateEquals(current.item, invItem)
+    ) {
       const availableSpace = Math.max(0, maxStack - current.item.quantity);
       if (availableSpace <= 0) return quantity; // nothing fits
 
       const toEquip = Math.min(quantity, availableSpace);
 
       // Remove from inventory slot
-      this.removeItem({ itemId: invItem.id, quantity: toEquip, metadata: null });
+      this.#takeFromSlot(slotIndex, toEquip);
 
       // Merge into special slot
       current.item.quantity += toEquip;
@@ -1414,28 +2442,53 @@ class TinyInventory {
     // Equip new item into slot
     const toEquip = Math.min(quantity, maxStack);
 
-    this.removeItem({ itemId: invItem.id, quantity: toEquip, metadata: null });
-    current.item = {
-      id: invItem.id,
-      quantity: toEquip,
-      metadata: invItem.metadata,
-    };
+    this.#takeFromSlot(slotIndex, toEquip);
+
+    /** @type {InventoryItem} */
+    const equipped = this.#cloneItemData(invItem);
+    equipped.quantity = toEquip;
+    current.item = equipped;
     this.#specialSlots.set(slotId, current);
 
     return quantity - toEquip;
   }
 
+  /**
+   * Removes a quantity of units from a specific normal slot, keeping the rest of the stack.
+   * @param {number} slotIndex - Slot index to take from.
+   * @param {number} quantity - Quantity to take.
+   */
+  #takeFromSlot(slotIndex, quantity) {
+    const item = this.#items[slotIndex];
+    if (!item) throw new Error(`No item found in inventory slot ${slotIndex}.`);
+    const removed = this.#cloneItemData(item);
+    removed.quantity = Math.min(quantity, item.quantity);
+    if (item.quantity > quantity) item.quantity -= quantity;
+    else {
+      this.#items[slotIndex] = null;
+      this.#gridPlacements.delete(slotIndex);
+    }
+    this.#triggerEvent('remove', {
+      index: slotIndex,
+      item: removed,
+      isCollection: true,
+      specialSlot: null,
+      remove: () => undefined,
+    });
+  }
+
   /**
    * Unequips a specific quantity of an item from a special slot
    * and returns it to the inventory.
    *
    * If no quantity is specified, removes the entire stack.
+   * Units that do not fit in the inventory stay equipped.
    *
    * @param {Object} config - Item location data.
    * @param {string} config.slotId - ID of the special slot.
    * @param {number|null} [config.quantity=null] - Quantity to unequip (default: all).
    * @param {boolean} [config.forceSpace=false] - Forces the item to be added even if space or stack limits would normally prevent it.
-   * @returns {boolean} True if any item was unequipped; false if slot empty.
+   * @returns {boolean} True if any item was unequipped; false if the slot is empty or nothing fit.
    * @throws {Error} If the slot does not exist or invalid quantity.
    */
   unequipItem({ slotId, quantity = null, forceSpace = false }) {
@@ -1462,14 +2515,23 @@ class TinyInventory {
       throw new Error(`Not enough items in slot '${slotId}' to unequip.`);
 
     // Return to inventory with requested quantity
-    this.addItem({ itemId: item.id, quantity: unequipQty, metadata: item.metadata, forceSpace });
+    const { remaining } = this.addItem({
+      itemId: item.id,
+      quantity: unequipQty,
+      metadata: item.metadata,
+      durability: item.durability ?? null,
+      expiresAt: item.expiresAt ?? null,
+      forceSpace,
+    });
+    const movedQty = unequipQty - remaining;
+    if (movedQty <= 0) return false;
 
-    if (unequipQty === item.quantity) {
+    if (movedQty === item.quantity) {
       // Fully emptied
       current.item = null;
     } else {
       // Partially reduced
-      item.quantity -= unequipQty;
+      item.quantity -= movedQty;
       current.item = item;
     }
 
@@ -1479,6 +2541,828 @@ class TinyInventory {
 
   /////////////////////////////////////////////////////////////////
 
+  /**
+   * Gets the footprint of a registered item for the given rotation.
+   *
+   * @param {string} itemId - The item ID.
+   * @param {GridRotation} [rotation=0] - Rotation in degrees.
+   * @returns {{ width: number; height: number }} Occupied width and height in cells.
+   * @throws {Error} If the item is not registered or the rotation is invalid.
+   */
+  static getItemFootprint(itemId, rotation = 0) {
+    if (![0, 90, 180, 270].includes(rotation))
+      throw new TypeError(`rotation must be 0, 90, 180 or 270. Received: ${rotation}`);
+    const def = TinyInventory.getItem(itemId);
+    if (rotation === 90 || rotation === 270) return { width: def.height, height: def.width };
+    return { width: def.width, height: def.height };
+  }
+
+  /**
+   * Ensures the inventory is running in grid mode.
+   * @throws {Error} If the inventory has no grid.
+   */
+  #assertGrid() {
+    if (!this.#grid) throw new Error('This inventory is not a grid inventory.');
+  }
+
+  /**
+   * Builds a 2D map of the grid where each cell holds the slot index occupying it.
+   *
+   * @param {number|null} [ignoreIndex=null] - Slot index to leave out of the map.
+   * @returns {(number|null)[][]} Rows of cells (`map[y][x]`).
+   */
+  #buildGridMap(ignoreIndex = null) {
+    const grid = this.#grid;
+    if (!grid) return [];
+    /** @type {(number|null)[][]} */
+    const map = [];
+    for (let y = 0; y < grid.height; y++) map.push(new Array(grid.width).fill(null));
+
+    for (const [index, placement] of this.#gridPlacements) {
+      const item = this.#items[index];
+      if (index === ignoreIndex || !item) continue;
+      const { width, height } = TinyInventory.getItemFootprint(item.id, placement.rotation);
+      for (let y = placement.y; y < placement.y + height; y++)
+        for (let x = placement.x; x < placement.x + width; x++) map[y][x] = index;
+    }
+    return map;
+  }
+
+  /**
+   * Checks if a rectangle fits inside a grid map without overlapping occupied cells.
+   *
+   * @param {(number|null)[][]} map - Grid map created by `#buildGridMap()`.
+   * @param {number} x - Column of the top-left cell.
+   * @param {number} y - Row of the top-left cell.
+   * @param {number} width - Rectangle width.
+   * @param {number} height - Rectangle height.
+   * @returns {boolean}
+   */
+  #fitsInMap(map, x, y, width, height) {
+    const grid = this.#grid;
+    if (!grid || x < 0 || y < 0 || x + width > grid.width || y + height > grid.height) return false;
+    for (let cy = y; cy < y + height; cy++)
+      for (let cx = x; cx < x + width; cx++) if (map[cy][cx] !== null) return false;
+    return true;
+  }
+
+  /**
+   * Returns the rotations allowed for an item when searching for free areas.
+   *
+   * @param {ItemDef} def - Item definition.
+   * @param {boolean} allowRotation - Whether rotated placements may be used.
+   * @returns {GridRotation[]}
+   */
+  #candidateRotations(def, allowRotation) {
+    return allowRotation && def.rotatable && def.width !== def.height ? [0, 90] : [0];
+  }
+
+  /**
+   * Resolves the grid position of an item being written into a slot.
+   *
+   * @param {string} itemId - Item being placed.
+   * @param {number} slotIndex - Slot that will hold the item.
+   * @param {GridPlacement|null} placement - Requested position, if any.
+   * @returns {GridPlacement|null} The position to use, or null if nothing fits.
+   * @throws {Error} If the requested position is invalid or already occupied.
+   */
+  #resolvePlacement(itemId, slotIndex, placement) {
+    if (placement) {
+      const { x, y, rotation = 0 } = placement;
+      if (!this.canPlace({ itemId, x, y, rotation, ignoreIndex: slotIndex }))
+        throw new Error(`Item '${itemId}' cannot be placed at grid position (${x}, ${y}).`);
+      return { x, y, rotation };
+    }
+
+    const current = this.#gridPlacements.get(slotIndex);
+    if (current && this.canPlace({ itemId, ...current, ignoreIndex: slotIndex }))
+      return { ...current };
+
+    const area = this.findFreeArea(itemId, { ignoreIndex: slotIndex });
+    return area ? { x: area.x, y: area.y, rotation: area.rotation } : null;
+  }
+
+  /**
+   * Returns a snapshot of the grid where each cell contains the slot index of the
+   * item stack occupying it, or null if the cell is empty.
+   *
+   * @returns {(number|null)[][]} Rows of cells (`map[y][x]`).
+   * @throws {Error} If the inventory is not a grid.
+   */
+  getGridMap() {
+    this.#assertGrid();
+    return this.#buildGridMap();
+  }
+
+  /**
+   * Checks if an item can be placed at the given grid position.
+   *
+   * @param {Object} settings - Placement data.
+   * @param {string} settings.itemId - Item to check.
+   * @param {number} settings.x - Column of the top-left cell.
+   * @param {number} settings.y - Row of the top-left cell.
+   * @param {GridRotation} [settings.rotation=0] - Rotation in degrees.
+   * @param {number|null} [settings.ignoreIndex=null] - Slot index whose cells are treated as free (e.g., the item being moved).
+   * @returns {boolean} True if the area is inside the grid and free.
+   * @throws {Error} If the inventory is not a grid.
+   */
+  canPlace({ itemId, x, y, rotation = 0, ignoreIndex = null }) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    if (!Number.isInteger(x)) throw new TypeError('`x` must be an integer.');
+    if (!Number.isInteger(y)) throw new TypeError('`y` must be an integer.');
+    if (ignoreIndex !== null && !Number.isInteger(ignoreIndex))
+      throw new TypeError('`ignoreIndex` must be an integer or null.');
+    this.#assertGrid();
+
+    const def = TinyInventory.getItem(itemId);
+    if (!def.rotatable && (rotation === 90 || rotation === 270)) return false;
+    const { width, height } = TinyInventory.getItemFootprint(itemId, rotation);
+    return this.#fitsInMap(this.#buildGridMap(ignoreIndex), x, y, width, height);
+  }
+
+  /**
+   * Finds the first free area (top-left to bottom-right) able to hold the item.
+   *
+   * @param {string} itemId - Item to fit.
+   * @param {Object} [settings={}] - Search options.
+   * @param {boolean} [settings.allowRotation=true] - Whether a rotated placement may be returned.
+   * @param {number|null} [settings.ignoreIndex=null] - Slot index whose cells are treated as free.
+   * @returns {GridArea|null} The free area found, or null if the item does not fit anywhere.
+   * @throws {Error} If the inventory is not a grid.
+   */
+  findFreeArea(itemId, { allowRotation = true, ignoreIndex = null } = {}) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    if (typeof allowRotation !== 'boolean')
+      throw new TypeError('`allowRotation` must be a boolean.');
+    if (ignoreIndex !== null && !Number.isInteger(ignoreIndex))
+      throw new TypeError('`ignoreIndex` must be an integer or null.');
+    this.#assertGrid();
+
+    return this.#findAreaInMap(this.#buildGridMap(ignoreIndex), itemId, allowRotation);
+  }
+
+  /**
+   * Finds the first free area (top-left to bottom-right) of a grid map able to hold the item.
+   *
+   * @param {(number|null)[][]} map - Grid map created by `#buildGridMap()`.
+   * @param {string} itemId - Item to fit.
+   * @param {boolean} allowRotation - Whether a rotated placement may be returned.
+   * @returns {GridArea|null} The free area found, or null if the item does not fit anywhere.
+   */
+  #findAreaInMap(map, itemId, allowRotation) {
+    const grid = this.#grid;
+    if (!grid) return null;
+    const def = TinyInventory.getItem(itemId);
+    for (let y = 0; y < grid.height; y++) {
+      for (let x = 0; x < grid.width; x++) {
+        for (const rotation of this.#candidateRotations(def, allowRotation)) {
+          const { width, height } = TinyInventory.getItemFootprint(itemId, rotation);
+          if (this.#fitsInMap(map, x, y, width, height)) return { x, y, rotation, width, height };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets the grid area occupied by the item stored at a slot.
+   *
+   * @param {number} slotIndex - The slot index.
+   * @returns {GridArea|null} The occupied area, or null if the slot is empty.
+   * @throws {Error} If the inventory is not a grid.
+   */
+  getPlacement(slotIndex) {
+    if (!Number.isInteger(slotIndex)) throw new TypeError('`slotIndex` must be an integer.');
+    this.#assertGrid();
+    const placement = this.#gridPlacements.get(slotIndex);
+    const item = this.#items[slotIndex];
+    if (!placement || !item) return null;
+    return { ...placement, ...TinyInventory.getItemFootprint(item.id, placement.rotation) };
+  }
+
+  /**
+   * Gets the slot index of the item covering a grid cell.
+   *
+   * @param {number} x - Cell column.
+   * @param {number} y - Cell row.
+   * @returns {number|null} The slot index, or null if the cell is empty.
+   * @throws {Error} If the inventory is not a grid or the cell is out of bounds.
+   */
+  getSlotIndexAt(x, y) {
+    if (!Number.isInteger(x)) throw new TypeError('`x` must be an integer.');
+    if (!Number.isInteger(y)) throw new TypeError('`y` must be an integer.');
+    this.#assertGrid();
+    const grid = this.#grid;
+    if (!grid || x < 0 || y < 0 || x >= grid.width || y >= grid.height)
+      throw new Error(`Grid cell (${x}, ${y}) out of bounds.`);
+    return this.#buildGridMap()[y][x];
+  }
+
+  /**
+   * Adds a new item stack at an exact grid position.
+   * The stack is stored in the first empty slot index (or appended at the end).
+   *
+   * @param {Object} options - Placement configuration.
+   * @param {string} options.itemId - ID of the item to place.
+   * @param {number} options.x - Column of the top-left cell.
+   * @param {number} options.y - Row of the top-left cell.
+   * @param {GridRotation} [options.rotation=0] - Rotation in degrees.
+   * @param {number} [options.quantity=1] - Quantity of the new stack (up to the max stack).
+   * @param {InventoryMetadata} [options.metadata={}] - Instance-specific metadata.
+   * @param {boolean} [options.forceSpace=false] - Ignores weight, size and slot limits.
+   * @returns {number} The slot index where the stack was stored.
+   * @throws {Error} If the inventory is not a grid, the area is not free, or limits are exceeded.
+   */
+  placeItemAt({ itemId, x, y, rotation = 0, quantity = 1, metadata = {}, forceSpace = false }) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity <= 0)
+      throw new TypeError('`quantity` must be a positive integer.');
+    if (typeof metadata !== 'object' || metadata === null)
+      throw new TypeError('`metadata` must be an object.');
+    if (typeof forceSpace !== 'boolean') throw new TypeError('`forceSpace` must be a boolean.');
+    this.#assertGrid();
+
+    let slotIndex = this.#items.indexOf(null);
+    if (slotIndex < 0) slotIndex = this.#items.length;
+    if (!forceSpace && slotIndex === this.#items.length && this.areFullSlots(1))
+      throw new Error('Inventory has no free slots.');
+    if (!this.canPlace({ itemId, x, y, rotation }))
+      throw new Error(`Item '${itemId}' cannot be placed at grid position (${x}, ${y}).`);
+
+    this.setItem({
+      slotIndex,
+      item: { id: itemId, quantity, metadata },
+      forceSpace,
+      placement: { x, y, rotation },
+    });
+    return slotIndex;
+  }
+
+  /**
+   * Moves and/or rotates an existing item stack inside the grid.
+   *
+   * @param {Object} options - Relocation data.
+   * @param {number} options.slotIndex - Slot index of the stack to move.
+   * @param {number} options.x - New column of the top-left cell.
+   * @param {number} options.y - New row of the top-left cell.
+   * @param {GridRotation} [options.rotation] - New rotation (defaults to the current one).
+   * @throws {Error} If the inventory is not a grid, the slot is empty, or the target area is not free.
+   */
+  relocateItem({ slotIndex, x, y, rotation }) {
+    if (!Number.isInteger(slotIndex)) throw new TypeError('`slotIndex` must be an integer.');
+    this.#assertGrid();
+    const item = this.#items[slotIndex];
+    if (!item) throw new Error(`No item found in slot ${slotIndex}.`);
+    this.#assertUnlocked(slotIndex);
+
+    const current = this.#gridPlacements.get(slotIndex);
+    const newRotation = rotation ?? current?.rotation ?? 0;
+    if (!this.canPlace({ itemId: item.id, x, y, rotation: newRotation, ignoreIndex: slotIndex }))
+      throw new Error(`Item '${item.id}' cannot be placed at grid position (${x}, ${y}).`);
+
+    this.#gridPlacements.set(slotIndex, { x, y, rotation: newRotation });
+    this.#triggerEvent('set', {
+      index: slotIndex,
+      isCollection: true,
+      item: this.#cloneItemData(item),
+      specialSlot: null,
+      remove: this.#removeItemCallback({ locationType: 'normal', slotIndex, item }),
+    });
+  }
+
+  /**
+   * Rearranges every stack in the grid to reduce fragmentation.
+   * Bigger items are placed first, scanning from the top-left corner and rotating
+   * items when allowed. If the packing fails, the current layout is kept untouched.
+   * A `set` event is triggered for every stack that changed position.
+   *
+   * @returns {boolean} True if the grid was repacked, false if the items could not be rearranged.
+   * @throws {Error} If the inventory is not a grid.
+   */
+  packGrid() {
+    this.#assertGrid();
+    const grid = this.#grid;
+    if (!grid) return false;
+
+    /** @type {{ index: number; def: ItemDef }[]} */
+    const entries = [];
+    this.#items.forEach((item, index) => {
+      if (item) entries.push({ index, def: TinyInventory.getItem(item.id) });
+    });
+    entries.sort(
+      (a, b) =>
+        b.def.width * b.def.height - a.def.width * a.def.height ||
+        Math.max(b.def.width, b.def.height) - Math.max(a.def.width, a.def.height) ||
+        a.index - b.index,
+    );
+
+    /** @type {(number|null)[][]} */
+    const map = [];
+    for (let y = 0; y < grid.height; y++) map.push(new Array(grid.width).fill(null));
+
+    /** @type {Map<number, GridPlacement>} */
+    const placements = new Map();
+    for (const { index, def } of entries) {
+      /** @type {GridPlacement|null} */
+      let found = null;
+      for (let y = 0; y < grid.height && !found; y++) {
+        for (let x = 0; x < grid.width && !found; x++) {
+          for (const rotation of this.#candidateRotations(def, true)) {
+            const { width, height } = TinyInventory.getItemFootprint(def.id, rotation);
+            if (!this.#fitsInMap(map, x, y, width, height)) continue;
+            for (let cy = y; cy < y + height; cy++)
+              for (let cx = x; cx < x + width; cx++) map[cy][cx] = index;
+            found = { x, y, rotation };
+            break;
+          }
+        }
+      }
+      if (!found) return false;
+      placements.set(index, found);
+    }
+
+    const previous = this.#gridPlacements;
+    this.#gridPlacements = placements;
+    for (const [index, placement] of placements) {
+      const old = previous.get(index);
+      if (
+        old &&
+        old.x === placement.x &&
+        old.y === placement.y &&
+        old.rotation === placement.rotation
+      )
+        continue;
+      const item = /** @type {InventoryItem} */ (this.#items[index]);
+      this.#triggerEvent('set', {
+        index,
+        isCollection: true,
+        item: this.#cloneItemData(item),
+        specialSlot: null,
+        remove: this.#removeItemCallback({ locationType: 'normal', slotIndex: index, item }),
+      });
+    }
+    return true;
+  }
+
+  /////////////////////////////////////////////////////////////////
+
+  /**
+   * Checks if an item stack matches a metadata filter.
+   *
+   * @param {InventoryItem} item - Item stack to check.
+   * @param {MetadataFilter|null} filter - Metadata object (exact match) or predicate; null matches anything.
+   * @returns {boolean}
+   */
+  #matchesMetadata(item, filter) {
+    if (filter === null) return true;
+    if (typeof filter === 'function')
+      return filter({ ...item.metadata }, this.#cloneItemData(item));
+    return JSON.stringify(item.metadata) === JSON.stringify(filter);
+  }
+
+  /**
+   * Counts the quantity of an item matching a metadata filter.
+   *
+   * @param {string} itemId - Item ID to count.
+   * @param {MetadataFilter|null} filter - Metadata filter.
+   * @param {boolean} includeSpecial - Whether items in special slots are counted too.
+   * @returns {number}
+   */
+  #countMatching(itemId, filter, includeSpecial) {
+    let amount = 0;
+    this.#items.forEach((item, index) => {
+      if (
+        item &&
+        item.id === itemId &&
+        !this.#lockedSlots.has(index) &&
+        this.#matchesMetadata(item, filter)
+      )
+        amount += item.quantity;
+    });
+    if (includeSpecial)
+      for (const slot of this.#specialSlots.values())
+        if (slot.item && slot.item.id === itemId && this.#matchesMetadata(slot.item, filter))
+          amount += slot.item.quantity;
+    return amount;
+  }
+
+  /**
+   * Applies a recipe to this inventory without any rollback.
+   * Ingredients are only consumed from normal slots; tools may also be equipped
+   * and the stacks counted as tools are never consumed as ingredients.
+   *
+   * @param {RecipeDef} recipe - Recipe to apply.
+   * @param {number} times - How many times the recipe is crafted.
+   * @returns {{ reason: 'ingredients'|'space'|null; consumed: InventoryItem[]; produced: InventoryItem[] }}
+   */
+  #applyCraft(recipe, times) {
+    /** @type {InventoryItem[]} */
+    const consumed = [];
+    /** @type {InventoryItem[]} */
+    const produced = [];
+
+    // Requirements that are never consumed
+    for (const req of recipe.specialSlots) {
+      const slot = this.#specialSlots.get(req.slotId);
+      if (!slot?.item || (req.itemId !== null && slot.item.id !== req.itemId))
+        return { reason: 'ingredients', consumed, produced };
+    }
+
+    // Tools are reserved first (equipped ones before normal slots) so the
+    // inputs can never consume the stacks that count as tools
+    /** @type {Map<number, number>} */
+    const reserved = new Map();
+    /** @type {Map<string, number>} */
+    const reservedSpecial = new Map();
+    for (const tool of recipe.tools) {
+      let remaining = tool.quantity;
+      for (const [slotId, slot] of this.#specialSlots) {
+        if (remaining <= 0) break;
+        if (
+          !slot.item ||
+          slot.item.id !== tool.itemId ||
+          !this.#matchesMetadata(slot.item, tool.metadata)
+        )
+          continue;
+        const take = Math.min(slot.item.quantity - (reservedSpecial.get(slotId) ?? 0), remaining);
+        reservedSpecial.set(slotId, (reservedSpecial.get(slotId) ?? 0) + take);
+        remaining -= take;
+      }
+      this.#items.forEach((item, index) => {
+        if (
+          remaining <= 0 ||
+          !item ||
+          item.id !== tool.itemId ||
+          this.#lockedSlots.has(index) ||
+          !this.#matchesMetadata(item, tool.metadata)
+        )
+          return;
+        const take = Math.min(item.quantity - (reserved.get(index) ?? 0), remaining);
+        reserved.set(index, (reserved.get(index) ?? 0) + take);
+        remaining -= take;
+      });
+      if (remaining > 0) return { reason: 'ingredients', consumed, produced };
+    }
+
+    // Consume ingredients (locked stacks and reserved tools are never used)
+    /**
+     * @param {RecipeInput} input
+     * @param {number} index
+     * @returns {number}
+     */
+    const availableAt = (input, index) => {
+      const item = this.#items[index];
+      if (
+        !item ||
+        item.id !== input.itemId ||
+        this.#lockedSlots.has(index) ||
+        !this.#matchesMetadata(item, input.metadata)
+      )
+        return 0;
+      return item.quantity - (reserved.get(index) ?? 0);
+    };
+    for (const input of recipe.inputs) {
+      let remaining = input.quantity * times;
+      let available = 0;
+      for (let index = 0; index < this.#items.length; index++)
+        available += availableAt(input, index);
+      if (available < remaining) return { reason: 'ingredients', consumed, produced };
+      for (let index = 0; index < this.#items.length && remaining > 0; index++) {
+        const take = Math.min(availableAt(input, index), remaining);
+        if (take <= 0) continue;
+        const stack = /** @type {InventoryItem} */ (this.#items[index]);
+        const metadata = { ...stack.metadata };
+        this.setItem({
+          slotIndex: index,
+          item: stack.quantity > take ? { ...stack, quantity: stack.quantity - take } : null,
+          forceSpace: true,
+        });
+        consumed.push({ id: input.itemId, quantity: take, metadata });
+        remaining -= take;
+      }
+      if (remaining > 0) return { reason: 'ingredients', consumed, produced };
+    }
+
+    // Produce outputs
+    for (const output of recipe.outputs) {
+      const quantity = output.quantity * times;
+      const { remaining } = this.addItem({
+        itemId: output.itemId,
+        quantity,
+        metadata: { ...output.metadata },
+      });
+      if (remaining > 0) return { reason: 'space', consumed, produced };
+      produced.push({ id: output.itemId, quantity, metadata: { ...output.metadata } });
+    }
+
+    return { reason: null, consumed, produced };
+  }
+
+  /**
+   * Checks if a recipe can be crafted with the current inventory content.
+   * Ingredients, tools, special slot requirements and the space needed
+   * for the outputs (weight, size, slots and grid) are all verified.
+   *
+   * @param {string} recipeId - ID of the recipe.
+   * @param {number} [times=1] - How many times the recipe should be crafted.
+   * @returns {boolean} True if `craft()` would succeed.
+   * @throws {Error} If the recipe is not registered.
+   */
+  canCraft(recipeId, times = 1) {
+    if (typeof recipeId !== 'string') throw new TypeError('`recipeId` must be a string.');
+    if (!Number.isInteger(times) || times <= 0)
+      throw new TypeError('`times` must be a positive integer.');
+    const recipe = TinyInventory.getRecipe(recipeId);
+    return this.clone(true).#applyCraft(recipe, times).reason === null;
+  }
+
+  /**
+   * Lists every registered recipe that can currently be crafted at least once.
+   *
+   * @returns {string[]} IDs of the craftable recipes.
+   */
+  getCraftableRecipes() {
+    // One detached copy is reused for every recipe and reset between the attempts
+    const preview = this.clone(true);
+    const state = preview.#captureState();
+    return [...TinyInventory.#RecipeRegistry.entries()]
+      .filter(([, recipe]) => {
+        const craftable = preview.#applyCraft(recipe, 1).reason === null;
+        preview.#restoreState(state);
+        return craftable;
+      })
+      .map(([recipeId]) => recipeId);
+  }
+
+  /**
+   * Crafts a recipe atomically.
+   *
+   * The craft is first simulated on a detached copy of the inventory. Only when every
+   * ingredient is available and all outputs fit (respecting `maxWeight`, `maxSize`,
+   * `maxSlots` and the grid) the changes are applied, so a failed craft never leaves
+   * the inventory in a partial state. A `craft` event is triggered on success.
+   *
+   * @param {string} recipeId - ID of the recipe.
+   * @param {number} [times=1] - How many times the recipe should be crafted.
+   * @returns {CraftResult} The result of the craft attempt.
+   * @throws {Error} If the recipe is not registered.
+   */
+  craft(recipeId, times = 1) {
+    if (typeof recipeId !== 'string') throw new TypeError('`recipeId` must be a string.');
+    if (!Number.isInteger(times) || times <= 0)
+      throw new TypeError('`times` must be a positive integer.');
+    const recipe = TinyInventory.getRecipe(recipeId);
+
+    /** @type {CraftResult} */
+    const result = { success: false, reason: null, recipeId, times, consumed: [], produced: [] };
+    const preview = this.clone(true).#applyCraft(recipe, times);
+    if (preview.reason) {
+      result.reason = preview.reason;
+      return result;
+    }
+
+    const state = this.#captureState();
+    try {
+      const craftData = this.#applyCraft(recipe, times);
+      if (craftData.reason) {
+        this.#restoreState(state);
+        result.reason = craftData.reason;
+        return result;
+      }
+      result.consumed = craftData.consumed;
+      result.produced = craftData.produced;
+    } catch (err) {
+      this.#restoreState(state);
+      throw err;
+    }
+
+    result.success = true;
+    this.#triggerEvent('craft', {
+      recipeId,
+      times,
+      consumed: result.consumed.map((item) => this.#cloneItemData(item)),
+      produced: result.produced.map((item) => this.#cloneItemData(item)),
+    });
+    return result;
+  }
+
+  /////////////////////////////////////////////////////////////////
+
+  /**
+   * Captures a copy of the current item state (normal slots, special slots and grid positions).
+   * @returns {InventoryState}
+   */
+  #captureState() {
+    return {
+      items: this.#items.map((item) => (item ? this.#cloneItemData(item) : null)),
+      specialSlots: new Map(
+        [...this.#specialSlots.entries()].map(([slotId, slot]) => [
+          slotId,
+          { type: slot.type, item: slot.item ? this.#cloneItemData(slot.item) : null },
+        ]),
+      ),
+      gridPlacements: new Map(
+        [...this.#gridPlacements.entries()].map(([index, placement]) => [index, { ...placement }]),
+      ),
+    };
+  }
+
+  /**
+   * Restores an item state captured by `#captureState()`.
+   * No events are triggered.
+   * @param {InventoryState} state
+   */
+  #restoreState(state) {
+    this.#items = state.items.map((item) => (item ? this.#cloneItemData(item) : null));
+    this.#specialSlots = new Map(
+      [...state.specialSlots.entries()].map(([slotId, slot]) => [
+        slotId,
+        { type: slot.type, item: slot.item ? this.#cloneItemData(slot.item) : null },
+      ]),
+    );
+    this.#gridPlacements = new Map(
+      [...state.gridPlacements.entries()].map(([index, placement]) => [index, { ...placement }]),
+    );
+  }
+
+  /**
+   * Lists every slot that differs between two states.
+   *
+   * @param {InventoryState} before - Older state.
+   * @param {InventoryState} after - Newer state.
+   * @returns {InventoryDiff}
+   */
+  #diffStates(before, after) {
+    /** @type {InventoryDiff} */
+    const diff = { slots: [], specialSlots: [] };
+    const length = Math.max(before.items.length, after.items.length);
+    for (let index = 0; index < length; index++) {
+      const oldItem = before.items[index] ?? null;
+      const newItem = after.items[index] ?? null;
+      const oldPlacement = before.gridPlacements.get(index) ?? null;
+      const newPlacement = after.gridPlacements.get(index) ?? null;
+      if (JSON.stringify([oldItem, oldPlacement]) === JSON.stringify([newItem, newPlacement]))
+        continue;
+      diff.slots.push({
+        index,
+        before: oldItem ? this.#cloneItemData(oldItem) : null,
+        after: newItem ? this.#cloneItemData(newItem) : null,
+        beforePlacement: oldPlacement ? { ...oldPlacement } : null,
+        afterPlacement: newPlacement ? { ...newPlacement } : null,
+      });
+    }
+
+    const slotIds = new Set([...before.specialSlots.keys(), ...after.specialSlots.keys()]);
+    for (const slotId of slotIds) {
+      const oldItem = before.specialSlots.get(slotId)?.item ?? null;
+      const newItem = after.specialSlots.get(slotId)?.item ?? null;
+      if (JSON.stringify(oldItem) === JSON.stringify(newItem)) continue;
+      diff.specialSlots.push({
+        slotId,
+        before: oldItem ? this.#cloneItemData(oldItem) : null,
+        after: newItem ? this.#cloneItemData(newItem) : null,
+      });
+    }
+    return diff;
+  }
+
+  /////////////////////////////////////////////////////////////////
+
+  /**
+   * Runs several operations as a single atomic transaction.
+   *
+   * Every change made inside `fn` (add, remove, move, equip, craft...) is kept only if
+   * `fn` finishes without throwing. If it throws, the inventory is restored to the state
+   * it had before the transaction and the error is re-thrown.
+   *
+   * Individual events are not dispatched while the transaction runs. Instead, a single
+   * `transaction` event with the diff of all changed slots is triggered on commit, and the
+   * transaction is recorded in the undo history (when something actually changed).
+   * Nested calls simply join the outer transaction.
+   *
+   * Non-undoable transactions (such as trades with another inventory) clear the undo/redo
+   * history instead, since the history snapshots would bring the exchanged items back.
+   *
+   * @template T
+   * @param {(inventory: TinyInventory) => T} fn - Synchronous function performing the operations.
+   * @param {string|null} [label=null] - Optional label stored in the history (e.g., "Equip sword").
+   * @param {boolean} [undoable=true] - Whether the transaction can be reverted with `undo()`.
+   * @returns {T} The value returned by `fn`.
+   * @throws {Error} Re-throws any error thrown by `fn` after rolling back.
+   */
+  transaction(fn, label = null, undoable = true) {
+    if (typeof fn !== 'function') throw new TypeError('`fn` must be a function.');
+    if (label !== null && typeof label !== 'string')
+      throw new TypeError('`label` must be a string or null.');
+    if (typeof undoable !== 'boolean') throw new TypeError('`undoable` must be a boolean.');
+    if (this.#transactionDepth > 0) {
+      if (!undoable) this.#nonUndoable = true;
+      return fn(this);
+    }
+
+    const before = this.#captureState();
+    /** @type {T} */
+    let result;
+    this.#nonUndoable = !undoable;
+    this.#transactionDepth++;
+    try {
+      result = fn(this);
+      if (result instanceof Promise)
+        throw new TypeError('Transactions must be synchronous; `fn` returned a Promise.');
+    } catch (err) {
+      this.#restoreState(before);
+      throw err;
+    } finally {
+      this.#transactionDepth--;
+    }
+
+    const after = this.#captureState();
+    const diff = this.#diffStates(before, after);
+    if (diff.slots.length > 0 || diff.specialSlots.length > 0) {
+      if (this.#nonUndoable) this.#undoStack = [];
+      else if (this.#historyLimit > 0) {
+        this.#undoStack.push({ label, before, after });
+        if (this.#undoStack.length > this.#historyLimit) this.#undoStack.shift();
+      }
+      this.#redoStack = [];
+      this.#triggerEvent('transaction', { action: 'commit', label, diff });
+    }
+    return result;
+  }
+
+  /**
+   * Reverts the last committed transaction.
+   *
+   * The history stores full snapshots, so any change made outside transactions after
+   * the transaction was committed is also discarded.
+   *
+   * @returns {boolean} True if a transaction was undone, false if the history is empty.
+   * @throws {Error} If called while a transaction is running.
+   */
+  undo() {
+    if (this.#transactionDepth > 0) throw new Error('Cannot undo while a transaction is running.');
+    if (this.#lockedSlots.size > 0) throw new Error('Cannot undo while slots are locked.');
+    const entry = this.#undoStack.pop();
+    if (!entry) return false;
+    const current = this.#captureState();
+    this.#restoreState(entry.before);
+    this.#redoStack.push(entry);
+    this.#triggerEvent('transaction', {
+      action: 'undo',
+      label: entry.label,
+      diff: this.#diffStates(current, entry.before),
+    });
+    return true;
+  }
+
+  /**
+   * Re-applies the last undone transaction.
+   *
+   * @returns {boolean} True if a transaction was redone, false if there is nothing to redo.
+   * @throws {Error} If called while a transaction is running.
+   */
+  redo() {
+    if (this.#transactionDepth > 0) throw new Error('Cannot redo while a transaction is running.');
+    if (this.#lockedSlots.size > 0) throw new Error('Cannot redo while slots are locked.');
+    const entry = this.#redoStack.pop();
+    if (!entry) return false;
+    const current = this.#captureState();
+    this.#restoreState(entry.after);
+    this.#undoStack.push(entry);
+    this.#triggerEvent('transaction', {
+      action: 'redo',
+      label: entry.label,
+      diff: this.#diffStates(current, entry.after),
+    });
+    return true;
+  }
+
+  /**
+   * Gets the labels of the transactions that can be undone (oldest first).
+   * @returns {(string|null)[]}
+   */
+  getUndoLabels() {
+    return this.#undoStack.map((entry) => entry.label);
+  }
+
+  /**
+   * Gets the labels of the transactions that can be redone (next redo last).
+   * @returns {(string|null)[]}
+   */
+  getRedoLabels() {
+    return this.#redoStack.map((entry) => entry.label);
+  }
+
+  /**
+   * Clears the undo/redo history.
+   *
+   * @returns {void}
+   */
+  clearHistory() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+  }
+
   /**
    * Creates a deep clone of an inventory item, ensuring metadata is copied safely.
    * @param {InventoryItem} item - The item to clone.
@@ -1492,7 +3376,49 @@ class TinyInventory {
       throw new TypeError('`item.quantity` must be a finite number.');
     if (!item.metadata || typeof item.metadata !== 'object')
       throw new TypeError('`item.metadata` must be an object.');
-    return { id: item.id, quantity: item.quantity, metadata: { ...item.metadata } };
+    /** @type {InventoryItem} */
+    const result = { id: item.id, quantity: item.quantity, metadata: { ...item.metadata } };
+    if (item.durability !== undefined) result.durability = item.durability;
+    if (item.expiresAt !== undefined) result.expiresAt = item.expiresAt;
+    return result;
+  }
+
+  /**
+   * Checks whether two item stacks share the same instance state (durability and expiry).
+   * Missing state is treated as `null`.
+   * @param {InventoryItem} a - First item.
+   * @param {InventoryItem} b - Second item.
+   * @returns {boolean} True if both items can be merged into one stack.
+   */
+  #stateEquals(a, b) {
+    return (
+      (a.durability ?? null) === (b.durability ?? null) &&
+      (a.expiresAt ?? null) === (b.expiresAt ?? null)
+    );
+  }
+
+  /**
+   * Builds the initial instance state for a new stack of the given item.
+   * `undefined` values fall back to the item definition, while `null` disables the state.
+   *
+   * @param {ItemDef} def - Item definition.
+   * @param {number|null} [durability] - Explicit durability.
+   * @param {number|null} [expiresAt] - Explicit expiry time.
+   * @returns {{ durability?: number|null; expiresAt?: number|null }} State fields to spread into the item.
+   */
+  #createItemState(def, durability, expiresAt) {
+    /** @type {{ durability?: number|null; expiresAt?: number|null }} */
+    const state = {};
+    const dur = durability !== undefined ? durability : def.durability;
+    let exp = expiresAt;
+    if (exp === undefined) {
+      exp = def.lifetime !== null ? this.#clock() + def.lifetime : null;
+      if (exp !== null && def.expiryStep !== null)
+        exp = Math.ceil(exp / def.expiryStep) * def.expiryStep;
+    }
+    if (dur !== null) state.durability = dur;
+    if (exp !== null) state.expiresAt = exp;
+    return state;
   }
 
   /**
@@ -1609,7 +3535,16 @@ class TinyInventory {
    * @returns {void}
    */
   clearAllEvents() {
-    this.#events = { add: [], remove: [], use: [], set: [] };
+    this.#events = {
+      add: [],
+      remove: [],
+      use: [],
+      set: [],
+      craft: [],
+      transaction: [],
+      break: [],
+      expire: [],
+    };
   }
 
   /**
@@ -1623,11 +3558,12 @@ class TinyInventory {
   }
 
   /**
-   * Clears all items in the normal inventory slots and triggers remove events.
+   * Clears all items in the normal inventory slots (unlocking them) and triggers remove events.
    *
    * @returns {void}
    */
   clearItems() {
+    this.#lockedSlots.clear();
     for (let i = this.#items.length - 1; i >= 0; i--) {
       if (this.#items[i]) this.deleteItem(i, true);
     }
@@ -1652,16 +3588,22 @@ class TinyInventory {
    * but will be a fully independent instance. Any changes to the clone will
    * not affect the original inventory and vice versa.
    *
+   * @param {boolean} [keepLocks=false] - Whether the slot locks are copied too (useful to simulate operations).
    * @returns {TinyInventory} A new TinyInventory instance identical to this one.
    */
-  clone() {
+  clone(keepLocks = false) {
+    if (typeof keepLocks !== 'boolean') throw new TypeError('`keepLocks` must be a boolean.');
     const obj = this.toObject();
-    return TinyInventory.fromObject(obj);
+    const inv = TinyInventory.fromObject(obj);
+    inv.clock = this.#clock;
+    if (keepLocks) inv.#lockedSlots = new Set(this.#lockedSlots);
+    return inv;
   }
 
   /**
    * Creates a plain JSON-safe object representing the current inventory state.
    * Functions (e.g., onUse) are NOT serialized; only instance state is saved.
+   * Grid inventories also store the position of every stack.
    * @returns {SerializedInventory} A plain object safe to JSON.stringify.
    */
   toObject() {
@@ -1676,7 +3618,7 @@ class TinyInventory {
 
     return {
       __schema: 'TinyInventory',
-      version: 1,
+      version: 2,
 
       maxWeight: this.#maxWeight,
       maxSlots: this.#maxSlots,
@@ -1685,6 +3627,14 @@ class TinyInventory {
 
       items: this.#items.map((it) => (it ? this.#cloneItemData(it) : null)),
       specialSlots: special,
+
+      grid: this.#grid ? { ...this.#grid } : null,
+      gridPlacements: this.#grid
+        ? this.#items.map((_, index) => {
+            const placement = this.#gridPlacements.get(index);
+            return placement ? { ...placement } : null;
+          })
+        : [],
     };
   }
 
@@ -1713,7 +3663,7 @@ class TinyInventory {
     if (!obj || typeof obj !== 'object') throw new TypeError('Invalid state: expected object.');
     if (obj.__schema !== 'TinyInventory' || typeof obj.version !== 'number')
       throw new TypeError('Invalid or missing schema header.');
-    if (obj.version !== 1)
+    if (obj.version !== 1 && obj.version !== 2)
       throw new TypeError(`Unsupported TinyInventory state version: ${obj.version}`);
 
     // Prepare constructor options
@@ -1729,12 +3679,14 @@ class TinyInventory {
       maxWeight: obj.maxWeight ?? null,
       maxSlots: obj.maxSlots ?? null,
       maxSize: obj.maxSize ?? null,
-      maxStack: obj.maxStack ?? null,
+      maxStack: obj.maxStack ?? Infinity,
       specialSlots: specialDefs,
+      grid: obj.grid ?? null,
     });
 
     // Restore items
     if (Array.isArray(obj.items)) {
+      const placements = Array.isArray(obj.gridPlacements) ? obj.gridPlacements : [];
       for (const index in obj.items) {
         const it = obj.items[index];
         if (it !== null) {
@@ -1742,8 +3694,15 @@ class TinyInventory {
             id: String(it.id),
             quantity: Math.max(1, Number(it.quantity) || 1),
             metadata: it.metadata && typeof it.metadata === 'object' ? it.metadata : {},
+            ...TinyInventory.#readItemState(it),
           };
-          inv.setItem({ slotIndex: Number(index), item: safeItem, forceSpace: true });
+          const placement = placements[Number(index)] ?? null;
+          inv.setItem({
+            slotIndex: Number(index),
+            item: safeItem,
+            forceSpace: true,
+            placement: inv.isGrid ? placement : null,
+          });
         } else inv.setItem({ slotIndex: Number(index), item: null, forceSpace: true });
       }
     }
@@ -1762,6 +3721,7 @@ class TinyInventory {
             id: String(item.id),
             quantity: Math.max(1, Number(item.quantity) || 1),
             metadata: item.metadata && typeof item.metadata === 'object' ? item.metadata : {},
+            ...TinyInventory.#readItemState(item),
           };
           inv.setSpecialSlot({ slotId, item: safeEquipped, forceSpace: true });
         }
@@ -1771,6 +3731,19 @@ class TinyInventory {
     return inv;
   }
 
+  /**
+   * Reads the durability and expiry fields of a serialized item, ignoring invalid values.
+   * @param {InventoryItem} item - Serialized item.
+   * @returns {{ durability?: number; expiresAt?: number }} State fields to spread into the item.
+   */
+  static #readItemState(item) {
+    /** @type {{ durability?: number; expiresAt?: number }} */
+    const state = {};
+    if (typeof item.durability === 'number') state.durability = item.durability;
+    if (typeof item.expiresAt === 'number') state.expiresAt = item.expiresAt;
+    return state;
+  }
+
   /**
    * Rebuilds a TinyInventory from a JSON string produced by {@link TinyInventory.toJSON}.
    * @param {string} json - JSON string.
@@ -0,0 +1,684 @@
+import TinyInventory from './TinyInventory.mjs';
+
+/**
+ * Price and stock configuration of an item sold or bought by a shop.
+ * Prices are always from the customer's point of view.
+ *
+ * @typedef {Object} ShopEntry
+ * @property {string} itemId - Item ID.
+ * @property {number|null} buyPrice - Price paid by the customer for one unit (null if the shop does not sell it).
+ * @property {number|null} sellPrice - Price paid to the customer for one unit (null if the shop does not buy it).
+ * @property {number|null} stockLimit - Maximum amount the shop keeps in stock (null for no limit).
+ * @property {number} restockAmount - Units added to the stock on each restock.
+ * @property {number|null} restockInterval - Time between restocks (null to disable restocking).
+ */
+
+/**
+ * Numeric wallet used when the shop has no currency item.
+ *
+ * @typedef {Object} ShopWallet
+ * @property {number} balance - Current balance.
+ */
+
+/**
+ * The other side of a shop operation.
+ *
+ * @typedef {Object} ShopCustomer
+ * @property {TinyInventory} inventory - Customer inventory.
+ * @property {ShopWallet} [wallet] - Customer wallet (required when the shop uses numeric wallets).
+ */
+
+/**
+ * Why a quote or purchase cannot be completed.
+ * - `price`: the item is not traded in this direction.
+ * - `stock`: the shop does not have enough units.
+ * - `items`: the customer does not have enough units to sell.
+ * - `limit`: the shop would exceed the stock limit of the item.
+ * - `funds`: the customer cannot pay.
+ * - `shopFunds`: the shop cannot pay.
+ * - `space`: one of the inventories cannot hold the goods or the currency.
+ * - `expired`: the quote is no longer valid.
+ *
+ * @typedef {'price'|'stock'|'items'|'limit'|'funds'|'shopFunds'|'space'|'expired'} ShopFailReason
+ */
+
+/**
+ * Price quote created by {@link TinyInventoryShop#quote}.
+ *
+ * @typedef {Object} ShopQuote
+ * @property {number} id - Quote ID (used by `confirm`).
+ * @property {'buy'|'sell'} action - `buy` when the customer buys from the shop, `sell` when the customer sells to it.
+ * @property {string} itemId - Item ID.
+ * @property {number} quantity - Quantity of units.
+ * @property {number} unitPrice - Price of one unit (after the price modifier).
+ * @property {number} total - Total price.
+ * @property {number} createdAt - Clock time when the quote was created.
+ * @property {number|null} expiresAt - Clock time when the quote expires (null if it never expires).
+ * @property {boolean} valid - Whether the quote can be confirmed right now.
+ * @property {ShopFailReason|null} reason - Why the quote is invalid, if it is.
+ */
+
+/**
+ * Result of {@link TinyInventoryShop#confirm}.
+ *
+ * @typedef {Object} ShopResult
+ * @property {boolean} success - Whether goods and currency were swapped.
+ * @property {ShopFailReason|null} reason - Why the operation failed, if it did.
+ * @property {ShopQuote} quote - The confirmed quote.
+ */
+
+/**
+ * Context passed to the price modifier.
+ *
+ * @typedef {Object} ShopPriceContext
+ * @property {'buy'|'sell'} action - Operation direction.
+ * @property {string} itemId - Item ID.
+ * @property {number} quantity - Quantity of units.
+ * @property {number} unitPrice - Base price of one unit from the price table.
+ * @property {ShopCustomer} customer - The customer.
+ * @property {TinyInventoryShop} shop - The shop.
+ */
+
+/**
+ * Function that adjusts the unit price of a quote (discounts, reputation, haggling...).
+ *
+ * @typedef {(context: ShopPriceContext) => number} ShopPriceModifier
+ */
+
+/**
+ * A shop layer on top of {@link TinyInventory}.
+ *
+ * Features:
+ * - Price tables per item ID, with a configurable buy/sell spread.
+ * - Payments with a currency item (e.g., "gold") or numeric wallets.
+ * - Stock limits and restock timers driven by an injectable clock.
+ * - A quote → confirm flow that validates both inventories before swapping
+ *   goods and currency in a single atomic operation.
+ */
+class TinyInventoryShop {
+  /** @type {TinyInventory} */
+  #inventory;
+
+  /** @type {string|null} */
+  #currencyItem = null;
+
+  /** @type {number} */
+  #wallet = Infinity;
+
+  /** @type {number} */
+  #spread = 0.5;
+
+  /** @type {number|null} */
+  #quoteTtl = null;
+
+  /** @type {ShopPriceModifier|null} */
+  #priceModifier = null;
+
+  /** @type {() => number} */
+  #clock = () => Date.now();
+
+  /** @type {Map<string, ShopEntry>} */
+  #prices = new Map();
+
+  /** @type {Map<string, number>} */
+  #lastRestock = new Map();
+
+  /** @type {Map<number, { quote: ShopQuote; customer: ShopCustomer }>} */
+  #quotes = new Map();
+
+  /** @type {number} */
+  #nextQuoteId = 1;
+
+  ///////////////////////////////////////////////
+
+  /** @returns {TinyInventory} The inventory holding the shop stock. */
+  get inventory() {
+    return this.#inventory;
+  }
+
+  /** @returns {string|null} The currency item ID, or null when numeric wallets are used. */
+  get currencyItem() {
+    return this.#currencyItem;
+  }
+
+  /**
+   * Gets the shop funds.
+   * With a currency item, this is the amount of that item in the shop inventory.
+   * @returns {number}
+   */
+  get wallet() {
+    if (this.#currencyItem) return this.#countItem(this.#inventory, this.#currencyItem);
+    return this.#wallet;
+  }
+
+  /**
+   * Sets the numeric wallet of the shop (use `Infinity` for unlimited funds).
+   * @param {number} value
+   * @throws {Error} If the shop uses a currency item or the value is invalid.
+   */
+  set wallet(value) {
+    if (this.#currencyItem)
+      throw new Error('The shop wallet is its inventory when a currency item is used.');
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0)
+      throw new TypeError('wallet must be a number >= 0.');
+    this.#wallet = value;
+  }
+
+  /** @returns {number} Fraction removed from the buy price to get the default sell price. */
+  get spread() {
+    return this.#spread;
+  }
+
+  /**
+   * Sets the default buy/sell spread.
+   * @param {number} value - Number between 0 and 1.
+   */
+  set spread(value) {
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1))
+      throw new TypeError('spread must be a number between 0 and 1.');
+    this.#spread = value;
+  }
+
+  /** @returns {number|null} How long quotes stay valid (null for no expiry). */
+  get quoteTtl() {
+    return this.#quoteTtl;
+  }
+
+  /** @param {number|null} value - How long quotes stay valid (null for no expiry). */
+  set quoteTtl(value) {
+    if (value !== null && (typeof value !== 'number' || !(value > 0)))
+      throw new TypeError('quoteTtl must be a positive number or null.');
+    this.#quoteTtl = value;
+  }
+
+  /** @returns {ShopPriceModifier|null} The price modifier. */
+  get priceModifier() {
+    return this.#priceModifier;
+  }
+
+  /** @param {ShopPriceModifier|null} value - Function adjusting unit prices, or null. */
+  set priceModifier(value) {
+    if (value !== null && typeof value !== 'function')
+      throw new TypeError('priceModifier must be a function or null.');
+    this.#priceModifier = value;
+  }
+
+  /** @returns {() => number} The clock used for restocks and quote expiry. */
+  get clock() {
+    return this.#clock;
+  }
+
+  /** @param {() => number} value - Function returning the current time. */
+  set clock(value) {
+    if (typeof value !== 'function') throw new TypeError('clock must be a function.');
+    this.#clock = value;
+  }
+
+  ///////////////////////////////////////////////
+
+  /**
+   * Creates a new shop.
+   *
+   * @param {Object} options - Shop configuration.
+   * @param {TinyInventory} options.inventory - Inventory holding the shop stock (and currency items).
+   * @param {string|null} [options.currencyItem=null] - Item used as currency. When null, numeric wallets are used.
+   * @param {number} [options.wallet=Infinity] - Initial numeric wallet of the shop.
+   * @param {number} [options.spread=0.5] - Default spread: `sellPrice = floor(buyPrice * (1 - spread))`.
+   * @param {number|null} [options.quoteTtl=null] - How long quotes stay valid.
+   * @param {ShopPriceModifier|null} [options.priceModifier=null] - Function adjusting unit prices.
+   * @param {() => number} [options.clock=Date.now] - Clock used for restocks and quote expiry.
+   * @throws {Error} If the inventory or the currency item is invalid.
+   */
+  constructor({
+    inventory,
+    currencyItem = null,
+    wallet = Infinity,
+    spread = 0.5,
+    quoteTtl = null,
+    priceModifier = null,
+    clock,
+  }) {
+    if (!(inventory instanceof TinyInventory))
+      throw new TypeError('inventory must be a TinyInventory instance.');
+    if (currencyItem !== null) {
+      if (typeof currencyItem !== 'string')
+        throw new TypeError('currencyItem must be a string or null.');
+      if (!TinyInventory.hasItem(currencyItem))
+        throw new Error(`Currency item '${currencyItem}' not defined in registry.`);
+    }
+    this.#inventory = inventory;
+    this.#currencyItem = currencyItem;
+    if (!currencyItem) this.wallet = wallet;
+    this.spread = spread;
+    this.quoteTtl = quoteTtl;
+    this.priceModifier = priceModifier;
+    if (clock !== undefined) this.clock = clock;
+  }
+
+  ///////////////////////////////////////////////
+
+  /**
+   * Adds or updates the price table entry of an item.
+   *
+   * @param {string} itemId - Item ID.
+   * @param {Object} config - Price and stock configuration.
+   * @param {number|null} [config.buyPrice=null] - Price paid by customers for one unit (null if not sold).
+   * Must be an integer when a currency item is used.
+   * @param {number|null} [config.sellPrice] - Price paid to customers for one unit.
+   * Defaults to `buyPrice` minus the spread (rounded down); use null if the shop does not buy it.
+   * Must be an integer when a currency item is used.
+   * @param {number|null} [config.stockLimit=null] - Maximum amount kept in stock.
+   * @param {number} [config.restockAmount=0] - Units added on each restock.
+   * @param {number|null} [config.restockInterval=null] - Time between restocks.
+   * @throws {Error} If the item is not registered or any value is invalid.
+   */
+  setPrice(
+    itemId,
+    { buyPrice = null, sellPrice, stockLimit = null, restockAmount = 0, restockInterval = null },
+  ) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    if (!TinyInventory.hasItem(itemId))
+      throw new Error(`Item '${itemId}' not defined in registry.`);
+    if (buyPrice !== null && (typeof buyPrice !== 'number' || !(buyPrice >= 0)))
+      throw new TypeError('`buyPrice` must be a number >= 0 or null.');
+    if (
+      sellPrice !== undefined &&
+      sellPrice !== null &&
+      (typeof sellPrice !== 'number' || !(sellPrice >= 0))
+    )
+      throw new TypeError('`sellPrice` must be a number >= 0 or null.');
+    // Currency items are counted in whole units
+    if (
+      this.#currencyItem &&
+      ((buyPrice !== null && !Number.isInteger(buyPrice)) ||
+        (sellPrice !== undefined && sellPrice !== null && !Number.isInteger(sellPrice)))
+    )
+      throw new TypeError('Prices must be integers when a currency item is used.');
+    if (stockLimit !== null && (typeof stockLimit !== 'number' || !(stockLimit >= 0)))
+      throw new TypeError('`stockLimit` must be a number >= 0 or null.');
+    if (typeof restockAmount !== 'number' || !(restockAmount >= 0))
+      throw new TypeError('`restockAmount` must be a number >= 0.');
+    if (restockInterval !== null && (typeof restockInterval !== 'number' || !(restockInterval > 0)))
+      throw new TypeError('`restockInterval` must be a positive number or null.');
+
+    this.#prices.set(itemId, {
+      itemId,
+      buyPrice,
+      sellPrice:
+        sellPrice !== undefined
+          ? sellPrice
+          : buyPrice !== null
+            ? Math.floor(buyPrice * (1 - this.#spread))
+            : null,
+      stockLimit,
+      restockAmount,
+      restockInterval,
+    });
+    if (restockInterval !== null && !this.#lastRestock.has(itemId))
+      this.#lastRestock.set(itemId, this.#clock());
+  }
+
+  /**
+   * Removes an item from the price table.
+   * @param {string} itemId - Item ID.
+   * @returns {boolean} True if the entry existed.
+   */
+  removePrice(itemId) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    this.#lastRestock.delete(itemId);
+    return this.#prices.delete(itemId);
+  }
+
+  /**
+   * Checks if an item is in the price table.
+   * @param {string} itemId - Item ID.
+   * @returns {boolean}
+   */
+  hasPrice(itemId) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    return this.#prices.has(itemId);
+  }
+
+  /**
+   * Gets a copy of the price table entry of an item.
+   * @param {string} itemId - Item ID.
+   * @returns {ShopEntry|null}
+   */
+  getPrice(itemId) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    const entry = this.#prices.get(itemId);
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Gets copies of every price table entry.
+   * @returns {ShopEntry[]}
+   */
+  getPriceList() {
+    return [...this.#prices.values()].map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Gets the amount of an item currently in stock (after processing pending restocks).
+   * @param {string} itemId - Item ID.
+   * @returns {number}
+   */
+  getStock(itemId) {
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    this.restock();
+    return this.#countItem(this.#inventory, itemId);
+  }
+
+  /**
+   * Processes restock timers. Each elapsed interval adds `restockAmount` units,
+   * up to the item's `stockLimit` and the space of the shop inventory.
+   * Called automatically by `getStock`, `quote` and `confirm`.
+   *
+   * @returns {{ itemId: string; added: number }[]} Items that were restocked.
+   */
+  restock() {
+    /** @type {{ itemId: string; added: number }[]} */
+    const result = [];
+    const now = this.#clock();
+    for (const entry of this.#prices.values()) {
+      if (entry.restockInterval === null) continue;
+      const last = this.#lastRestock.get(entry.itemId) ?? now;
+      const cycles = Math.floor((now - last) / entry.restockInterval);
+      if (cycles <= 0) continue;
+      this.#lastRestock.set(entry.itemId, last + cycles * entry.restockInterval);
+
+      const current = this.#countItem(this.#inventory, entry.itemId);
+      const wanted = Math.min(
+        cycles * entry.restockAmount,
+        entry.stockLimit !== null ? Math.max(0, entry.stockLimit - current) : Infinity,
+      );
+      if (wanted <= 0) continue;
+      const { remaining } = this.#inventory.addItem({ itemId: entry.itemId, quantity: wanted });
+      if (wanted - remaining > 0) result.push({ itemId: entry.itemId, added: wanted - remaining });
+    }
+    return result;
+  }
+
+  ///////////////////////////////////////////////
+
+  /**
+   * Creates a price quote for buying from or selling to the shop.
+   * Valid quotes are kept until confirmed, cancelled or expired.
+   *
+   * @param {Object} config - Quote configuration.
+   * @param {'buy'|'sell'} config.action - `buy` (customer buys) or `sell` (customer sells).
+   * @param {string} config.itemId - Item ID.
+   * @param {number} [config.quantity=1] - Quantity of units.
+   * @param {ShopCustomer} config.customer - The customer.
+   * @returns {ShopQuote} The quote (check `valid` and `reason`).
+   * @throws {Error} If any argument is invalid.
+   */
+  quote({ action, itemId, quantity = 1, customer }) {
+    if (action !== 'buy' && action !== 'sell')
+      throw new TypeError("`action` must be 'buy' or 'sell'.");
+    if (typeof itemId !== 'string') throw new TypeError('`itemId` must be a string.');
+    if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity <= 0)
+      throw new TypeError('`quantity` must be a positive integer.');
+    this.#validateCustomer(customer);
+
+    const entry = this.#prices.get(itemId);
+    const basePrice = entry ? (action === 'buy' ? entry.buyPrice : entry.sellPrice) : null;
+    let unitPrice = basePrice ?? 0;
+    if (basePrice !== null && this.#priceModifier) {
+      unitPrice = this.#priceModifier({
+        action,
+        itemId,
+        quantity,
+        unitPrice: basePrice,
+        customer,
+        shop: this,
+      });
+      if (typeof unitPrice !== 'number' || !(unitPrice >= 0))
+        throw new TypeError('priceModifier must return a number >= 0.');
+      if (this.#currencyItem && !Number.isInteger(unitPrice))
+        throw new TypeError('priceModifier must return an integer when a currency item is used.');
+    }
+
+    const now = this.#clock();
+    /** @type {ShopQuote} */
+    const quote = {
+      id: this.#nextQuoteId++,
+      action,
+      itemId,
+      quantity,
+      unitPrice,
+      total: unitPrice * quantity,
+      createdAt: now,
+      expiresAt: this.#quoteTtl !== null ? now + this.#quoteTtl : null,
+      valid: false,
+      reason: null,
+    };
+    quote.reason = basePrice === null ? 'price' : this.#check(quote, customer);
+    quote.valid = quote.reason === null;
+    if (quote.valid) this.#quotes.set(quote.id, { quote, customer });
+    return { ...quote };
+  }
+
+  /**
+   * Confirms a quote, swapping goods and currency atomically.
+   * Everything is validated again with the quoted price; if anything changed
+   * (stock, funds or space), nothing is moved and the failure reason is returned.
+   *
+   * @param {number|ShopQuote} quote - Quote or quote ID.
+   * @returns {ShopResult}
+   * @throws {Error} If the quote is unknown.
+   */
+  confirm(quote) {
+    const id = typeof quote === 'object' && quote !== null ? quote.id : quote;
+    if (typeof id !== 'number') throw new TypeError('`quote` must be a quote or a quote ID.');
+    const pending = this.#quotes.get(id);
+    if (!pending) throw new Error(`Quote '${id}' not found.`);
+    this.#quotes.delete(id);
+
+    const data = { ...pending.quote };
+    const { customer } = pending;
+    if (data.expiresAt !== null && this.#clock() >= data.expiresAt)
+      return { success: false, reason: 'expired', quote: data };
+
+    const reason = this.#check(data, customer);
+    if (reason) return { success: false, reason, quote: data };
+
+    // Shop operations are kept out of the undo history of both inventories
+    try {
+      this.#inventory.transaction(
+        () =>
+          customer.inventory.transaction(
+            () => this.#execute(this.#inventory, customer.inventory, data),
+            null,
+            false,
+          ),
+        null,
+        false,
+      );
+    } catch {
+      return { success: false, reason: 'space', quote: data };
+    }
+    if (!this.#currencyItem) {
+      const wallet = /** @type {ShopWallet} */ (customer.wallet);
+      const sign = data.action === 'buy' ? 1 : -1;
+      wallet.balance -= sign * data.total;
+      this.#wallet += sign * data.total;
+    }
+    return { success: true, reason: null, quote: data };
+  }
+
+  /**
+   * Cancels a pending quote.
+   * @param {number|ShopQuote} quote - Quote or quote ID.
+   * @returns {boolean} True if the quote was pending.
+   */
+  cancelQuote(quote) {
+    const id = typeof quote === 'object' && quote !== null ? quote.id : quote;
+    if (typeof id !== 'number') throw new TypeError('`quote` must be a quote or a quote ID.');
+    return this.#quotes.delete(id);
+  }
+
+  /**
+   * Gets copies of all pending quotes.
+   * @returns {ShopQuote[]}
+   */
+  getPendingQuotes() {
+    return [...this.#quotes.values()].map(({ quote }) => ({ ...quote }));
+  }
+
+  /**
+   * Quotes and confirms a purchase in one step.
+   * @param {Object} config - Purchase configuration.
+   * @param {string} config.itemId - Item ID.
+   * @param {number} [config.quantity=1] - Quantity of units.
+   * @param {ShopCustomer} config.customer - The customer.
+   * @returns {ShopResult}
+   */
+  buy({ itemId, quantity = 1, customer }) {
+    const quote = this.quote({ action: 'buy', itemId, quantity, customer });
+    if (!quote.valid) return { success: false, reason: quote.reason, quote };
+    return this.confirm(quote.id);
+  }
+
+  /**
+   * Quotes and confirms a sale in one step.
+   * @param {Object} config - Sale configuration.
+   * @param {string} config.itemId - Item ID.
+   * @param {number} [config.quantity=1] - Quantity of units.
+   * @param {ShopCustomer} config.customer - The customer.
+   * @returns {ShopResult}
+   */
+  sell({ itemId, quantity = 1, customer }) {
+    const quote = this.quote({ action: 'sell', itemId, quantity, customer });
+    if (!quote.valid) return { success: false, reason: quote.reason, quote };
+    return this.confirm(quote.id);
+  }
+
+  ///////////////////////////////////////////////
+
+  /**
+   * Validates the customer object.
+   * @param {ShopCustomer} customer
+   */
+  #validateCustomer(customer) {
+    if (!customer || typeof customer !== 'object')
+      throw new TypeError('`customer` must be an object.');
+    if (!(customer.inventory instanceof TinyInventory))
+      throw new TypeError('`customer.inventory` must be a TinyInventory instance.');
+    if (customer.inventory === this.#inventory)
+      throw new Error('The customer cannot use the shop inventory.');
+    if (
+      !this.#currencyItem &&
+      (!customer.wallet ||
+        typeof customer.wallet !== 'object' ||
+        typeof customer.wallet.balance !== 'number')
+    )
+      throw new TypeError(
+        '`customer.wallet` must be a wallet object when no currency item is used.',
+      );
+  }
+
+  /**
+   * Counts the units of an item in the unlocked normal slots of an inventory.
+   * @param {TinyInventory} inventory
+   * @param {string} itemId
+   * @returns {number}
+   */
+  #countItem(inventory, itemId) {
+    let total = 0;
+    for (const [item, index] of inventory.getItemList())
+      if (item.id === itemId && !inventory.isSlotLocked(index)) total += item.quantity;
+    return total;
+  }
+
+  /**
+   * Checks if a quote can be executed right now.
+   * The swap is simulated on clones of both inventories (with their slot locks) to validate their capacity.
+   *
+   * @param {ShopQuote} quote
+   * @param {ShopCustomer} customer
+   * @returns {ShopFailReason|null}
+   */
+  #check(quote, customer) {
+    this.restock();
+    const entry = this.#prices.get(quote.itemId);
+    if (!entry || (quote.action === 'buy' ? entry.buyPrice : entry.sellPrice) === null)
+      return 'price';
+
+    const seller = quote.action === 'buy' ? this.#inventory : customer.inventory;
+    if (this.#countItem(seller, quote.itemId) < quote.quantity)
+      return quote.action === 'buy' ? 'stock' : 'items';
+    if (
+      quote.action === 'sell' &&
+      entry.stockLimit !== null &&
+      this.#countItem(this.#inventory, quote.itemId) + quote.quantity > entry.stockLimit
+    )
+      return 'limit';
+
+    const payerFunds =
+      quote.action === 'buy'
+        ? this.#currencyItem
+          ? this.#countItem(customer.inventory, this.#currencyItem)
+          : /** @type {ShopWallet} */ (customer.wallet).balance
+        : this.wallet;
+    if (payerFunds < quote.total) return quote.action === 'buy' ? 'funds' : 'shopFunds';
+
+    try {
+      this.#execute(this.#inventory.clone(true), customer.inventory.clone(true), quote);
+    } catch {
+      return 'space';
+    }
+    return null;
+  }
+
+  /**
+   * Moves goods and currency items between the shop and the customer.
+   * @param {TinyInventory} shopInv
+   * @param {TinyInventory} customerInv
+   * @param {ShopQuote} quote
+   * @throws {Error} If something does not fit.
+   */
+  #execute(shopInv, customerInv, quote) {
+    const [goodsFrom, goodsTo] =
+      quote.action === 'buy' ? [shopInv, customerInv] : [customerInv, shopInv];
+    this.#moveUnits(goodsFrom, goodsTo, quote.itemId, quote.quantity);
+    if (this.#currencyItem && quote.total > 0)
+      this.#moveUnits(goodsTo, goodsFrom, this.#currencyItem, quote.total);
+  }
+
+  /**
+   * Moves units of an item between the unlocked normal slots of two inventories,
+   * keeping metadata, durability and expiry of each stack.
+   *
+   * @param {TinyInventory} from
+   * @param {TinyInventory} to
+   * @param {string} itemId
+   * @param {number} quantity
+   * @throws {Error} If the source lacks units or the target has no space.
+   */
+  #moveUnits(from, to, itemId, quantity) {
+    let remaining = quantity;
+    for (const [item, index] of from.getItemList()) {
+      if (remaining <= 0) break;
+      if (item.id !== itemId || from.isSlotLocked(index)) continue;
+      const take = Math.min(item.quantity, remaining);
+      from.setItem({
+        slotIndex: index,
+        item: take < item.quantity ? { ...item, quantity: item.quantity - take } : null,
+        forceSpace: true,
+      });
+      const result = to.addItem({
+        itemId,
+        quantity: take,
+        metadata: item.metadata,
+        durability: item.durability ?? null,
+        expiresAt: item.expiresAt ?? null,
+      });
+      if (result.remaining > 0) throw new Error(`Not enough space for item '${itemId}'.`);
+      remaining -= take;
+    }
+    if (remaining > 0) throw new Error(`Not enough units of item '${itemId}'.`);
+  }
+}
+
+export default TinyInventoryShop;
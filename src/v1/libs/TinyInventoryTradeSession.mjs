@@ -0,0 +1,624 @@
+import TinyEvents from './TinyEvents.mjs';
+import TinyInventory from './TinyInventory.mjs';
+
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+
+/** @typedef {import('./TinyInventory.mjs').InventoryItem} InventoryItem */
+
+/**
+ * Side of a trade session.
+ * @typedef {'a'|'b'} TradeSide
+ */
+
+/**
+ * Current status of a trade session.
+ * @typedef {'open'|'completed'|'cancelled'} TradeStatus
+ */
+
+/**
+ * An item placed on the table by one side.
+ *
+ * @typedef {Object} TradeOffer
+ * @property {number} slotIndex - Slot index of the offered stack in the owner's inventory.
+ * @property {number} quantity - Offered quantity.
+ * @property {InventoryItem} item - Snapshot of the offered stack, with the offered quantity.
+ */
+
+/**
+ * Read-only view of a trade session, sent with every event.
+ *
+ * @typedef {Object} TradeSnapshot
+ * @property {TradeStatus} status - Session status.
+ * @property {{ a: TradeOffer[]; b: TradeOffer[] }} offers - Offers of each side.
+ * @property {{ a: boolean; b: boolean }} accepted - Whether each side accepted the current offers.
+ * @property {string|null} reason - Why the session was cancelled, if it was.
+ */
+
+/**
+ * Generic event handler function for message or signal reception.
+ * @callback handler
+ * @param {any} payload - The data sent by the emitter.
+ * @param {any} event - Metadata about the emitted event.
+ */
+
+/**
+ * A two-party trade session between two {@link TinyInventory} instances.
+ *
+ * Both sides place offers from their inventories and must accept the current deal.
+ * Any change to the offers resets both acceptances. Offered stacks are locked
+ * (see {@link TinyInventory#lockSlot}) while the session is open, so they cannot be used,
+ * moved or consumed. When both sides accept, everything is swapped in one atomic
+ * operation; if the swap cannot be completed, the session is cancelled and nothing moves.
+ *
+ * Events (each payload includes a `snapshot`, and a `change` event with the snapshot follows every one of them):
+ * - `offer` → `{ side, action: 'add'|'update'|'remove', offer }`
+ * - `accept` / `unaccept` → `{ side }`
+ * - `acceptReset` → `{ side }` (the side whose change reset the acceptances)
+ * - `complete` → `{ received: { a: InventoryItem[], b: InventoryItem[] } }`
+ * - `cancel` → `{ reason }`
+ *
+ * @class
+ */
+class TinyInventoryTradeSession {
+  #events = new TinyEvents();
+
+  /**
+   * Emits an event, triggering all registered handlers for that event.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {boolean[]} True if any listeners were called, false otherwise.
+   */
+  #emit(event, ...payload) {
+    return this.#events.emit(event, ...payload);
+  }
+
+  /**
+   * Enables or disables throwing an error when the maximum number of listeners is exceeded.
+   *
+   * @param {boolean} shouldThrow - If true, an error will be thrown when the max is exceeded.
+   */
+  setThrowOnMaxListeners(shouldThrow) {
+    return this.#events.setThrowOnMaxListeners(shouldThrow);
+  }
+
+  /**
+   * Checks whether an error will be thrown when the max listener limit is exceeded.
+   *
+   * @returns {boolean} True if an error will be thrown, false if only a warning is shown.
+   */
+  getThrowOnMaxListeners() {
+    return this.#events.getThrowOnMaxListeners();
+  }
+
+  /////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
+  }
+
+  /**
+   * Adds a one-time listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped handler used internally.
+   */
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
+  }
+
+  //////////////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'accept' or 'complete'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'accept' or 'complete'.
+   * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
+  }
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'accept' or 'complete'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'accept' or 'complete'.
+   * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
+  }
+
+  ////////////////////////////////////////////////////////////////////
+
+  /**
+   * Removes a previously registered event listener.
+   *
+   * @param {string|string[]} event - The name of the event to remove the handler from.
+   * @param {handler} handler - The specific callback function to remove.
+   */
+  off(event, handler) {
+    return this.#events.off(event, handler);
+  }
+
+  /**
+   * Removes all event listeners of a specific type from the session.
+   *
+   * @param {string|string[]} event - The event type to remove (e.g. 'complete').
+   */
+  offAll(event) {
+    return this.#events.offAll(event);
+  }
+
+  /**
+   * Removes all event listeners of all types from the session.
+   */
+  offAllTypes() {
+    return this.#events.offAllTypes();
+  }
+
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * Returns the number of listeners for a given event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {number} Number of listeners for the event.
+   */
+  listenerCount(event) {
+    return this.#events.listenerCount(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  listeners(event) {
+    return this.#events.listeners(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  onceListeners(event) {
+    return this.#events.onceListeners(event);
+  }
+
+  /**
+   * Returns a copy of the internal listeners array for the specified event,
+   * including wrapper functions like those used by `.once()`.
+   * @param {string | symbol} event - The event name.
+   * @returns {handler[]} An array of raw listener functions.
+   */
+  allListeners(event) {
+    return this.#events.allListeners(event);
+  }
+
+  /**
+   * Returns an array of event names for which there are registered listeners.
+   *
+   * @returns {string[]} Array of registered event names.
+   */
+  eventNames() {
+    return this.#events.eventNames();
+  }
+
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
+  //////////////////////////////////////////////////////
+
+  /**
+   * Sets the maximum number of listeners per event before a warning is shown.
+   *
+   * @param {number} n - The maximum number of listeners.
+   */
+  setMaxListeners(n) {
+    return this.#events.setMaxListeners(n);
+  }
+
+  /**
+   * Gets the maximum number of listeners allowed per event.
+   *
+   * @returns {number} The maximum number of listeners.
+   */
+  getMaxListeners() {
+    return this.#events.getMaxListeners();
+  }
+
+  /** @type {{ a: TinyInventory; b: TinyInventory }} */
+  #inventories;
+
+  /** @type {{ a: Map<number, TradeOffer>; b: Map<number, TradeOffer> }} */
+  #offers = { a: new Map(), b: new Map() };
+
+  /** @type {{ a: boolean; b: boolean }} */
+  #accepted = { a: false, b: false };
+
+  /** @type {TradeStatus} */
+  #status = 'open';
+
+  /** @type {string|null} */
+  #reason = null;
+
+  /** @returns {TradeStatus} The session status. */
+  get status() {
+    return this.#status;
+  }
+
+  /** @returns {boolean} True while offers can still be changed. */
+  get isOpen() {
+    return this.#status === 'open';
+  }
+
+  /** @returns {string|null} Why the session was cancelled, if it was. */
+  get reason() {
+    return this.#reason;
+  }
+
+  /** @returns {TinyInventory} Inventory of side `a`. */
+  get inventoryA() {
+    return this.#inventories.a;
+  }
+
+  /** @returns {TinyInventory} Inventory of side `b`. */
+  get inventoryB() {
+    return this.#inventories.b;
+  }
+
+  /**
+   * Opens a trade session between two inventories.
+   * @param {TinyInventory} inventoryA - Inventory of side `a`.
+   * @param {TinyInventory} inventoryB - Inventory of side `b`.
+   * @throws {Error} If the inventories are invalid or the same instance.
+   */
+  constructor(inventoryA, inventoryB) {
+    if (!(inventoryA instanceof TinyInventory) || !(inventoryB instanceof TinyInventory))
+      throw new Error('Both sides must be TinyInventory instances.');
+    if (inventoryA === inventoryB) throw new Error('Both sides must be different inventories.');
+    this.#inventories = { a: inventoryA, b: inventoryB };
+  }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Validates a side value.
+   * @param {TradeSide} side
+   */
+  #assertSide(side) {
+    if (side !== 'a' && side !== 'b') throw new TypeError("`side` must be 'a' or 'b'.");
+  }
+
+  /**
+   * Throws if the session is no longer open.
+   */
+  #assertOpen() {
+    if (this.#status !== 'open') throw new Error(`Trade session is already ${this.#status}.`);
+  }
+
+  /**
+   * Gets the inventory of a side.
+   * @param {TradeSide} side - Trade side.
+   * @returns {TinyInventory}
+   */
+  getInventory(side) {
+    this.#assertSide(side);
+    return this.#inventories[side];
+  }
+
+  /**
+   * Gets the current offers of a side.
+   * @param {TradeSide} side - Trade side.
+   * @returns {TradeOffer[]}
+   */
+  getOffers(side) {
+    this.#assertSide(side);
+    return [...this.#offers[side].values()].map((offer) => ({
+      ...offer,
+      item: { ...offer.item, metadata: { ...offer.item.metadata } },
+    }));
+  }
+
+  /**
+   * Checks whether a side accepted the current offers.
+   * @param {TradeSide} side - Trade side.
+   * @returns {boolean}
+   */
+  isAccepted(side) {
+    this.#assertSide(side);
+    return this.#accepted[side];
+  }
+
+  /**
+   * Gets a read-only view of the session.
+   * @returns {TradeSnapshot}
+   */
+  getSnapshot() {
+    return {
+      status: this.#status,
+      offers: { a: this.getOffers('a'), b: this.getOffers('b') },
+      accepted: { ...this.#accepted },
+      reason: this.#reason,
+    };
+  }
+
+  /**
+   * Emits an event with the current snapshot, followed by a `change` event.
+   * @param {string} event - Event name.
+   * @param {Record<string, any>} payload - Event data.
+   */
+  #emitState(event, payload) {
+    const snapshot = this.getSnapshot();
+    this.#emit(event, { ...payload, snapshot });
+    this.#emit('change', snapshot);
+  }
+
+  /**
+   * Resets both acceptances after a change made by one side.
+   * @param {TradeSide} side - Side that changed the deal.
+   */
+  #resetAcceptance(side) {
+    if (!this.#accepted.a && !this.#accepted.b) return;
+    this.#accepted = { a: false, b: false };
+    this.#emitState('acceptReset', { side });
+  }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Places (or updates) an offer from a slot of a side's inventory.
+   * The whole stack is locked while it is offered, even if only part of it is traded.
+   *
+   * @param {Object} config - Offer configuration.
+   * @param {TradeSide} config.side - Side making the offer.
+   * @param {number} config.slotIndex - Slot index in that side's inventory.
+   * @param {number|null} [config.quantity=null] - Quantity to offer (null for the whole stack).
+   * @returns {TradeOffer} The offer.
+   * @throws {Error} If the session is closed, the slot is empty or locked by something else, or the quantity is invalid.
+   */
+  offerItem({ side, slotIndex, quantity = null }) {
+    this.#assertSide(side);
+    this.#assertOpen();
+    if (typeof slotIndex !== 'number' || !Number.isInteger(slotIndex))
+      throw new TypeError('`slotIndex` must be an integer.');
+    if (
+      quantity !== null &&
+      (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity <= 0)
+    )
+      throw new TypeError('`quantity` must be a positive integer or null.');
+
+    const inventory = this.#inventories[side];
+    const item = inventory.getItemFrom(slotIndex);
+    if (!item) throw new Error(`No item found in slot ${slotIndex}.`);
+    const amount = quantity ?? item.quantity;
+    if (amount > item.quantity)
+      throw new Error(`Not enough quantity of item '${item.id}' in slot ${slotIndex}.`);
+
+    const offers = this.#offers[side];
+    const exists = offers.has(slotIndex);
+    if (!exists) inventory.lockSlot(slotIndex);
+
+    /** @type {TradeOffer} */
+    const offer = { slotIndex, quantity: amount, item: { ...item, quantity: amount } };
+    offers.set(slotIndex, offer);
+    this.#emitState('offer', { side, action: exists ? 'update' : 'add', offer });
+    this.#resetAcceptance(side);
+    return { ...offer, item: { ...offer.item } };
+  }
+
+  /**
+   * Removes an offer and unlocks its slot.
+   *
+   * @param {Object} config - Offer location.
+   * @param {TradeSide} config.side - Side that made the offer.
+   * @param {number} config.slotIndex - Slot index of the offer.
+   * @returns {boolean} True if the offer existed.
+   * @throws {Error} If the session is closed.
+   */
+  removeOffer({ side, slotIndex }) {
+    this.#assertSide(side);
+    this.#assertOpen();
+    const offers = this.#offers[side];
+    const offer = offers.get(slotIndex);
+    if (!offer) return false;
+
+    offers.delete(slotIndex);
+    this.#inventories[side].unlockSlot(slotIndex);
+    this.#emitState('offer', { side, action: 'remove', offer });
+    this.#resetAcceptance(side);
+    return true;
+  }
+
+  /**
+   * Accepts the current offers for one side.
+   * When both sides have accepted, the trade is completed immediately.
+   *
+   * @param {TradeSide} side - Side accepting.
+   * @returns {TradeStatus} The session status after accepting.
+   * @throws {Error} If the session is closed.
+   */
+  accept(side) {
+    this.#assertSide(side);
+    this.#assertOpen();
+    if (this.#accepted[side]) return this.#status;
+    this.#accepted[side] = true;
+    this.#emitState('accept', { side });
+    if (this.#accepted.a && this.#accepted.b) this.#complete();
+    return this.#status;
+  }
+
+  /**
+   * Withdraws the acceptance of one side.
+   * @param {TradeSide} side - Side withdrawing.
+   * @returns {boolean} True if the side had accepted.
+   * @throws {Error} If the session is closed.
+   */
+  unaccept(side) {
+    this.#assertSide(side);
+    this.#assertOpen();
+    if (!this.#accepted[side]) return false;
+    this.#accepted[side] = false;
+    this.#emitState('unaccept', { side });
+    return true;
+  }
+
+  /**
+   * Cancels the session, unlocking every offered slot. Nothing is moved.
+   * @param {string} [reason='cancelled'] - Cancel reason sent to listeners.
+   * @returns {boolean} True if the session was open.
+   */
+  cancel(reason = 'cancelled') {
+    if (typeof reason !== 'string') throw new TypeError('`reason` must be a string.');
+    if (this.#status !== 'open') return false;
+    this.#unlockAll();
+    this.#close('cancelled', reason);
+    this.#emitState('cancel', { reason });
+    return true;
+  }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Unlocks every offered slot on both sides.
+   */
+  #unlockAll() {
+    for (const side of /** @type {TradeSide[]} */ (['a', 'b']))
+      for (const slotIndex of this.#offers[side].keys())
+        this.#inventories[side].unlockSlot(slotIndex);
+  }
+
+  /**
+   * Closes the session.
+   * @param {TradeStatus} status - Final status.
+   * @param {string|null} reason - Cancel reason.
+   */
+  #close(status, reason) {
+    this.#status = status;
+    this.#reason = reason;
+  }
+
+  /**
+   * Swaps every offer atomically. If anything fails, both inventories are
+   * rolled back and the session is cancelled with the reason `failed`.
+   */
+  #complete() {
+    const snapshot = this.getSnapshot();
+    this.#unlockAll();
+
+    /** @type {{ a: InventoryItem[]; b: InventoryItem[] }} */
+    const received = { a: [], b: [] };
+    try {
+      const { a, b } = this.#inventories;
+      a.transaction(
+        () =>
+          b.transaction(
+            () => {
+              // Take everything first, so the freed space can be used by the incoming items
+              /** @type {{ a: InventoryItem[]; b: InventoryItem[] }} */
+              const taken = { a: [], b: [] };
+              for (const side of /** @type {TradeSide[]} */ (['a', 'b'])) {
+                const inventory = this.#inventories[side];
+                for (const offer of snapshot.offers[side]) {
+                  const item = inventory.getItemFrom(offer.slotIndex);
+                  if (!item || item.id !== offer.item.id || item.quantity < offer.quantity)
+                    throw new Error(
+                      `Offered item in slot ${offer.slotIndex} is no longer available.`,
+                    );
+                  inventory.setItem({
+                    slotIndex: offer.slotIndex,
+                    item:
+                      item.quantity > offer.quantity
+                        ? { ...item, quantity: item.quantity - offer.quantity }
+                        : null,
+                    forceSpace: true,
+                  });
+                  taken[side].push({ ...item, quantity: offer.quantity });
+                }
+              }
+
+              for (const [from, to] of /** @type {[TradeSide, TradeSide][]} */ ([
+                ['a', 'b'],
+                ['b', 'a'],
+              ])) {
+                for (const item of taken[from]) {
+                  const result = this.#inventories[to].addItem({
+                    itemId: item.id,
+                    quantity: item.quantity,
+                    metadata: item.metadata,
+                    durability: item.durability ?? null,
+                    expiresAt: item.expiresAt ?? null,
+                  });
+                  if (result.remaining > 0)
+                    throw new Error(`Not enough space for item '${item.id}'.`);
+                  received[to].push(item);
+                }
+              }
+            },
+            'trade',
+            false,
+          ),
+        'trade',
+        false,
+      );
+    } catch {
+      this.#close('cancelled', 'failed');
+      this.#emitState('cancel', { reason: 'failed' });
+      return;
+    }
+
+    this.#offers = { a: new Map(), b: new Map() };
+    this.#close('completed', null);
+    this.#emitState('complete', { received });
+  }
+}
+
+export default TinyInventoryTradeSession;
@@ -1,3 +1,8 @@
+import TinyEvents from './TinyEvents.mjs';
+
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+
 /**
  * Represents a user object used.
  *
@@ -5,24 +10,347 @@
  * @property {number} exp - Current experience points of the user.
  * @property {number} level - Current level of the user.
  * @property {number} totalExp - Total accumulated experience.
+ * @property {number} [prestige] - How many times the user prestiged.
+ * @property {number} [skillPoints] - Unspent skill points.
+ * @property {Record<string, number>} [skills] - Learned skill ranks, by skill ID.
+ */
+
+/**
+ * Function returning the experience needed to go from `level` to `level + 1`.
+ * @callback ExpCurveFn
+ * @param {number} level - The current level (starting at 1).
+ * @param {TinyLevelUp} leveler - The TinyLevelUp instance.
+ * @returns {number} Experience required (must be a positive number).
+ */
+
+/**
+ * Built-in experience curve names, or a custom curve function.
+ * - `linear`: `expLevel * level`.
+ * - `exponential`: `floor(expLevel * growth ^ (level - 1))`.
+ * - `polynomial`: `floor(expLevel * level ^ exponent)`.
+ * - `table`: `table[level - 1]` (the last entry is repeated for higher levels).
+ *
+ * @typedef {'linear'|'exponential'|'polynomial'|'table'|ExpCurveFn} ExpCurve
+ */
+
+/**
+ * Requirement of a skill: another skill at a minimum rank.
+ *
+ * @typedef {Object} SkillRequirement
+ * @property {string} id - Required skill ID.
+ * @property {number} rank - Minimum rank of the required skill.
+ */
+
+/**
+ * A skill declared in the skill tree.
+ *
+ * @typedef {Object} SkillDef
+ * @property {string} id - Unique skill ID.
+ * @property {number} cost - Skill points spent per rank.
+ * @property {number} maxRank - Maximum rank.
+ * @property {number} minLevel - Minimum user level to learn it.
+ * @property {SkillRequirement[]} requires - Skills that must be learned first.
+ */
+
+/**
+ * Why a skill cannot be learned.
+ * - `unknown`: the skill is not in the tree.
+ * - `maxRank`: the skill is already at its maximum rank.
+ * - `level`: the user level is too low.
+ * - `requires`: a required skill is missing or below the required rank.
+ * - `points`: not enough skill points.
+ *
+ * @typedef {'unknown'|'maxRank'|'level'|'requires'|'points'} SkillBlockReason
+ */
+
+/**
+ * Generic event handler function for message or signal reception.
+ * @callback handler
+ * @param {any} payload - The data sent by the emitter.
+ * @param {any} event - Metadata about the emitted event.
  */
 
 /**
  * Class to manage user level-up logic based on experience points.
+ *
+ * Supports pluggable experience curves, a level cap, prestige and a skill tree
+ * that consumes the skill points granted by each level.
+ *
+ * Events:
+ * - `levelUp` / `levelDown` → `{ user, from, to, levels, skillPoints }` (`levels` lists every level crossed in one call).
+ * - `maxLevel` → `{ user, level }` when the level cap is reached.
+ * - `prestige` → `{ user, prestige }`.
+ * - `skillLearned` → `{ user, skillId, rank }`.
+ * - `skillsReset` → `{ user, refunded }`.
  */
 class TinyLevelUp {
+  #events = new TinyEvents();
+
+  /**
+   * Emits an event, triggering all registered handlers for that event.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {boolean[]} True if any listeners were called, false otherwise.
+   */
+  #emit(event, ...payload) {
+    return this.#events.emit(event, ...payload);
+  }
+
+  /**
+   * Enables or disables throwing an error when the maximum number of listeners is exceeded.
+   *
+   * @param {boolean} shouldThrow - If true, an error will be thrown when the max is exceeded.
+   */
+  setThrowOnMaxListeners(shouldThrow) {
+    return this.#events.setThrowOnMaxListeners(shouldThrow);
+  }
+
+  /**
+   * Checks whether an error will be thrown when the max listener limit is exceeded.
+   *
+   * @returns {boolean} True if an error will be thrown, false if only a warning is shown.
+   */
+  getThrowOnMaxListeners() {
+    return this.#events.getThrowOnMaxListeners();
+  }
+
+  /////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
+  }
+
+  /**
+   * Adds a one-time listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped handler used internally.
+   */
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
+  }
+
+  //////////////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'levelUp' or 'skillLearned'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'levelUp' or 'skillLearned'.
+   * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
+  }
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'levelUp' or 'skillLearned'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   */
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'levelUp' or 'skillLearned'.
+   * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
+  }
+
+  ////////////////////////////////////////////////////////////////////
+
+  /**
+   * Removes a previously registered event listener.
+   *
+   * @param {string|string[]} event - The name of the event to remove the handler from.
+   * @param {handler} handler - The specific callback function to remove.
+   */
+  off(event, handler) {
+    return this.#events.off(event, handler);
+  }
+
+  /**
+   * Removes all event listeners of a specific type from the instance.
+   *
+   * @param {string|string[]} event - The event type to remove (e.g. 'levelUp').
+   */
+  offAll(event) {
+    return this.#events.offAll(event);
+  }
+
+  /**
+   * Removes all event listeners of all types from the instance.
+   */
+  offAllTypes() {
+    return this.#events.offAllTypes();
+  }
+
+  ////////////////////////////////////////////////////////////
+
+  /**
+   * Returns the number of listeners for a given event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {number} Number of listeners for the event.
+   */
+  listenerCount(event) {
+    return this.#events.listenerCount(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  listeners(event) {
+    return this.#events.listeners(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  onceListeners(event) {
+    return this.#events.onceListeners(event);
+  }
+
+  /**
+   * Returns a copy of the internal listeners array for the specified event,
+   * including wrapper functions like those used by `.once()`.
+   * @param {string | symbol} event - The event name.
+   * @returns {handler[]} An array of raw listener functions.
+   */
+  allListeners(event) {
+    return this.#events.allListeners(event);
+  }
+
+  /**
+   * Returns an array of event names for which there are registered listeners.
+   *
+   * @returns {string[]} Array of registered event names.
+   */
+  eventNames() {
+    return this.#events.eventNames();
+  }
+
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
+  //////////////////////////////////////////////////////
+
+  /**
+   * Sets the maximum number of listeners per event before a warning is shown.
+   *
+   * @param {number} n - The maximum number of listeners.
+   */
+  setMaxListeners(n) {
+    return this.#events.setMaxListeners(n);
+  }
+
+  /**
+   * Gets the maximum number of listeners allowed per event.
+   *
+   * @returns {number} The maximum number of listeners.
+   */
+  getMaxListeners() {
+    return this.#events.getMaxListeners();
+  }
+
+  /** @type {ExpCurve} */
+  #curve = 'linear';
+
+  /** @type {number} */
+  #growth = 1.5;
+
+  /** @type {number} */
+  #exponent = 2;
+
+  /** @type {number[]} */
+  #table = [];
+
+  /** @type {number|null} */
+  #maxLevel = null;
+
+  /** @type {number} */
+  #prestigeBonus = 0;
+
+  /** @type {number|((level: number) => number)} */
+  #skillPointsPerLevel = 1;
+
+  /** @type {Map<string, SkillDef>} */
+  #skills = new Map();
+
   /**
    * Constructor
    * @param {number} giveExp - Base experience value for random experience generation.
    * @param {number} expLevel - Base experience needed to level up (per level).
+   * @param {Object} [options={}] - Curve, cap, prestige and skill options.
+   * @param {ExpCurve} [options.curve='linear'] - Experience curve.
+   * @param {number} [options.growth=1.5] - Growth factor of the `exponential` curve.
+   * @param {number} [options.exponent=2] - Exponent of the `polynomial` curve.
+   * @param {number[]} [options.table=[]] - Experience per level of the `table` curve.
+   * @param {number|null} [options.maxLevel=null] - Level cap (null for no cap).
+   * @param {number} [options.prestigeBonus=0] - Extra experience per prestige (e.g., 0.1 = +10% per prestige).
+   * @param {number|((level: number) => number)} [options.skillPointsPerLevel=1] - Skill points granted when reaching a level.
    */
-  constructor(giveExp, expLevel) {
+  constructor(giveExp, expLevel, options = {}) {
     if (typeof giveExp !== 'number' || Number.isNaN(giveExp))
       throw new Error('giveExp must be a valid number');
     if (typeof expLevel !== 'number' || Number.isNaN(expLevel))
       throw new Error('expLevel must be a valid number');
+    if (typeof options !== 'object' || options === null)
+      throw new Error('options must be an object');
     this.giveExp = giveExp;
     this.expLevel = expLevel;
+
+    const { curve = 'linear', growth, exponent, table, maxLevel = null } = options;
+    this.setCurve(curve, { growth, exponent, table });
+    this.setMaxLevel(maxLevel);
+    if (options.prestigeBonus !== undefined) this.setPrestigeBonus(options.prestigeBonus);
+    if (options.skillPointsPerLevel !== undefined)
+      this.setSkillPointsPerLevel(options.skillPointsPerLevel);
   }
 
   /**
@@ -34,6 +362,9 @@ class TinyLevelUp {
       exp: 0,
       level: 1,
       totalExp: 0,
+      prestige: 0,
+      skillPoints: 0,
+      skills: {},
     };
   }
 
@@ -52,6 +383,15 @@ class TinyLevelUp {
     if (user.level < 1) throw new Error('level must be at least 1');
     if (typeof user.totalExp !== 'number' || Number.isNaN(user.totalExp))
       throw new Error('totalExp must be a valid number');
+    if (user.prestige !== undefined && (typeof user.prestige !== 'number' || user.prestige < 0))
+      throw new Error('prestige must be a valid number');
+    if (
+      user.skillPoints !== undefined &&
+      (typeof user.skillPoints !== 'number' || Number.isNaN(user.skillPoints))
+    )
+      throw new Error('skillPoints must be a valid number');
+    if (user.skills !== undefined && (typeof user.skills !== 'object' || user.skills === null))
+      throw new Error('skills must be an object');
   }
 
   /**
@@ -65,6 +405,15 @@ class TinyLevelUp {
     if (typeof user.level !== 'number' || Number.isNaN(user.level)) return false;
     if (user.level < 1) return false;
     if (typeof user.totalExp !== 'number' || Number.isNaN(user.totalExp)) return false;
+    if (user.prestige !== undefined && (typeof user.prestige !== 'number' || user.prestige < 0))
+      return false;
+    if (
+      user.skillPoints !== undefined &&
+      (typeof user.skillPoints !== 'number' || Number.isNaN(user.skillPoints))
+    )
+      return false;
+    if (user.skills !== undefined && (typeof user.skills !== 'object' || user.skills === null))
+      return false;
     return true;
   }
 
@@ -94,37 +443,202 @@ class TinyLevelUp {
     return this.expLevel;
   }
 
+  ///////////////////////////////////////////////////
+
+  /**
+   * Returns the current experience curve.
+   * @returns {ExpCurve}
+   */
+  getCurve() {
+    return this.#curve;
+  }
+
+  /**
+   * Changes the experience curve.
+   *
+   * @param {ExpCurve} curve - Curve name or custom function.
+   * @param {Object} [params={}] - Curve parameters.
+   * @param {number} [params.growth] - Growth factor of the `exponential` curve.
+   * @param {number} [params.exponent] - Exponent of the `polynomial` curve.
+   * @param {number[]} [params.table] - Experience per level of the `table` curve.
+   * @throws {Error} If the curve or its parameters are invalid.
+   */
+  setCurve(curve, { growth, exponent, table } = {}) {
+    if (
+      typeof curve !== 'function' &&
+      !['linear', 'exponential', 'polynomial', 'table'].includes(curve)
+    )
+      throw new Error('curve must be linear, exponential, polynomial, table or a function');
+    if (growth !== undefined) {
+      if (typeof growth !== 'number' || !(growth >= 1))
+        throw new Error('growth must be a number >= 1');
+      this.#growth = growth;
+    }
+    if (exponent !== undefined) {
+      if (typeof exponent !== 'number' || !(exponent > 0))
+        throw new Error('exponent must be a positive number');
+      this.#exponent = exponent;
+    }
+    if (table !== undefined) {
+      if (!Array.isArray(table) || table.some((v) => typeof v !== 'number' || !(v > 0)))
+        throw new Error('table must be an array of positive numbers');
+      this.#table = [...table];
+    }
+    if (curve === 'table' && this.#table.length === 0)
+      throw new Error('table curve requires a non-empty table');
+    this.#curve = curve;
+  }
+
+  /**
+   * Gets the experience needed to go from a level to the next one, according to the curve.
+   * @param {number} level - Level (starting at 1).
+   * @returns {number} The experience required.
+   * @throws {Error} If the level is invalid or the curve returns an invalid value.
+   */
+  getExpForLevel(level) {
+    if (typeof level !== 'number' || !Number.isInteger(level) || level < 1)
+      throw new Error('level must be an integer >= 1');
+    const base = this.getExpLevelBase();
+    /** @type {number} */
+    let value;
+    const curve = this.#curve;
+    if (typeof curve === 'function') value = curve(level, this);
+    else if (curve === 'exponential') value = Math.floor(base * this.#growth ** (level - 1));
+    else if (curve === 'polynomial') value = Math.floor(base * level ** this.#exponent);
+    else if (curve === 'table') value = this.#table[Math.min(level, this.#table.length) - 1];
+    else value = base * level;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)
+      throw new Error(`Experience curve returned an invalid value for level ${level}: ${value}`);
+    return value;
+  }
+
+  /**
+   * Returns the level cap.
+   * @returns {number|null}
+   */
+  getMaxLevel() {
+    return this.#maxLevel;
+  }
+
+  /**
+   * Sets the level cap. Users at the cap keep accumulating experience up to
+   * the requirement of their level, but never level up.
+   * @param {number|null} maxLevel - Level cap (null for no cap).
+   */
+  setMaxLevel(maxLevel) {
+    if (
+      maxLevel !== null &&
+      (typeof maxLevel !== 'number' || !Number.isInteger(maxLevel) || maxLevel < 1)
+    )
+      throw new Error('maxLevel must be an integer >= 1 or null');
+    this.#maxLevel = maxLevel;
+  }
+
+  /**
+   * Returns the experience bonus granted per prestige.
+   * @returns {number}
+   */
+  getPrestigeBonus() {
+    return this.#prestigeBonus;
+  }
+
+  /**
+   * Sets the experience bonus granted per prestige.
+   * @param {number} value - Bonus per prestige (e.g., 0.1 = +10% experience per prestige).
+   */
+  setPrestigeBonus(value) {
+    if (typeof value !== 'number' || !(value >= 0))
+      throw new Error('prestigeBonus must be a number >= 0');
+    this.#prestigeBonus = value;
+  }
+
+  /**
+   * Returns the skill points granted per level.
+   * @returns {number|((level: number) => number)}
+   */
+  getSkillPointsPerLevel() {
+    return this.#skillPointsPerLevel;
+  }
+
+  /**
+   * Sets the skill points granted when a user reaches a level.
+   * @param {number|((level: number) => number)} value - Fixed amount or function receiving the reached level.
+   */
+  setSkillPointsPerLevel(value) {
+    if (typeof value !== 'function' && (typeof value !== 'number' || !(value >= 0)))
+      throw new Error('skillPointsPerLevel must be a number >= 0 or a function');
+    this.#skillPointsPerLevel = value;
+  }
+
+  /**
+   * Gets the skill points granted when reaching a level.
+   * @param {number} level - The reached level.
+   * @returns {number}
+   */
+  getSkillPointsForLevel(level) {
+    const value =
+      typeof this.#skillPointsPerLevel === 'function'
+        ? this.#skillPointsPerLevel(level)
+        : this.#skillPointsPerLevel;
+    if (typeof value !== 'number' || !(value >= 0))
+      throw new Error(`skillPointsPerLevel returned an invalid value for level ${level}`);
+    return value;
+  }
+
+  ///////////////////////////////////////////////////
+
   /**
    * Validates and adjusts the user's level based on their current experience.
+   * Emits `levelUp`/`levelDown` (and `maxLevel`) when the level changes.
    * @param {UserEditor} user - The user object containing experience and level properties.
    * @returns {UserEditor} The updated user object.
    * @throws {Error} If any property (exp, level, totalExp) is not a valid number.
    */
   expValidator(user) {
-    const expLevel = this.getExpLevelBase();
     this.validateUser(user);
+    const from = user.level;
+    /** @type {number[]} */
+    const levels = [];
+    let skillPoints = 0;
 
-    let extraValue = 0;
-    const nextLevelExp = expLevel * user.level;
+    while (true) {
+      const nextLevelExp = this.getExpForLevel(user.level);
 
-    // Level Up
-    if (user.exp >= nextLevelExp) {
-      user.level++;
-      extraValue = user.exp - nextLevelExp;
-      user.exp = 0;
+      // Level Up
+      if (user.exp >= nextLevelExp) {
+        if (this.#maxLevel !== null && user.level >= this.#maxLevel) {
+          user.exp = nextLevelExp;
+          break;
+        }
+        user.level++;
+        user.exp -= nextLevelExp;
+        levels.push(user.level);
+        skillPoints += this.getSkillPointsForLevel(user.level);
+        continue;
+      }
 
-      if (extraValue > 0) return this.give(user, extraValue, 'extra');
+      // Level Down
+      if (user.exp < 0 && user.level > 1) {
+        skillPoints -= this.getSkillPointsForLevel(user.level);
+        user.level--;
+        user.exp += this.getExpForLevel(user.level);
+        levels.push(user.level);
+        continue;
+      }
+
+      break;
     }
 
-    // Level Down
-    if (user.exp < 1 && user.level > 1) {
-      user.level--;
-      extraValue = Math.abs(user.exp);
-      user.exp = expLevel * user.level;
+    if (user.level === 1 && user.exp < 0) user.exp = 0;
+    if (skillPoints !== 0) user.skillPoints = Math.max(0, (user.skillPoints ?? 0) + skillPoints);
+    user.totalExp = this.getTotalExp(user);
 
-      if (extraValue > 0) return this.remove(user, extraValue, 'extra');
+    if (user.level !== from) {
+      const type = user.level > from ? 'levelUp' : 'levelDown';
+      this.#emit(type, { user, from, to: user.level, levels, skillPoints });
+      if (type === 'levelUp' && user.level === this.#maxLevel)
+        this.#emit('maxLevel', { user, level: user.level });
     }
-
     return user;
   }
 
@@ -137,7 +651,7 @@ class TinyLevelUp {
   getTotalExp(user) {
     this.validateUser(user);
     let totalExp = 0;
-    for (let p = 1; p <= user.level; p++) totalExp += this.getExpLevelBase() * p;
+    for (let p = 1; p <= user.level; p++) totalExp += this.getExpForLevel(p);
     totalExp += user.exp;
     return totalExp;
   }
@@ -181,7 +695,7 @@ class TinyLevelUp {
    */
   getProgress(user) {
     this.validateUser(user);
-    return this.getExpLevelBase() * user.level;
+    return this.getExpForLevel(user.level);
   }
 
   /**
@@ -202,6 +716,7 @@ class TinyLevelUp {
 
   /**
    * Adds experience to the user, adjusting their level if necessary.
+   * The prestige bonus is applied to the added experience.
    * @param {UserEditor} user - The user object.
    * @param {number} [extraExp] - Additional experience to be added.
    * @param {'add' | 'extra'} [type] - Type of addition ('add' or 'extra').
@@ -215,8 +730,9 @@ class TinyLevelUp {
       throw new Error('extraExp must be a valid number');
     if (typeof type !== 'string') throw new Error('type must be a valid string');
 
-    if (type === 'add') user.exp += this.expGenerator(multi) + extraExp;
-    else if (type === 'extra') user.exp += extraExp;
+    const bonus = 1 + this.#prestigeBonus * (user.prestige ?? 0);
+    if (type === 'add') user.exp += (this.expGenerator(multi) + extraExp) * bonus;
+    else if (type === 'extra') user.exp += extraExp * bonus;
 
     this.expValidator(user);
     user.totalExp = this.getTotalExp(user);
@@ -245,6 +761,196 @@ class TinyLevelUp {
     user.totalExp = this.getTotalExp(user);
     return user;
   }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Checks whether the user can prestige (has reached the level cap).
+   * @param {UserEditor} user - The user object.
+   * @returns {boolean}
+   */
+  canPrestige(user) {
+    this.validateUser(user);
+    return this.#maxLevel !== null && user.level >= this.#maxLevel;
+  }
+
+  /**
+   * Prestiges (rebirths) the user: resets level and experience, and increases the prestige count.
+   * @param {UserEditor} user - The user object.
+   * @param {Object} [options={}] - Prestige options.
+   * @param {boolean} [options.keepSkills=false] - Keeps learned skills and unspent points.
+   * @returns {UserEditor} The updated user object.
+   * @throws {Error} If there is no level cap or the user has not reached it.
+   */
+  prestige(user, { keepSkills = false } = {}) {
+    if (typeof keepSkills !== 'boolean') throw new Error('keepSkills must be a boolean');
+    if (!this.canPrestige(user)) throw new Error('User must reach the level cap to prestige');
+
+    user.prestige = (user.prestige ?? 0) + 1;
+    user.level = 1;
+    user.exp = 0;
+    if (!keepSkills) {
+      user.skills = {};
+      user.skillPoints = 0;
+    }
+    user.totalExp = this.getTotalExp(user);
+    this.#emit('prestige', { user, prestige: user.prestige });
+    return user;
+  }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Declares (or replaces) a skill in the skill tree.
+   *
+   * @param {Object} config - Skill configuration.
+   * @param {string} config.id - Unique skill ID.
+   * @param {number} [config.cost=1] - Skill points spent per rank.
+   * @param {number} [config.maxRank=1] - Maximum rank.
+   * @param {number} [config.minLevel=1] - Minimum user level.
+   * @param {(string|SkillRequirement)[]} [config.requires=[]] - Required skills (IDs require rank 1).
+   * @throws {Error} If any value is invalid.
+   */
+  defineSkill({ id, cost = 1, maxRank = 1, minLevel = 1, requires = [] }) {
+    if (typeof id !== 'string' || !id) throw new Error('id must be a non-empty string');
+    if (typeof cost !== 'number' || !(cost >= 0)) throw new Error('cost must be a number >= 0');
+    if (typeof maxRank !== 'number' || !Number.isInteger(maxRank) || maxRank < 1)
+      throw new Error('maxRank must be an integer >= 1');
+    if (typeof minLevel !== 'number' || !Number.isInteger(minLevel) || minLevel < 1)
+      throw new Error('minLevel must be an integer >= 1');
+    if (!Array.isArray(requires)) throw new Error('requires must be an array');
+
+    /** @type {SkillRequirement[]} */
+    const reqs = requires.map((req) => {
+      const data = typeof req === 'string' ? { id: req, rank: 1 } : req;
+      if (!data || typeof data.id !== 'string')
+        throw new Error('requires entries must be skill IDs or { id, rank } objects');
+      const rank = data.rank ?? 1;
+      if (typeof rank !== 'number' || !Number.isInteger(rank) || rank < 1)
+        throw new Error('required rank must be an integer >= 1');
+      if (data.id === id) throw new Error('a skill cannot require itself');
+      return { id: data.id, rank };
+    });
+
+    this.#skills.set(id, { id, cost, maxRank, minLevel, requires: reqs });
+  }
+
+  /**
+   * Removes a skill from the skill tree.
+   * @param {string} id - Skill ID.
+   * @returns {boolean} True if the skill existed.
+   */
+  removeSkill(id) {
+    if (typeof id !== 'string') throw new Error('id must be a string');
+    return this.#skills.delete(id);
+  }
+
+  /**
+   * Checks if a skill is declared.
+   * @param {string} id - Skill ID.
+   * @returns {boolean}
+   */
+  hasSkill(id) {
+    if (typeof id !== 'string') throw new Error('id must be a string');
+    return this.#skills.has(id);
+  }
+
+  /**
+   * Gets a copy of a skill definition.
+   * @param {string} id - Skill ID.
+   * @returns {SkillDef|null}
+   */
+  getSkill(id) {
+    if (typeof id !== 'string') throw new Error('id must be a string');
+    const skill = this.#skills.get(id);
+    return skill ? { ...skill, requires: skill.requires.map((req) => ({ ...req })) } : null;
+  }
+
+  /**
+   * Gets copies of all skill definitions.
+   * @returns {SkillDef[]}
+   */
+  getSkillTree() {
+    return [...this.#skills.keys()].map((id) => /** @type {SkillDef} */ (this.getSkill(id)));
+  }
+
+  /**
+   * Gets the rank of a skill learned by the user.
+   * @param {UserEditor} user - The user object.
+   * @param {string} id - Skill ID.
+   * @returns {number} The rank (0 if not learned).
+   */
+  getSkillRank(user, id) {
+    this.validateUser(user);
+    if (typeof id !== 'string') throw new Error('id must be a string');
+    return user.skills?.[id] ?? 0;
+  }
+
+  /**
+   * Checks why the user cannot learn the next rank of a skill.
+   * @param {UserEditor} user - The user object.
+   * @param {string} id - Skill ID.
+   * @returns {SkillBlockReason|null} The reason, or null if the skill can be learned.
+   */
+  getSkillBlockReason(user, id) {
+    const rank = this.getSkillRank(user, id);
+    const skill = this.#skills.get(id);
+    if (!skill) return 'unknown';
+    if (rank >= skill.maxRank) return 'maxRank';
+    if (user.level < skill.minLevel) return 'level';
+    for (const req of skill.requires)
+      if (!this.#skills.has(req.id) || this.getSkillRank(user, req.id) < req.rank)
+        return 'requires';
+    if ((user.skillPoints ?? 0) < skill.cost) return 'points';
+    return null;
+  }
+
+  /**
+   * Checks if the user can learn the next rank of a skill.
+   * @param {UserEditor} user - The user object.
+   * @param {string} id - Skill ID.
+   * @returns {boolean}
+   */
+  canLearnSkill(user, id) {
+    return this.getSkillBlockReason(user, id) === null;
+  }
+
+  /**
+   * Spends skill points to learn the next rank of a skill.
+   * @param {UserEditor} user - The user object.
+   * @param {string} id - Skill ID.
+   * @returns {number} The new rank.
+   * @throws {Error} If the skill cannot be learned.
+   */
+  learnSkill(user, id) {
+    const reason = this.getSkillBlockReason(user, id);
+    if (reason) throw new Error(`Cannot learn skill '${id}': ${reason}`);
+    const skill = /** @type {SkillDef} */ (this.#skills.get(id));
+    const rank = this.getSkillRank(user, id) + 1;
+    user.skills = { ...(user.skills ?? {}), [id]: rank };
+    user.skillPoints = (user.skillPoints ?? 0) - skill.cost;
+    this.#emit('skillLearned', { user, skillId: id, rank });
+    return rank;
+  }
+
+  /**
+   * Forgets every learned skill and refunds the spent points.
+   * Skills that are no longer declared are removed without refund.
+   * @param {UserEditor} user - The user object.
+   * @returns {number} The refunded points.
+   */
+  resetSkills(user) {
+    this.validateUser(user);
+    let refunded = 0;
+    for (const [id, rank] of Object.entries(user.skills ?? {})) {
+      const skill = this.#skills.get(id);
+      if (skill) refunded += skill.cost * rank;
+    }
+    user.skills = {};
+    user.skillPoints = (user.skillPoints ?? 0) + refunded;
+    this.#emit('skillsReset', { user, refunded });
+    return refunded;
+  }
 }
 
 export default TinyLevelUp;
@@ -1,6 +1,10 @@
 import { isJsonObject } from '../basics/objChecker.mjs';
 import TinyEvents from './TinyEvents.mjs';
 
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+/** @typedef {import('./TinyEvents.mjs').AsyncEmitResult} AsyncEmitResult */
+
 /** @type {Map<any, EncodeFn>} */
 const customEncoders = new Map();
 
@@ -121,9 +125,10 @@ class TinyLocalStorage {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  prependListener(event, handler) {
-    return this.#events.prependListener(event, handler);
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
   }
 
   /**
@@ -131,10 +136,11 @@ class TinyLocalStorage {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped handler used internally.
    */
-  prependListenerOnce(event, handler) {
-    return this.#events.prependListenerOnce(event, handler);
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
   }
 
   //////////////////////////////////////////////////////////////////////
@@ -144,9 +150,10 @@ class TinyLocalStorage {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  appendListener(event, handler) {
-    return this.#events.appendListener(event, handler);
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
   }
 
   /**
@@ -154,10 +161,11 @@ class TinyLocalStorage {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  appendListenerOnce(event, handler) {
-    return this.#events.appendListenerOnce(event, handler);
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
   }
 
   /**
@@ -165,9 +173,10 @@ class TinyLocalStorage {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  on(event, handler) {
-    return this.#events.on(event, handler);
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
   }
 
   /**
@@ -175,10 +184,11 @@ class TinyLocalStorage {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  once(event, handler) {
-    return this.#events.once(event, handler);
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
   }
 
   ////////////////////////////////////////////////////////////////////
@@ -260,6 +270,17 @@ class TinyLocalStorage {
     return this.#events.eventNames();
   }
 
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
   //////////////////////////////////////////////////////
 
   /**
@@ -273,6 +294,28 @@ class TinyLocalStorage {
     return this.#events.emit(event, ...payload);
   }
 
+  /**
+   * Emits an event and awaits each listener in order, collecting their results and errors.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {Promise<AsyncEmitResult[]>} The results and errors of each emitted event.
+   */
+  emitAsync(event, ...payload) {
+    return this.#events.emitAsync(event, ...payload);
+  }
+
+  /**
+   * Emits an event and awaits every listener at the same time, collecting their results and errors.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {Promise<AsyncEmitResult[]>} The results and errors of each emitted event.
+   */
+  emitAsyncParallel(event, ...payload) {
+    return this.#events.emitAsyncParallel(event, ...payload);
+  }
+
   /**
    * Sets the maximum number of listeners per event before a warning is shown.
    *
@@ -6,6 +6,45 @@
  * @property {number} currentPercent - Current percentage relative to max.
  * @property {number} remainingValue - Current clamped value (≥ 0).
  * @property {number} infiniteRemaining - Current infinite value (can be negative).
+ * @property {number} ticks - Amount of ticks applied.
+ * @property {ThresholdCrossing[]} crossed - Thresholds crossed, in the order they happened.
+ */
+
+/**
+ * Direction watched by a threshold.
+ *
+ * - `down`: fires when the value drops to or below the threshold.
+ * - `up`: fires when the value rises to or above the threshold.
+ * - `both`: fires in both directions.
+ *
+ * @typedef {'down'|'up'|'both'} ThresholdDirection
+ */
+
+/**
+ * Information about a threshold crossed by the bar.
+ *
+ * @typedef {Object} ThresholdCrossing
+ * @property {string} key - Threshold key.
+ * @property {number} percent - Threshold percentage.
+ * @property {number} value - Threshold value (`maxValue * percent / 100`).
+ * @property {'down'|'up'} direction - Direction in which it was crossed.
+ * @property {number} tick - Tick (starting at `1`) of the call in which it was crossed.
+ * @property {number} currentValue - Bar value right after that tick.
+ */
+
+/**
+ * Callback fired when a threshold is crossed.
+ *
+ * @callback ThresholdCallback
+ * @param {ThresholdCrossing} crossing - The crossing information.
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} BarThreshold
+ * @property {number} percent - Threshold percentage (`0` to `100`).
+ * @property {ThresholdDirection} direction - Watched direction.
+ * @property {ThresholdCallback} callback - Function fired when crossed.
  */
 
 /**
@@ -30,6 +69,7 @@
  * @property {number} currentValue - Current clamped value (never below 0).
  * @property {number} infiniteValue - Infinite value (can go negative).
  * @property {Record<string, BarFactor>} factors - Active decay factors indexed by their keys.
+ * @property {number} [tickInterval] - Milliseconds represented by one tick.
  */
 
 /**
@@ -60,6 +100,35 @@ class TinyNeedBar {
   /** Current "infinite" value of the bar (can go negative). @type {number} */
   #infiniteValue;
 
+  /** Milliseconds represented by one tick (used by `advanceBy`). @type {number} */
+  #tickInterval = 1000;
+
+  /**
+   * Threshold watchers indexed by their keys.
+   * @type {Map<string, BarThreshold>}
+   */
+  #thresholds = new Map();
+
+  /**
+   * Returns how many milliseconds one tick represents.
+   *
+   * @returns {number} Tick interval in milliseconds.
+   */
+  get tickInterval() {
+    return this.#tickInterval;
+  }
+
+  /**
+   * Updates how many milliseconds one tick represents.
+   *
+   * @param {number} value - Tick interval in milliseconds.
+   */
+  set tickInterval(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)
+      throw new TypeError('tickInterval must be a positive number.');
+    this.#tickInterval = value;
+  }
+
   /**
    * Returns a snapshot of all currently active factors.
    * Each factor is returned as a plain object to prevent direct mutation of the internal map.
@@ -212,19 +281,86 @@ class TinyNeedBar {
   }
 
   /**
-   * Applies a total decay value to the bar and updates both current and infinite values.
+   * Finds which tick of a constant decay crosses each threshold.
+   *
+   * The clamped value after `k` ticks is `max(0, startValue - perTick * k)`,
+   * so the first crossing tick can be computed directly instead of simulated.
+   *
+   * Values within a tiny tolerance of a threshold count as reaching it. Repeated single
+   * ticks accumulate floating point errors that a single `advance()` does not, and the
+   * tolerance keeps both crossing on the same tick.
+   *
+   * @param {number} startValue - Clamped value before the first tick.
+   * @param {number} perTick - Amount removed per tick.
+   * @param {number} ticks - Amount of ticks applied.
+   * @param {number} tickOffset - Offset added to the reported ticks.
+   * @returns {ThresholdCrossing[]} Crossings sorted by tick.
+   */
+  #findCrossings(startValue, perTick, ticks, tickOffset) {
+    /** @type {ThresholdCrossing[]} */
+    const crossed = [];
+    if (perTick === 0 || ticks < 1) return crossed;
+    /** @param {number} tick */
+    const valueAt = (tick) => Math.max(0, startValue - perTick * tick);
+    const epsilon = this.#maxValue * 1e-9;
+
+    for (const [key, threshold] of this.#thresholds.entries()) {
+      const value = (this.#maxValue * threshold.percent) / 100;
+      /** @type {'down'|'up'} */
+      const direction = perTick > 0 ? 'down' : 'up';
+      if (threshold.direction !== 'both' && threshold.direction !== direction) continue;
+
+      /** @param {number} current */
+      const reached = (current) =>
+        direction === 'down' ? current <= value + epsilon : current >= value - epsilon;
+
+      // Already on the other side of the threshold: nothing to cross.
+      if (reached(startValue)) continue;
+
+      let tick = Math.max(1, Math.ceil((startValue - value) / perTick));
+      // Fix floating point rounding around the exact crossing tick.
+      while (tick > 1 && reached(valueAt(tick - 1))) tick--;
+      while (tick <= ticks && !reached(valueAt(tick))) tick++;
+      if (tick > ticks) continue;
+
+      crossed.push({
+        key,
+        percent: threshold.percent,
+        value,
+        direction,
+        tick: tick + tickOffset,
+        currentValue: valueAt(tick),
+      });
+    }
+
+    return crossed.sort((a, b) => a.tick - b.tick);
+  }
+
+  /**
+   * Applies a decay value for one or more ticks and updates both current and infinite values.
+   * Crossed thresholds are fired after the bar is updated.
    * This is a private helper used by the public tick methods.
    *
-   * @param {number} removedTotal - The total amount to remove from the bar during this tick.
+   * @param {number} perTick - The amount to remove from the bar on each tick.
+   * @param {number} [ticks=1] - Amount of ticks to apply.
+   * @param {number} [tickOffset=0] - Offset added to the reported crossing ticks.
    * @returns {TickResult} An object containing detailed information about the tick.
    */
-  #tick(removedTotal) {
+  #tick(perTick, ticks = 1, tickOffset = 0) {
     const prevValue = this.#infiniteValue;
+    const removedTotal = perTick * ticks;
+    const crossed = this.#findCrossings(this.#currentValue, perTick, ticks, tickOffset);
+
     this.#infiniteValue -= removedTotal;
     this.#currentValue = Math.max(0, this.#currentValue - removedTotal);
 
     const removedPercent = (removedTotal / this.#maxValue) * 100;
 
+    for (const crossing of crossed) {
+      const threshold = this.#thresholds.get(crossing.key);
+      if (threshold) threshold.callback({ ...crossing });
+    }
+
     return {
       prevValue,
       removedTotal,
@@ -232,20 +368,125 @@ class TinyNeedBar {
       currentPercent: this.currentPercent,
       remainingValue: this.#currentValue,
       infiniteRemaining: this.#infiniteValue,
+      ticks,
+      crossed,
     };
   }
 
   /**
-   * Executes one tick of decay, applying all active factors.
+   * Sums the decay of all active factors for one tick.
    *
-   * @returns {TickResult}
+   * @returns {number} Amount removed per tick.
    */
-  tick() {
+  get decayPerTick() {
     let removedTotal = 0;
     for (let [_, factor] of this.#factors.entries()) {
       removedTotal += factor.amount * factor.multiplier;
     }
-    return this.#tick(removedTotal);
+    return removedTotal;
+  }
+
+  /**
+   * Predicts the clamped value after some ticks, assuming the factors stay the same.
+   *
+   * @param {number} ticks - Amount of ticks.
+   * @returns {number} The value those ticks would leave (≥ 0).
+   */
+  valueAfter(ticks) {
+    return Math.max(0, this.#currentValue - this.decayPerTick * ticks);
+  }
+
+  /**
+   * Executes one tick of decay, applying all active factors.
+   *
+   * @returns {TickResult}
+   */
+  tick() {
+    return this.#tick(this.decayPerTick);
+  }
+
+  /**
+   * Applies many ticks at once with all active factors.
+   *
+   * The result is computed in closed form, so catching up thousands of ticks
+   * (e.g., after restoring a saved bar) costs the same as a single tick.
+   * Thresholds crossed on the way are reported with the exact tick that crossed them.
+   *
+   * @param {number} ticks - Amount of ticks to apply (integer ≥ 0).
+   * @param {number} [tickOffset=0] - Offset added to the reported crossing ticks,
+   *   useful when one catch-up is split into several calls.
+   * @returns {TickResult}
+   */
+  advance(ticks, tickOffset = 0) {
+    if (typeof ticks !== 'number' || !Number.isInteger(ticks) || ticks < 0)
+      throw new TypeError('ticks must be a non-negative integer.');
+    if (typeof tickOffset !== 'number' || !Number.isInteger(tickOffset) || tickOffset < 0)
+      throw new TypeError('tickOffset must be a non-negative integer.');
+    return this.#tick(this.decayPerTick, ticks, tickOffset);
+  }
+
+  /**
+   * Applies the ticks contained in an amount of time, based on `tickInterval`.
+   *
+   * Only whole ticks are applied; the leftover time is returned so it can be
+   * carried to the next call.
+   *
+   * @param {number} ms - Elapsed time in milliseconds.
+   * @returns {TickResult & { leftoverMs: number }}
+   */
+  advanceBy(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0)
+      throw new TypeError('ms must be a non-negative number.');
+    const ticks = Math.floor(ms / this.#tickInterval);
+    const result = this.advance(ticks);
+    return { ...result, leftoverMs: ms - ticks * this.#tickInterval };
+  }
+
+  /**
+   * Adds or replaces a threshold watcher.
+   *
+   * @param {string} key - Unique identifier for the threshold.
+   * @param {number} percent - Threshold percentage of `maxValue` (`0` to `100`).
+   * @param {ThresholdCallback} callback - Function fired when the threshold is crossed.
+   * @param {ThresholdDirection} [direction='down'] - Watched direction.
+   */
+  setThreshold(key, percent, callback, direction = 'down') {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    if (typeof percent !== 'number' || Number.isNaN(percent) || percent < 0 || percent > 100)
+      throw new TypeError('Percent must be a number between 0 and 100.');
+    if (typeof callback !== 'function') throw new TypeError('Callback must be a function.');
+    if (!['down', 'up', 'both'].includes(direction))
+      throw new TypeError('Direction must be "down", "up" or "both".');
+    this.#thresholds.set(key, { percent, callback, direction });
+  }
+
+  /**
+   * Checks if a threshold watcher exists by key.
+   *
+   * @param {string} key - The threshold key to check.
+   * @returns {boolean} `true` if the threshold exists, otherwise `false`.
+   */
+  hasThreshold(key) {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    return this.#thresholds.has(key);
+  }
+
+  /**
+   * Removes a threshold watcher by its key.
+   *
+   * @param {string} key - The threshold key to remove.
+   * @returns {boolean} `true` if the threshold existed and was removed, otherwise `false`.
+   */
+  removeThreshold(key) {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    return this.#thresholds.delete(key);
+  }
+
+  /**
+   * Clear all threshold watchers.
+   */
+  clearThresholds() {
+    this.#thresholds.clear();
   }
 
   /**
@@ -265,10 +506,7 @@ class TinyNeedBar {
     )
       throw new TypeError('Temp factor "multiplier" must be a valid number if provided.');
 
-    let removedTotal = 0;
-    for (let [_, factor] of this.#factors.entries()) {
-      removedTotal += factor.amount * factor.multiplier;
-    }
+    let removedTotal = this.decayPerTick;
     if (tempFactor) removedTotal += tempFactor.amount * (tempFactor.multiplier ?? 1);
     return this.#tick(removedTotal);
   }
@@ -305,6 +543,7 @@ class TinyNeedBar {
       currentValue: this.#currentValue,
       infiniteValue: this.#infiniteValue,
       factors: this.factors,
+      tickInterval: this.#tickInterval,
     };
   }
 
@@ -316,6 +555,7 @@ class TinyNeedBar {
   static fromJSON(data) {
     const bar = new TinyNeedBar(data.maxValue, 0, 0);
     bar.infiniteValue = data.infiniteValue;
+    if (data.tickInterval !== undefined) bar.tickInterval = data.tickInterval;
     bar.#factors.clear();
     for (const [key, factor] of Object.entries(data.factors)) {
       bar.setFactor(key, factor.amount, factor.multiplier);
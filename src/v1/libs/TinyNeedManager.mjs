@@ -0,0 +1,436 @@
+import TinyNeedBar from './TinyNeedBar.mjs';
+
+/** @typedef {import('./TinyNeedBar.mjs').TickResult} TickResult */
+/** @typedef {import('./TinyNeedBar.mjs').SerializedData} SerializedBar */
+
+/**
+ * A rule linking two needs.
+ *
+ * While the rule is active, the factor `{ amount, multiplier }` is set on the
+ * target bar under `factorKey`. When the rule becomes inactive, the factor is removed.
+ *
+ * Exactly one of `below` / `above` must be provided:
+ * - `below`: active while the source percentage is lower than this value.
+ * - `above`: active while the source percentage is higher than this value.
+ *
+ * @typedef {Object} NeedRule
+ * @property {string} source - Name of the bar that is watched.
+ * @property {string} target - Name of the bar that receives the factor.
+ * @property {number|null} below - Activation percentage (source < below).
+ * @property {number|null} above - Activation percentage (source > above).
+ * @property {number} amount - Factor amount applied to the target.
+ * @property {number} multiplier - Factor multiplier applied to the target.
+ * @property {string} factorKey - Factor key used on the target bar.
+ */
+
+/**
+ * Represents the serialized state of a TinyNeedManager instance.
+ *
+ * @typedef {Object} SerializedNeeds
+ * @property {number} tickInterval - Milliseconds represented by one tick.
+ * @property {Record<string, SerializedBar>} bars - Serialized bars indexed by name.
+ * @property {Record<string, NeedRule>} rules - Rules indexed by key.
+ */
+
+/**
+ * Manages a set of named {@link TinyNeedBar} instances (e.g., hunger, thirst, energy)
+ * that are ticked together.
+ *
+ * Interactions between needs are declared as rules. A rule watches a source bar
+ * and, while its condition is true, adds a factor to a target bar using the regular
+ * `setFactor()` / `removeFactor()` mechanism.
+ *
+ * `advance()` stays exact with rules: time is split at every tick where a rule
+ * changes state, and each part is computed in closed form.
+ */
+class TinyNeedManager {
+  /**
+   * Bars indexed by name.
+   * @type {Map<string, TinyNeedBar>}
+   */
+  #bars = new Map();
+
+  /**
+   * Rules indexed by key.
+   * @type {Map<string, NeedRule>}
+   */
+  #rules = new Map();
+
+  /** Milliseconds represented by one tick (used by `advanceBy`). @type {number} */
+  #tickInterval = 1000;
+
+  /**
+   * Returns how many milliseconds one tick represents.
+   *
+   * @returns {number} Tick interval in milliseconds.
+   */
+  get tickInterval() {
+    return this.#tickInterval;
+  }
+
+  /**
+   * Updates how many milliseconds one tick represents.
+   *
+   * @param {number} value - Tick interval in milliseconds.
+   */
+  set tickInterval(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)
+      throw new TypeError('tickInterval must be a positive number.');
+    this.#tickInterval = value;
+  }
+
+  /**
+   * Returns the names of all bars.
+   *
+   * @returns {string[]} Bar names.
+   */
+  get names() {
+    return [...this.#bars.keys()];
+  }
+
+  /**
+   * Returns a snapshot of all rules.
+   *
+   * @returns {Record<string, NeedRule>} Rules indexed by key.
+   */
+  get rules() {
+    /** @type {Record<string, NeedRule>} */
+    const rules = {};
+    for (const [key, rule] of this.#rules.entries()) rules[key] = { ...rule };
+    return rules;
+  }
+
+  /**
+   * Validates a bar name.
+   *
+   * @param {string} name - The bar name.
+   */
+  #validateName(name) {
+    if (typeof name !== 'string' || !name) throw new TypeError('Name must be a non-empty string.');
+  }
+
+  /**
+   * Adds an existing bar under a name.
+   *
+   * @param {string} name - Unique bar name.
+   * @param {TinyNeedBar} bar - The bar instance.
+   * @returns {TinyNeedBar} The added bar.
+   * @throws {Error} If the name is already used.
+   */
+  addBar(name, bar) {
+    this.#validateName(name);
+    if (!(bar instanceof TinyNeedBar)) throw new TypeError('bar must be a TinyNeedBar instance.');
+    if (this.#bars.has(name)) throw new Error(`Bar "${name}" already exists.`);
+    this.#bars.set(name, bar);
+    return bar;
+  }
+
+  /**
+   * Creates a new bar and adds it under a name.
+   *
+   * @param {string} name - Unique bar name.
+   * @param {number} [maxValue=100] - Maximum value of the bar.
+   * @param {number} [baseDecay=1] - Base amount reduced each tick.
+   * @param {number} [baseDecayMulti=1] - Multiplier applied to the base decay.
+   * @returns {TinyNeedBar} The created bar.
+   */
+  createBar(name, maxValue, baseDecay, baseDecayMulti) {
+    return this.addBar(name, new TinyNeedBar(maxValue, baseDecay, baseDecayMulti));
+  }
+
+  /**
+   * Retrieves a bar by name.
+   *
+   * @param {string} name - The bar name.
+   * @returns {TinyNeedBar} The bar.
+   * @throws {Error} If the bar does not exist.
+   */
+  getBar(name) {
+    this.#validateName(name);
+    const bar = this.#bars.get(name);
+    if (!bar) throw new Error(`Bar "${name}" not found.`);
+    return bar;
+  }
+
+  /**
+   * Checks if a bar exists by name.
+   *
+   * @param {string} name - The bar name.
+   * @returns {boolean} `true` if the bar exists, otherwise `false`.
+   */
+  hasBar(name) {
+    this.#validateName(name);
+    return this.#bars.has(name);
+  }
+
+  /**
+   * Removes a bar and every rule that uses it.
+   * Factors added by rules on other bars are removed too.
+   *
+   * @param {string} name - The bar name.
+   * @returns {boolean} `true` if the bar existed and was removed, otherwise `false`.
+   */
+  removeBar(name) {
+    this.#validateName(name);
+    if (!this.#bars.has(name)) return false;
+    for (const [key, rule] of this.#rules.entries())
+      if (rule.source === name || rule.target === name) this.removeRule(key);
+    return this.#bars.delete(name);
+  }
+
+  /**
+   * Defines or replaces a rule between two bars.
+   *
+   * @example
+   * // When thirst is below 20%, energy decays 1.5x (main factor amount is 1).
+   * needs.setRule('dehydrated', { source: 'thirst', below: 20, target: 'energy', amount: 0.5 });
+   *
+   * @param {string} key - Unique rule key.
+   * @param {Object} config - Rule configuration.
+   * @param {string} config.source - Name of the watched bar.
+   * @param {string} config.target - Name of the bar that receives the factor.
+   * @param {number|null} [config.below=null] - Active while the source percentage is lower than this.
+   * @param {number|null} [config.above=null] - Active while the source percentage is higher than this.
+   * @param {number} config.amount - Factor amount applied to the target.
+   * @param {number} [config.multiplier=1] - Factor multiplier applied to the target.
+   * @param {string} [config.factorKey=key] - Factor key used on the target bar.
+   * @throws {Error} If a bar does not exist or the rule is invalid.
+   */
+  setRule(
+    key,
+    { source, target, below = null, above = null, amount, multiplier = 1, factorKey = key },
+  ) {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    this.getBar(source);
+    const targetBar = this.getBar(target);
+    if ((below === null) === (above === null))
+      throw new TypeError('Rule must define exactly one of "below" or "above".');
+    const percent = below ?? above;
+    if (typeof percent !== 'number' || Number.isNaN(percent) || percent < 0 || percent > 100)
+      throw new TypeError('Rule percentage must be a number between 0 and 100.');
+    if (typeof amount !== 'number' || Number.isNaN(amount))
+      throw new TypeError('Amount must be a valid number.');
+    if (typeof multiplier !== 'number' || Number.isNaN(multiplier))
+      throw new TypeError('Multiplier must be a valid number.');
+    if (typeof factorKey !== 'string' || !factorKey)
+      throw new TypeError('factorKey must be a non-empty string.');
+    if (factorKey === 'main') throw new Error('factorKey cannot be "main".');
+    for (const [otherKey, other] of this.#rules.entries())
+      if (otherKey !== key && other.target === target && other.factorKey === factorKey)
+        throw new Error(`Factor "${factorKey}" of bar "${target}" is already used by a rule.`);
+
+    this.removeRule(key);
+    if (targetBar.hasFactor(factorKey))
+      throw new Error(`Bar "${target}" already has a factor named "${factorKey}".`);
+    this.#rules.set(key, { source, target, below, above, amount, multiplier, factorKey });
+    this.#applyRule(/** @type {NeedRule} */ (this.#rules.get(key)));
+  }
+
+  /**
+   * Checks if a rule exists by key.
+   *
+   * @param {string} key - The rule key.
+   * @returns {boolean} `true` if the rule exists, otherwise `false`.
+   */
+  hasRule(key) {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    return this.#rules.has(key);
+  }
+
+  /**
+   * Removes a rule by key, removing its factor from the target bar.
+   *
+   * @param {string} key - The rule key.
+   * @returns {boolean} `true` if the rule existed and was removed, otherwise `false`.
+   */
+  removeRule(key) {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    const rule = this.#rules.get(key);
+    if (!rule) return false;
+    this.#bars.get(rule.target)?.removeFactor(rule.factorKey);
+    return this.#rules.delete(key);
+  }
+
+  /**
+   * Checks if the condition of a rule is currently true.
+   *
+   * @param {string} key - The rule key.
+   * @returns {boolean} `true` if the rule is active.
+   */
+  isRuleActive(key) {
+    if (typeof key !== 'string' || !key) throw new TypeError('Key must be a non-empty string.');
+    const rule = this.#rules.get(key);
+    if (!rule) throw new Error(`Rule "${key}" not found.`);
+    return this.#isActive(rule, this.getBar(rule.source).currentValue);
+  }
+
+  /**
+   * Checks a rule condition against a source value.
+   *
+   * @param {NeedRule} rule - The rule.
+   * @param {number} value - Clamped value of the source bar.
+   * @returns {boolean}
+   */
+  #isActive(rule, value) {
+    const percent = (value / this.getBar(rule.source).maxValue) * 100;
+    if (rule.below !== null) return percent < rule.below;
+    return percent > /** @type {number} */ (rule.above);
+  }
+
+  /**
+   * Sets or removes the factor of a rule according to its condition.
+   *
+   * @param {NeedRule} rule - The rule.
+   */
+  #applyRule(rule) {
+    const target = this.getBar(rule.target);
+    if (this.#isActive(rule, this.getBar(rule.source).currentValue))
+      target.setFactor(rule.factorKey, rule.amount, rule.multiplier);
+    else target.removeFactor(rule.factorKey);
+  }
+
+  /**
+   * Re-evaluates every rule, updating the factors of the target bars.
+   * This is done automatically before each tick.
+   */
+  evaluateRules() {
+    for (const rule of this.#rules.values()) this.#applyRule(rule);
+  }
+
+  /**
+   * Computes how many ticks can pass before a rule changes state,
+   * assuming every factor stays the same.
+   *
+   * @param {NeedRule} rule - The rule.
+   * @param {number} limit - Maximum amount of ticks to look ahead.
+   * @returns {number} Ticks until the rule changes (`Infinity` if it does not within `limit`).
+   */
+  #ticksUntilChange(rule, limit) {
+    const source = this.getBar(rule.source);
+    if (source.decayPerTick === 0) return Infinity;
+    const active = this.#isActive(rule, source.currentValue);
+    /** @param {number} tick */
+    const changed = (tick) => this.#isActive(rule, source.valueAfter(tick)) !== active;
+
+    // The value only moves in one direction, so the first changing tick can be bisected.
+    if (limit < 1 || !changed(limit)) return Infinity;
+    let low = 1;
+    let high = limit;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (changed(middle)) high = middle;
+      else low = middle + 1;
+    }
+    return low;
+  }
+
+  /**
+   * Executes one tick on every bar, after evaluating the rules.
+   *
+   * @returns {Record<string, TickResult>} Tick results indexed by bar name.
+   */
+  tick() {
+    this.evaluateRules();
+    /** @type {Record<string, TickResult>} */
+    const results = {};
+    for (const [name, bar] of this.#bars.entries()) results[name] = bar.tick();
+    return results;
+  }
+
+  /**
+   * Applies many ticks at once on every bar.
+   *
+   * Time is split at each tick where a rule changes state, and each part is
+   * computed in closed form, so the result matches calling `tick()` repeatedly.
+   * Threshold crossings report their tick relative to the whole call.
+   *
+   * @param {number} ticks - Amount of ticks to apply (integer ≥ 0).
+   * @returns {Record<string, TickResult>} Combined results indexed by bar name.
+   */
+  advance(ticks) {
+    if (typeof ticks !== 'number' || !Number.isInteger(ticks) || ticks < 0)
+      throw new TypeError('ticks must be a non-negative integer.');
+
+    /** @type {Record<string, TickResult>} */
+    const results = {};
+    let done = 0;
+    do {
+      this.evaluateRules();
+      const remaining = ticks - done;
+      let step = remaining;
+      for (const rule of this.#rules.values())
+        step = Math.min(step, this.#ticksUntilChange(rule, step));
+
+      for (const [name, bar] of this.#bars.entries()) {
+        const result = bar.advance(step, done);
+        const prev = results[name];
+        results[name] = !prev
+          ? result
+          : {
+              ...result,
+              prevValue: prev.prevValue,
+              removedTotal: prev.removedTotal + result.removedTotal,
+              removedPercent: prev.removedPercent + result.removedPercent,
+              ticks: prev.ticks + result.ticks,
+              crossed: [...prev.crossed, ...result.crossed],
+            };
+      }
+      done += step;
+    } while (done < ticks);
+
+    return results;
+  }
+
+  /**
+   * Applies the ticks contained in an amount of time, based on `tickInterval`.
+   *
+   * @param {number} ms - Elapsed time in milliseconds.
+   * @returns {{ results: Record<string, TickResult>, leftoverMs: number }}
+   */
+  advanceBy(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0)
+      throw new TypeError('ms must be a non-negative number.');
+    const ticks = Math.floor(ms / this.#tickInterval);
+    return { results: this.advance(ticks), leftoverMs: ms - ticks * this.#tickInterval };
+  }
+
+  /**
+   * Serializes all bars and rules.
+   * @returns {SerializedNeeds}
+   */
+  toJSON() {
+    /** @type {Record<string, SerializedBar>} */
+    const bars = {};
+    for (const [name, bar] of this.#bars.entries()) bars[name] = bar.toJSON();
+    return { tickInterval: this.#tickInterval, bars, rules: this.rules };
+  }
+
+  /**
+   * Restores a manager from a serialized object.
+   * @param {SerializedNeeds} data
+   * @returns {TinyNeedManager}
+   */
+  static fromJSON(data) {
+    const manager = new TinyNeedManager();
+    manager.tickInterval = data.tickInterval;
+    for (const [name, bar] of Object.entries(data.bars))
+      manager.addBar(name, TinyNeedBar.fromJSON(bar));
+    for (const [key, rule] of Object.entries(data.rules)) {
+      // Factors of active rules are serialized with the bar.
+      manager.getBar(rule.target).removeFactor(rule.factorKey);
+      manager.setRule(key, rule);
+    }
+    return manager;
+  }
+
+  /**
+   * Creates a deep clone of this manager.
+   * Threshold watchers of the bars are not copied.
+   * @returns {TinyNeedManager}
+   */
+  clone() {
+    return TinyNeedManager.fromJSON(this.toJSON());
+  }
+}
+
+export default TinyNeedManager;
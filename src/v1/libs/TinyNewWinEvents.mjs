@@ -1,5 +1,8 @@
 import TinyEvents from './TinyEvents.mjs';
 
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+
 /**
  * Stores polling intervals associated with window references.
  * Used to detect when the window is closed.
@@ -52,9 +55,10 @@ class TinyNewWinEvents {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  prependListener(event, handler) {
-    return this.#events.prependListener(event, handler);
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
   }
 
   /**
@@ -62,10 +66,11 @@ class TinyNewWinEvents {
    *
    * @param {string|string[]} event - Event name.
    * @param {handler} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped handler used internally.
    */
-  prependListenerOnce(event, handler) {
-    return this.#events.prependListenerOnce(event, handler);
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
   }
 
   //////////////////////////////////////////////////////////////////////
@@ -75,9 +80,10 @@ class TinyNewWinEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  appendListener(event, handler) {
-    return this.#events.appendListener(event, handler);
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
   }
 
   /**
@@ -85,10 +91,11 @@ class TinyNewWinEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  appendListenerOnce(event, handler) {
-    return this.#events.appendListenerOnce(event, handler);
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
   }
 
   /**
@@ -96,9 +103,10 @@ class TinyNewWinEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  on(event, handler) {
-    return this.#events.on(event, handler);
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
   }
 
   /**
@@ -106,10 +114,11 @@ class TinyNewWinEvents {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {handler} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {handler[]} - The wrapped version of the handler.
    */
-  once(event, handler) {
-    return this.#events.once(event, handler);
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
   }
 
   ////////////////////////////////////////////////////////////////////
@@ -191,6 +200,17 @@ class TinyNewWinEvents {
     return this.#events.eventNames();
   }
 
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
   //////////////////////////////////////////////////////
 
   /**
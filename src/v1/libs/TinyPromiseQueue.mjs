@@ -1,29 +1,342 @@
+/**
+ * Context passed to every task execution.
+ *
+ * @typedef {Object} TaskContext
+ * @property {AbortSignal} signal - Aborted when the task is canceled, times out or the queue is cleared.
+ * @property {number} attempt - Current attempt number (starting at 1).
+ * @property {string|undefined} id - Task identifier, if any.
+ */
+
+/**
+ * Function computing the delay (in ms) before a retry.
+ *
+ * @typedef {(attempt: number, error: any) => number} BackoffFunction
+ */
+
+/**
+ * Retry backoff strategy.
+ *
+ * - `'fixed'`: Always waits `retryDelay`.
+ * - `'linear'`: Waits `retryDelay * attempt`.
+ * - `'exponential'`: Waits `retryDelay * 2 ** (attempt - 1)`.
+ * - A custom {@link BackoffFunction}.
+ *
+ * @typedef {'fixed'|'linear'|'exponential'|BackoffFunction} BackoffStrategy
+ */
+
+/**
+ * Options accepted by `enqueue()`.
+ *
+ * @typedef {Object} EnqueueOptions
+ * @property {number|null} [delay] - Delay (in ms) before the task is executed.
+ * @property {string} [id] - Identifier of the task in the queue.
+ * @property {number} [priority=0] - Higher priorities run first. Equal priorities keep their insertion order.
+ * @property {number|null} [timeout] - Maximum duration (in ms) of each attempt.
+ * @property {number} [retries] - Number of retries after a failed attempt.
+ * @property {number} [retryDelay] - Base delay (in ms) between retries.
+ * @property {BackoffStrategy} [backoff] - How the retry delay grows.
+ * @property {number|null} [maxRetryDelay] - Upper bound (in ms) of the retry delay.
+ * @property {AbortSignal} [signal] - External signal that cancels the task.
+ */
+
 /**
  * @typedef {Object} QueuedTask
- * @property {(...args: any[]) => Promise<any>|Promise<any>} task - The async task to execute.
+ * @property {(context: TaskContext) => Promise<any>|Promise<any>} task - The async task to execute.
  * @property {(value: any) => any} resolve - The resolve function from the Promise.
  * @property {(reason?: any) => any} reject - The reject function from the Promise.
  * @property {string|undefined} [id] - Optional identifier for the task.
  * @property {string|null|undefined} [marker] - Optional marker for the task.
  * @property {number|null|undefined} [delay] - Optional delay (in ms) before the task is executed.
+ * @property {number} priority - Task priority.
+ * @property {number|null} timeout - Maximum duration (in ms) of each attempt.
+ * @property {number} retries - Number of retries after a failed attempt.
+ * @property {number} retryDelay - Base delay (in ms) between retries.
+ * @property {BackoffStrategy} backoff - How the retry delay grows.
+ * @property {number|null} maxRetryDelay - Upper bound (in ms) of the retry delay.
+ * @property {AbortController} controller - Aborts the task execution.
+ * @property {(() => void)|null} [unlinkSignal] - Removes the external signal listener.
+ * @property {(() => void)|null} [release] - Frees the concurrency slot used by the task.
+ * @property {boolean} [settled] - Whether the task promise was already settled.
+ * @property {number} [firstAttempt] - Number of the first attempt (greater than 1 for resumed jobs).
+ */
+
+/**
+ * Handler of a named job.
+ *
+ * @typedef {(payload: any, context: TaskContext) => Promise<any>|any} JobHandler
  */
 
 /**
- * A queue system for managing and executing asynchronous tasks sequentially, one at a time.
+ * Status of a persisted job.
  *
- * Tasks can be delayed, reordered, canceled, and processed in strict order. The queue ensures that each task
- * is executed after the previous one finishes, and any task can be skipped or canceled if needed.
+ * - `'pending'`: Waiting to run.
+ * - `'running'`: An attempt is in progress (or the process stopped during it).
+ * - `'failed'`: The last attempt failed and the job is waiting for a retry.
+ *
+ * @typedef {'pending'|'running'|'failed'} JobStatus
+ */
+
+/**
+ * Serializable record of a named job, as saved in a {@link JobStore}.
+ *
+ * @typedef {Object} JobRecord
+ * @property {string} id - Job identifier (also used as task ID in the queue).
+ * @property {string} name - Name of the registered handler.
+ * @property {any} payload - JSON-serializable data passed to the handler.
+ * @property {JobStatus} status - Current job status.
+ * @property {number} attempts - Amount of attempts already started.
+ * @property {number} priority - Job priority.
+ * @property {number|null} runAt - Timestamp (in ms) before which the job must not run.
+ * @property {number|null} timeout - Maximum duration (in ms) of each attempt.
+ * @property {number} retries - Number of retries after a failed attempt.
+ * @property {number} retryDelay - Base delay (in ms) between retries.
+ * @property {'fixed'|'linear'|'exponential'|null} backoff - Retry backoff, or `null` to use the queue default.
+ * @property {number|null} maxRetryDelay - Upper bound (in ms) of the retry delay.
+ * @property {string|null} lastError - Message of the last failed attempt.
+ * @property {number} createdAt - Creation timestamp (in ms).
+ * @property {number} updatedAt - Last update timestamp (in ms).
+ */
+
+/**
+ * Storage adapter used to persist named jobs.
+ *
+ * Both methods may be synchronous or return a promise.
+ *
+ * @typedef {Object} JobStore
+ * @property {() => JobRecord[]|null|undefined|Promise<JobRecord[]|null|undefined>} load - Returns the saved jobs.
+ * @property {(jobs: JobRecord[]) => void|Promise<void>} save - Replaces the saved jobs.
+ */
+
+/**
+ * Storage compatible with {@link TinyPromiseQueue.createStorageStore}, such as `TinyLocalStorage`.
+ *
+ * @typedef {Object} JsonStorage
+ * @property {(name: string, defaultData?: any) => any} getJson - Reads a JSON value.
+ * @property {(name: string, data: any) => any} setJson - Writes a JSON value.
+ */
+
+/**
+ * Options accepted by `addJob()`.
+ *
+ * Only serializable options are supported, since they are saved with the job.
+ *
+ * @typedef {Object} JobOptions
+ * @property {string} [id] - Job identifier. Generated when omitted.
+ * @property {number|null} [delay] - Delay (in ms) before the job is executed. Kept across reloads.
+ * @property {number} [priority=0] - Higher priorities run first.
+ * @property {number|null} [timeout] - Maximum duration (in ms) of each attempt.
+ * @property {number} [retries] - Number of retries after a failed attempt.
+ * @property {number} [retryDelay] - Base delay (in ms) between retries.
+ * @property {'fixed'|'linear'|'exponential'} [backoff] - How the retry delay grows.
+ * @property {number|null} [maxRetryDelay] - Upper bound (in ms) of the retry delay.
+ */
+
+/**
+ * A queue system for managing and executing asynchronous tasks in order.
+ *
+ * By default, tasks run sequentially, one at a time. The concurrency level can be raised to run
+ * several tasks in parallel, while still starting them in queue order.
+ *
+ * Tasks can be delayed, prioritized, reordered, canceled (even while running, through an `AbortSignal`),
+ * limited by timeouts and retried with backoff. The queue can also be paused and resumed, and exposes
+ * `onEmpty()` and `onIdle()` promises to wait for its progress.
+ *
+ * Besides closures, the queue accepts **named jobs**: a registered handler name plus a serializable
+ * payload. Named jobs are saved to an optional {@link JobStore}, so pending and failed jobs can be
+ * resumed with `resumeJobs()` after a page reload or a process restart, keeping their attempt counts.
  *
  * @class
  */
 class TinyPromiseQueue {
   /** @type {QueuedTask[]} */
   #queue = [];
-  #running = false;
-  /** @type {Record<string, ReturnType<typeof setTimeout>>} */
-  #timeouts = {};
+
+  /** @type {Set<QueuedTask>} */
+  #runningTasks = new Set();
+
+  /** @type {number} */
+  #activeSlots = 0;
+
+  /** @type {number} */
+  #concurrency = 1;
+
+  /** @type {boolean} */
+  #paused = false;
+
+  /**
+   * Slot of the last started `enqueuePoint` group, which new points may join
+   * until a regular task is queued after it.
+   *
+   * @type {{ join: (data: QueuedTask) => void }|null}
+   */
+  #pointSlot = null;
+
+  /** @type {number|null} */
+  #timeout = null;
+
+  /** @type {number} */
+  #retries = 0;
+
+  /** @type {number} */
+  #retryDelay = 0;
+
+  /** @type {BackoffStrategy} */
+  #backoff = 'fixed';
+
+  /** @type {number|null} */
+  #maxRetryDelay = null;
+
+  /** @type {Array<() => void>} */
+  #emptyWaiters = [];
+
+  /** @type {Array<() => void>} */
+  #idleWaiters = [];
+
+  /** @type {Map<string, JobHandler>} */
+  #handlers = new Map();
+
+  /** @type {Map<string, JobRecord>} */
+  #jobs = new Map();
+
   /** @type {Set<string>} */
-  #blacklist = new Set();
+  #activeJobs = new Set();
+
+  /** @type {JobStore|null} */
+  #store = null;
+
+  /** @type {Promise<void>|null} */
+  #loading = null;
+
+  /** @type {Promise<void>} */
+  #saving = Promise.resolve();
+
+  /** @type {(error: any) => void} */
+  #onStoreError = (error) => console.error('[TinyPromiseQueue] Job store error:', error);
+
+  /** @type {number} */
+  #jobCounter = 0;
+
+  /**
+   * Creates a job store saving the jobs as a JSON value of a storage such as `TinyLocalStorage`.
+   *
+   * @param {JsonStorage} storage - Storage with `getJson()` and `setJson()` methods.
+   * @param {string} [key='tinyPromiseQueue:jobs'] - Key where the jobs are saved.
+   * @returns {JobStore}
+   * @throws {Error} Throws if a param is invalid.
+   */
+  static createStorageStore(storage, key = 'tinyPromiseQueue:jobs') {
+    if (
+      typeof storage !== 'object' ||
+      storage === null ||
+      typeof storage.getJson !== 'function' ||
+      typeof storage.setJson !== 'function'
+    )
+      throw new Error("'storage' must have getJson() and setJson() methods.");
+    if (typeof key !== 'string' || !key.length)
+      throw new Error("'key' must be a non-empty string.");
+    return {
+      load: () => {
+        const jobs = storage.getJson(key, 'array');
+        return Array.isArray(jobs) ? jobs : [];
+      },
+      save: (jobs) => {
+        storage.setJson(key, jobs);
+      },
+    };
+  }
+
+  /**
+   * Creates a new queue.
+   *
+   * The timeout and retry options are the defaults of every task, and can be overridden in `enqueue()`.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.concurrency=1] - Maximum amount of tasks running at the same time.
+   * @param {number|null} [options.timeout=null] - Maximum duration (in ms) of each attempt.
+   * @param {number} [options.retries=0] - Number of retries after a failed attempt.
+   * @param {number} [options.retryDelay=0] - Base delay (in ms) between retries.
+   * @param {BackoffStrategy} [options.backoff='fixed'] - How the retry delay grows.
+   * @param {number|null} [options.maxRetryDelay=null] - Upper bound (in ms) of the retry delay.
+   * @param {boolean} [options.paused=false] - Starts the queue paused.
+   * @param {JobStore|null} [options.store=null] - Storage adapter where named jobs are persisted.
+   * @param {(error: any) => void} [options.onStoreError] - Called when the store fails to load or save. Logs to the console by default.
+   * @throws {Error} Throws if an option is invalid.
+   */
+  constructor({
+    concurrency = 1,
+    timeout = null,
+    retries = 0,
+    retryDelay = 0,
+    backoff = 'fixed',
+    maxRetryDelay = null,
+    paused = false,
+    store = null,
+    onStoreError,
+  } = {}) {
+    this.setConcurrency(concurrency);
+    this.#checkRetryOptions({ timeout, retries, retryDelay, backoff, maxRetryDelay });
+    if (typeof paused !== 'boolean') throw new Error('The "paused" option must be a boolean.');
+    if (
+      store !== null &&
+      (typeof store !== 'object' ||
+        typeof store.load !== 'function' ||
+        typeof store.save !== 'function')
+    )
+      throw new Error('The "store" option must be an object with load() and save() methods.');
+    if (typeof onStoreError !== 'undefined' && typeof onStoreError !== 'function')
+      throw new Error('The "onStoreError" option must be a function.');
+    this.#timeout = timeout;
+    this.#retries = retries;
+    this.#retryDelay = retryDelay;
+    this.#backoff = backoff;
+    this.#maxRetryDelay = maxRetryDelay;
+    this.#paused = paused;
+    this.#store = store;
+    if (onStoreError) this.#onStoreError = onStoreError;
+  }
+
+  /**
+   * Validates the timeout and retry options.
+   *
+   * @param {Object} options
+   * @param {number|null|undefined} [options.timeout]
+   * @param {number|undefined} [options.retries]
+   * @param {number|undefined} [options.retryDelay]
+   * @param {BackoffStrategy|undefined} [options.backoff]
+   * @param {number|null|undefined} [options.maxRetryDelay]
+   * @throws {Error} Throws if an option is invalid.
+   */
+  #checkRetryOptions({ timeout, retries, retryDelay, backoff, maxRetryDelay }) {
+    if (
+      timeout !== undefined &&
+      timeout !== null &&
+      (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0)
+    )
+      throw new Error('The "timeout" option must be a positive number or null.');
+    if (retries !== undefined && (!Number.isInteger(retries) || retries < 0))
+      throw new Error('The "retries" option must be a non-negative integer.');
+    if (
+      retryDelay !== undefined &&
+      (typeof retryDelay !== 'number' || !Number.isFinite(retryDelay) || retryDelay < 0)
+    )
+      throw new Error('The "retryDelay" option must be a non-negative number.');
+    if (
+      backoff !== undefined &&
+      typeof backoff !== 'function' &&
+      backoff !== 'fixed' &&
+      backoff !== 'linear' &&
+      backoff !== 'exponential'
+    )
+      throw new Error(
+        'The "backoff" option must be "fixed", "linear", "exponential" or a function.',
+      );
+    if (
+      maxRetryDelay !== undefined &&
+      maxRetryDelay !== null &&
+      (typeof maxRetryDelay !== 'number' || !Number.isFinite(maxRetryDelay) || maxRetryDelay < 0)
+    )
+      throw new Error('The "maxRetryDelay" option must be a non-negative number or null.');
+  }
 
   /**
    * Returns whether the queue is currently processing a task.
@@ -31,107 +344,380 @@ class TinyPromiseQueue {
    * @returns {boolean}
    */
   isRunning() {
-    return this.#running;
+    return this.#activeSlots > 0;
+  }
+
+  /**
+   * Returns whether the queue is paused.
+   *
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.#paused;
+  }
+
+  /**
+   * Returns the amount of tasks waiting in the queue.
+   *
+   * @returns {number}
+   */
+  getQueueSize() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Returns the amount of tasks currently running (including delays and retry waits).
+   *
+   * @returns {number}
+   */
+  getRunningCount() {
+    return this.#runningTasks.size;
+  }
+
+  /**
+   * Returns the maximum amount of tasks running at the same time.
+   *
+   * @returns {number}
+   */
+  getConcurrency() {
+    return this.#concurrency;
+  }
+
+  /**
+   * Changes the maximum amount of tasks running at the same time.
+   *
+   * Raising the value starts waiting tasks immediately. Lowering it never interrupts running tasks.
+   *
+   * @param {number} concurrency - A positive integer, or `Infinity`.
+   * @throws {Error} Throws if `concurrency` is invalid.
+   */
+  setConcurrency(concurrency) {
+    if (
+      typeof concurrency !== 'number' ||
+      !(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency >= 1))
+    )
+      throw new Error('The "concurrency" option must be a positive integer or Infinity.');
+    this.#concurrency = concurrency;
+    this.#processQueue();
   }
 
   /**
-   * Processes the a normal task.
+   * Stops starting new tasks. Running tasks are not interrupted.
+   */
+  pause() {
+    this.#paused = true;
+  }
+
+  /**
+   * Resumes processing after `pause()`.
+   */
+  resume() {
+    if (!this.#paused) return;
+    this.#paused = false;
+    this.#processQueue();
+  }
+
+  /**
+   * Returns a promise that resolves once no task is waiting in the queue.
+   * Running tasks may still be in progress.
+   *
+   * @returns {Promise<void>}
+   */
+  onEmpty() {
+    if (this.#queue.length === 0) return Promise.resolve();
+    return new Promise((resolve) => this.#emptyWaiters.push(resolve));
+  }
+
+  /**
+   * Returns a promise that resolves once the queue is empty and every task has finished.
+   *
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.#queue.length === 0 && this.#activeSlots === 0) return Promise.resolve();
+    return new Promise((resolve) => this.#idleWaiters.push(resolve));
+  }
+
+  /**
+   * Resolves the `onEmpty()` and `onIdle()` promises whose condition is met.
+   */
+  #checkWaiters() {
+    if (this.#queue.length !== 0) return;
+    const empty = this.#emptyWaiters.splice(0);
+    for (const resolve of empty) resolve();
+    if (this.#activeSlots !== 0) return;
+    const idle = this.#idleWaiters.splice(0);
+    for (const resolve of idle) resolve();
+  }
+
+  /**
+   * Creates the error used for canceled tasks.
+   *
+   * @returns {Error}
+   */
+  #cancelError() {
+    return new Error('The function was canceled on TinyPromiseQueue.');
+  }
+
+  /**
+   * Settles a task promise once, freeing its concurrency slot.
    *
    * @param {QueuedTask} data
+   * @param {boolean} success
+   * @param {any} value
+   */
+  #finish(data, success, value) {
+    if (data.settled) return;
+    data.settled = true;
+    if (data.unlinkSignal) data.unlinkSignal();
+    if (success) data.resolve(value);
+    else data.reject(value);
+
+    if (this.#runningTasks.delete(data) && data.release) data.release();
+  }
+
+  /**
+   * Waits for a duration, rejecting early if the task is aborted.
    *
+   * @param {number} ms
+   * @param {QueuedTask} data
    * @returns {Promise<void>}
    */
-  async #normalProcessQueue(data) {
-    if (
-      data &&
-      typeof data.task === 'function' &&
-      typeof data.resolve === 'function' &&
-      typeof data.reject === 'function'
-    ) {
-      const { task, resolve, reject, delay, id } = data;
-      try {
-        if (id && this.#blacklist.has(id)) {
-          reject(new Error('The function was canceled on TinyPromiseQueue.'));
-          this.#blacklist.delete(id);
-          this.#running = false;
-          this.#processQueue();
-          return;
-        }
+  #wait(ms, data) {
+    const signal = data.controller.signal;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
 
-        if (delay && id) {
-          await new Promise((resolveDelay) => {
-            const timeoutId = setTimeout(() => {
-              delete this.#timeouts[id];
-              resolveDelay(null);
-            }, delay);
-            this.#timeouts[id] = timeoutId;
-          });
-        }
+  /**
+   * Runs a single attempt of a task, applying its timeout.
+   *
+   * @param {QueuedTask} data
+   * @param {number} attempt
+   * @returns {Promise<any>}
+   */
+  #attempt(data, attempt) {
+    const signal = data.controller.signal;
+    if (signal.aborted) return Promise.reject(signal.reason);
 
-        const result = await task();
-        resolve(result);
-      } catch (error) {
-        reject(error);
-      } finally {
-        this.#running = false;
-        this.#processQueue();
+    return new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      /** @type {ReturnType<typeof setTimeout>|null} */
+      let timer = null;
+
+      const cleanup = () => {
+        if (timer !== null) clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        cleanup();
+        controller.abort(signal.reason);
+        reject(signal.reason);
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      if (data.timeout !== null) {
+        timer = setTimeout(() => {
+          const error = new Error('The function timed out on TinyPromiseQueue.');
+          cleanup();
+          controller.abort(error);
+          reject(error);
+        }, data.timeout);
       }
-    }
+
+      Promise.resolve()
+        .then(() => data.task({ signal: controller.signal, attempt, id: data.id }))
+        .then(
+          (result) => {
+            cleanup();
+            resolve(result);
+          },
+          (error) => {
+            cleanup();
+            reject(error);
+          },
+        );
+    });
+  }
+
+  /**
+   * Computes the delay before a retry.
+   *
+   * @param {QueuedTask} data
+   * @param {number} attempt - The attempt that just failed.
+   * @param {any} error
+   * @returns {number}
+   */
+  #getRetryDelay(data, attempt, error) {
+    let ms;
+    if (typeof data.backoff === 'function') ms = data.backoff(attempt, error);
+    else if (data.backoff === 'linear') ms = data.retryDelay * attempt;
+    else if (data.backoff === 'exponential') ms = data.retryDelay * 2 ** (attempt - 1);
+    else ms = data.retryDelay;
+
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) ms = 0;
+    if (data.maxRetryDelay !== null) ms = Math.min(ms, data.maxRetryDelay);
+    return ms;
   }
 
   /**
-   * Processes a group task.
+   * Executes a task with its delay, timeout and retries.
    *
+   * @param {QueuedTask} data
    * @returns {Promise<void>}
    */
-  async #groupProcessQueue() {
-    /** @type {Array<QueuedTask>} */
-    const grouped = [];
-    while (this.#queue.length && this.#queue[0]?.marker === 'POINT_MARKER') {
-      // @ts-ignore
-      grouped.push(this.#queue.shift());
+  async #execute(data) {
+    try {
+      if (data.delay) await this.#wait(data.delay, data);
+      for (let attempt = data.firstAttempt ?? 1; ; attempt++) {
+        try {
+          const result = await this.#attempt(data, attempt);
+          this.#finish(data, true, result);
+          return;
+        } catch (error) {
+          if (data.settled || data.controller.signal.aborted || attempt > data.retries) throw error;
+          await this.#wait(this.#getRetryDelay(data, attempt, error), data);
+        }
+      }
+    } catch (error) {
+      this.#finish(data, false, error);
     }
+  }
 
-    if (grouped.length === 0) {
-      this.#running = false;
+  /**
+   * Starts a set of tasks sharing a single concurrency slot.
+   *
+   * @param {QueuedTask[]} tasks
+   * @returns {{ join: (data: QueuedTask) => void }} The slot, which more tasks can join while it is in use.
+   */
+  #startSlot(tasks) {
+    this.#activeSlots++;
+    let remaining = 0;
+    const slot = {
+      /** @param {QueuedTask} data */
+      join: (data) => {
+        remaining++;
+        data.release = release;
+        this.#runningTasks.add(data);
+        this.#execute(data);
+      },
+    };
+    const release = () => {
+      remaining--;
+      if (remaining > 0) return;
+      if (this.#pointSlot === slot) this.#pointSlot = null;
+      this.#activeSlots--;
       this.#processQueue();
-      return;
+    };
+
+    for (const data of tasks) slot.join(data);
+    return slot;
+  }
+
+  /**
+   * Starts the next tasks in the queue, up to the concurrency limit.
+   * Tasks are always started in queue order.
+   */
+  #processQueue() {
+    while (!this.#paused && this.#activeSlots < this.#concurrency && this.#queue.length) {
+      if (this.#queue[0].marker === 'POINT_MARKER') {
+        /** @type {Array<QueuedTask>} */
+        const grouped = [];
+        while (this.#queue.length && this.#queue[0].marker === 'POINT_MARKER') {
+          // @ts-ignore
+          grouped.push(this.#queue.shift());
+        }
+        this.#pointSlot = this.#startSlot(grouped);
+      } else {
+        // @ts-ignore
+        this.#startSlot([this.#queue.shift()]);
+      }
     }
+    this.#checkWaiters();
+  }
 
-    await Promise.all(
-      grouped.map(
-        ({ task, resolve, reject, id }) =>
-          new Promise(async (pResolve) => {
-            if (id && this.#blacklist.has(id)) {
-              this.#blacklist.delete(id);
-              reject(new Error('The function was canceled on TinyPromiseQueue.'));
-              pResolve(true);
-              return;
-            }
-            await task().then(resolve).catch(reject);
-            pResolve(true);
-          }),
-      ),
-    );
-
-    this.#running = false;
-    this.#processQueue();
+  /**
+   * Inserts a task according to its priority, after every task with the same or a higher priority.
+   *
+   * @param {QueuedTask} data
+   */
+  #insert(data) {
+    // Points queued after a regular task must wait for it
+    if (data.marker !== 'POINT_MARKER') this.#pointSlot = null;
+    let index = this.#queue.length;
+    while (index > 0 && this.#queue[index - 1].priority < data.priority) index--;
+    this.#queue.splice(index, 0, data);
   }
 
   /**
-   * Processes the next task in the queue if not already running.
-   * Ensures tasks are executed in order, one at a time.
+   * Builds a queued task entry.
    *
-   * @returns {Promise<void>}
+   * @param {(context: TaskContext) => Promise<any>|Promise<any>} task
+   * @param {(value: any) => any} resolve
+   * @param {(reason?: any) => any} reject
+   * @param {EnqueueOptions} options
+   * @param {string|null} [marker]
+   * @param {number} [firstAttempt=1]
+   * @returns {QueuedTask}
    */
-  async #processQueue() {
-    if (this.#running || this.#queue.length === 0) return;
-    this.#running = true;
-    if (typeof this.#queue[0]?.marker !== 'string' || this.#queue[0]?.marker !== 'POINT_MARKER') {
-      const data = this.#queue.shift();
-      // @ts-ignore
-      this.#normalProcessQueue(data);
-    } else this.#groupProcessQueue();
+  #createEntry(task, resolve, reject, options, marker = null, firstAttempt = 1) {
+    /** @type {QueuedTask} */
+    const data = {
+      task,
+      resolve,
+      reject,
+      marker,
+      id: options.id,
+      delay: options.delay,
+      priority: options.priority ?? 0,
+      timeout: options.timeout !== undefined ? options.timeout : this.#timeout,
+      retries: options.retries ?? this.#retries,
+      retryDelay: options.retryDelay ?? this.#retryDelay,
+      backoff: options.backoff ?? this.#backoff,
+      maxRetryDelay:
+        options.maxRetryDelay !== undefined ? options.maxRetryDelay : this.#maxRetryDelay,
+      controller: new AbortController(),
+      unlinkSignal: null,
+      release: null,
+      settled: false,
+      firstAttempt,
+    };
+
+    const signal = options.signal;
+    if (signal) {
+      const onAbort = () => this.#abortTask(data, signal.reason ?? this.#cancelError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      data.unlinkSignal = () => signal.removeEventListener('abort', onAbort);
+    }
+    return data;
+  }
+
+  /**
+   * Cancels a waiting or running task.
+   *
+   * @param {QueuedTask} data
+   * @param {any} reason
+   * @returns {boolean} `true` if the task was still pending.
+   */
+  #abortTask(data, reason) {
+    if (data.settled) return false;
+    const index = this.#queue.indexOf(data);
+    if (index !== -1) this.#queue.splice(index, 1);
+    data.controller.abort(reason);
+    this.#finish(data, false, reason);
+    this.#checkWaiters();
+    return true;
   }
 
   /**
@@ -156,9 +742,23 @@ class TinyPromiseQueue {
       .filter((entry) => typeof entry.id === 'string');
   }
 
+  /**
+   * Returns the IDs of the tasks currently running.
+   *
+   * @returns {string[]}
+   */
+  getRunningIds() {
+    /** @type {string[]} */
+    const ids = [];
+    for (const data of this.#runningTasks) if (typeof data.id === 'string') ids.push(data.id);
+    return ids;
+  }
+
   /**
    * Reorders a task in the queue from one index to another.
    *
+   * The task keeps its priority, so later insertions are still placed by priority.
+   *
    * @param {number} fromIndex The current index of the task to move.
    * @param {number} toIndex The index where the task should be placed.
    */
@@ -178,9 +778,12 @@ class TinyPromiseQueue {
 
   /**
    * Inserts a point in the queue where subsequent tasks will be grouped and executed together in a Promise.all.
-   * If the queue is currently empty, behaves like a regular promise.
+   * If nothing is waiting in the queue, the task joins the group that is still running,
+   * or starts a new group when the queue is not paused.
    *
-   * @param {(...args: any[]) => Promise<any>|Promise<any>} task A function that returns a Promise.
+   * A group uses a single concurrency slot.
+   *
+   * @param {(context: TaskContext) => Promise<any>|Promise<any>} task A function that returns a Promise.
    * @param {string} [id] Optional ID to identify the task in the queue.
    * @returns {Promise<any>} A Promise that resolves or rejects with the result of the task once it's processed.
    * @throws {Error} Throws if param is invalid.
@@ -190,68 +793,362 @@ class TinyPromiseQueue {
       return Promise.reject(new Error('Task must be a function returning a Promise.'));
     if (typeof id !== 'undefined' && typeof id !== 'string')
       throw new Error('The "id" parameter must be a string.');
-    if (!this.#running) return task();
     return new Promise((resolve, reject) => {
-      this.#queue.push({ marker: 'POINT_MARKER', task, resolve, reject, id });
+      const data = this.#createEntry(task, resolve, reject, { id }, 'POINT_MARKER');
+      if (this.#pointSlot && !this.#paused && this.#queue.length === 0) this.#pointSlot.join(data);
+      else this.#insert(data);
       this.#processQueue();
     });
   }
 
   /**
-   * Adds a new async task to the queue and ensures it runs in order after previous tasks.
-   * Optionally, a delay can be added before the task is executed.
+   * Adds a new async task to the queue.
+   *
+   * The second argument is either the delay (legacy signature) or an options object.
+   * Tasks receive a {@link TaskContext} with an `AbortSignal`, which is aborted when the task
+   * is canceled or times out.
    *
-   * If the task is canceled before execution, it will be rejected with the message:
+   * If the task is canceled before it settles, it will be rejected with the message:
    * "The function was canceled on TinyPromiseQueue."
    *
-   * @param {(...args: any[]) => Promise<any>|Promise<any>} task A function that returns a Promise to be executed sequentially.
-   * @param {number|null} [delay] Optional delay (in ms) before the task is executed.
+   * @param {(context: TaskContext) => Promise<any>|Promise<any>} task A function that returns a Promise to be executed in order.
+   * @param {number|null|EnqueueOptions} [delay] Optional delay (in ms) before the task is executed, or the task options.
    * @param {string} [id] Optional ID to identify the task in the queue.
    * @returns {Promise<any>} A Promise that resolves or rejects with the result of the task once it's processed.
    * @throws {Error} Throws if param is invalid.
    */
   enqueue(task, delay, id) {
+    /** @type {EnqueueOptions} */
+    const options =
+      delay !== null && typeof delay === 'object' ? { ...delay } : { delay, id: id ?? undefined };
+
     if (typeof task !== 'function')
       return Promise.reject(new Error('Task must be a function returning a Promise.'));
-    if (typeof delay !== 'undefined' && (typeof delay !== 'number' || delay < 0))
+    if (
+      typeof options.delay !== 'undefined' &&
+      options.delay !== null &&
+      (typeof options.delay !== 'number' || options.delay < 0)
+    )
       return Promise.reject(new Error('Delay must be a positive number or undefined.'));
-    if (typeof id !== 'undefined' && typeof id !== 'string')
+    if (typeof options.id !== 'undefined' && typeof options.id !== 'string')
       throw new Error('The "id" parameter must be a string.');
+    if (
+      typeof options.priority !== 'undefined' &&
+      (typeof options.priority !== 'number' || !Number.isFinite(options.priority))
+    )
+      throw new Error('The "priority" option must be a finite number.');
+    if (typeof options.signal !== 'undefined' && !(options.signal instanceof AbortSignal))
+      throw new Error('The "signal" option must be an AbortSignal.');
+    this.#checkRetryOptions(options);
+
+    if (options.signal?.aborted)
+      return Promise.reject(options.signal.reason ?? this.#cancelError());
 
     return new Promise((resolve, reject) => {
-      this.#queue.push({ task, resolve, reject, id, delay });
+      this.#insert(this.#createEntry(task, resolve, reject, options));
       this.#processQueue();
     });
   }
 
   /**
-   * Cancels a scheduled delay and removes the task from the queue.
-   * Adds the ID to a blacklist so the task is skipped if already being processed.
+   * Cancels a task by its ID.
+   *
+   * Waiting tasks are removed from the queue. Running tasks (including their delay or retry wait)
+   * have their `AbortSignal` aborted and free their concurrency slot immediately.
    *
    * @param {string} id The ID of the task to cancel.
-   * @returns {boolean} True if a delay was cancelled and the task was removed.
+   * @returns {boolean} True if a task was canceled.
    * @throws {Error} Throws if `id` is not a string.
    */
   cancelTask(id) {
     if (typeof id !== 'string') throw new Error('The "id" parameter must be a string.');
     let cancelled = false;
 
-    if (id in this.#timeouts) {
-      clearTimeout(this.#timeouts[id]);
-      delete this.#timeouts[id];
-      cancelled = true;
+    for (const data of [...this.#queue, ...this.#runningTasks]) {
+      if (data.id === id && this.#abortTask(data, this.#cancelError())) cancelled = true;
     }
 
-    const index = this.getIndexById(id);
-    if (index !== -1) {
-      const [removed] = this.#queue.splice(index, 1);
-      removed?.reject?.(new Error('The function was canceled on TinyPromiseQueue.'));
-      cancelled = true;
+    return cancelled;
+  }
+
+  /**
+   * Cancels every task waiting in the queue. Running tasks are not affected.
+   *
+   * @returns {number} Amount of canceled tasks.
+   */
+  clear() {
+    const pending = [...this.#queue];
+    for (const data of pending) this.#abortTask(data, this.#cancelError());
+    return pending.length;
+  }
+
+  /**
+   * Returns whether a job store is configured.
+   *
+   * @returns {boolean}
+   */
+  hasJobStore() {
+    return this.#store !== null;
+  }
+
+  /**
+   * Returns the configured job store.
+   *
+   * @returns {JobStore|null}
+   */
+  getJobStore() {
+    return this.#store;
+  }
+
+  /**
+   * Registers the handler of a named job.
+   *
+   * @param {string} name - Job name.
+   * @param {JobHandler} handler - Receives the job payload and the {@link TaskContext}.
+   * @throws {Error} Throws if a param is invalid.
+   */
+  registerHandler(name, handler) {
+    if (typeof name !== 'string' || !name.length)
+      throw new Error('The "name" parameter must be a non-empty string.');
+    if (typeof handler !== 'function')
+      throw new Error('The "handler" parameter must be a function.');
+    this.#handlers.set(name, handler);
+  }
+
+  /**
+   * Removes the handler of a named job. Jobs already queued keep running with it.
+   *
+   * @param {string} name - Job name.
+   * @returns {boolean} `true` if a handler was removed.
+   */
+  unregisterHandler(name) {
+    return this.#handlers.delete(name);
+  }
+
+  /**
+   * Returns whether a named job has a registered handler.
+   *
+   * @param {string} name - Job name.
+   * @returns {boolean}
+   */
+  hasHandler(name) {
+    return this.#handlers.has(name);
+  }
+
+  /**
+   * Returns a copy of a known job record.
+   *
+   * @param {string} id - Job identifier.
+   * @returns {JobRecord|null}
+   */
+  getJob(id) {
+    const job = this.#jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Returns a copy of every known job record, including loaded jobs waiting for their handler.
+   *
+   * @returns {JobRecord[]}
+   */
+  getJobs() {
+    return [...this.#jobs.values()].map((job) => ({ ...job }));
+  }
+
+  /**
+   * Loads the saved jobs once, merging them with the jobs created in the meantime.
+   *
+   * @returns {Promise<void>}
+   */
+  #loadJobs() {
+    if (!this.#loading) {
+      this.#loading = (async () => {
+        if (!this.#store) return;
+        try {
+          const saved = await this.#store.load();
+          if (!Array.isArray(saved)) return;
+          for (const job of saved) {
+            if (!job || typeof job.id !== 'string' || typeof job.name !== 'string') continue;
+            if (this.#jobs.has(job.id)) continue;
+            // A job saved as running was interrupted by the reload
+            this.#jobs.set(job.id, {
+              ...job,
+              status: job.status === 'running' ? 'pending' : job.status,
+            });
+          }
+        } catch (error) {
+          this.#onStoreError(error);
+        }
+      })();
     }
+    return this.#loading;
+  }
+
+  /**
+   * Saves every known job to the store.
+   *
+   * Writes are serialized, and the saved jobs are loaded first so they are never overwritten.
+   * Errors are sent to the `onStoreError` callback.
+   *
+   * @returns {Promise<void>} Resolves once the write is done.
+   */
+  saveJobs() {
+    this.#saving = this.#saving.then(async () => {
+      if (!this.#store) return;
+      try {
+        await this.#loadJobs();
+        await this.#store.save(this.getJobs());
+      } catch (error) {
+        this.#onStoreError(error);
+      }
+    });
+    return this.#saving;
+  }
 
-    if (cancelled) this.#blacklist.add(id);
+  /**
+   * Queues a job record with its registered handler.
+   *
+   * Attempts continue from the saved count, so retries consumed before a reload are not granted again.
+   * The record is removed once the job succeeds, runs out of retries or is canceled.
+   *
+   * @param {JobRecord} job
+   * @returns {Promise<any>}
+   */
+  #runJob(job) {
+    const handler = this.#handlers.get(job.name);
+    if (!handler) return Promise.reject(new Error(`No handler registered for job "${job.name}".`));
 
-    return cancelled;
+    /** @type {(context: TaskContext) => Promise<any>} */
+    const task = async (context) => {
+      job.status = 'running';
+      job.attempts = context.attempt;
+      job.updatedAt = Date.now();
+      this.saveJobs();
+      try {
+        return await handler(job.payload, context);
+      } catch (error) {
+        job.status = 'failed';
+        job.lastError = error instanceof Error ? error.message : String(error);
+        job.updatedAt = Date.now();
+        this.saveJobs();
+        throw error;
+      }
+    };
+
+    /** @type {EnqueueOptions} */
+    const options = {
+      id: job.id,
+      delay: job.runAt !== null ? Math.max(0, job.runAt - Date.now()) : null,
+      priority: job.priority,
+      timeout: job.timeout,
+      retries: job.retries,
+      retryDelay: job.retryDelay,
+      backoff: job.backoff ?? undefined,
+      maxRetryDelay: job.maxRetryDelay,
+    };
+
+    this.#activeJobs.add(job.id);
+    const result = new Promise((resolve, reject) => {
+      this.#insert(this.#createEntry(task, resolve, reject, options, null, job.attempts + 1));
+      this.#processQueue();
+    });
+
+    const done = () => {
+      this.#activeJobs.delete(job.id);
+      if (this.#jobs.get(job.id) === job) this.#jobs.delete(job.id);
+      this.saveJobs();
+    };
+    result.then(done, done);
+    return result;
+  }
+
+  /**
+   * Adds a named job to the queue.
+   *
+   * The job is saved to the store (if any) until it succeeds, runs out of retries or is canceled
+   * with `cancelTask(id)`. The payload must be JSON-serializable.
+   *
+   * @param {string} name - Name of a registered handler.
+   * @param {any} [payload=null] - Data passed to the handler.
+   * @param {JobOptions} [options={}] - Job options.
+   * @returns {Promise<any>} A Promise that resolves or rejects with the result of the handler.
+   * @throws {Error} Throws if a param is invalid.
+   */
+  addJob(name, payload = null, options = {}) {
+    if (typeof name !== 'string' || !name.length)
+      throw new Error('The "name" parameter must be a non-empty string.');
+    if (!this.#handlers.has(name)) throw new Error(`No handler registered for job "${name}".`);
+    if (typeof options !== 'object' || options === null)
+      throw new Error('The "options" parameter must be an object.');
+    if (typeof options.id !== 'undefined' && (typeof options.id !== 'string' || !options.id.length))
+      throw new Error('The "id" option must be a non-empty string.');
+    if (typeof options.id === 'string' && this.#jobs.has(options.id))
+      throw new Error(`A job with the ID "${options.id}" already exists.`);
+    if (
+      typeof options.delay !== 'undefined' &&
+      options.delay !== null &&
+      (typeof options.delay !== 'number' || !Number.isFinite(options.delay) || options.delay < 0)
+    )
+      throw new Error('The "delay" option must be a non-negative number or null.');
+    if (
+      typeof options.priority !== 'undefined' &&
+      (typeof options.priority !== 'number' || !Number.isFinite(options.priority))
+    )
+      throw new Error('The "priority" option must be a finite number.');
+    if (typeof options.backoff === 'function')
+      throw new Error('The "backoff" option of a job must be "fixed", "linear" or "exponential".');
+    this.#checkRetryOptions(options);
+
+    const now = Date.now();
+    let id = options.id;
+    while (typeof id !== 'string' || this.#jobs.has(id))
+      id = `job-${now.toString(36)}-${(this.#jobCounter++).toString(36)}`;
+
+    /** @type {JobRecord} */
+    const job = {
+      id,
+      name,
+      payload: JSON.parse(JSON.stringify(payload ?? null)),
+      status: 'pending',
+      attempts: 0,
+      priority: options.priority ?? 0,
+      runAt: options.delay ? now + options.delay : null,
+      timeout: options.timeout !== undefined ? options.timeout : this.#timeout,
+      retries: options.retries ?? this.#retries,
+      retryDelay: options.retryDelay ?? this.#retryDelay,
+      backoff: options.backoff ?? (typeof this.#backoff === 'string' ? this.#backoff : null),
+      maxRetryDelay:
+        options.maxRetryDelay !== undefined ? options.maxRetryDelay : this.#maxRetryDelay,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.#jobs.set(id, job);
+    this.saveJobs();
+    return this.#runJob(job);
+  }
+
+  /**
+   * Loads the saved jobs and queues every pending or failed job with a registered handler.
+   *
+   * Jobs keep their attempt count, so a job saved after its second attempt continues with the third.
+   * Jobs whose handler is not registered yet stay saved and can be resumed by calling this method again.
+   * Results of resumed jobs are not returned; errors are ignored, as the jobs leave the store when they end.
+   *
+   * @returns {Promise<string[]>} IDs of the resumed jobs.
+   */
+  async resumeJobs() {
+    await this.#loadJobs();
+    /** @type {string[]} */
+    const resumed = [];
+    const jobs = [...this.#jobs.values()].sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of jobs) {
+      if (this.#activeJobs.has(job.id) || !this.#handlers.has(job.name)) continue;
+      this.#runJob(job).catch(() => {});
+      resumed.push(job.id);
+    }
+    return resumed;
   }
 }
 
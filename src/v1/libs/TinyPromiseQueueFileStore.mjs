@@ -0,0 +1,78 @@
+import { existsSync } from 'fs';
+import { rename } from 'fs/promises';
+import { dirname } from 'path';
+import { readJsonFileAsync, writeJsonFileAsync } from '../fileManager/asyncFuncs.mjs';
+import { ensureDirectory } from '../fileManager/normalFuncs.mjs';
+
+/** @typedef {import('./TinyPromiseQueue.mjs').JobRecord} JobRecord */
+
+/**
+ * A JSON file implementing the `TinyPromiseQueue` job store interface.
+ *
+ * Used in Node.js to keep named jobs across process restarts.
+ *
+ * ## How it works
+ * - Every job is saved in a single JSON array.
+ * - Writes go to a temporary file which is then renamed, so a crash never leaves a partial file.
+ * - A missing file is loaded as an empty list.
+ */
+class TinyPromiseQueueFileStore {
+  /** @type {string} */
+  #file;
+
+  /** @type {number} */
+  #spaces;
+
+  /**
+   * Creates a new file store.
+   *
+   * @param {Object} options
+   * @param {string} options.file - Path of the JSON file. Its directory is created if missing.
+   * @param {number} [options.spaces=2] - Indentation of the JSON file.
+   */
+  constructor({ file, spaces = 2 }) {
+    if (typeof file !== 'string' || !file.length)
+      throw new Error("'file' must be a non-empty string.");
+    if (!Number.isInteger(spaces) || spaces < 0)
+      throw new Error("'spaces' must be a non-negative integer.");
+
+    this.#file = file;
+    this.#spaces = spaces;
+    ensureDirectory(dirname(file));
+  }
+
+  /**
+   * Path of the JSON file.
+   *
+   * @returns {string}
+   */
+  get file() {
+    return this.#file;
+  }
+
+  /**
+   * Reads the saved jobs.
+   *
+   * @returns {Promise<JobRecord[]>}
+   */
+  async load() {
+    if (!existsSync(this.#file)) return [];
+    const jobs = await readJsonFileAsync(this.#file);
+    return Array.isArray(jobs) ? jobs : [];
+  }
+
+  /**
+   * Replaces the saved jobs.
+   *
+   * @param {JobRecord[]} jobs
+   * @returns {Promise<void>}
+   */
+  async save(jobs) {
+    if (!Array.isArray(jobs)) throw new Error("'jobs' must be an array.");
+    const tmp = `${this.#file}.${process.pid}.tmp`;
+    await writeJsonFileAsync(tmp, jobs, this.#spaces);
+    await rename(tmp, this.#file);
+  }
+}
+
+export default TinyPromiseQueueFileStore;
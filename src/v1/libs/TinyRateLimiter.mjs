@@ -17,6 +17,108 @@
  * @typedef {(groupId: string) => void} OnGroupExpired
  */
 
+/**
+ * Name of a supported rate limiting algorithm.
+ *
+ * - `sliding-log`: Stores every hit timestamp and counts those inside the window (default).
+ * - `token-bucket`: A bucket of `burst` tokens refilled at `limit` tokens per `interval`; each hit spends one.
+ * - `leaky-bucket`: A queue of up to `burst` hits drained at `limit` hits per `interval`; accepted hits
+ *   report the `delay` needed to smooth them into a constant output rate.
+ * - `gcra`: Generic Cell Rate Algorithm; the same limits as a token bucket, tracked with a single timestamp.
+ *
+ * @typedef {'sliding-log'|'token-bucket'|'leaky-bucket'|'gcra'} RateLimitAlgorithm
+ */
+
+/**
+ * Resolved configuration of a rate limiting algorithm.
+ *
+ * @typedef {Object} AlgorithmConfig
+ * @property {RateLimitAlgorithm} algorithm - Algorithm name.
+ * @property {number|null} limit - Hits allowed per `interval` (the refill, drain or emission rate of bucket algorithms).
+ * @property {number|null} interval - Window or rate period in milliseconds.
+ * @property {number|null} burst - Maximum burst of bucket algorithms (defaults to `limit`). Always `null` for `sliding-log`.
+ */
+
+/**
+ * Algorithm selection accepted by the constructor and `setGroupAlgorithm()`.
+ *
+ * A plain name uses the limiter `maxHits` and `interval` as `limit` and `interval`.
+ * Omitted fields of an object fall back to the same values.
+ *
+ * @typedef {RateLimitAlgorithm|{
+ *   algorithm: RateLimitAlgorithm,
+ *   limit?: number|null,
+ *   interval?: number|null,
+ *   burst?: number|null
+ * }} AlgorithmInput
+ */
+
+/**
+ * Internal state of the bucket algorithms.
+ *
+ * @typedef {Object} AlgorithmState
+ * @property {number} value - Tokens (token bucket), queue level (leaky bucket) or theoretical arrival time (GCRA).
+ * @property {number} updatedAt - Timestamp of the last state update.
+ * @property {boolean} rejected - Whether the most recent hit was rejected.
+ */
+
+/**
+ * Quota information of a group, ready to be used in `RateLimit-*` HTTP headers.
+ *
+ * @typedef {Object} RateLimitInfo
+ * @property {string} groupId - Effective group ID.
+ * @property {RateLimitAlgorithm} algorithm - Algorithm used by the group.
+ * @property {number|null} interval - Window (sliding log) or refill interval of the group, in milliseconds.
+ * @property {boolean} limited - Same value returned by `isRateLimited()`.
+ * @property {number} limit - Quota size (`maxHits` or the bucket burst).
+ * @property {number} remaining - Hits that can still be accepted right now.
+ * @property {number|null} retryAfter - Milliseconds until the next hit is accepted (`0` if now, `null` if never).
+ * @property {number|null} resetAfter - Milliseconds until the quota is fully restored (`null` if never).
+ */
+
+/**
+ * Result of a registered hit.
+ *
+ * `allowed` tells whether this hit conformed to the limits, and `delay` is the time (ms)
+ * the hit should wait to be smoothed by a leaky bucket (always `0` for other algorithms).
+ *
+ * @typedef {RateLimitInfo & { allowed: boolean, delay: number }} RateLimitResult
+ */
+
+/**
+ * Storage adapter used to share rate limit state between processes.
+ *
+ * Every method is asynchronous, so any backend (memory, files, SQLite, Redis, ...)
+ * can be plugged in. Values are plain JSON-serializable data.
+ *
+ * `update` is optional but strongly recommended: when present it must perform an
+ * atomic read-modify-write, which is what keeps `hitAsync()` correct when several
+ * workers hit the same group at the same time. Without it, the limiter falls back
+ * to a non-atomic `get` followed by `set`.
+ *
+ * @typedef {Object} RateLimitStore
+ * @property {(key: string) => Promise<any|null>} get - Reads a value, resolving `null` if missing or expired.
+ * @property {(key: string, value: any, ttl?: number|null) => Promise<void>} set - Writes a value with an optional TTL (ms).
+ * @property {(key: string) => Promise<boolean|void>} delete - Deletes a key.
+ * @property {(key: string, ttl: number|null) => Promise<boolean|void>} expire - Changes the TTL (ms) of an existing key.
+ * @property {(key: string, updater: (current: any|null) => any, ttl?: number|null) => Promise<any>} [update] - Atomic read-modify-write.
+ */
+
+/**
+ * Group record persisted in a {@link RateLimitStore}.
+ *
+ * @typedef {Object} StoredGroupData
+ * @property {number[]} hits - Hit timestamps (ms).
+ * @property {boolean} isGroup - Whether the ID is an explicit group.
+ * @property {number} lastSeen - Timestamp of the most recent activity.
+ * @property {AlgorithmState|null} [state] - State of bucket algorithms.
+ */
+
+/**
+ * Tolerance used to absorb floating point drift in the bucket algorithms.
+ */
+const EPSILON = 1e-9;
+
 /**
  * A lightweight and flexible rate limiter supporting both user-based
  * and group-based throttling.
@@ -30,12 +132,28 @@
  * - Max number of hits
  * - Time-based sliding window
  * - Combination of both
+ * - Token bucket, leaky bucket and GCRA, selectable per group
  *
  * ## Extra Features
  * - Per-group TTL (time-to-live)
  * - Automatic cleanup of inactive groups
  * - Optional memory cap per group
  * - Runtime metrics and statistics
+ * - Pluggable async storage adapters for multi-process deployments
+ *
+ * ## Shared Storage
+ *
+ * By default all state lives in the in-memory `Map`s of the instance, which only
+ * works inside a single process. When a `store` is given, the `*Async` methods
+ * (`hitAsync()`, `isRateLimitedAsync()`, `assignToGroupAsync()`, ...) read and write
+ * the state through the store instead, so every worker sharing that store sees the
+ * same groups, hits and limits.
+ *
+ * Without a store, the `*Async` methods simply wrap their synchronous counterparts,
+ * so code written against the async API works in both modes.
+ *
+ * In store mode, group expiration is delegated to the store TTL (`groupTTL` or `maxIdle`),
+ * so `_cleanup()` and the `onGroupExpired` callback only apply to the in-memory data.
  *
  * ## Interval Window (Sliding Window) Behavior
  *
@@ -170,6 +288,50 @@ class TinyRateLimiter {
    */
   groupTTL = new Map();
 
+  /**
+   * List of supported algorithm names.
+   *
+   * @type {ReadonlyArray<RateLimitAlgorithm>}
+   */
+  static ALGORITHMS = Object.freeze(
+    /** @type {RateLimitAlgorithm[]} */ (['sliding-log', 'token-bucket', 'leaky-bucket', 'gcra']),
+  );
+
+  /**
+   * Default algorithm used by groups without an override.
+   *
+   * @type {AlgorithmConfig}
+   */
+  #algorithm;
+
+  /**
+   * Per-group algorithm overrides.
+   *
+   * @type {Map<string, AlgorithmConfig>}
+   */
+  groupAlgorithms = new Map();
+
+  /**
+   * Per-group state of the bucket algorithms.
+   *
+   * @type {Map<string, AlgorithmState>}
+   */
+  groupState = new Map();
+
+  /**
+   * Optional storage adapter used by the async API.
+   *
+   * @type {RateLimitStore|null}
+   */
+  #store = null;
+
+  /**
+   * Prefix applied to every key written into the store.
+   *
+   * @type {string}
+   */
+  #storePrefix = 'tinyRateLimiter:';
+
   /**
    * Callback invoked when a group's memory limit is exceeded.
    *
@@ -238,8 +400,23 @@ class TinyRateLimiter {
    *   Interval (ms) for automatic cleanup execution.
    * @param {number} [options.maxIdle=300000]
    *   Maximum inactivity time (ms) before a group expires.
+   * @param {RateLimitStore|null} [options.store=null]
+   *   Storage adapter shared between processes, used by the `*Async` methods.
+   * @param {string} [options.storePrefix='tinyRateLimiter:']
+   *   Prefix for every store key, allowing several limiters to share one store.
+   * @param {AlgorithmInput} [options.algorithm='sliding-log']
+   *   Default algorithm used by every group without an override.
    */
-  constructor({ maxHits, interval, cleanupInterval, maxIdle = 300000, maxMemory = 100000 }) {
+  constructor({
+    maxHits,
+    interval,
+    cleanupInterval,
+    maxIdle = 300000,
+    maxMemory = 100000,
+    store = null,
+    storePrefix = 'tinyRateLimiter:',
+    algorithm = 'sliding-log',
+  }) {
     /** @param {number|undefined} val */
     const isPositiveInteger = (val) =>
       typeof val === 'number' && Number.isFinite(val) && val >= 1 && Number.isInteger(val);
@@ -267,10 +444,25 @@ class TinyRateLimiter {
       throw new Error('maxMemory must be a positive number or null');
     }
 
+    if (store !== null && store !== undefined) {
+      if (
+        typeof store !== 'object' ||
+        typeof store.get !== 'function' ||
+        typeof store.set !== 'function' ||
+        typeof store.delete !== 'function' ||
+        typeof store.expire !== 'function'
+      )
+        throw new Error("'store' must implement get, set, delete and expire methods.");
+      this.#store = store;
+    }
+    if (typeof storePrefix !== 'string') throw new Error("'storePrefix' must be a string.");
+    this.#storePrefix = storePrefix;
+
     this.#maxHits = isMaxHitsValid ? maxHits : null;
     this.#interval = isIntervalValid ? interval : null;
     this.#cleanupInterval = isCleanupValid ? cleanupInterval : null;
     this.#maxIdle = maxIdle;
+    this.#algorithm = this.#resolveAlgorithm(algorithm);
 
     // Start automatic cleanup only if cleanupInterval is valid
     if (this.#cleanupInterval !== null)
@@ -331,6 +523,81 @@ class TinyRateLimiter {
     this.groupTTL.delete(groupId);
   }
 
+  /**
+   * Validates an algorithm selection and fills the omitted values.
+   * @param {AlgorithmInput} input
+   * @returns {AlgorithmConfig}
+   */
+  #resolveAlgorithm(input) {
+    const config = typeof input === 'string' ? { algorithm: input } : input;
+    if (!config || typeof config !== 'object')
+      throw new Error("'algorithm' must be an algorithm name or a config object.");
+    if (!TinyRateLimiter.ALGORITHMS.includes(config.algorithm))
+      throw new Error(`Unknown rate limit algorithm: ${config.algorithm}`);
+
+    /** @param {any} val */
+    const isPositiveInteger = (val) =>
+      typeof val === 'number' && Number.isFinite(val) && val >= 1 && Number.isInteger(val);
+
+    const limit = config.limit !== undefined ? config.limit : (this.#maxHits ?? null);
+    const interval = config.interval !== undefined ? config.interval : (this.#interval ?? null);
+    if (limit !== null && !isPositiveInteger(limit))
+      throw new Error("'limit' must be a positive integer or null.");
+    if (interval !== null && !isPositiveInteger(interval))
+      throw new Error("'interval' must be a positive integer in milliseconds or null.");
+
+    if (config.algorithm === 'sliding-log') {
+      if (limit === null && interval === null)
+        throw new Error("'sliding-log' requires at least one of 'limit' or 'interval'.");
+      return { algorithm: config.algorithm, limit, interval, burst: null };
+    }
+
+    if (limit === null || interval === null)
+      throw new Error(`'${config.algorithm}' requires both 'limit' and 'interval'.`);
+    const burst = config.burst ?? limit;
+    if (!isPositiveInteger(burst)) throw new Error("'burst' must be a positive integer.");
+    return { algorithm: config.algorithm, limit, interval, burst };
+  }
+
+  /**
+   * Get the default algorithm configuration.
+   * @returns {AlgorithmConfig}
+   */
+  getDefaultAlgorithm() {
+    return { ...this.#algorithm };
+  }
+
+  /**
+   * Set the algorithm used by a specific group.
+   *
+   * Any previous bucket state of the group is discarded.
+   *
+   * @param {string} groupId
+   * @param {AlgorithmInput} algorithm
+   */
+  setGroupAlgorithm(groupId, algorithm) {
+    this.groupAlgorithms.set(groupId, this.#resolveAlgorithm(algorithm));
+    this.groupState.delete(groupId);
+  }
+
+  /**
+   * Get the algorithm used by a specific group (its override or the default one).
+   * @param {string} groupId
+   * @returns {AlgorithmConfig}
+   */
+  getGroupAlgorithm(groupId) {
+    return { ...(this.groupAlgorithms.get(groupId) ?? this.#algorithm) };
+  }
+
+  /**
+   * Delete the algorithm override of a specific group, returning it to the default one.
+   * @param {string} groupId
+   */
+  deleteGroupAlgorithm(groupId) {
+    this.groupAlgorithms.delete(groupId);
+    this.groupState.delete(groupId);
+  }
+
   /**
    * Assigns a user to a group.
    *
@@ -376,6 +643,8 @@ class TinyRateLimiter {
     this.groupData.delete(userId);
     this.lastSeen.delete(userId);
     this.groupTTL.delete(userId);
+    this.groupAlgorithms.delete(userId);
+    this.groupState.delete(userId);
     this.groupFlags.set(groupId, true);
   }
 
@@ -412,9 +681,17 @@ class TinyRateLimiter {
    * - The window continuously moves forward in time.
    * - Memory usage is naturally bounded by time, and optionally by `maxMemory`.
    *
+   * ### Algorithms
+   * The timestamp is always stored (for metrics), but the limit decision follows
+   * the group algorithm. Bucket algorithms do not spend quota on rejected hits.
+   *
    * @param {string} userId
+   * @returns {RateLimitResult}
+   * @throws {Error} If a storage adapter is configured (use `hitAsync()` instead).
    */
   hit(userId) {
+    if (this.#store)
+      throw new Error('hit() cannot be used with a storage adapter. Use hitAsync().');
     const groupId = this.getGroupId(userId);
     const now = Date.now();
 
@@ -429,9 +706,36 @@ class TinyRateLimiter {
     history.push(now);
     this.lastSeen.set(groupId, now);
 
+    const config = this.getGroupAlgorithm(groupId);
+    const exceeded = this.#trimHistory(history, now, config);
+    const { allowed, delay, state } = this.#applyHit(
+      config,
+      history,
+      this.groupState.get(groupId) ?? null,
+      now,
+    );
+    if (state) this.groupState.set(groupId, state);
+
+    if (exceeded && typeof this.#onMemoryExceeded === 'function') this.#onMemoryExceeded(groupId);
+    return { ...this.#evaluate(groupId, config, history, state, now), allowed, delay };
+  }
+
+  /**
+   * Applies the sliding window and the memory cap to a hit history, in place.
+   *
+   * The window is the `sliding-log` interval of the group, or the limiter `interval`
+   * for bucket algorithms (where the history only feeds the metrics).
+   *
+   * @param {number[]} history
+   * @param {number} now
+   * @param {AlgorithmConfig} config
+   * @returns {boolean} `true` if the memory cap discarded entries.
+   */
+  #trimHistory(history, now, config) {
+    const interval = config.algorithm === 'sliding-log' ? config.interval : this.#interval;
+
     // Clean up old entries
-    if (this.#interval !== null) {
-      const interval = this.getInterval();
+    if (typeof interval === 'number') {
       const cutoff = now - interval;
       while (history.length && history[0] < cutoff) {
         history.shift();
@@ -442,9 +746,10 @@ class TinyRateLimiter {
     if (this.#maxMemory !== null && typeof this.#maxMemory === 'number') {
       if (history.length > this.#maxMemory) {
         history.splice(0, history.length - this.#maxMemory);
-        if (typeof this.#onMemoryExceeded === 'function') this.#onMemoryExceeded(groupId);
+        return true;
       }
     }
+    return false;
   }
 
   /**
@@ -466,32 +771,239 @@ class TinyRateLimiter {
    *
    * @param {string} userId
    * @returns {boolean}
+   * @throws {Error} If a storage adapter is configured (use `isRateLimitedAsync()` instead).
    */
   isRateLimited(userId) {
+    if (this.#store)
+      throw new Error(
+        'isRateLimited() cannot be used with a storage adapter. Use isRateLimitedAsync().',
+      );
     const groupId = this.getGroupId(userId);
     if (!this.groupData.has(groupId)) return false;
 
     const history = this.groupData.get(groupId);
     if (!history) throw new Error(`No data found for groupId: ${groupId}`);
+    const config = this.getGroupAlgorithm(groupId);
+    const state = this.groupState.get(groupId) ?? null;
+    return this.#evaluate(groupId, config, history, state, Date.now()).limited;
+  }
 
-    if (this.#interval !== null) {
-      const now = Date.now();
-      const interval = this.getInterval();
-      const cutoff = now - interval;
-      let count = 0;
-      for (let i = history.length - 1; i >= 0; i--) {
-        if (history[i] > cutoff) count++;
-        else break;
+  /**
+   * Returns the current quota of a user group without registering a hit.
+   *
+   * Useful to populate `RateLimit-Limit`, `RateLimit-Remaining`,
+   * `RateLimit-Reset` and `Retry-After` HTTP headers.
+   *
+   * @param {string} userId
+   * @returns {RateLimitInfo}
+   */
+  getRateLimitInfo(userId) {
+    const groupId = this.getGroupId(userId);
+    return this.#evaluate(
+      groupId,
+      this.getGroupAlgorithm(groupId),
+      this.groupData.get(groupId) ?? [],
+      this.groupState.get(groupId) ?? null,
+      Date.now(),
+    );
+  }
+
+  /**
+   * Counts the hits inside the `sliding-log` window.
+   *
+   * @param {number[]} history
+   * @param {AlgorithmConfig} config
+   * @param {number} now
+   * @returns {number}
+   */
+  #countInWindow(history, config, now) {
+    if (config.interval === null) return history.length;
+    const cutoff = now - config.interval;
+    let count = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i] > cutoff) count++;
+      else break;
+    }
+    return count;
+  }
+
+  /**
+   * Evaluates the `sliding-log` limit rules against a hit history.
+   *
+   * @param {number[]} history
+   * @param {AlgorithmConfig} config
+   * @param {number} now
+   * @returns {boolean}
+   */
+  #isHistoryLimited(history, config, now) {
+    const count = this.#countInWindow(history, config, now);
+    if (config.limit !== null) return count > config.limit;
+    return config.interval !== null ? count > 0 : false;
+  }
+
+  /**
+   * Brings a bucket algorithm state up to date.
+   *
+   * @param {AlgorithmConfig} config
+   * @param {AlgorithmState|null} state
+   * @param {number} now
+   * @returns {AlgorithmState} A new state object.
+   */
+  #refreshState(config, state, now) {
+    const limit = /** @type {number} */ (config.limit);
+    const interval = /** @type {number} */ (config.interval);
+    const burst = /** @type {number} */ (config.burst);
+    const rate = limit / interval;
+
+    switch (config.algorithm) {
+      case 'token-bucket': {
+        if (!state) return { value: burst, updatedAt: now, rejected: false };
+        const elapsed = Math.max(0, now - state.updatedAt);
+        return {
+          value: Math.min(burst, state.value + elapsed * rate),
+          updatedAt: now,
+          rejected: state.rejected,
+        };
+      }
+      case 'leaky-bucket': {
+        if (!state) return { value: 0, updatedAt: now, rejected: false };
+        const elapsed = Math.max(0, now - state.updatedAt);
+        return {
+          value: Math.max(0, state.value - elapsed * rate),
+          updatedAt: now,
+          rejected: state.rejected,
+        };
       }
-      if (this.#maxHits !== null) return count > this.getMaxHits();
-      return count > 0;
+      default:
+        // GCRA keeps an absolute timestamp, which never needs to decay
+        if (!state) return { value: now, updatedAt: now, rejected: false };
+        return { value: state.value, updatedAt: now, rejected: state.rejected };
     }
+  }
 
-    if (this.#maxHits !== null) {
-      return history.length > this.getMaxHits();
+  /**
+   * Applies a new hit to the group algorithm.
+   *
+   * The timestamp must already be inside `history`.
+   *
+   * @param {AlgorithmConfig} config
+   * @param {number[]} history
+   * @param {AlgorithmState|null} state
+   * @param {number} now
+   * @returns {{ allowed: boolean, delay: number, state: AlgorithmState|null }}
+   */
+  #applyHit(config, history, state, now) {
+    if (config.algorithm === 'sliding-log')
+      return { allowed: !this.#isHistoryLimited(history, config, now), delay: 0, state: null };
+
+    const limit = /** @type {number} */ (config.limit);
+    const interval = /** @type {number} */ (config.interval);
+    const burst = /** @type {number} */ (config.burst);
+    const rate = limit / interval;
+    const newState = this.#refreshState(config, state, now);
+    let allowed = false;
+    let delay = 0;
+
+    if (config.algorithm === 'token-bucket') {
+      if (newState.value >= 1 - EPSILON) {
+        newState.value = Math.max(0, newState.value - 1);
+        allowed = true;
+      }
+    } else if (config.algorithm === 'leaky-bucket') {
+      if (newState.value + 1 <= burst + EPSILON) {
+        delay = Math.ceil(newState.value / rate - EPSILON);
+        newState.value += 1;
+        allowed = true;
+      }
+    } else {
+      const emission = interval / limit;
+      const arrival = Math.max(newState.value, now) + emission;
+      if (arrival - now <= emission * burst + EPSILON) {
+        newState.value = arrival;
+        allowed = true;
+      }
     }
 
-    return false;
+    newState.rejected = !allowed;
+    return { allowed, delay, state: newState };
+  }
+
+  /**
+   * Builds the quota information of a group.
+   *
+   * @param {string} groupId
+   * @param {AlgorithmConfig} config
+   * @param {number[]} history
+   * @param {AlgorithmState|null} state
+   * @param {number} now
+   * @returns {RateLimitInfo}
+   */
+  #evaluate(groupId, config, history, state, now) {
+    /** @param {number} ms */
+    const toMs = (ms) => Math.max(0, Math.ceil(ms - EPSILON));
+
+    if (config.algorithm === 'sliding-log') {
+      const count = this.#countInWindow(history, config, now);
+      const last = count > 0 ? history[history.length - 1] : null;
+      const limit = config.limit ?? 1;
+
+      /** @type {number|null} */
+      let retryAfter = 0;
+      if (count >= limit) {
+        // The oldest hit that must leave the window before a new one fits
+        const blocker = history[history.length - limit];
+        retryAfter = config.interval !== null ? toMs(blocker + config.interval - now) : null;
+      }
+
+      return {
+        groupId,
+        algorithm: config.algorithm,
+        interval: config.interval,
+        limited: this.#isHistoryLimited(history, config, now),
+        limit,
+        remaining: Math.max(0, limit - count),
+        retryAfter,
+        resetAfter:
+          last === null ? 0 : config.interval !== null ? toMs(last + config.interval - now) : null,
+      };
+    }
+
+    const limit = /** @type {number} */ (config.limit);
+    const interval = /** @type {number} */ (config.interval);
+    const burst = /** @type {number} */ (config.burst);
+    const rate = limit / interval;
+    const current = this.#refreshState(config, state, now);
+
+    let remaining = 0;
+    let retryAfter = 0;
+    let resetAfter = 0;
+    if (config.algorithm === 'token-bucket') {
+      remaining = Math.floor(current.value + EPSILON);
+      retryAfter = current.value >= 1 - EPSILON ? 0 : (1 - current.value) / rate;
+      resetAfter = (burst - current.value) / rate;
+    } else if (config.algorithm === 'leaky-bucket') {
+      remaining = Math.floor(burst - current.value + EPSILON);
+      retryAfter = current.value + 1 <= burst + EPSILON ? 0 : (current.value + 1 - burst) / rate;
+      resetAfter = current.value / rate;
+    } else {
+      const emission = interval / limit;
+      const tat = Math.max(current.value, now);
+      remaining = Math.floor((emission * burst - (tat - now)) / emission + EPSILON);
+      retryAfter = tat + emission - emission * burst - now;
+      resetAfter = tat - now;
+    }
+
+    retryAfter = toMs(retryAfter);
+    return {
+      groupId,
+      algorithm: config.algorithm,
+      interval,
+      limited: current.rejected && retryAfter > 0,
+      limit: burst,
+      remaining: Math.max(0, remaining),
+      retryAfter,
+      resetAfter: toMs(resetAfter),
+    };
   }
 
   /**
@@ -503,6 +1015,8 @@ class TinyRateLimiter {
     this.groupData.delete(groupId);
     this.lastSeen.delete(groupId);
     this.groupTTL.delete(groupId);
+    this.groupAlgorithms.delete(groupId);
+    this.groupState.delete(groupId);
   }
 
   /**
@@ -583,6 +1097,8 @@ class TinyRateLimiter {
         this.groupData.delete(groupId);
         this.lastSeen.delete(groupId);
         this.groupTTL.delete(groupId);
+        this.groupAlgorithms.delete(groupId);
+        this.groupState.delete(groupId);
 
         // Notify subclass or external binding
         if (typeof this.#onGroupExpired === 'function') {
@@ -699,8 +1215,21 @@ class TinyRateLimiter {
    * }}
    */
   getMetrics(groupId) {
-    const history = this.groupData.get(groupId);
+    return this.#computeMetrics(this.groupData.get(groupId));
+  }
 
+  /**
+   * Builds the metrics object of a hit history.
+   *
+   * @param {number[]|undefined} history
+   * @returns {{
+   *   totalHits: number,
+   *   lastHit: number|null,
+   *   timeSinceLastHit: number|null,
+   *   averageHitSpacing: number|null
+   * }}
+   */
+  #computeMetrics(history) {
     if (!Array.isArray(history) || history.length === 0) {
       return {
         totalHits: 0,
@@ -723,8 +1252,440 @@ class TinyRateLimiter {
     };
   }
 
+  /*========================*
+   * Shared Storage
+   *========================*/
+
   /**
-   * Destroy the rate limiter, stopping cleanup and clearing data
+   * Check if a storage adapter is configured.
+   * @returns {boolean}
+   */
+  hasStore() {
+    return this.#store !== null;
+  }
+
+  /**
+   * Get the configured storage adapter.
+   * @returns {RateLimitStore|null}
+   */
+  getStore() {
+    return this.#store;
+  }
+
+  /**
+   * Get the prefix applied to every store key.
+   * @returns {string}
+   */
+  getStorePrefix() {
+    return this.#storePrefix;
+  }
+
+  /**
+   * Returns the configured store, throwing if none was given.
+   * @returns {RateLimitStore}
+   */
+  #getStore() {
+    if (!this.#store) throw new Error('No storage adapter configured.');
+    return this.#store;
+  }
+
+  /**
+   * Builds a namespaced store key.
+   * @param {'group'|'user'|'members'|'ttl'|'algorithm'} type
+   * @param {string} id
+   * @returns {string}
+   */
+  #storeKey(type, id) {
+    return `${this.#storePrefix}${type}:${id}`;
+  }
+
+  /**
+   * Performs a read-modify-write on the store, atomically when the adapter supports it.
+   *
+   * @param {string} key
+   * @param {(current: any|null) => any} updater
+   * @param {number|null} [ttl=null]
+   * @returns {Promise<any>}
+   */
+  async #storeUpdate(key, updater, ttl = null) {
+    const store = this.#getStore();
+    if (typeof store.update === 'function') return store.update(key, updater, ttl);
+    const value = updater(await store.get(key));
+    await store.set(key, value, ttl);
+    return value;
+  }
+
+  /**
+   * Resolves the store expiration of a group (its TTL or `maxIdle`).
+   * @param {string} groupId
+   * @returns {Promise<number>}
+   */
+  async #getStoreGroupExpiry(groupId) {
+    return (await this.getGroupTTLAsync(groupId)) ?? this.getMaxIdle();
+  }
+
+  /**
+   * Async version of `isGroupId()`, reading from the store when configured.
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async isGroupIdAsync(id) {
+    if (!this.#store) return this.isGroupId(id);
+    /** @type {StoredGroupData|null} */
+    const data = await this.#store.get(this.#storeKey('group', id));
+    return data ? data.isGroup : false;
+  }
+
+  /**
+   * Async version of `getUsersInGroup()`, reading from the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<string[]>}
+   */
+  async getUsersInGroupAsync(groupId) {
+    if (!this.#store) return this.getUsersInGroup(groupId);
+    const users = await this.#store.get(this.#storeKey('members', groupId));
+    return Array.isArray(users) ? users : [];
+  }
+
+  /**
+   * Async version of `setGroupTTL()`, writing to the store when configured.
+   *
+   * The TTL is kept until `deleteGroupTTLAsync()` or `resetGroupAsync()` is called,
+   * and is applied as the store expiration of the group on its next hit.
+   *
+   * @param {string} groupId
+   * @param {number} ttl
+   * @returns {Promise<void>}
+   */
+  async setGroupTTLAsync(groupId, ttl) {
+    if (!this.#store) return this.setGroupTTL(groupId, ttl);
+    if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0)
+      throw new Error('TTL must be a positive number in milliseconds');
+    await this.#store.set(this.#storeKey('ttl', groupId), ttl);
+    await this.#store.expire(this.#storeKey('group', groupId), ttl);
+  }
+
+  /**
+   * Async version of `getGroupTTL()`, reading from the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<number|null>}
+   */
+  async getGroupTTLAsync(groupId) {
+    if (!this.#store) return this.getGroupTTL(groupId);
+    const ttl = await this.#store.get(this.#storeKey('ttl', groupId));
+    return typeof ttl === 'number' ? ttl : null;
+  }
+
+  /**
+   * Async version of `deleteGroupTTL()`, writing to the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<void>}
+   */
+  async deleteGroupTTLAsync(groupId) {
+    if (!this.#store) return this.deleteGroupTTL(groupId);
+    await this.#store.delete(this.#storeKey('ttl', groupId));
+    await this.#store.expire(this.#storeKey('group', groupId), this.getMaxIdle());
+  }
+
+  /**
+   * Async version of `assignToGroup()`, writing to the store when configured.
+   *
+   * @param {string} userId
+   * @param {string} groupId
+   * @returns {Promise<void>}
+   * @throws {Error} If the user belongs to another group
+   */
+  async assignToGroupAsync(userId, groupId) {
+    if (!this.#store) return this.assignToGroup(userId, groupId);
+    const store = this.#store;
+
+    const existingGroup = await store.get(this.#storeKey('user', userId));
+    if (existingGroup && existingGroup !== groupId)
+      throw new Error(`User ${userId} is already assigned to group ${existingGroup}`);
+
+    // If the user is already in the group, nothing needs to be done
+    if (existingGroup === groupId) return;
+
+    /** @type {StoredGroupData|null} */
+    const userData = await store.get(this.#storeKey('group', userId));
+
+    // Associates the user (or every member of the user group) to the group
+    /** @type {string[]} */
+    const moved = [];
+    if (userData?.isGroup) {
+      for (const uid of await this.getUsersInGroupAsync(userId)) {
+        await store.set(this.#storeKey('user', uid), groupId);
+        moved.push(uid);
+      }
+      await store.delete(this.#storeKey('members', userId));
+      await store.delete(this.#storeKey('user', userId));
+    } else {
+      await store.set(this.#storeKey('user', userId), groupId);
+      moved.push(userId);
+    }
+
+    await this.#storeUpdate(this.#storeKey('members', groupId), (current) => {
+      /** @type {string[]} */
+      const users = Array.isArray(current) ? current : [];
+      for (const uid of moved) if (!users.includes(uid)) users.push(uid);
+      return users;
+    });
+
+    // If the user has no data, nothing needs to be done
+    if (!userData) return;
+
+    const now = Date.now();
+    await this.#storeUpdate(
+      this.#storeKey('group', groupId),
+      /** @param {StoredGroupData|null} current */
+      (current) => {
+        const data = current ?? { hits: [], isGroup: true, lastSeen: now };
+        for (const item of userData.hits) data.hits.push(item);
+        data.lastSeen = now;
+        data.isGroup = true;
+        return data;
+      },
+      await this.#getStoreGroupExpiry(groupId),
+    );
+
+    // Removes individual data as they are now in the group
+    await store.delete(this.#storeKey('group', userId));
+    await store.delete(this.#storeKey('ttl', userId));
+    await store.delete(this.#storeKey('algorithm', userId));
+  }
+
+  /**
+   * Async version of `getGroupId()`, reading from the store when configured.
+   * @param {string} userId
+   * @returns {Promise<string>}
+   */
+  async getGroupIdAsync(userId) {
+    if (!this.#store) return this.getGroupId(userId);
+    return (await this.#store.get(this.#storeKey('user', userId))) || userId;
+  }
+
+  /**
+   * Async version of `hit()`, writing to the store when configured.
+   *
+   * The group record is updated through the store `update()` method (when available),
+   * so concurrent hits from different workers are never lost. Its expiration is refreshed
+   * to the group TTL (or `maxIdle`) on every hit.
+   *
+   * @param {string} userId
+   * @returns {Promise<RateLimitResult>}
+   */
+  async hitAsync(userId) {
+    if (!this.#store) return this.hit(userId);
+    const groupId = await this.getGroupIdAsync(userId);
+    const ttl = await this.#getStoreGroupExpiry(groupId);
+    const config = await this.getGroupAlgorithmAsync(groupId);
+    const now = Date.now();
+    let exceeded = false;
+    let allowed = false;
+    let delay = 0;
+
+    /** @type {StoredGroupData} */
+    const data = await this.#storeUpdate(
+      this.#storeKey('group', groupId),
+      /** @param {StoredGroupData|null} current */
+      (current) => {
+        const data = current ?? { hits: [], isGroup: false, lastSeen: now, state: null };
+        data.hits.push(now);
+        data.lastSeen = now;
+        exceeded = this.#trimHistory(data.hits, now, config);
+        const result = this.#applyHit(config, data.hits, data.state ?? null, now);
+        allowed = result.allowed;
+        delay = result.delay;
+        data.state = result.state;
+        return data;
+      },
+      ttl,
+    );
+
+    if (exceeded && typeof this.#onMemoryExceeded === 'function') this.#onMemoryExceeded(groupId);
+    return {
+      ...this.#evaluate(groupId, config, data.hits, data.state ?? null, now),
+      allowed,
+      delay,
+    };
+  }
+
+  /**
+   * Async version of `getRateLimitInfo()`, reading from the store when configured.
+   * @param {string} userId
+   * @returns {Promise<RateLimitInfo>}
+   */
+  async getRateLimitInfoAsync(userId) {
+    if (!this.#store) return this.getRateLimitInfo(userId);
+    const groupId = await this.getGroupIdAsync(userId);
+    const config = await this.getGroupAlgorithmAsync(groupId);
+    /** @type {StoredGroupData|null} */
+    const data = await this.#store.get(this.#storeKey('group', groupId));
+    return this.#evaluate(groupId, config, data?.hits ?? [], data?.state ?? null, Date.now());
+  }
+
+  /**
+   * Async version of `setGroupAlgorithm()`, writing to the store when configured.
+   * @param {string} groupId
+   * @param {AlgorithmInput} algorithm
+   * @returns {Promise<void>}
+   */
+  async setGroupAlgorithmAsync(groupId, algorithm) {
+    if (!this.#store) return this.setGroupAlgorithm(groupId, algorithm);
+    await this.#store.set(this.#storeKey('algorithm', groupId), this.#resolveAlgorithm(algorithm));
+    await this.#clearStoredState(groupId);
+  }
+
+  /**
+   * Async version of `getGroupAlgorithm()`, reading from the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<AlgorithmConfig>}
+   */
+  async getGroupAlgorithmAsync(groupId) {
+    if (!this.#store) return this.getGroupAlgorithm(groupId);
+    /** @type {AlgorithmConfig|null} */
+    const config = await this.#store.get(this.#storeKey('algorithm', groupId));
+    return config ?? this.getDefaultAlgorithm();
+  }
+
+  /**
+   * Async version of `deleteGroupAlgorithm()`, writing to the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<void>}
+   */
+  async deleteGroupAlgorithmAsync(groupId) {
+    if (!this.#store) return this.deleteGroupAlgorithm(groupId);
+    await this.#store.delete(this.#storeKey('algorithm', groupId));
+    await this.#clearStoredState(groupId);
+  }
+
+  /**
+   * Discards the stored bucket state of a group, if the group exists.
+   * @param {string} groupId
+   * @returns {Promise<void>}
+   */
+  async #clearStoredState(groupId) {
+    const key = this.#storeKey('group', groupId);
+    if ((await this.#getStore().get(key)) === null) return;
+    await this.#storeUpdate(
+      key,
+      /** @param {StoredGroupData|null} current */
+      (current) => (current ? { ...current, state: null } : current),
+      await this.#getStoreGroupExpiry(groupId),
+    );
+  }
+
+  /**
+   * Async version of `isRateLimited()`, reading from the store when configured.
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async isRateLimitedAsync(userId) {
+    if (!this.#store) return this.isRateLimited(userId);
+    const groupId = await this.getGroupIdAsync(userId);
+    /** @type {StoredGroupData|null} */
+    const data = await this.#store.get(this.#storeKey('group', groupId));
+    if (!data) return false;
+    const config = await this.getGroupAlgorithmAsync(groupId);
+    return this.#evaluate(groupId, config, data.hits, data.state ?? null, Date.now()).limited;
+  }
+
+  /**
+   * Async version of `resetGroup()`, writing to the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<void>}
+   */
+  async resetGroupAsync(groupId) {
+    if (!this.#store) return this.resetGroup(groupId);
+    await this.#store.delete(this.#storeKey('group', groupId));
+    await this.#store.delete(this.#storeKey('ttl', groupId));
+    await this.#store.delete(this.#storeKey('algorithm', groupId));
+  }
+
+  /**
+   * Async version of `resetUserGroup()`, writing to the store when configured.
+   * @param {string} userId
+   * @returns {Promise<void>}
+   */
+  async resetUserGroupAsync(userId) {
+    if (!this.#store) return this.resetUserGroup(userId);
+    const groupId = await this.#store.get(this.#storeKey('user', userId));
+    await this.#store.delete(this.#storeKey('user', userId));
+    if (typeof groupId !== 'string') return;
+    await this.#storeUpdate(this.#storeKey('members', groupId), (current) =>
+      Array.isArray(current) ? current.filter((uid) => uid !== userId) : [],
+    );
+  }
+
+  /**
+   * Async version of `setData()`, writing to the store when configured.
+   * @param {string} groupId
+   * @param {number[]} timestamps
+   * @returns {Promise<void>}
+   */
+  async setDataAsync(groupId, timestamps) {
+    if (!this.#store) return this.setData(groupId, timestamps);
+    if (!Array.isArray(timestamps)) throw new Error('timestamps must be an array of numbers.');
+    for (const t of timestamps) {
+      if (typeof t !== 'number' || !Number.isFinite(t)) {
+        throw new Error('All timestamps must be finite numbers.');
+      }
+    }
+    const now = Date.now();
+    await this.#storeUpdate(
+      this.#storeKey('group', groupId),
+      /** @param {StoredGroupData|null} current */
+      (current) => ({
+        hits: timestamps,
+        isGroup: current ? current.isGroup : false,
+        lastSeen: now,
+        state: current?.state ?? null,
+      }),
+      await this.#getStoreGroupExpiry(groupId),
+    );
+  }
+
+  /**
+   * Async version of `hasData()`, reading from the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<boolean>}
+   */
+  async hasDataAsync(groupId) {
+    if (!this.#store) return this.hasData(groupId);
+    return (await this.#store.get(this.#storeKey('group', groupId))) !== null;
+  }
+
+  /**
+   * Async version of `getData()`, reading from the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<number[]>}
+   */
+  async getDataAsync(groupId) {
+    if (!this.#store) return this.getData(groupId);
+    /** @type {StoredGroupData|null} */
+    const data = await this.#store.get(this.#storeKey('group', groupId));
+    return data ? data.hits : [];
+  }
+
+  /**
+   * Async version of `getMetrics()`, reading from the store when configured.
+   * @param {string} groupId
+   * @returns {Promise<{
+   *   totalHits: number,
+   *   lastHit: number|null,
+   *   timeSinceLastHit: number|null,
+   *   averageHitSpacing: number|null
+   * }>}
+   */
+  async getMetricsAsync(groupId) {
+    if (!this.#store) return this.getMetrics(groupId);
+    return this.#computeMetrics(await this.getDataAsync(groupId));
+  }
+
+  /**
+   * Destroy the rate limiter, stopping cleanup and clearing data.
+   *
+   * The configured store is left untouched, since other processes may still be using it.
    */
   destroy() {
     if (this.#cleanupTimer) clearInterval(this.#cleanupTimer);
@@ -734,6 +1695,8 @@ class TinyRateLimiter {
     this.userToGroup.clear();
     this.groupTTL.clear();
     this.groupFlags.clear();
+    this.groupAlgorithms.clear();
+    this.groupState.clear();
   }
 }
 
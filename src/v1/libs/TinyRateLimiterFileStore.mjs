@@ -0,0 +1,419 @@
+import { open, readFile, writeFile, rename, unlink, readdir, stat, link } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { ensureDirectory } from '../fileManager/normalFuncs.mjs';
+
+/**
+ * Entry format written to each key file.
+ *
+ * @typedef {Object} FileStoreEntry
+ * @property {any} value - Stored value.
+ * @property {number|null} expiresAt - Expiration timestamp in ms, or `null` for no expiration.
+ */
+
+/**
+ * A local file-based key/value store implementing the `TinyRateLimiter` storage adapter interface.
+ *
+ * This is a reference implementation for sharing rate limit state between several
+ * Node.js processes (cluster workers, PM2 instances, ...) running on the same machine.
+ * The same approach maps directly to SQLite or any other local database.
+ *
+ * ## How it works
+ * - Every key is stored in its own JSON file inside `dir`.
+ * - Writes go to a temporary file which is then renamed, so readers never see partial data.
+ * - Every write operation takes an exclusive `.lock` file, making `update()` atomic across processes.
+ * - Locks older than `staleLock` ms are considered abandoned (crashed process) and are removed.
+ *   Each lock holds an owner token, so a process never removes a lock it did not inspect.
+ * - Expired keys are ignored when read, overwritten on the next write, and can be swept with `cleanup()`.
+ */
+class TinyRateLimiterFileStore {
+  /** @type {string} */
+  #dir;
+
+  /** @type {number} */
+  #lockTimeout;
+
+  /** @type {number} */
+  #lockRetry;
+
+  /** @type {number} */
+  #staleLock;
+
+  /** @type {number} */
+  #tmpId = 0;
+
+  /**
+   * Creates a new file store.
+   *
+   * @param {Object} options
+   * @param {string} options.dir - Directory where key files are stored. Created if missing.
+   * @param {number} [options.lockTimeout=5000] - Maximum time (ms) to wait for a lock.
+   * @param {number} [options.lockRetry=5] - Delay (ms) between lock attempts.
+   * @param {number} [options.staleLock=10000] - Age (ms) after which a lock is considered abandoned.
+   */
+  constructor({ dir, lockTimeout = 5000, lockRetry = 5, staleLock = 10000 }) {
+    if (typeof dir !== 'string' || !dir.length)
+      throw new Error("'dir' must be a non-empty string.");
+    /** @param {number} val */
+    const isPositive = (val) => typeof val === 'number' && Number.isFinite(val) && val > 0;
+    if (!isPositive(lockTimeout)) throw new Error("'lockTimeout' must be a positive number.");
+    if (!isPositive(lockRetry)) throw new Error("'lockRetry' must be a positive number.");
+    if (!isPositive(staleLock)) throw new Error("'staleLock' must be a positive number.");
+
+    this.#dir = dir;
+    this.#lockTimeout = lockTimeout;
+    this.#lockRetry = lockRetry;
+    this.#staleLock = staleLock;
+    ensureDirectory(dir);
+  }
+
+  /**
+   * Directory where key files are stored.
+   *
+   * @returns {string}
+   */
+  get dir() {
+    return this.#dir;
+  }
+
+  /**
+   * Validates a TTL value.
+   *
+   * @param {number|null|undefined} ttl
+   * @returns {number|null}
+   */
+  #checkTtl(ttl) {
+    if (ttl === null || ttl === undefined) return null;
+    if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0)
+      throw new Error('TTL must be a positive number in milliseconds or null');
+    return ttl;
+  }
+
+  /**
+   * Resolves the file path of a key.
+   *
+   * @param {string} key
+   * @returns {string}
+   */
+  #getPath(key) {
+    if (typeof key !== 'string' || !key.length) throw new Error('key must be a non-empty string');
+    return join(this.#dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Reads a live entry.
+   *
+   * Expired files are not removed here, since this may run without holding the lock.
+   *
+   * @param {string} file
+   * @returns {Promise<FileStoreEntry|null>}
+   */
+  async #read(file) {
+    let content;
+    try {
+      content = await readFile(file, 'utf-8');
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return null;
+      throw err;
+    }
+
+    /** @type {FileStoreEntry} */
+    const entry = JSON.parse(content);
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) return null;
+    return entry;
+  }
+
+  /**
+   * Writes an entry through a temporary file and an atomic rename.
+   *
+   * @param {string} file
+   * @param {FileStoreEntry} entry
+   * @returns {Promise<void>}
+   */
+  async #write(file, entry) {
+    const tmp = `${file}.${process.pid}.${this.#tmpId++}.tmp`;
+    await writeFile(tmp, JSON.stringify(entry), 'utf-8');
+    await rename(tmp, file);
+  }
+
+  /**
+   * Removes a file, ignoring missing files.
+   *
+   * @param {string} file
+   * @returns {Promise<boolean>} `true` if the file existed.
+   */
+  async #remove(file) {
+    try {
+      await unlink(file);
+      return true;
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Reads the owner token of a lock file.
+   *
+   * @param {string} lock
+   * @returns {Promise<string|null>} The token, or `null` if the lock does not exist.
+   */
+  async #readLockOwner(lock) {
+    try {
+      return await readFile(lock, 'utf-8');
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Removes a stale lock, but only if it is still the one owned by `token`.
+   *
+   * The lock is first renamed to a unique path, which only one process can do.
+   * If another process replaced the stale lock in the meantime, the claimed lock
+   * is not ours to remove, so it is linked back in place. While a third process
+   * holds a new lock at that path, linking is retried until `lockTimeout`; after
+   * that the claimed lock is left as a `.stale` file, which `cleanup()` sweeps
+   * once it is older than `staleLock`.
+   *
+   * @param {string} lock
+   * @param {string} token - Owner token read from the stale lock.
+   * @returns {Promise<void>}
+   */
+  async #breakLock(lock, token) {
+    const claimed = `${lock}.${randomUUID()}.stale`;
+    try {
+      await rename(lock, claimed);
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return;
+      throw err;
+    }
+
+    if ((await this.#readLockOwner(claimed)) !== token) {
+      const started = Date.now();
+      while (true) {
+        try {
+          await link(claimed, lock);
+          break;
+        } catch (err) {
+          if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'EEXIST') throw err;
+          if (Date.now() - started > this.#lockTimeout) return;
+          await new Promise((resolve) => setTimeout(resolve, this.#lockRetry));
+        }
+      }
+    }
+    await this.#remove(claimed);
+  }
+
+  /**
+   * Runs a callback while holding the exclusive lock of a key file.
+   *
+   * @template T
+   * @param {string} file
+   * @param {() => Promise<T>} callback
+   * @returns {Promise<T>}
+   * @throws {Error} If the lock cannot be acquired within `lockTimeout`.
+   */
+  async #withLock(file, callback) {
+    const lock = `${file}.lock`;
+    const token = randomUUID();
+    const started = Date.now();
+
+    /** @type {import('fs/promises').FileHandle|null} */
+    let handle = null;
+    while (!handle) {
+      try {
+        handle = await open(lock, 'wx');
+      } catch (err) {
+        if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'EEXIST') throw err;
+
+        // Remove locks left behind by crashed processes
+        try {
+          const owner = await this.#readLockOwner(lock);
+          const info = await stat(lock);
+          if (owner !== null && Date.now() - info.mtimeMs > this.#staleLock) {
+            await this.#breakLock(lock, owner);
+            continue;
+          }
+        } catch (statErr) {
+          if (/** @type {NodeJS.ErrnoException} */ (statErr).code === 'ENOENT') continue;
+          throw statErr;
+        }
+
+        if (Date.now() - started > this.#lockTimeout)
+          throw new Error(`Timed out waiting for lock: ${lock}`);
+        await new Promise((resolve) => setTimeout(resolve, this.#lockRetry));
+      }
+    }
+
+    // A lock without its token would block every other process until it turns stale
+    try {
+      await handle.writeFile(token, 'utf-8');
+    } catch (err) {
+      await handle.close().catch(() => null);
+      await this.#remove(lock);
+      throw err;
+    }
+
+    try {
+      return await callback();
+    } finally {
+      await handle.close();
+      // Our lock may have been removed as stale and taken by another process
+      if ((await this.#readLockOwner(lock)) === token) await this.#remove(lock);
+    }
+  }
+
+  /**
+   * Reads a value.
+   *
+   * @param {string} key
+   * @returns {Promise<any|null>} The stored value, or `null` if missing or expired.
+   */
+  async get(key) {
+    const entry = await this.#read(this.#getPath(key));
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Writes a value.
+   *
+   * @param {string} key
+   * @param {any} value - Any JSON-serializable value.
+   * @param {number|null} [ttl=null] - Time-to-live in ms. `null` keeps the key forever.
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = null) {
+    const time = this.#checkTtl(ttl);
+    const file = this.#getPath(key);
+    await this.#withLock(file, () =>
+      this.#write(file, {
+        value: value === undefined ? null : value,
+        expiresAt: time !== null ? Date.now() + time : null,
+      }),
+    );
+  }
+
+  /**
+   * Deletes a key.
+   *
+   * @param {string} key
+   * @returns {Promise<boolean>} `true` if the key existed.
+   */
+  async delete(key) {
+    const file = this.#getPath(key);
+    return this.#withLock(file, async () => {
+      const entry = await this.#read(file);
+      await this.#remove(file);
+      return entry !== null;
+    });
+  }
+
+  /**
+   * Changes the expiration of an existing key.
+   *
+   * @param {string} key
+   * @param {number|null} ttl - New time-to-live in ms. `null` removes the expiration.
+   * @returns {Promise<boolean>} `true` if the key exists.
+   */
+  async expire(key, ttl) {
+    const time = this.#checkTtl(ttl);
+    const file = this.#getPath(key);
+    return this.#withLock(file, async () => {
+      const entry = await this.#read(file);
+      if (!entry) return false;
+      entry.expiresAt = time !== null ? Date.now() + time : null;
+      await this.#write(file, entry);
+      return true;
+    });
+  }
+
+  /**
+   * Atomically reads, transforms and writes a value.
+   *
+   * The key lock is held for the whole operation, so concurrent updates
+   * from other processes are serialized.
+   *
+   * @param {string} key
+   * @param {(current: any|null) => any} updater - Receives the current value (or `null`) and returns the new one.
+   * @param {number|null} [ttl=null] - Time-to-live in ms applied to the written value.
+   * @returns {Promise<any>} The written value.
+   */
+  async update(key, updater, ttl = null) {
+    if (typeof updater !== 'function') throw new Error('updater must be a function');
+    const time = this.#checkTtl(ttl);
+    const file = this.#getPath(key);
+    return this.#withLock(file, async () => {
+      const entry = await this.#read(file);
+      const value = updater(entry ? entry.value : null);
+      await this.#write(file, {
+        value: value === undefined ? null : value,
+        expiresAt: time !== null ? Date.now() + time : null,
+      });
+      return value;
+    });
+  }
+
+  /**
+   * Lists all live keys starting with a prefix.
+   *
+   * @param {string} [prefix='']
+   * @returns {Promise<string[]>}
+   */
+  async keys(prefix = '') {
+    const result = [];
+    for (const name of await readdir(this.#dir)) {
+      if (!name.endsWith('.json')) continue;
+      const key = decodeURIComponent(name.slice(0, -5));
+      if (!key.startsWith(prefix)) continue;
+      if (await this.#read(join(this.#dir, name))) result.push(key);
+    }
+    return result;
+  }
+
+  /**
+   * Removes every expired key, along with claimed locks older than `staleLock`.
+   *
+   * @returns {Promise<number>} Amount of removed keys.
+   */
+  async cleanup() {
+    let removed = 0;
+    for (const name of await readdir(this.#dir)) {
+      // Claimed locks that could not be linked back once their owner is gone
+      if (name.endsWith('.stale')) {
+        const file = join(this.#dir, name);
+        const info = await stat(file).catch(() => null);
+        if (info && Date.now() - info.mtimeMs > this.#staleLock) await this.#remove(file);
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+      const file = join(this.#dir, name);
+      await this.#withLock(file, async () => {
+        const content = await readFile(file, 'utf-8').catch(() => null);
+        if (content === null) return;
+        /** @type {FileStoreEntry} */
+        const entry = JSON.parse(content);
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+          if (await this.#remove(file)) removed++;
+        }
+      });
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every key.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    for (const name of await readdir(this.#dir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = join(this.#dir, name);
+      await this.#withLock(file, () => this.#remove(file));
+    }
+  }
+}
+
+export default TinyRateLimiterFileStore;
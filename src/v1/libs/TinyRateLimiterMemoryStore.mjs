@@ -0,0 +1,197 @@
+/**
+ * Internal entry kept by the memory store.
+ *
+ * @typedef {Object} MemoryStoreEntry
+ * @property {any} value - Stored value (always a detached copy).
+ * @property {number|null} expiresAt - Expiration timestamp in ms, or `null` for no expiration.
+ */
+
+/**
+ * A tiny in-memory key/value store implementing the `TinyRateLimiter` storage adapter interface.
+ *
+ * All methods are asynchronous so the store can be swapped with a shared backend
+ * (file, SQLite, Redis, ...) without changing the calling code.
+ *
+ * Values are deep-copied when written and read, which mirrors the behavior of
+ * external stores: mutating a returned value never changes the stored one.
+ *
+ * Expired keys are evicted lazily whenever they are accessed, and can also be
+ * swept manually through `cleanup()`.
+ *
+ * This store is scoped to a single process, but it can be shared by several
+ * `TinyRateLimiter` instances living in the same process.
+ */
+class TinyRateLimiterMemoryStore {
+  /**
+   * Stored entries by key.
+   *
+   * @type {Map<string, MemoryStoreEntry>}
+   */
+  #data = new Map();
+
+  /**
+   * Creates a detached copy of a value.
+   *
+   * @param {any} value
+   * @returns {any}
+   */
+  #clone(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Validates a TTL value.
+   *
+   * @param {number|null|undefined} ttl
+   * @returns {number|null}
+   */
+  #checkTtl(ttl) {
+    if (ttl === null || ttl === undefined) return null;
+    if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0)
+      throw new Error('TTL must be a positive number in milliseconds or null');
+    return ttl;
+  }
+
+  /**
+   * Returns a live entry, evicting it if it has expired.
+   *
+   * @param {string} key
+   * @returns {MemoryStoreEntry|null}
+   */
+  #getEntry(key) {
+    const entry = this.#data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.#data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Number of keys currently held, including expired keys not yet evicted.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.#data.size;
+  }
+
+  /**
+   * Reads a value.
+   *
+   * @param {string} key
+   * @returns {Promise<any|null>} The stored value, or `null` if missing or expired.
+   */
+  async get(key) {
+    const entry = this.#getEntry(key);
+    return entry ? this.#clone(entry.value) : null;
+  }
+
+  /**
+   * Writes a value.
+   *
+   * @param {string} key
+   * @param {any} value - Any JSON-serializable value.
+   * @param {number|null} [ttl=null] - Time-to-live in ms. `null` keeps the key forever.
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = null) {
+    const time = this.#checkTtl(ttl);
+    this.#data.set(key, {
+      value: this.#clone(value),
+      expiresAt: time !== null ? Date.now() + time : null,
+    });
+  }
+
+  /**
+   * Deletes a key.
+   *
+   * @param {string} key
+   * @returns {Promise<boolean>} `true` if the key existed.
+   */
+  async delete(key) {
+    const existed = this.#getEntry(key) !== null;
+    this.#data.delete(key);
+    return existed;
+  }
+
+  /**
+   * Changes the expiration of an existing key.
+   *
+   * @param {string} key
+   * @param {number|null} ttl - New time-to-live in ms. `null` removes the expiration.
+   * @returns {Promise<boolean>} `true` if the key exists.
+   */
+  async expire(key, ttl) {
+    const time = this.#checkTtl(ttl);
+    const entry = this.#getEntry(key);
+    if (!entry) return false;
+    entry.expiresAt = time !== null ? Date.now() + time : null;
+    return true;
+  }
+
+  /**
+   * Atomically reads, transforms and writes a value.
+   *
+   * The updater runs synchronously between the read and the write,
+   * so no other call can interleave with it.
+   *
+   * @param {string} key
+   * @param {(current: any|null) => any} updater - Receives the current value (or `null`) and returns the new one.
+   * @param {number|null} [ttl=null] - Time-to-live in ms applied to the written value.
+   * @returns {Promise<any>} The written value.
+   */
+  async update(key, updater, ttl = null) {
+    if (typeof updater !== 'function') throw new Error('updater must be a function');
+    const time = this.#checkTtl(ttl);
+    const entry = this.#getEntry(key);
+    const value = updater(entry ? this.#clone(entry.value) : null);
+    this.#data.set(key, {
+      value: this.#clone(value),
+      expiresAt: time !== null ? Date.now() + time : null,
+    });
+    return this.#clone(value);
+  }
+
+  /**
+   * Lists all live keys starting with a prefix.
+   *
+   * @param {string} [prefix='']
+   * @returns {Promise<string[]>}
+   */
+  async keys(prefix = '') {
+    const result = [];
+    for (const key of Array.from(this.#data.keys()))
+      if (key.startsWith(prefix) && this.#getEntry(key)) result.push(key);
+    return result;
+  }
+
+  /**
+   * Removes every expired key.
+   *
+   * @returns {Promise<number>} Amount of removed keys.
+   */
+  async cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.#data.entries()) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.#data.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every key.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.#data.clear();
+  }
+}
+
+export default TinyRateLimiterMemoryStore;
@@ -0,0 +1,610 @@
+import TinyRateLimiter from './TinyRateLimiter.mjs';
+
+/**
+ * Minimal request shape used by the middleware.
+ *
+ * Compatible with Node `http.IncomingMessage` and Express `Request`.
+ *
+ * @typedef {Object} MiddlewareRequest
+ * @property {string} [method] - HTTP method.
+ * @property {string} [url] - Request URL (path and query).
+ * @property {string} [path] - Request path (Express).
+ * @property {string} [ip] - Client IP (Express).
+ * @property {Record<string, string|string[]|undefined>} headers - Request headers (lowercase names).
+ * @property {{ remoteAddress?: string }} [socket] - Underlying socket.
+ * @property {any} [user] - Authenticated user, if any (`user.id` is used by the `user` key).
+ */
+
+/**
+ * Minimal response shape used by the middleware.
+ *
+ * Compatible with Node `http.ServerResponse` and Express `Response`.
+ *
+ * @typedef {Object} MiddlewareResponse
+ * @property {number} statusCode - Response status code.
+ * @property {boolean} [headersSent] - Whether the headers were already sent.
+ * @property {(name: string, value: string|number) => any} setHeader - Sets a response header.
+ * @property {(body?: string) => any} end - Ends the response.
+ */
+
+/**
+ * Express-style `next` callback.
+ *
+ * @typedef {(err?: any) => void} MiddlewareNext
+ */
+
+/**
+ * Extracts the rate limit key of a request.
+ *
+ * - `'ip'`: Client IP address (see `trustProxy`).
+ * - `'user'`: `req.user.id`, or the client IP for requests without a user.
+ * - `{ header }`: Value of a request header (e.g. an API key), or the client IP when the header is missing.
+ * - A function returning the key. Returning `null` skips rate limiting for the request.
+ *
+ * @typedef {'ip'|'user'|{ header: string }|((req: MiddlewareRequest) => string|null|undefined|Promise<string|null|undefined>)} KeyExtractor
+ */
+
+/**
+ * Matches a request path. Strings match exactly, or as a prefix when ending with `*`.
+ *
+ * @typedef {string|RegExp} PathMatcher
+ */
+
+/**
+ * Per-route limit.
+ *
+ * @typedef {Object} RouteLimit
+ * @property {PathMatcher|PathMatcher[]|((req: MiddlewareRequest) => boolean)} path - Routes covered by this limit.
+ * @property {string|string[]} [methods] - HTTP methods covered (all methods when omitted).
+ * @property {TinyRateLimiter} limiter - Rate limiter used by the route.
+ * @property {KeyExtractor} [key] - Key extractor overriding the middleware one.
+ * @property {string} [keyPrefix] - Key prefix overriding the middleware one.
+ * @property {string} [name] - Policy name used by the `draft-8` headers.
+ */
+
+/**
+ * Details handed to the hooks.
+ *
+ * @typedef {Object} MiddlewareContext
+ * @property {string} key - Final key sent to the limiter.
+ * @property {TinyRateLimiter} limiter - Limiter that evaluated the request.
+ * @property {RouteLimit|null} route - Matched route, or `null` for the default limit.
+ * @property {import('./TinyRateLimiter.mjs').RateLimitResult} result - Result of the registered hit.
+ * @property {Record<string, string>} headers - Headers set on the response.
+ */
+
+/**
+ * Hook called when a request is rejected. It must send the response.
+ *
+ * @typedef {(req: MiddlewareRequest, res: MiddlewareResponse, context: MiddlewareContext, next?: MiddlewareNext) => any} OnLimited
+ */
+
+/**
+ * Hook called when a request is accepted, right before `next()`.
+ *
+ * @typedef {(req: MiddlewareRequest, res: MiddlewareResponse, context: MiddlewareContext) => any} OnAllowed
+ */
+
+/**
+ * Hook called when the key extraction or the limiter throws.
+ *
+ * @typedef {(err: any, req: MiddlewareRequest, res: MiddlewareResponse, next?: MiddlewareNext) => any} OnError
+ */
+
+/**
+ * Standard header format.
+ *
+ * - `'draft-6'`: `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy`.
+ * - `'draft-8'`: Combined `RateLimit` and `RateLimit-Policy` structured fields.
+ * - `false`: No `RateLimit-*` headers (`Retry-After` is still sent on rejections).
+ *
+ * @typedef {'draft-6'|'draft-8'|false} StandardHeaders
+ */
+
+/**
+ * HTTP middleware for `TinyRateLimiter`, compatible with Express-style handlers and plain Node `http` servers.
+ *
+ * ## Features
+ * - Key extraction by IP, header, authenticated user or a custom function.
+ * - Per-route limits, each with its own limiter.
+ * - Skip lists by path, by key, or through a custom predicate.
+ * - `429` responses with `Retry-After` and IETF `RateLimit-*` headers.
+ * - Hooks for custom rejections, accepted requests and errors.
+ *
+ * Hits are registered with `hitAsync()`, so limiters using a shared store work across processes.
+ *
+ * ## Usage
+ * ```js
+ * // Express
+ * app.use(TinyRateLimiterMiddleware.create({ limiter }));
+ *
+ * // Node http
+ * const rateLimit = new TinyRateLimiterMiddleware({ limiter });
+ * http.createServer(async (req, res) => {
+ *   if (!(await rateLimit.handle(req, res))) return;
+ *   res.end('ok');
+ * });
+ * ```
+ */
+class TinyRateLimiterMiddleware {
+  /** @type {TinyRateLimiter} */
+  #limiter;
+
+  /** @type {KeyExtractor} */
+  #key = 'ip';
+
+  /** @type {string} */
+  #keyPrefix = '';
+
+  /**
+   * Number of trusted proxies in front of the app (`0` ignores `X-Forwarded-For`).
+   * @type {number}
+   */
+  #trustProxy = 0;
+
+  /** @type {RouteLimit[]} */
+  #routes = [];
+
+  /** @type {PathMatcher[]} */
+  #skipPaths = [];
+
+  /** @type {Set<string>} */
+  #allowList = new Set();
+
+  /** @type {((req: MiddlewareRequest) => boolean|Promise<boolean>)|null} */
+  #skip = null;
+
+  /** @type {number} */
+  #statusCode = 429;
+
+  /** @type {string|Record<string, any>} */
+  #message = 'Too Many Requests';
+
+  /** @type {StandardHeaders} */
+  #standardHeaders = 'draft-6';
+
+  /** @type {string} */
+  #policyName = 'default';
+
+  /** @type {boolean} */
+  #applyDelay = false;
+
+  /** @type {OnLimited|null} */
+  #onLimited = null;
+
+  /** @type {OnAllowed|null} */
+  #onAllowed = null;
+
+  /** @type {OnError|null} */
+  #onError = null;
+
+  /**
+   * Creates a new middleware.
+   *
+   * @param {Object} options
+   * @param {TinyRateLimiter} options.limiter - Default limiter for requests not matching any route.
+   * @param {KeyExtractor} [options.key='ip'] - How the request key is extracted.
+   * @param {string} [options.keyPrefix=''] - Prefix added to every key.
+   * @param {boolean|number} [options.trustProxy=false] - Number of trusted proxies in front of the app (`true` is one).
+   *   The client IP is the `X-Forwarded-For` address added by the outermost trusted proxy.
+   * @param {RouteLimit[]} [options.routes=[]] - Per-route limits. The first matching route wins.
+   * @param {PathMatcher[]} [options.skipPaths=[]] - Paths that are never rate limited.
+   * @param {string[]} [options.allowList=[]] - Keys that are never rate limited.
+   * @param {(req: MiddlewareRequest) => boolean|Promise<boolean>} [options.skip] - Custom predicate to skip a request.
+   * @param {number} [options.statusCode=429] - Status code of rejected requests.
+   * @param {string|Record<string, any>} [options.message='Too Many Requests'] - Body of rejected requests (objects are sent as JSON).
+   * @param {StandardHeaders} [options.standardHeaders='draft-6'] - `RateLimit-*` header format.
+   * @param {string} [options.policyName='default'] - Policy name of the default limit in `draft-8` headers.
+   * @param {boolean} [options.applyDelay=false] - Wait the leaky bucket `delay` before calling `next()`.
+   * @param {OnLimited} [options.onLimited] - Custom rejection response.
+   * @param {OnAllowed} [options.onAllowed] - Called for every accepted request.
+   * @param {OnError} [options.onError] - Custom error handling.
+   */
+  constructor({
+    limiter,
+    key = 'ip',
+    keyPrefix = '',
+    trustProxy = false,
+    routes = [],
+    skipPaths = [],
+    allowList = [],
+    skip,
+    statusCode = 429,
+    message = 'Too Many Requests',
+    standardHeaders = 'draft-6',
+    policyName = 'default',
+    applyDelay = false,
+    onLimited,
+    onAllowed,
+    onError,
+  }) {
+    if (!(limiter instanceof TinyRateLimiter))
+      throw new Error("'limiter' must be a TinyRateLimiter instance.");
+    this.#checkKey(key);
+    if (typeof keyPrefix !== 'string') throw new Error("'keyPrefix' must be a string.");
+    if (
+      typeof trustProxy !== 'boolean' &&
+      (typeof trustProxy !== 'number' || !Number.isInteger(trustProxy) || trustProxy < 0)
+    )
+      throw new Error("'trustProxy' must be a boolean or a non-negative integer.");
+    if (!Array.isArray(routes)) throw new Error("'routes' must be an array.");
+    for (const route of routes) this.#checkRoute(route);
+    if (!Array.isArray(skipPaths)) throw new Error("'skipPaths' must be an array.");
+    for (const path of skipPaths) this.#checkPath(path);
+    if (!Array.isArray(allowList) || allowList.some((item) => typeof item !== 'string'))
+      throw new Error("'allowList' must be an array of strings.");
+    if (skip !== undefined && typeof skip !== 'function')
+      throw new Error("'skip' must be a function.");
+    if (!Number.isInteger(statusCode) || statusCode < 400 || statusCode > 599)
+      throw new Error("'statusCode' must be an HTTP error status code.");
+    if (typeof message !== 'string' && (typeof message !== 'object' || message === null))
+      throw new Error("'message' must be a string or an object.");
+    if (standardHeaders !== 'draft-6' && standardHeaders !== 'draft-8' && standardHeaders !== false)
+      throw new Error("'standardHeaders' must be 'draft-6', 'draft-8' or false.");
+    if (typeof policyName !== 'string' || !policyName.length)
+      throw new Error("'policyName' must be a non-empty string.");
+    if (typeof applyDelay !== 'boolean') throw new Error("'applyDelay' must be a boolean.");
+    if (onLimited !== undefined && typeof onLimited !== 'function')
+      throw new Error("'onLimited' must be a function.");
+    if (onAllowed !== undefined && typeof onAllowed !== 'function')
+      throw new Error("'onAllowed' must be a function.");
+    if (onError !== undefined && typeof onError !== 'function')
+      throw new Error("'onError' must be a function.");
+
+    this.#limiter = limiter;
+    this.#key = key;
+    this.#keyPrefix = keyPrefix;
+    this.#trustProxy = typeof trustProxy === 'number' ? trustProxy : trustProxy ? 1 : 0;
+    this.#routes = [...routes];
+    this.#skipPaths = [...skipPaths];
+    this.#allowList = new Set(allowList);
+    this.#skip = skip ?? null;
+    this.#statusCode = statusCode;
+    this.#message = message;
+    this.#standardHeaders = standardHeaders;
+    this.#policyName = policyName;
+    this.#applyDelay = applyDelay;
+    this.#onLimited = onLimited ?? null;
+    this.#onAllowed = onAllowed ?? null;
+    this.#onError = onError ?? null;
+  }
+
+  /**
+   * Creates a middleware and returns its Express-style handler.
+   *
+   * @param {ConstructorParameters<typeof TinyRateLimiterMiddleware>[0]} options
+   * @returns {(req: MiddlewareRequest, res: MiddlewareResponse, next?: MiddlewareNext) => Promise<boolean>}
+   */
+  static create(options) {
+    return new TinyRateLimiterMiddleware(options).handler;
+  }
+
+  /**
+   * Express-style handler bound to this instance.
+   *
+   * @returns {(req: MiddlewareRequest, res: MiddlewareResponse, next?: MiddlewareNext) => Promise<boolean>}
+   */
+  get handler() {
+    return (req, res, next) => this.handle(req, res, next);
+  }
+
+  /**
+   * Default limiter.
+   *
+   * @returns {TinyRateLimiter}
+   */
+  get limiter() {
+    return this.#limiter;
+  }
+
+  /**
+   * Registered per-route limits.
+   *
+   * @returns {RouteLimit[]}
+   */
+  get routes() {
+    return [...this.#routes];
+  }
+
+  /**
+   * Adds a per-route limit after the existing ones.
+   *
+   * @param {RouteLimit} route
+   */
+  addRoute(route) {
+    this.#checkRoute(route);
+    this.#routes.push(route);
+  }
+
+  /**
+   * Adds keys to the allow list.
+   *
+   * @param {...string} keys
+   */
+  allow(...keys) {
+    for (const key of keys) {
+      if (typeof key !== 'string') throw new Error('Allowed keys must be strings.');
+      this.#allowList.add(key);
+    }
+  }
+
+  /**
+   * Removes keys from the allow list.
+   *
+   * @param {...string} keys
+   */
+  disallow(...keys) {
+    for (const key of keys) this.#allowList.delete(key);
+  }
+
+  /**
+   * Validates a key extractor.
+   *
+   * @param {KeyExtractor} key
+   */
+  #checkKey(key) {
+    if (key === 'ip' || key === 'user' || typeof key === 'function') return;
+    if (key && typeof key === 'object' && typeof key.header === 'string' && key.header.length)
+      return;
+    throw new Error("'key' must be 'ip', 'user', { header } or a function.");
+  }
+
+  /**
+   * Validates a path matcher.
+   *
+   * @param {PathMatcher} path
+   */
+  #checkPath(path) {
+    if (typeof path !== 'string' && !(path instanceof RegExp))
+      throw new Error('Paths must be strings or regular expressions.');
+  }
+
+  /**
+   * Validates a route limit.
+   *
+   * @param {RouteLimit} route
+   */
+  #checkRoute(route) {
+    if (!route || typeof route !== 'object') throw new Error('Each route must be an object.');
+    if (!(route.limiter instanceof TinyRateLimiter))
+      throw new Error("Route 'limiter' must be a TinyRateLimiter instance.");
+    if (typeof route.path !== 'function') {
+      const paths = Array.isArray(route.path) ? route.path : [route.path];
+      for (const path of paths) this.#checkPath(path);
+    }
+    if (route.key !== undefined) this.#checkKey(route.key);
+    if (route.keyPrefix !== undefined && typeof route.keyPrefix !== 'string')
+      throw new Error("Route 'keyPrefix' must be a string.");
+  }
+
+  /**
+   * Returns the path of a request, without the query string.
+   *
+   * @param {MiddlewareRequest} req
+   * @returns {string}
+   */
+  getPath(req) {
+    if (typeof req.path === 'string') return req.path;
+    const url = req.url ?? '/';
+    const index = url.indexOf('?');
+    return index === -1 ? url : url.slice(0, index);
+  }
+
+  /**
+   * Checks a path against a matcher.
+   *
+   * @param {PathMatcher} matcher
+   * @param {string} path
+   * @returns {boolean}
+   */
+  #matchPath(matcher, path) {
+    if (matcher instanceof RegExp) return matcher.test(path);
+    if (matcher.endsWith('*')) return path.startsWith(matcher.slice(0, -1));
+    return path === matcher;
+  }
+
+  /**
+   * Returns the first route limit matching a request.
+   *
+   * @param {MiddlewareRequest} req
+   * @returns {RouteLimit|null}
+   */
+  resolveRoute(req) {
+    const path = this.getPath(req);
+    const method = (req.method ?? 'GET').toUpperCase();
+
+    for (const route of this.#routes) {
+      if (route.methods !== undefined) {
+        const methods = Array.isArray(route.methods) ? route.methods : [route.methods];
+        if (!methods.some((item) => item.toUpperCase() === method)) continue;
+      }
+
+      if (typeof route.path === 'function') {
+        if (route.path(req)) return route;
+        continue;
+      }
+
+      const paths = Array.isArray(route.path) ? route.path : [route.path];
+      if (paths.some((matcher) => this.#matchPath(matcher, path))) return route;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the client IP address of a request.
+   *
+   * With `trustProxy`, `X-Forwarded-For` is read from the right: each trusted proxy appends
+   * the address it received the request from, so anything further left may be sent by the client.
+   *
+   * @param {MiddlewareRequest} req
+   * @returns {string|null}
+   */
+  getIp(req) {
+    if (this.#trustProxy > 0) {
+      const forwarded = req.headers['x-forwarded-for'];
+      const value = Array.isArray(forwarded) ? forwarded.join(',') : forwarded;
+      const hops =
+        typeof value === 'string'
+          ? value
+              .split(',')
+              .map((ip) => ip.trim())
+              .filter((ip) => ip.length)
+          : [];
+      // Fewer hops than trusted proxies: every address was added by a trusted proxy
+      if (hops.length) return hops[Math.max(hops.length - this.#trustProxy, 0)];
+    }
+    return req.ip ?? req.socket?.remoteAddress ?? null;
+  }
+
+  /**
+   * Extracts the key of a request (without prefix).
+   *
+   * The `user` and `{ header }` extractors fall back to the client IP, so anonymous
+   * requests are still rate limited.
+   *
+   * @param {MiddlewareRequest} req
+   * @param {RouteLimit|null} [route=null]
+   * @returns {Promise<string|null>} `null` when no key is available.
+   */
+  async resolveKey(req, route = null) {
+    const key = route?.key ?? this.#key;
+    /** @type {string|null|undefined} */
+    let value;
+
+    if (key === 'ip') value = this.getIp(req);
+    else if (key === 'user')
+      value =
+        req.user?.id !== undefined && req.user.id !== null ? String(req.user.id) : this.getIp(req);
+    else if (typeof key === 'function') value = await key(req);
+    else {
+      const header = req.headers[key.header.toLowerCase()];
+      value = Array.isArray(header) ? header[0] : header;
+      if (typeof value !== 'string' || !value.length) value = this.getIp(req);
+    }
+
+    return typeof value === 'string' && value.length ? value : null;
+  }
+
+  /**
+   * Builds the rate limit headers of a result.
+   *
+   * The policy window comes from the result, so groups configured in a shared store are reported correctly.
+   *
+   * @param {import('./TinyRateLimiter.mjs').RateLimitResult} result
+   * @param {string} [policyName=this.#policyName]
+   * @returns {Record<string, string>}
+   */
+  getHeaders(result, policyName = this.#policyName) {
+    /** @type {Record<string, string>} */
+    const headers = {};
+    /** @param {number|null} ms */
+    const toSeconds = (ms) => (ms === null ? null : Math.ceil(ms / 1000));
+
+    const window = toSeconds(result.interval);
+    const reset = toSeconds(result.resetAfter);
+
+    if (this.#standardHeaders === 'draft-6') {
+      headers['RateLimit-Limit'] = String(result.limit);
+      headers['RateLimit-Remaining'] = String(result.remaining);
+      if (reset !== null) headers['RateLimit-Reset'] = String(reset);
+      if (window !== null) headers['RateLimit-Policy'] = `${result.limit};w=${window}`;
+    } else if (this.#standardHeaders === 'draft-8') {
+      headers['RateLimit-Policy'] =
+        `"${policyName}";q=${result.limit}${window !== null ? `;w=${window}` : ''}`;
+      headers['RateLimit'] =
+        `"${policyName}";r=${result.remaining}${reset !== null ? `;t=${reset}` : ''}`;
+    }
+
+    if (!result.allowed && result.retryAfter !== null)
+      headers['Retry-After'] = String(Math.max(1, toSeconds(result.retryAfter) ?? 1));
+    return headers;
+  }
+
+  /**
+   * Sends the default rejection response.
+   *
+   * @param {MiddlewareResponse} res
+   */
+  #sendLimited(res) {
+    res.statusCode = this.#statusCode;
+    if (typeof this.#message === 'string') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(this.#message);
+    } else {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(this.#message));
+    }
+  }
+
+  /**
+   * Handles an error thrown while processing a request.
+   *
+   * @param {any} err
+   * @param {MiddlewareRequest} req
+   * @param {MiddlewareResponse} res
+   * @param {MiddlewareNext} [next]
+   */
+  async #handleError(err, req, res, next) {
+    if (this.#onError) return this.#onError(err, req, res, next);
+    if (typeof next === 'function') return next(err);
+    if (!res.headersSent) {
+      res.statusCode = 500;
+      res.end();
+    }
+  }
+
+  /**
+   * Processes a request.
+   *
+   * When `next` is given (Express), it is called for accepted and skipped requests.
+   * Without `next` (Node `http`), use the returned value to decide whether to continue.
+   *
+   * @param {MiddlewareRequest} req
+   * @param {MiddlewareResponse} res
+   * @param {MiddlewareNext} [next]
+   * @returns {Promise<boolean>} `true` if the request may proceed.
+   */
+  async handle(req, res, next) {
+    /** @type {MiddlewareContext|null} */
+    let context = null;
+
+    try {
+      const path = this.getPath(req);
+      const skipped =
+        this.#skipPaths.some((matcher) => this.#matchPath(matcher, path)) ||
+        (this.#skip !== null && (await this.#skip(req)));
+
+      if (!skipped) {
+        const route = this.resolveRoute(req);
+        const value = await this.resolveKey(req, route);
+
+        if (value !== null && !this.#allowList.has(value)) {
+          const limiter = route?.limiter ?? this.#limiter;
+          const key = `${route?.keyPrefix ?? this.#keyPrefix}${value}`;
+          const result = await limiter.hitAsync(key);
+          const headers = this.getHeaders(result, route?.name);
+          for (const name in headers) res.setHeader(name, headers[name]);
+          context = { key, limiter, route, result, headers };
+
+          if (!result.allowed) {
+            if (this.#onLimited) await this.#onLimited(req, res, context, next);
+            else this.#sendLimited(res);
+            return false;
+          }
+
+          if (this.#applyDelay && result.delay > 0)
+            await new Promise((resolve) => setTimeout(resolve, result.delay));
+          if (this.#onAllowed) await this.#onAllowed(req, res, context);
+        }
+      }
+    } catch (err) {
+      await this.#handleError(err, req, res, next);
+      return false;
+    }
+
+    if (typeof next === 'function') next();
+    return true;
+  }
+}
+
+export default TinyRateLimiterMiddleware;
@@ -38,6 +38,113 @@ import { isJsonObject } from '../basics/objChecker.mjs';
  *    Each entry represents a single dice token and contains an array with the rolled numbers.
  */
 
+/**
+ * A function that returns a pseudo-random number in the range [0, 1), like `Math.random`.
+ *
+ * @callback DiceRngGenerator
+ * @returns {number}
+ */
+
+/**
+ * RNG accepted by static calls: a `DiceRngGenerator`, a numeric seed (creates a seeded RNG),
+ * or `null`/`undefined` to use `Math.random`.
+ *
+ * @typedef {DiceRngGenerator|number|null|undefined} DiceRngInput
+ */
+
+/**
+ * An outcome of a probability distribution.
+ *
+ * @typedef {Object} DiceOutcome
+ * @property {number} value - Outcome value.
+ * @property {number} probability - Probability of the outcome (0 to 1).
+ */
+
+/**
+ * Exact probability distribution of a dice expression.
+ *
+ * @typedef {Object} DiceAnalysis
+ * @property {string} expression - The analyzed expression.
+ * @property {number} min - Lowest possible result.
+ * @property {number} max - Highest possible result.
+ * @property {number} mean - Expected value.
+ * @property {number} variance - Variance of the result.
+ * @property {number} stddev - Standard deviation of the result.
+ * @property {DiceOutcome[]} pmf - Probability mass function, sorted by value.
+ */
+
+/**
+ * Remaining work of an `analyze()` call.
+ *
+ * @typedef {Object} DiceAnalysisBudget
+ * @property {string} expression - The analyzed expression.
+ * @property {number} left - Outcome combinations that can still be computed.
+ */
+
+/**
+ * Comparison used by rerolls, explosions and success counting (e.g., `>=7`).
+ *
+ * @typedef {Object} DiceComparePoint
+ * @property {'='|'>'|'>='|'<'|'<='} operator - Comparison operator.
+ * @property {number} value - Value compared against.
+ */
+
+/**
+ * A parsed dice term of the tabletop notation (e.g., `4d6kh3`, `d6!`, `8d10>=7`).
+ *
+ * @typedef {Object} DiceTerm
+ * @property {string} notation - Original text of the term.
+ * @property {number} count - Amount of dice rolled.
+ * @property {number|'F'} sides - Sides of each die (`'F'` for Fate dice: -1, 0 or +1).
+ * @property {{ mode: 'kh'|'kl'|'dh'|'dl', amount: number }|null} keep - Keep/drop highest/lowest.
+ * @property {DiceComparePoint|null} explode - Explodes when a die matches (null to disable).
+ * @property {{ point: DiceComparePoint, once: boolean }|null} reroll - Rerolls dice matching the point.
+ * @property {DiceComparePoint|null} success - When set, the term counts successes instead of summing.
+ * @property {DiceComparePoint|null} failure - When set with `success`, failures are subtracted.
+ */
+
+/**
+ * A single die of a roll breakdown.
+ *
+ * @typedef {Object} DieResult
+ * @property {number} value - Final value of the die.
+ * @property {number[]} rerolled - Previous values discarded by rerolls.
+ * @property {boolean} dropped - Whether the die was dropped by keep/drop.
+ * @property {boolean} exploded - Whether this die exploded (added another die).
+ * @property {boolean} fromExplosion - Whether this die was added by an explosion.
+ * @property {boolean|null} success - Whether it counted as a success (null without success counting).
+ * @property {boolean} failure - Whether it counted as a failure.
+ */
+
+/**
+ * The result of a dice term in a roll breakdown.
+ *
+ * @typedef {Object} DiceTermResult
+ * @property {string} notation - Original text of the term.
+ * @property {number} count - Amount of dice requested.
+ * @property {number|'F'} sides - Sides of each die.
+ * @property {DieResult[]} dice - Every die rolled, including dropped and exploded ones.
+ * @property {number} value - Value of the term (sum of kept dice, or successes minus failures).
+ * @property {number|null} successes - Successes counted (null without success counting).
+ * @property {number} failures - Failures counted.
+ */
+
+/**
+ * The result of rolling a tabletop dice expression.
+ *
+ * @typedef {Object} DiceRollResult
+ * @property {string} expression - The rolled expression.
+ * @property {number} total - Final total after arithmetic.
+ * @property {DiceTermResult[]} terms - Breakdown of each dice term, in order.
+ * @property {string} evaluated - The arithmetic expression evaluated after replacing each term by its value.
+ */
+
+/**
+ * A token of a parsed tabletop dice expression.
+ *
+ * @typedef {{ type: 'dice', term: DiceTerm } | { type: 'number', value: number } | { type: 'op', value: string }} DiceToken
+ */
+
 /**
  * TinySimpleDice
  *
@@ -171,15 +278,17 @@ class TinySimpleDice {
    * Extracts all valid dice expressions and keeps their full context as modifiers.
    *
    * @param {string} input - Comma-separated dice expressions.
+   * @param {DiceRngInput} [rng] - RNG used to resolve random choice groups (defaults to `Math.random`).
    * @returns {{
    *   sides: { count: number, sides: number }[],
    *   modifiers: { index: number, original: string, expression: string }[]
    * }}
    */
-  static parseString(input) {
+  static parseString(input, rng) {
     if (typeof input !== 'string') {
       throw new TypeError('Input must be a string.');
     }
+    const random = TinySimpleDice._resolveRng(rng);
 
     const parts = input
       .split(',')
@@ -213,7 +322,7 @@ class TinySimpleDice {
 
         if (options.length === 0) throw new Error(`Invalid random-choice group: "${match}"`);
 
-        const chosen = options[Math.floor(Math.random() * options.length)];
+        const chosen = options[Math.floor(random() * options.length)];
         return chosen;
       });
 
@@ -434,23 +543,768 @@ class TinySimpleDice {
     };
   }
 
+  /**
+   * Maximum amount of dice in a single term.
+   * @type {number}
+   */
+  static MAX_DICE = 1000;
+
+  /**
+   * Maximum extra rolls caused by explosions or rerolls of a single die.
+   * @type {number}
+   */
+  static MAX_REROLLS = 100;
+
+  /**
+   * Maximum outcome combinations computed by a single `analyze()` call.
+   * @type {number}
+   */
+  static MAX_ANALYZE_STEPS = 5000000;
+
+  /**
+   * Parses a compare point text such as `>=7`, `<2` or `6` (same as `=6`).
+   *
+   * @param {string|undefined} operator - Operator text (empty means `=`).
+   * @param {string} value - Numeric text.
+   * @returns {DiceComparePoint}
+   * @private
+   */
+  static _parseComparePoint(operator, value) {
+    const op = /** @type {DiceComparePoint['operator']} */ (operator || '=');
+    return { operator: op, value: Number(value) };
+  }
+
+  /**
+   * Checks a value against a compare point.
+   *
+   * @param {number} value - Die value.
+   * @param {DiceComparePoint} point - Compare point.
+   * @returns {boolean}
+   * @private
+   */
+  static _matchComparePoint(value, point) {
+    switch (point.operator) {
+      case '>':
+        return value > point.value;
+      case '>=':
+        return value >= point.value;
+      case '<':
+        return value < point.value;
+      case '<=':
+        return value <= point.value;
+      default:
+        return value === point.value;
+    }
+  }
+
+  /**
+   * Parses a single dice term of the tabletop notation.
+   *
+   * Supported syntax (modifiers can be combined):
+   * - `NdM`, `dM`, `Nd%` (percentile, d100) and `NdF` (Fate dice).
+   * - `khN` / `klN` / `kN`: keep highest/lowest N (default 1). `dhN` / `dlN`: drop highest/lowest N.
+   * - `!` / `!>=N`: exploding dice (default: on the maximum value).
+   * - `rN` / `r<N` / `roN`: reroll matching dice (`ro` rerolls only once).
+   * - `>=N`, `>N`, `<=N`, `<N`, `=N`: count successes instead of summing. `fN` / `f<N`: subtract failures.
+   *
+   * @param {string} notation - Dice term (e.g., `4d6kh3`).
+   * @returns {DiceTerm}
+   * @throws {Error} If the term is invalid.
+   */
+  static parseDiceTerm(notation) {
+    if (typeof notation !== 'string') throw new TypeError('Notation must be a string.');
+    const head = /^(\d*)d(\d+|F|%)/i.exec(notation);
+    if (!head) throw new Error(`Invalid dice term: "${notation}"`);
+
+    const count = head[1] ? Number(head[1]) : 1;
+    const rawSides = head[2].toUpperCase();
+    /** @type {number|'F'} */
+    const sides = rawSides === 'F' ? 'F' : rawSides === '%' ? 100 : Number(rawSides);
+    if (!Number.isInteger(count) || count < 1 || count > TinySimpleDice.MAX_DICE)
+      throw new Error(
+        `Invalid dice amount in "${notation}": must be between 1 and ${TinySimpleDice.MAX_DICE}.`,
+      );
+    if (sides !== 'F' && sides < 1) throw new Error(`Invalid dice sides in "${notation}".`);
+
+    /** @type {DiceTerm} */
+    const term = {
+      notation,
+      count,
+      sides,
+      keep: null,
+      explode: null,
+      reroll: null,
+      success: null,
+      failure: null,
+    };
+
+    const modRegex =
+      /(k[hl]?|d[hl])(\d*)|(!)(>=|<=|>|<|=)?(\d*)|(ro?)(>=|<=|>|<|=)?(\d+)|(f)(>=|<=|>|<|=)?(\d+)|(>=|<=|>|<|=)(\d+)/iy;
+    modRegex.lastIndex = head[0].length;
+    while (modRegex.lastIndex < notation.length) {
+      const m = modRegex.exec(notation);
+      if (!m) throw new Error(`Invalid dice modifier in "${notation}".`);
+
+      if (m[1]) {
+        const mode = m[1].toLowerCase();
+        term.keep = {
+          mode: /** @type {'kh'|'kl'|'dh'|'dl'} */ (mode === 'k' ? 'kh' : mode),
+          amount: m[2] ? Number(m[2]) : 1,
+        };
+      } else if (m[3]) {
+        const max = sides === 'F' ? 1 : sides;
+        term.explode = m[5]
+          ? TinySimpleDice._parseComparePoint(m[4], m[5])
+          : { operator: '=', value: max };
+      } else if (m[6]) {
+        term.reroll = {
+          point: TinySimpleDice._parseComparePoint(m[7], m[8]),
+          once: m[6].toLowerCase() === 'ro',
+        };
+      } else if (m[9]) {
+        term.failure = TinySimpleDice._parseComparePoint(m[10], m[11]);
+      } else {
+        term.success = TinySimpleDice._parseComparePoint(m[12], m[13]);
+      }
+    }
+
+    if (term.failure && !term.success)
+      throw new Error(`Failure counting requires success counting in "${notation}".`);
+    if (term.explode) {
+      const min = sides === 'F' ? -1 : 1;
+      const max = sides === 'F' ? 1 : sides;
+      let always = true;
+      for (let v = min; v <= max; v++)
+        if (!TinySimpleDice._matchComparePoint(v, term.explode)) always = false;
+      if (always) throw new Error(`Exploding dice would explode forever in "${notation}".`);
+    }
+    return term;
+  }
+
+  /**
+   * Splits a tabletop dice expression into dice terms, numbers and operators.
+   *
+   * @param {string} expression - Expression such as `4d6kh3 + 2` or `(2d20kl1 + 5) * 2`.
+   * @returns {DiceToken[]}
+   * @throws {Error} If the expression contains invalid characters or two terms without an operator between them.
+   */
+  static tokenizeNotation(expression) {
+    if (typeof expression !== 'string') throw new TypeError('Expression must be a string.');
+    /** @type {DiceToken[]} */
+    const tokens = [];
+    const regex =
+      /\s*(?:(\d*d(?:\d+|F|%)(?:k[hl]?\d*|d[hl]\d*|!(?:>=|<=|>|<|=)?\d*|ro?(?:>=|<=|>|<|=)?\d+|f(?:>=|<=|>|<|=)?\d+|(?:>=|<=|>|<|=)\d+)*)|(\d+(?:\.\d+)?)|([+\-*/%^()]))/iy;
+    // Text of the previous token when it ends an operand (a term, a number or `)`)
+    let operand = '';
+
+    while (regex.lastIndex < expression.length) {
+      const start = regex.lastIndex;
+      const m = regex.exec(expression);
+      if (!m) {
+        if (!expression.slice(start).trim()) break;
+        throw new Error(`Invalid dice expression near "${expression.slice(start)}".`);
+      }
+      const text = m[0].trim();
+      if (operand && (!m[3] || m[3] === '('))
+        throw new Error(`Missing operator between "${operand}" and "${text}" in "${expression}".`);
+      operand = !m[3] || m[3] === ')' ? text : '';
+
+      if (m[1]) tokens.push({ type: 'dice', term: TinySimpleDice.parseDiceTerm(m[1]) });
+      else if (m[2]) tokens.push({ type: 'number', value: Number(m[2]) });
+      else if (m[3]) tokens.push({ type: 'op', value: m[3] });
+      else break;
+    }
+
+    if (tokens.length === 0) throw new Error('Empty dice expression.');
+    return tokens;
+  }
+
+  /**
+   * Rolls one die of a term.
+   *
+   * @param {number|'F'} sides - Sides of the die.
+   * @param {DiceRngGenerator} rng - RNG function.
+   * @returns {number}
+   * @private
+   */
+  static _rollDie(sides, rng) {
+    if (sides === 'F') return Math.floor(rng() * 3) - 1;
+    return Math.floor(rng() * sides) + 1;
+  }
+
+  /**
+   * Rolls a parsed dice term, producing its full breakdown.
+   *
+   * @param {DiceTerm} term - Parsed dice term.
+   * @param {DiceRngInput} [rng] - RNG or seed (defaults to `Math.random`).
+   * @returns {DiceTermResult}
+   */
+  static rollDiceTerm(term, rng) {
+    const random = TinySimpleDice._resolveRng(rng);
+    /** @type {DieResult[]} */
+    const dice = [];
+
+    /** @param {boolean} fromExplosion */
+    const rollOne = (fromExplosion) => {
+      let value = TinySimpleDice._rollDie(term.sides, random);
+      /** @type {number[]} */
+      const rerolled = [];
+      if (term.reroll) {
+        while (
+          TinySimpleDice._matchComparePoint(value, term.reroll.point) &&
+          rerolled.length < TinySimpleDice.MAX_REROLLS
+        ) {
+          rerolled.push(value);
+          value = TinySimpleDice._rollDie(term.sides, random);
+          if (term.reroll.once) break;
+        }
+      }
+      /** @type {DieResult} */
+      const die = {
+        value,
+        rerolled,
+        dropped: false,
+        exploded: false,
+        fromExplosion,
+        success: null,
+        failure: false,
+      };
+      dice.push(die);
+      return die;
+    };
+
+    for (let i = 0; i < term.count; i++) {
+      let die = rollOne(false);
+      let explosions = 0;
+      while (
+        term.explode &&
+        TinySimpleDice._matchComparePoint(die.value, term.explode) &&
+        explosions < TinySimpleDice.MAX_REROLLS
+      ) {
+        die.exploded = true;
+        die = rollOne(true);
+        explosions++;
+      }
+    }
+
+    // Keep / drop
+    if (term.keep) {
+      const sorted = [...dice].sort((a, b) => a.value - b.value);
+      const amount = Math.min(term.keep.amount, dice.length);
+      /** @type {DieResult[]} */
+      let toDrop;
+      if (term.keep.mode === 'kh') toDrop = sorted.slice(0, dice.length - amount);
+      else if (term.keep.mode === 'kl') toDrop = sorted.slice(amount);
+      else if (term.keep.mode === 'dh') toDrop = sorted.slice(dice.length - amount);
+      else toDrop = sorted.slice(0, amount);
+      for (const die of toDrop) die.dropped = true;
+    }
+
+    const kept = dice.filter((die) => !die.dropped);
+    let value = 0;
+    /** @type {number|null} */
+    let successes = null;
+    let failures = 0;
+    if (term.success) {
+      successes = 0;
+      for (const die of kept) {
+        die.success = TinySimpleDice._matchComparePoint(die.value, term.success);
+        if (die.success) successes++;
+        else if (term.failure && TinySimpleDice._matchComparePoint(die.value, term.failure)) {
+          die.failure = true;
+          failures++;
+        }
+      }
+      value = successes - failures;
+    } else {
+      for (const die of kept) value += die.value;
+    }
+
+    return {
+      notation: term.notation,
+      count: term.count,
+      sides: term.sides,
+      dice,
+      value,
+      successes,
+      failures,
+    };
+  }
+
+  /**
+   * Rolls a tabletop dice expression and returns a structured breakdown.
+   *
+   * @example
+   * TinySimpleDice.rollNotation('4d6kh3 + 2');
+   * TinySimpleDice.rollNotation('8d10>=7f1');
+   * TinySimpleDice.rollNotation('d20 + d6! + 4dF');
+   *
+   * @param {string} expression - Dice expression using the tabletop notation.
+   * @param {DiceRngInput} [rng] - RNG or seed (defaults to `Math.random`).
+   * @returns {DiceRollResult}
+   * @throws {Error} If the expression is invalid.
+   */
+  static rollNotation(expression, rng) {
+    const random = TinySimpleDice._resolveRng(rng);
+    const tokens = TinySimpleDice.tokenizeNotation(expression);
+    /** @type {DiceTermResult[]} */
+    const terms = [];
+    const parts = tokens.map((token) => {
+      if (token.type === 'op') return token.value;
+      if (token.type === 'number') return String(token.value);
+      const result = TinySimpleDice.rollDiceTerm(token.term, random);
+      terms.push(result);
+      return `(${result.value})`;
+    });
+
+    const evaluated = parts.join(' ');
+    let total;
+    try {
+      total = TinySimpleDice._safeEvaluate(evaluated);
+    } catch (err) {
+      if (!(err instanceof Error)) throw new Error('Unknown Error');
+      throw new Error(`Error evaluating dice expression "${expression}": ${err.message}`);
+    }
+    if (typeof total !== 'number' || !Number.isFinite(total))
+      throw new Error(`Dice expression "${expression}" did not produce a finite number.`);
+
+    return { expression, total, terms, evaluated };
+  }
+
+  /**
+   * Binding power of the operators used by `analyze()`.
+   * @type {Record<string, number>}
+   * @private
+   */
+  static _operatorPrecedence = { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, 'u+': 3, 'u-': 3, '^': 4 };
+
+  /**
+   * Adds a probability to an outcome of a distribution.
+   *
+   * @param {Map<number, number>} dist - Distribution to update.
+   * @param {number} value - Outcome value.
+   * @param {number} probability - Probability to add.
+   * @private
+   */
+  static _addOutcome(dist, value, probability) {
+    if (probability <= 0) return;
+    dist.set(value, (dist.get(value) ?? 0) + probability);
+  }
+
+  /**
+   * Spends analysis work, before it is computed.
+   *
+   * @param {DiceAnalysisBudget} budget - Remaining work of the analysis.
+   * @param {number} steps - Outcome combinations about to be computed.
+   * @throws {Error} If the analysis exceeds `MAX_ANALYZE_STEPS`.
+   * @private
+   */
+  static _spendAnalysis(budget, steps) {
+    budget.left -= steps;
+    if (budget.left < 0)
+      throw new Error(
+        `Dice expression "${budget.expression}" is too complex to analyze (over ${TinySimpleDice.MAX_ANALYZE_STEPS} steps).`,
+      );
+  }
+
+  /**
+   * Combines two independent distributions with a binary operator.
+   *
+   * @param {Map<number, number>} a - Left distribution.
+   * @param {Map<number, number>} b - Right distribution.
+   * @param {(x: number, y: number) => number} fn - Operation applied to each pair of outcomes.
+   * @param {DiceAnalysisBudget} budget - Remaining work of the analysis.
+   * @returns {Map<number, number>}
+   * @private
+   */
+  static _combineDistributions(a, b, fn, budget) {
+    TinySimpleDice._spendAnalysis(budget, a.size * b.size);
+    /** @type {Map<number, number>} */
+    const result = new Map();
+    for (const [x, px] of a)
+      for (const [y, py] of b) TinySimpleDice._addOutcome(result, fn(x, y), px * py);
+    return result;
+  }
+
+  /**
+   * Computes the distribution of a single die of a term after rerolls.
+   *
+   * @param {DiceTerm} term - Parsed dice term.
+   * @param {DiceAnalysisBudget} budget - Remaining work of the analysis.
+   * @returns {Map<number, number>}
+   * @private
+   */
+  static _dieDistribution(term, budget) {
+    const min = term.sides === 'F' ? -1 : 1;
+    const max = term.sides === 'F' ? 1 : term.sides;
+    TinySimpleDice._spendAnalysis(budget, max - min + 1);
+    const chance = 1 / (max - min + 1);
+
+    /** @type {Map<number, number>} */
+    const dist = new Map();
+    if (!term.reroll) {
+      for (let v = min; v <= max; v++) dist.set(v, chance);
+      return dist;
+    }
+
+    // A die is kept at the first roll that does not match, or after the last allowed reroll.
+    const point = term.reroll.point;
+    const limit = term.reroll.once ? 1 : TinySimpleDice.MAX_REROLLS;
+    let matched = 0;
+    for (let v = min; v <= max; v++)
+      if (TinySimpleDice._matchComparePoint(v, point)) matched += chance;
+    const geometric = matched === 1 ? limit : (1 - matched ** limit) / (1 - matched);
+    for (let v = min; v <= max; v++) {
+      const keep = TinySimpleDice._matchComparePoint(v, point) ? 0 : chance * geometric;
+      TinySimpleDice._addOutcome(dist, v, keep + chance * matched ** limit);
+    }
+    return dist;
+  }
+
+  /**
+   * Computes the exact distribution of a dice term.
+   *
+   * @param {DiceTerm} term - Parsed dice term.
+   * @param {DiceAnalysisBudget} budget - Remaining work of the analysis.
+   * @returns {Map<number, number>}
+   * @throws {Error} If the term combines keep/drop with exploding dice.
+   * @private
+   */
+  static _termDistribution(term, budget) {
+    const die = TinySimpleDice._dieDistribution(term, budget);
+
+    /** @param {number} v */
+    const contribution = (v) => {
+      if (!term.success) return v;
+      if (TinySimpleDice._matchComparePoint(v, term.success)) return 1;
+      if (term.failure && TinySimpleDice._matchComparePoint(v, term.failure)) return -1;
+      return 0;
+    };
+
+    // Keep / drop: order statistics of the pool
+    if (term.keep) {
+      if (term.explode)
+        throw new Error(
+          `Cannot analyze "${term.notation}": keep/drop with exploding dice is not supported.`,
+        );
+      return TinySimpleDice._keepDistribution(term, die, contribution, budget);
+    }
+
+    // Contribution of one die, including its explosion chain
+    /** @type {Map<number, number>} */
+    let single = new Map();
+    if (!term.explode) {
+      for (const [v, p] of die) TinySimpleDice._addOutcome(single, contribution(v), p);
+    } else {
+      const explode = term.explode;
+      /** @type {Map<number, number>} */
+      const exploding = new Map();
+      /** @type {Map<number, number>} */
+      const stopping = new Map();
+      /** @type {Map<number, number>} */
+      const any = new Map();
+      for (const [v, p] of die) {
+        const target = TinySimpleDice._matchComparePoint(v, explode) ? exploding : stopping;
+        TinySimpleDice._addOutcome(target, contribution(v), p);
+        TinySimpleDice._addOutcome(any, contribution(v), p);
+      }
+
+      /** @type {Map<number, number>} */
+      let prefix = new Map([[0, 1]]);
+      /** @param {number} x @param {number} y */
+      const add = (x, y) => x + y;
+      for (let depth = 0; prefix.size > 0; depth++) {
+        const last = depth >= TinySimpleDice.MAX_REROLLS;
+        const end = TinySimpleDice._combineDistributions(
+          prefix,
+          last ? any : stopping,
+          add,
+          budget,
+        );
+        for (const [v, p] of end) TinySimpleDice._addOutcome(single, v, p);
+        if (last) break;
+        prefix = TinySimpleDice._combineDistributions(prefix, exploding, add, budget);
+        let mass = 0;
+        for (const p of prefix.values()) mass += p;
+        // Remaining chains are too unlikely to change the result
+        if (mass < 1e-15) break;
+      }
+    }
+
+    /** @type {Map<number, number>} */
+    let result = new Map([[0, 1]]);
+    for (let i = 0; i < term.count; i++)
+      result = TinySimpleDice._combineDistributions(result, single, (x, y) => x + y, budget);
+    return result;
+  }
+
+  /**
+   * Computes the distribution of a keep/drop term by placing the sorted dice value by value.
+   *
+   * @param {DiceTerm} term - Parsed dice term with `keep`.
+   * @param {Map<number, number>} die - Distribution of a single die.
+   * @param {(value: number) => number} contribution - Value added by a kept die.
+   * @param {DiceAnalysisBudget} budget - Remaining work of the analysis.
+   * @returns {Map<number, number>}
+   * @private
+   */
+  static _keepDistribution(term, die, contribution, budget) {
+    if (!term.keep) throw new Error('Term has no keep/drop modifier.');
+    const count = term.count;
+    const amount = Math.min(term.keep.amount, count);
+
+    // Kept positions [from, to) in ascending order
+    let from = 0;
+    let to = count;
+    if (term.keep.mode === 'kh') from = count - amount;
+    else if (term.keep.mode === 'kl') to = amount;
+    else if (term.keep.mode === 'dh') to = count - amount;
+    else from = amount;
+
+    const values = [...die.entries()].sort((a, b) => a[0] - b[0]);
+    let tail = 0;
+    for (const [, p] of values) tail += p;
+
+    /** @type {Map<number, Map<number, number>>} placed dice -> (kept sum -> probability) */
+    let states = new Map([[0, new Map([[0, 1]])]]);
+    for (let i = 0; i < values.length; i++) {
+      const [value, p] = values[i];
+      const isLast = i === values.length - 1;
+      // Chance of a remaining die having this value, given it is not lower
+      const q = isLast ? 1 : Math.min(p / tail, 1);
+      tail -= p;
+
+      /** @type {Map<number, Map<number, number>>} */
+      const next = new Map();
+      for (const [placed, sums] of states) {
+        const remaining = count - placed;
+        // Each binomial chance also costs up to `remaining` steps
+        TinySimpleDice._spendAnalysis(budget, (remaining + 1) * (sums.size + remaining));
+        for (let c = 0; c <= remaining; c++) {
+          const chance = TinySimpleDice._binomial(remaining, c, q);
+          if (chance <= 0) continue;
+          const kept = Math.max(0, Math.min(placed + c, to) - Math.max(placed, from));
+          const target = next.get(placed + c) ?? new Map();
+          for (const [sum, ps] of sums)
+            TinySimpleDice._addOutcome(target, sum + kept * contribution(value), ps * chance);
+          next.set(placed + c, target);
+        }
+      }
+      states = next;
+    }
+    return states.get(count) ?? new Map();
+  }
+
+  /**
+   * Binomial probability of `k` successes in `n` trials with chance `p`.
+   *
+   * @param {number} n - Trials.
+   * @param {number} k - Successes.
+   * @param {number} p - Chance of each success.
+   * @returns {number}
+   * @private
+   */
+  static _binomial(n, k, p) {
+    if (p <= 0) return k === 0 ? 1 : 0;
+    if (p >= 1) return k === n ? 1 : 0;
+    let log = k * Math.log(p) + (n - k) * Math.log(1 - p);
+    for (let i = 1; i <= k; i++) log += Math.log(n - k + i) - Math.log(i);
+    return Math.exp(log);
+  }
+
+  /**
+   * Computes the exact probability distribution of a tabletop dice expression.
+   *
+   * Supports every feature of `rollNotation()`, except keep/drop combined with exploding dice.
+   * Explosion chains are followed until their remaining probability is negligible.
+   *
+   * @example
+   * const { mean, stddev, pmf } = TinySimpleDice.analyze('4d6kh3');
+   * // mean ≈ 12.24
+   *
+   * @param {string} expression - Dice expression using the tabletop notation.
+   * @returns {DiceAnalysis}
+   * @throws {Error} If the expression is invalid, unsupported, too complex (see `MAX_ANALYZE_STEPS`)
+   * or may produce non-finite numbers.
+   */
+  static analyze(expression) {
+    const tokens = TinySimpleDice.tokenizeNotation(expression);
+    /** @type {DiceAnalysisBudget} */
+    const budget = { expression, left: TinySimpleDice.MAX_ANALYZE_STEPS };
+    const precedence = TinySimpleDice._operatorPrecedence;
+
+    // Shunting-yard into reverse polish notation
+    /** @type {(Map<number, number>|string)[]} */
+    const output = [];
+    /** @type {string[]} */
+    const operators = [];
+    let expectOperand = true;
+    for (const token of tokens) {
+      if (token.type !== 'op') {
+        if (!expectOperand) throw new Error(`Missing operator in "${expression}".`);
+        output.push(
+          token.type === 'dice'
+            ? TinySimpleDice._termDistribution(token.term, budget)
+            : new Map([[token.value, 1]]),
+        );
+        expectOperand = false;
+        continue;
+      }
+
+      const op = token.value;
+      if (op === '(') {
+        if (!expectOperand) throw new Error(`Missing operator in "${expression}".`);
+        operators.push(op);
+        continue;
+      }
+      if (op === ')') {
+        while (operators.length > 0 && operators[operators.length - 1] !== '(')
+          output.push(/** @type {string} */ (operators.pop()));
+        if (operators.pop() !== '(') throw new Error(`Unbalanced parentheses in "${expression}".`);
+        continue;
+      }
+
+      if (expectOperand) {
+        if (op !== '-' && op !== '+') throw new Error(`Unexpected "${op}" in "${expression}".`);
+        operators.push(`u${op}`);
+        continue;
+      }
+      while (operators.length > 0) {
+        const top = operators[operators.length - 1];
+        if (top === '(') break;
+        const higher =
+          op === '^' ? precedence[top] > precedence[op] : precedence[top] >= precedence[op];
+        if (!higher) break;
+        output.push(/** @type {string} */ (operators.pop()));
+      }
+      operators.push(op);
+      expectOperand = true;
+    }
+    if (expectOperand) throw new Error(`Incomplete dice expression "${expression}".`);
+    while (operators.length > 0) {
+      const op = /** @type {string} */ (operators.pop());
+      if (op === '(') throw new Error(`Unbalanced parentheses in "${expression}".`);
+      output.push(op);
+    }
+
+    // Evaluate the distributions
+    /** @type {Record<string, (x: number, y: number) => number>} */
+    const binary = {
+      '+': (x, y) => x + y,
+      '-': (x, y) => x - y,
+      '*': (x, y) => x * y,
+      '/': (x, y) => x / y,
+      '%': (x, y) => x % y,
+      '^': (x, y) => x ** y,
+    };
+    /** @type {Map<number, number>[]} */
+    const stack = [];
+    for (const item of output) {
+      if (typeof item !== 'string') {
+        stack.push(item);
+        continue;
+      }
+      if (item === 'u+' || item === 'u-') {
+        const value = /** @type {Map<number, number>} */ (stack.pop());
+        if (item === 'u-')
+          stack.push(
+            TinySimpleDice._combineDistributions(value, new Map([[-1, 1]]), binary['*'], budget),
+          );
+        else stack.push(value);
+        continue;
+      }
+      const right = /** @type {Map<number, number>} */ (stack.pop());
+      const left = /** @type {Map<number, number>} */ (stack.pop());
+      stack.push(TinySimpleDice._combineDistributions(left, right, binary[item], budget));
+    }
+
+    const dist = stack[0];
+    let total = 0;
+    for (const p of dist.values()) total += p;
+
+    /** @type {DiceOutcome[]} */
+    const pmf = [];
+    let mean = 0;
+    for (const [value, p] of dist) {
+      if (!Number.isFinite(value))
+        throw new Error(`Dice expression "${expression}" may not produce a finite number.`);
+      const probability = p / total;
+      pmf.push({ value, probability });
+      mean += value * probability;
+    }
+    pmf.sort((a, b) => a.value - b.value);
+
+    let variance = 0;
+    for (const { value, probability } of pmf) variance += probability * (value - mean) ** 2;
+
+    return {
+      expression,
+      min: pmf[0].value,
+      max: pmf[pmf.length - 1].value,
+      mean,
+      variance,
+      stddev: Math.sqrt(variance),
+      pmf,
+    };
+  }
+
+  /**
+   * Creates a seeded pseudo-random number generator (mulberry32).
+   *
+   * @param {number} seed - Any finite number.
+   * @returns {DiceRngGenerator} A function that returns a pseudo-random number in [0, 1).
+   * @throws {TypeError} If the seed is not a finite number.
+   */
+  static makeSeededRng(seed) {
+    if (typeof seed !== 'number' || !Number.isFinite(seed))
+      throw new TypeError('seed must be a finite number.');
+    let t = seed >>> 0;
+    return function () {
+      t += 0x6d2b79f5;
+      let r = Math.imul(t ^ (t >>> 15), 1 | t);
+      r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Resolves the RNG argument of static calls.
+   *
+   * @param {DiceRngInput} rng - RNG function, seed, or `null`/`undefined` for `Math.random`.
+   * @returns {DiceRngGenerator}
+   * @throws {TypeError} If the value is not a function, a finite number or null.
+   * @private
+   */
+  static _resolveRng(rng) {
+    if (rng === undefined || rng === null) return Math.random;
+    if (typeof rng === 'function') return rng;
+    if (typeof rng === 'number') return TinySimpleDice.makeSeededRng(rng);
+    throw new TypeError('rng must be a function, a seed number or null.');
+  }
+
   /**
    * Rolls a dice specifically for choosing an array or Set index.
    * @param {any[]|Set<any>} arr - The array or Set to get a random index from.
+   * @param {DiceRngInput} [rng] - RNG or seed (defaults to `Math.random`).
    * @returns {number} - Valid index for the array or Set.
    * @throws {TypeError} If the input is not an array or Set.
    */
-  static rollArrayIndex(arr) {
+  static rollArrayIndex(arr, rng) {
     const isArray = Array.isArray(arr);
     const isSet = arr instanceof Set;
     if (!isArray && !isSet) throw new TypeError('rollArrayIndex expects an array or Set.');
-    return Math.floor(Math.random() * (isArray ? arr.length : arr.size));
+    const random = TinySimpleDice._resolveRng(rng);
+    return Math.floor(random() * (isArray ? arr.length : arr.size));
   }
 
   /** @type {number} */
   #maxValue;
   /** @type {boolean} */
   #allowZero;
+  /** @type {number|null} */
+  #seed = null;
+  /** @type {DiceRngGenerator} */
+  #rng = Math.random;
 
   /**
    * Maximum value the dice can roll.
@@ -489,19 +1343,63 @@ class TinySimpleDice {
     this.#allowZero = value;
   }
 
+  /**
+   * Current RNG seed, or `null` if the RNG is not seeded.
+   * @type {number|null}
+   */
+  get seed() {
+    return this.#seed;
+  }
+
+  /**
+   * Sets the RNG seed, restarting the seeded sequence. `null` goes back to `Math.random`.
+   * @param {number|null} value - Finite number or `null`.
+   * @throws {TypeError} If value is not a finite number or null.
+   */
+  set seed(value) {
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value)))
+      throw new TypeError('seed must be a finite number or null.');
+    this.#seed = value;
+    this.#rng = value !== null ? TinySimpleDice.makeSeededRng(value) : Math.random;
+  }
+
+  /**
+   * RNG function used by this instance.
+   * It can be passed to the static methods to share the same sequence.
+   * @type {DiceRngGenerator}
+   */
+  get rng() {
+    return this.#rng;
+  }
+
+  /**
+   * Sets a custom RNG function (clears the seed).
+   * @param {DiceRngGenerator} value - Function returning a number in [0, 1).
+   * @throws {TypeError} If value is not a function.
+   */
+  set rng(value) {
+    if (typeof value !== 'function') throw new TypeError('rng must be a function.');
+    this.#rng = value;
+    this.#seed = null;
+  }
+
   /**
    * Creates a new TinySimpleDice instance.
    * @param {Object} options - Configuration options for the dice.
    * @param {number} options.maxValue - Maximum value the dice can roll.
    * @param {boolean} [options.allowZero=true] - Whether 0 is allowed as a result.
+   * @param {DiceRngGenerator|null} [options.rng=null] - Custom RNG function.
+   * @param {number|null} [options.seed=null] - Seed for a deterministic RNG (ignored when `rng` is given).
    * @throws {TypeError} If maxValue is not a non-negative integer or allowZero is not boolean.
    */
-  constructor({ maxValue, allowZero = true }) {
+  constructor({ maxValue, allowZero = true, rng = null, seed = null }) {
     if (typeof allowZero !== 'boolean') throw new TypeError('allowZero must be an boolean.');
     if (!Number.isInteger(maxValue) || maxValue < 0)
       throw new TypeError('maxValue must be an integer greater than -1.');
     this.#maxValue = maxValue;
     this.#allowZero = allowZero;
+    if (rng !== null) this.rng = rng;
+    else this.seed = seed;
   }
 
   /**
@@ -510,7 +1408,19 @@ class TinySimpleDice {
    */
   roll() {
     const min = this.#allowZero ? 0 : 1;
-    return Math.floor(Math.random() * (this.#maxValue - min + 1)) + min;
+    return Math.floor(this.#rng() * (this.#maxValue - min + 1)) + min;
+  }
+
+  /**
+   * Rolls a tabletop dice expression with the RNG of this instance.
+   * Same as `TinySimpleDice.rollNotation(expression, this.rng)`.
+   *
+   * @param {string} expression - Dice expression using the tabletop notation.
+   * @returns {DiceRollResult}
+   * @throws {Error} If the expression is invalid.
+   */
+  rollNotation(expression) {
+    return TinySimpleDice.rollNotation(expression, this.#rng);
   }
 }
 
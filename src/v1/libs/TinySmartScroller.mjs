@@ -2,6 +2,10 @@ import TinyHtml from './TinyHtml.mjs';
 import * as TinyCollision from '../basics/collision.mjs';
 import TinyEvents from './TinyEvents.mjs';
 
+/** @typedef {import('./TinyEvents.mjs').ListenerOptions} ListenerOptions */
+/** @typedef {import('./TinyEvents.mjs').WaitForOptions} WaitForOptions */
+/** @typedef {import('./TinyEvents.mjs').AsyncEmitResult} AsyncEmitResult */
+
 /**
  * Represents the dimensions of a DOM element.
  *
@@ -75,9 +79,10 @@ class TinySmartScroller {
    *
    * @param {string|string[]} event - Event name.
    * @param {ScrollListenersFunc} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  prependListener(event, handler) {
-    return this.#events.prependListener(event, handler);
+  prependListener(event, handler, options) {
+    return this.#events.prependListener(event, handler, options);
   }
 
   /**
@@ -85,10 +90,11 @@ class TinySmartScroller {
    *
    * @param {string|string[]} event - Event name.
    * @param {ScrollListenersFunc} handler - The callback function.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {ScrollListenersFunc[]} - The wrapped handler used internally.
    */
-  prependListenerOnce(event, handler) {
-    return this.#events.prependListenerOnce(event, handler);
+  prependListenerOnce(event, handler, options) {
+    return this.#events.prependListenerOnce(event, handler, options);
   }
 
   //////////////////////////////////////////////////////////////////////
@@ -98,9 +104,10 @@ class TinySmartScroller {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {ScrollListenersFunc} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  appendListener(event, handler) {
-    return this.#events.appendListener(event, handler);
+  appendListener(event, handler, options) {
+    return this.#events.appendListener(event, handler, options);
   }
 
   /**
@@ -108,10 +115,11 @@ class TinySmartScroller {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {ScrollListenersFunc} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {ScrollListenersFunc[]} - The wrapped version of the handler.
    */
-  appendListenerOnce(event, handler) {
-    return this.#events.appendListenerOnce(event, handler);
+  appendListenerOnce(event, handler, options) {
+    return this.#events.appendListenerOnce(event, handler, options);
   }
 
   /**
@@ -119,9 +127,10 @@ class TinySmartScroller {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {ScrollListenersFunc} handler - Callback function to be called when event fires.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    */
-  on(event, handler) {
-    return this.#events.on(event, handler);
+  on(event, handler, options) {
+    return this.#events.on(event, handler, options);
   }
 
   /**
@@ -129,10 +138,11 @@ class TinySmartScroller {
    *
    * @param {string|string[]} event - Event name, such as 'onScrollBoundary' or 'onAutoScroll'.
    * @param {ScrollListenersFunc} handler - The callback function to run on event.
+   * @param {ListenerOptions} [options] - Listener priority and abort signal.
    * @returns {ScrollListenersFunc[]} - The wrapped version of the handler.
    */
-  once(event, handler) {
-    return this.#events.once(event, handler);
+  once(event, handler, options) {
+    return this.#events.once(event, handler, options);
   }
 
   ////////////////////////////////////////////////////////////////////
@@ -214,6 +224,17 @@ class TinySmartScroller {
     return this.#events.eventNames();
   }
 
+  /**
+   * Waits for the next emission of an event.
+   *
+   * @param {string|string[]} event - Event names or patterns to wait for.
+   * @param {WaitForOptions} [options] - Timeout, payload filter and abort signal.
+   * @returns {Promise<any[]>} Resolves with the payload of the emission.
+   */
+  waitFor(event, options) {
+    return this.#events.waitFor(event, options);
+  }
+
   //////////////////////////////////////////////////////
 
   /**
@@ -227,6 +248,28 @@ class TinySmartScroller {
     return this.#events.emit(event, ...payload);
   }
 
+  /**
+   * Emits an event and awaits each listener in order, collecting their results and errors.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {Promise<AsyncEmitResult[]>} The results and errors of each emitted event.
+   */
+  emitAsync(event, ...payload) {
+    return this.#events.emitAsync(event, ...payload);
+  }
+
+  /**
+   * Emits an event and awaits every listener at the same time, collecting their results and errors.
+   *
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {Promise<AsyncEmitResult[]>} The results and errors of each emitted event.
+   */
+  emitAsyncParallel(event, ...payload) {
+    return this.#events.emitAsyncParallel(event, ...payload);
+  }
+
   /**
    * Sets the maximum number of listeners per event before a warning is shown.
    *
@@ -1,6 +1,145 @@
+/**
+ * Source of time used by the scheduler.
+ *
+ * @typedef {Object} SchedulerClock
+ * @property {() => number} now - Returns the current timestamp in milliseconds.
+ * @property {(callback: () => void, ms: number) => any} setTimeout - Schedules a callback.
+ * @property {(handle: any) => void} clearTimeout - Cancels a scheduled callback.
+ */
+
+/**
+ * A clock whose time only moves when `advance()` is called, for deterministic tests.
+ *
+ * @typedef {SchedulerClock & {
+ *   advance: (ms: number) => void,
+ *   setTime: (time: number) => void,
+ *   getPendingCount: () => number,
+ * }} ManualClock
+ */
+
+/**
+ * Parsed cron expression.
+ *
+ * @typedef {Object} CronSchedule
+ * @property {string} expression - The original expression.
+ * @property {Set<number>} seconds - Allowed seconds (0-59).
+ * @property {Set<number>} minutes - Allowed minutes (0-59).
+ * @property {Set<number>} hours - Allowed hours (0-23).
+ * @property {Set<number>} days - Allowed days of the month (1-31).
+ * @property {Set<number>} months - Allowed months (1-12).
+ * @property {Set<number>} weekdays - Allowed days of the week (0-6, Sunday is 0).
+ * @property {boolean} anyDay - Whether the day of the month field is a wildcard.
+ * @property {boolean} anyWeekday - Whether the day of the week field is a wildcard.
+ */
+
+/**
+ * Kind of a scheduled job.
+ *
+ * @typedef {'timeout'|'interval'|'cron'} ScheduleType
+ */
+
+/**
+ * Context passed to every scheduled callback.
+ *
+ * @typedef {Object} ScheduleContext
+ * @property {string} name - Job name.
+ * @property {number} runs - Amount of runs, including this one.
+ * @property {number} scheduledAt - Planned run time (ms).
+ * @property {number} drift - How late (in ms) this run started.
+ * @property {number|null} nextRun - Next planned run time (ms), or `null` if the job ended.
+ */
+
+/**
+ * Options accepted by `schedule()`.
+ *
+ * Exactly one of `cron`, `interval`, `delay` or `at` defines the job type.
+ * With `interval`, `delay` sets the first run instead (defaults to the interval).
+ *
+ * @typedef {Object} ScheduleOptions
+ * @property {string} [cron] - Cron expression (5 fields, or 6 with seconds first).
+ * @property {number} [interval] - Interval (in ms) of a recurring job.
+ * @property {number} [delay] - Delay (in ms) of a one-shot job, or the first delay of an interval.
+ * @property {Date|number} [at] - Date or timestamp of a one-shot job.
+ * @property {boolean} [utc=false] - Evaluates the cron expression in UTC instead of local time.
+ * @property {number|null} [maxRuns=null] - Removes the job after this amount of runs.
+ * @property {boolean} [paused=false] - Creates the job paused.
+ */
+
+/**
+ * Public snapshot of a scheduled job.
+ *
+ * @typedef {Object} ScheduleInfo
+ * @property {string} name - Job name.
+ * @property {ScheduleType} type - Job type.
+ * @property {number|null} interval - Interval (ms) of interval jobs.
+ * @property {string|null} cron - Cron expression of cron jobs.
+ * @property {boolean} utc - Whether the cron expression uses UTC.
+ * @property {number|null} nextRun - Next planned run time (ms), or `null` while paused.
+ * @property {number} remaining - Time (ms) left before the next run.
+ * @property {boolean} paused - Whether the job is paused.
+ * @property {number} runs - Amount of runs so far.
+ * @property {number|null} maxRuns - Maximum amount of runs.
+ * @property {number|null} lastRun - Time (ms) of the last run.
+ */
+
+/**
+ * @typedef {Object} ScheduledJob
+ * @property {string} name
+ * @property {(context: ScheduleContext) => any} callback
+ * @property {ScheduleType} type
+ * @property {number|null} interval
+ * @property {CronSchedule|null} cron
+ * @property {boolean} utc
+ * @property {number} nextRun
+ * @property {number} remaining
+ * @property {boolean} paused
+ * @property {number} runs
+ * @property {number|null} maxRuns
+ * @property {number|null} lastRun
+ * @property {any} handle
+ */
+
+/** Largest delay accepted by `setTimeout` (about 24.8 days). */
+const MAX_TIMER_DELAY = 2147483647;
+
+/** @type {Record<string, string>} */
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/** @type {string[]} */
+const CRON_MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+];
+
+/** @type {string[]} */
+const CRON_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
 /**
  * A utility class to manage dynamically adjusted timeouts based on how often
  * each unique ID is triggered. Also provides polling support for asynchronous conditions.
+ *
+ * It also includes a scheduler for named jobs: one-shot timers, drift-corrected intervals
+ * and cron expressions, which can be paused and resumed while keeping their remaining time.
+ * The scheduler runs on an injectable {@link SchedulerClock}, so tests can fast-forward time
+ * with {@link TinyTimeout.createManualClock}.
  */
 class TinyTimeout {
   /** @type {boolean} Whether this instance has been destroyed. */
@@ -12,7 +151,7 @@ class TinyTimeout {
   /** @type {number} The interval time (ms) used to decrement cooldown counters. */
   #cooldownWatcherTime;
 
-  /** @type {NodeJS.Timeout|null} Reference to the internal cooldown interval. */
+  /** @type {any} Clock handle of the next cooldown decrement, or null when stopped. */
   #cooldownWatcher = null;
 
   /**
@@ -23,18 +162,263 @@ class TinyTimeout {
    */
   #timeoutFixer = new Map();
 
+  /** @type {SchedulerClock} Clock used by every timer of the instance. */
+  #clock;
+
+  /** @type {(error: any, name: string) => void} Handles errors thrown by scheduled callbacks. */
+  #onError;
+
+  /** @type {Map<string, ScheduledJob>} Scheduled jobs by name. */
+  #jobs = new Map();
+
+  /**
+   * Creates a clock controlled by hand. Timers only fire inside `advance()` or `setTime()`,
+   * in order of their due time, with `now()` set to that time while they run.
+   *
+   * @param {number} [start=0] - Initial timestamp in milliseconds.
+   * @returns {ManualClock}
+   * @throws {TypeError} If `start` is not a finite number.
+   */
+  static createManualClock(start = 0) {
+    if (!Number.isFinite(start)) throw new TypeError(`Expected 'start' to be a finite number.`);
+    let time = start;
+    let lastId = 0;
+    /** @type {Map<number, { at: number, callback: () => void }>} */
+    const timers = new Map();
+
+    /** @param {number} target */
+    const runUntil = (target) => {
+      while (true) {
+        /** @type {[number, { at: number, callback: () => void }]|null} */
+        let next = null;
+        // Maps keep insertion order, so timers due at the same time run in creation order
+        for (const entry of timers) {
+          if (entry[1].at <= target && (next === null || entry[1].at < next[1].at)) next = entry;
+        }
+        if (next === null) break;
+        timers.delete(next[0]);
+        time = Math.max(time, next[1].at);
+        next[1].callback();
+      }
+      time = Math.max(time, target);
+    };
+
+    return {
+      now: () => time,
+      setTimeout: (callback, ms) => {
+        const id = ++lastId;
+        timers.set(id, { at: time + Math.max(0, Number(ms) || 0), callback });
+        return id;
+      },
+      clearTimeout: (handle) => {
+        timers.delete(handle);
+      },
+      advance: (ms) => {
+        if (!Number.isFinite(ms) || ms < 0)
+          throw new TypeError(`Expected 'ms' to be a non-negative number.`);
+        runUntil(time + ms);
+      },
+      setTime: (target) => {
+        if (!Number.isFinite(target) || target < time)
+          throw new TypeError(`Expected 'time' to be a number not lower than the current time.`);
+        runUntil(target);
+      },
+      getPendingCount: () => timers.size,
+    };
+  }
+
+  /**
+   * Parses a cron expression.
+   *
+   * Supports 5 fields (`minute hour day month weekday`) or 6 fields with seconds first,
+   * with `*`, lists (`1,2`), ranges (`1-5`), steps (`*\/15`, `10-30/5`), month and weekday
+   * names (`jan`, `mon`), `?` as a wildcard, and the `@yearly`, `@monthly`, `@weekly`,
+   * `@daily` and `@hourly` macros. Weekday `7` is also Sunday.
+   *
+   * When both the day of the month and the day of the week are restricted, a day matching
+   * either of them is accepted, like classic cron.
+   *
+   * @param {string} expression
+   * @returns {CronSchedule}
+   * @throws {TypeError} If the expression is invalid.
+   */
+  static parseCron(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '')
+      throw new TypeError(`Expected 'expression' to be a non-empty string.`);
+    const source = expression.trim().toLowerCase();
+    const fields = (CRON_MACROS[source] ?? source).split(/\s+/);
+    if (fields.length === 5) fields.unshift('0');
+    if (fields.length !== 6)
+      throw new TypeError(`Invalid cron expression "${expression}": expected 5 or 6 fields.`);
+
+    /**
+     * @param {string} field
+     * @param {number} min
+     * @param {number} max
+     * @param {string[]|null} [names]
+     * @returns {Set<number>}
+     */
+    const parseField = (field, min, max, names = null) => {
+      /** @param {string} value */
+      const toNumber = (value) => {
+        const index = names ? names.indexOf(value) : -1;
+        const num = index !== -1 ? index + (names === CRON_MONTHS ? 1 : 0) : Number(value);
+        if (!/^\d+$/.test(value) && index === -1)
+          throw new TypeError(`Invalid cron expression "${expression}": bad value "${value}".`);
+        if (num < min || num > max)
+          throw new TypeError(
+            `Invalid cron expression "${expression}": "${value}" is out of range.`,
+          );
+        return num;
+      };
+
+      /** @type {Set<number>} */
+      const result = new Set();
+      for (const part of field.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || range === '')
+          throw new TypeError(`Invalid cron expression "${expression}": bad field "${field}".`);
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1)
+          throw new TypeError(`Invalid cron expression "${expression}": bad step "${stepText}".`);
+
+        let start = min;
+        let end = max;
+        if (range !== '*' && range !== '?') {
+          const [from, to, rest] = range.split('-');
+          if (rest !== undefined)
+            throw new TypeError(`Invalid cron expression "${expression}": bad range "${range}".`);
+          start = toNumber(from);
+          end = to !== undefined ? toNumber(to) : stepText !== undefined ? max : start;
+          if (end < start)
+            throw new TypeError(`Invalid cron expression "${expression}": bad range "${range}".`);
+        }
+        for (let value = start; value <= end; value += step) result.add(value);
+      }
+      return result;
+    };
+
+    const weekdays = parseField(fields[5], 0, 7, CRON_WEEKDAYS);
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+      expression,
+      seconds: parseField(fields[0], 0, 59),
+      minutes: parseField(fields[1], 0, 59),
+      hours: parseField(fields[2], 0, 23),
+      days: parseField(fields[3], 1, 31),
+      months: parseField(fields[4], 1, 12, CRON_MONTHS),
+      weekdays,
+      anyDay: fields[3] === '*' || fields[3] === '?',
+      anyWeekday: fields[5] === '*' || fields[5] === '?',
+    };
+  }
+
+  /**
+   * Returns the first time matching a cron expression strictly after `from`.
+   *
+   * @param {string|CronSchedule} cron - A cron expression or the result of `parseCron()`.
+   * @param {number} [from=Date.now()] - Timestamp (ms) to search from.
+   * @param {boolean} [utc=false] - Evaluates the expression in UTC instead of local time.
+   * @returns {number|null} The next matching timestamp, or `null` if none exists within 5 years.
+   * @throws {TypeError} If the expression is invalid.
+   */
+  static getNextCronTime(cron, from = Date.now(), utc = false) {
+    const schedule = typeof cron === 'string' ? TinyTimeout.parseCron(cron) : cron;
+    if (!Number.isFinite(from)) throw new TypeError(`Expected 'from' to be a finite number.`);
+
+    const date = new Date(Math.floor(from / 1000) * 1000 + 1000);
+    const get = {
+      year: () => (utc ? date.getUTCFullYear() : date.getFullYear()),
+      month: () => (utc ? date.getUTCMonth() : date.getMonth()),
+      day: () => (utc ? date.getUTCDate() : date.getDate()),
+      weekday: () => (utc ? date.getUTCDay() : date.getDay()),
+      hour: () => (utc ? date.getUTCHours() : date.getHours()),
+      minute: () => (utc ? date.getUTCMinutes() : date.getMinutes()),
+      second: () => (utc ? date.getUTCSeconds() : date.getSeconds()),
+    };
+    const startOfDay = () => (utc ? date.setUTCHours(0, 0, 0, 0) : date.setHours(0, 0, 0, 0));
+    const limitYear = get.year() + 5;
+
+    while (get.year() <= limitYear) {
+      if (!schedule.months.has(get.month() + 1)) {
+        if (utc) date.setUTCMonth(get.month() + 1, 1);
+        else date.setMonth(get.month() + 1, 1);
+        startOfDay();
+        continue;
+      }
+
+      const dayMatch = schedule.days.has(get.day());
+      const weekdayMatch = schedule.weekdays.has(get.weekday());
+      const dayOk =
+        schedule.anyDay || schedule.anyWeekday
+          ? (schedule.anyDay || dayMatch) && (schedule.anyWeekday || weekdayMatch)
+          : dayMatch || weekdayMatch;
+      if (!dayOk) {
+        if (utc) date.setUTCDate(get.day() + 1);
+        else date.setDate(get.day() + 1);
+        startOfDay();
+        continue;
+      }
+
+      if (!schedule.hours.has(get.hour())) {
+        if (utc) date.setUTCHours(get.hour() + 1, 0, 0, 0);
+        else date.setHours(get.hour() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!schedule.minutes.has(get.minute())) {
+        if (utc) date.setUTCMinutes(get.minute() + 1, 0, 0);
+        else date.setMinutes(get.minute() + 1, 0, 0);
+        continue;
+      }
+
+      if (!schedule.seconds.has(get.second())) {
+        date.setTime(date.getTime() + 1000);
+        continue;
+      }
+
+      return date.getTime();
+    }
+    return null;
+  }
+
   /**
    * Creates a new instance of TinyTimeout.
    *
    * @param {Object} [options={}] Optional configuration object.
    * @param {number} [options.cooldownWatcherTime=5000] Interval in milliseconds for reducing `now` counters.
    * @param {boolean} [options.allowAutoConfigChange=false] Whether to allow auto value changes for existing IDs.
+   * @param {SchedulerClock} [options.clock] Clock used by every timer of the instance. Defaults to the real time.
+   * @param {(error: any, name: string) => void} [options.onError] Handles errors thrown by scheduled callbacks. Logs to the console by default.
    */
-  constructor({ cooldownWatcherTime = 5000, allowAutoConfigChange = false } = {}) {
+  constructor({
+    cooldownWatcherTime = 5000,
+    allowAutoConfigChange = false,
+    clock = {
+      now: () => Date.now(),
+      setTimeout: (callback, ms) => setTimeout(callback, ms),
+      clearTimeout: (handle) => clearTimeout(handle),
+    },
+    onError = (error, name) =>
+      console.error(`[TinyTimeout] Scheduled job "${name}" failed:`, error),
+  } = {}) {
     if (!Number.isFinite(cooldownWatcherTime) || cooldownWatcherTime <= 0)
       throw new TypeError(`Expected 'cooldownWatcherTime' to be a positive number.`);
     if (typeof allowAutoConfigChange !== 'boolean')
       throw new TypeError(`Expected 'allowAutoConfigChange' to be a boolean.`);
+    if (
+      typeof clock !== 'object' ||
+      clock === null ||
+      typeof clock.now !== 'function' ||
+      typeof clock.setTimeout !== 'function' ||
+      typeof clock.clearTimeout !== 'function'
+    )
+      throw new TypeError(
+        `Expected 'clock' to have now(), setTimeout() and clearTimeout() methods.`,
+      );
+    if (typeof onError !== 'function') throw new TypeError(`Expected 'onError' to be a function.`);
+    this.#clock = clock;
+    this.#onError = onError;
     this.#cooldownWatcherTime = cooldownWatcherTime;
     this.#allowAutoConfigChange = allowAutoConfigChange;
     this.setCooldownWatcherTime(cooldownWatcherTime);
@@ -90,12 +474,14 @@ class TinyTimeout {
 
     this.#cooldownWatcherTime = value;
 
-    if (this.#cooldownWatcher) clearInterval(this.#cooldownWatcher);
-    this.#cooldownWatcher = setInterval(() => {
+    if (this.#cooldownWatcher !== null) this.#clock.clearTimeout(this.#cooldownWatcher);
+    const decrement = () => {
       this.#timeoutFixer.forEach((data) => {
         if (data.now > 0) data.now--;
       });
-    }, this.#cooldownWatcherTime);
+      this.#cooldownWatcher = this.#clock.setTimeout(decrement, this.#cooldownWatcherTime);
+    };
+    this.#cooldownWatcher = this.#clock.setTimeout(decrement, this.#cooldownWatcherTime);
   }
 
   /**
@@ -107,7 +493,7 @@ class TinyTimeout {
    * @param {Function} callback - The function to execute after the delay.
    * @param {number} value - Base delay multiplier in milliseconds.
    * @param {number|null} [limit=null] - Optional maximum delay cap.
-   * @returns {number} Handle to the scheduled timeout.
+   * @returns {any} Clock handle of the scheduled timeout (cancel it with `getClock().clearTimeout()`).
    * @throws {Error} Throws if the instance has been destroyed or arguments are invalid.
    */
   set(id, callback, value, limit = null) {
@@ -130,7 +516,10 @@ class TinyTimeout {
     const delay = entry.value * entry.now;
     entry.now++;
 
-    return setTimeout(callback, typeof limit === 'number' ? Math.min(delay, limit) : delay);
+    return this.#clock.setTimeout(
+      () => callback(),
+      typeof limit === 'number' ? Math.min(delay, limit) : delay,
+    );
   }
 
   /**
@@ -160,7 +549,7 @@ class TinyTimeout {
 
   /**
    * Instance version of `waitForTrue`, which defaults to using the instance's
-   * cooldownWatcherTime if not explicitly provided.
+   * cooldownWatcherTime if not explicitly provided. Polls with the instance clock.
    *
    * @param {() => boolean} getValue - A function that returns `true` when the condition is met.
    * @param {number|null} [checkInterval=100] - How often (in ms) to check the condition.
@@ -173,19 +562,346 @@ class TinyTimeout {
       throw new TypeError(`Expected 'getValue' to be a function.`);
     if (checkInterval !== null && (!Number.isFinite(checkInterval) || checkInterval <= 0))
       throw new TypeError(`Expected 'checkInterval' to be null or a positive number.`);
-    return TinyTimeout.waitForTrue(getValue, checkInterval ?? this.#cooldownWatcherTime);
+    const interval = checkInterval ?? this.#cooldownWatcherTime;
+    return new Promise((resolve) => {
+      const check = () => {
+        if (getValue()) resolve();
+        else this.#clock.setTimeout(check, interval);
+      };
+      this.#clock.setTimeout(check, interval);
+    });
+  }
+
+  /**
+   * Returns the clock used by the timers of this instance.
+   *
+   * @returns {SchedulerClock}
+   */
+  getClock() {
+    return this.#clock;
+  }
+
+  /**
+   * Gets a scheduled job, throwing if it does not exist.
+   *
+   * @param {string} name
+   * @returns {ScheduledJob}
+   * @throws {Error} If the job does not exist.
+   */
+  #getJob(name) {
+    const job = this.#jobs.get(name);
+    if (!job) throw new Error(`No scheduled job named "${name}".`);
+    return job;
+  }
+
+  /**
+   * Starts the timer of a job. Long delays are split, since `setTimeout` cannot wait
+   * more than about 24.8 days.
+   *
+   * @param {ScheduledJob} job
+   */
+  #arm(job) {
+    if (job.handle !== null) this.#clock.clearTimeout(job.handle);
+    job.handle = null;
+    if (job.paused) return;
+    const wait = Math.max(0, job.nextRun - this.#clock.now());
+    job.handle = this.#clock.setTimeout(() => this.#fire(job), Math.min(wait, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Computes the next run of a recurring job.
+   *
+   * Intervals are anchored to their planned times instead of the real run times, so
+   * delays in the event loop never accumulate. Runs missed while the process was busy are skipped.
+   *
+   * @param {ScheduledJob} job
+   * @param {number} scheduledAt - Planned time of the current run.
+   * @param {number} now
+   * @returns {number|null}
+   */
+  #getNextRun(job, scheduledAt, now) {
+    if (job.type === 'interval') {
+      const interval = /** @type {number} */ (job.interval);
+      const missed = Math.floor((now - scheduledAt) / interval);
+      return scheduledAt + (missed + 1) * interval;
+    }
+    if (job.type === 'cron')
+      return TinyTimeout.getNextCronTime(/** @type {CronSchedule} */ (job.cron), now, job.utc);
+    return null;
+  }
+
+  /**
+   * Runs a job whose timer fired.
+   *
+   * @param {ScheduledJob} job
+   */
+  #fire(job) {
+    job.handle = null;
+    if (this.#jobs.get(job.name) !== job || job.paused) return;
+    const now = this.#clock.now();
+    // Timers may fire early, and long delays are split in several timers
+    if (now < job.nextRun) return this.#arm(job);
+
+    const scheduledAt = job.nextRun;
+    job.runs++;
+    job.lastRun = now;
+
+    const nextRun =
+      job.maxRuns !== null && job.runs >= job.maxRuns
+        ? null
+        : this.#getNextRun(job, scheduledAt, now);
+    if (nextRun === null) this.#jobs.delete(job.name);
+    else {
+      job.nextRun = nextRun;
+      this.#arm(job);
+    }
+
+    try {
+      const result = job.callback({
+        name: job.name,
+        runs: job.runs,
+        scheduledAt,
+        drift: now - scheduledAt,
+        nextRun,
+      });
+      if (result instanceof Promise) result.catch((error) => this.#onError(error, job.name));
+    } catch (error) {
+      this.#onError(error, job.name);
+    }
+  }
+
+  /**
+   * Schedules a named job.
+   *
+   * - `cron`: Runs at every time matching the expression.
+   * - `interval`: Runs every `interval` ms, without drift. The first run waits `delay` (defaults to `interval`).
+   * - `delay` or `at`: Runs once.
+   *
+   * Scheduling an existing name replaces the previous job.
+   *
+   * @param {string} name - Unique job name.
+   * @param {(context: ScheduleContext) => any} callback - Function to run. Rejected promises are sent to `onError`.
+   * @param {ScheduleOptions} options - Job options.
+   * @returns {ScheduleInfo} The scheduled job.
+   * @throws {Error} If the instance has been destroyed.
+   * @throws {TypeError} If arguments are invalid, or a cron expression never matches.
+   */
+  schedule(name, callback, options) {
+    if (this.#isDestroyed) throw new Error('TinyTimeout has been destroyed.');
+    if (typeof name !== 'string' || name.trim() === '')
+      throw new TypeError(`Expected 'name' to be a non-empty string.`);
+    if (typeof callback !== 'function')
+      throw new TypeError(`Expected 'callback' to be a function.`);
+    if (typeof options !== 'object' || options === null)
+      throw new TypeError(`Expected 'options' to be an object.`);
+
+    const { cron, interval, delay, at, utc = false, maxRuns = null, paused = false } = options;
+    if (typeof utc !== 'boolean') throw new TypeError(`Expected 'utc' to be a boolean.`);
+    if (maxRuns !== null && (!Number.isInteger(maxRuns) || maxRuns < 1))
+      throw new TypeError(`Expected 'maxRuns' to be null or a positive integer.`);
+    if (typeof paused !== 'boolean') throw new TypeError(`Expected 'paused' to be a boolean.`);
+    if (delay !== undefined && (!Number.isFinite(delay) || delay < 0))
+      throw new TypeError(`Expected 'delay' to be a non-negative number.`);
+    if (interval !== undefined && (!Number.isFinite(interval) || interval <= 0))
+      throw new TypeError(`Expected 'interval' to be a positive number.`);
+    if (at !== undefined && !(at instanceof Date) && !Number.isFinite(at))
+      throw new TypeError(`Expected 'at' to be a Date or a timestamp.`);
+    if (at instanceof Date && Number.isNaN(at.getTime()))
+      throw new TypeError(`Expected 'at' to be a valid Date.`);
+
+    const types = [cron, interval, at].filter((value) => value !== undefined).length;
+    if (
+      types > 1 ||
+      (cron !== undefined && delay !== undefined) ||
+      (at !== undefined && delay !== undefined)
+    )
+      throw new TypeError(`Expected only one of 'cron', 'interval', 'delay' or 'at'.`);
+
+    const now = this.#clock.now();
+    /** @type {ScheduleType} */
+    let type = 'timeout';
+    /** @type {CronSchedule|null} */
+    let parsed = null;
+    /** @type {number|null} */
+    let nextRun;
+
+    if (cron !== undefined) {
+      type = 'cron';
+      parsed = TinyTimeout.parseCron(cron);
+      nextRun = TinyTimeout.getNextCronTime(parsed, now, utc);
+      if (nextRun === null)
+        throw new TypeError(`The cron expression "${cron}" never matches a date.`);
+    } else if (interval !== undefined) {
+      type = 'interval';
+      nextRun = now + (delay ?? interval);
+    } else if (at !== undefined) {
+      nextRun = Math.max(now, at instanceof Date ? at.getTime() : at);
+    } else if (delay !== undefined) {
+      nextRun = now + delay;
+    } else throw new TypeError(`Expected one of 'cron', 'interval', 'delay' or 'at'.`);
+
+    if (this.#jobs.has(name)) this.cancel(name);
+
+    /** @type {ScheduledJob} */
+    const job = {
+      name,
+      callback,
+      type,
+      interval: interval ?? null,
+      cron: parsed,
+      utc,
+      nextRun,
+      remaining: Math.max(0, nextRun - now),
+      paused,
+      runs: 0,
+      maxRuns,
+      lastRun: null,
+      handle: null,
+    };
+    this.#jobs.set(name, job);
+    this.#arm(job);
+    return /** @type {ScheduleInfo} */ (this.getJob(name));
+  }
+
+  /**
+   * Cancels a scheduled job.
+   *
+   * @param {string} name
+   * @returns {boolean} `true` if the job existed.
+   */
+  cancel(name) {
+    const job = this.#jobs.get(name);
+    if (!job) return false;
+    if (job.handle !== null) this.#clock.clearTimeout(job.handle);
+    job.handle = null;
+    this.#jobs.delete(name);
+    return true;
+  }
+
+  /**
+   * Pauses a scheduled job, keeping the time left before its next run.
+   *
+   * @param {string} name
+   * @returns {boolean} `false` if the job was already paused.
+   * @throws {Error} If the job does not exist.
+   */
+  pause(name) {
+    const job = this.#getJob(name);
+    if (job.paused) return false;
+    job.remaining = Math.max(0, job.nextRun - this.#clock.now());
+    job.paused = true;
+    this.#arm(job);
+    return true;
+  }
+
+  /**
+   * Resumes a paused job.
+   *
+   * Timeouts and intervals run after the time they had left when paused.
+   * Cron jobs run at the next time matching their expression.
+   *
+   * @param {string} name
+   * @returns {boolean} `false` if the job was not paused.
+   * @throws {Error} If the job does not exist.
+   */
+  resume(name) {
+    const job = this.#getJob(name);
+    if (!job.paused) return false;
+    const now = this.#clock.now();
+    job.paused = false;
+    if (job.type === 'cron') {
+      const nextRun = TinyTimeout.getNextCronTime(
+        /** @type {CronSchedule} */ (job.cron),
+        now,
+        job.utc,
+      );
+      if (nextRun === null) {
+        this.#jobs.delete(name);
+        return true;
+      }
+      job.nextRun = nextRun;
+    } else job.nextRun = now + job.remaining;
+    this.#arm(job);
+    return true;
+  }
+
+  /**
+   * Checks whether a job is paused.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   * @throws {Error} If the job does not exist.
+   */
+  isPaused(name) {
+    return this.#getJob(name).paused;
+  }
+
+  /**
+   * Checks whether a job is scheduled.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasJob(name) {
+    return this.#jobs.has(name);
+  }
+
+  /**
+   * Returns the names of every scheduled job.
+   *
+   * @returns {string[]}
+   */
+  getJobNames() {
+    return [...this.#jobs.keys()];
+  }
+
+  /**
+   * Returns the time (ms) left before the next run of a job.
+   *
+   * @param {string} name
+   * @returns {number}
+   * @throws {Error} If the job does not exist.
+   */
+  getRemaining(name) {
+    const job = this.#getJob(name);
+    return job.paused ? job.remaining : Math.max(0, job.nextRun - this.#clock.now());
+  }
+
+  /**
+   * Returns a snapshot of a scheduled job.
+   *
+   * @param {string} name
+   * @returns {ScheduleInfo|null}
+   */
+  getJob(name) {
+    const job = this.#jobs.get(name);
+    if (!job) return null;
+    return {
+      name: job.name,
+      type: job.type,
+      interval: job.interval,
+      cron: job.cron ? job.cron.expression : null,
+      utc: job.utc,
+      nextRun: job.paused ? null : job.nextRun,
+      remaining: this.getRemaining(name),
+      paused: job.paused,
+      runs: job.runs,
+      maxRuns: job.maxRuns,
+      lastRun: job.lastRun,
+    };
   }
 
   /**
-   * Cleans up all internal references and stops the cooldown watcher.
+   * Cleans up all internal references and stops the cooldown watcher and every scheduled job.
    * After calling this, the instance becomes unusable.
    */
   destroy() {
     if (this.#isDestroyed) return;
     this.#isDestroyed = true;
-    if (this.#cooldownWatcher) clearInterval(this.#cooldownWatcher);
+    if (this.#cooldownWatcher !== null) this.#clock.clearTimeout(this.#cooldownWatcher);
     this.#cooldownWatcher = null;
     this.#timeoutFixer.clear();
+    for (const name of [...this.#jobs.keys()]) this.cancel(name);
   }
 }
 
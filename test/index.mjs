@@ -3,8 +3,17 @@ import testColorSafeStringify from './libs/ColorSafeStringify.mjs';
 import testLevelUp from './libs/TinyLevelUp.mjs';
 import executeTinyPromiseQueue from './libs/TinyPromiseQueue.mjs';
 import testRateLimit from './libs/TinyRateLimiter.mjs';
+import testRateLimitMiddleware from './libs/TinyRateLimiterMiddleware.mjs';
 import executeObjType from './libs/objType.mjs';
 import testI18 from './libs/TinyI18.mjs';
+import testTinyInventory from './libs/TinyInventory.mjs';
+import testTinyDayNightCycle from './libs/TinyDayNightCycle.mjs';
+import testTinyTimeout from './libs/TinyTimeout.mjs';
+import testTinyEvents from './libs/TinyEvents.mjs';
+import testTinyAdvancedRaffle from './libs/TinyAdvancedRaffle.mjs';
+import testTinyNeedBar from './libs/TinyNeedBar.mjs';
+import testTinyNeedManager from './libs/TinyNeedManager.mjs';
+import testTinySimpleDice from './libs/TinySimpleDice.mjs';
 
 const actions = {
   fileManager: testFolderManager,
@@ -12,8 +21,17 @@ const actions = {
   promiseQueue: executeTinyPromiseQueue,
   colorStringify: testColorSafeStringify,
   rateLimit: testRateLimit,
+  rateLimitMiddleware: testRateLimitMiddleware,
   levelUp: testLevelUp,
   i18: testI18,
+  inventory: testTinyInventory,
+  dayNightCycle: testTinyDayNightCycle,
+  timeout: testTinyTimeout,
+  events: testTinyEvents,
+  raffle: testTinyAdvancedRaffle,
+  needBar: testTinyNeedBar,
+  needManager: testTinyNeedManager,
+  dice: testTinySimpleDice,
 };
 
 (async () => {
@@ -0,0 +1,309 @@
+import { TinyAdvancedRaffle } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Creates a boss table: guaranteed gold, a potion and a roll on a gems sub-table.
+ * @param {number} [seed=42]
+ */
+const createBoss = (seed = 42) => {
+  const gems = new TinyAdvancedRaffle({ seed: seed + 1 });
+  gems.addItem('ruby', { weight: 1 });
+  gems.addItem('emerald', { weight: 3 });
+  gems.setLootEntry('ruby', { quantity: [1, 3] });
+
+  const boss = new TinyAdvancedRaffle({ seed });
+  boss.addItem('gold');
+  boss.addItem('potion');
+  boss.addItem('gems');
+  boss.setLootEntry('gold', { quantity: [10, 20], guaranteed: true });
+  boss.setLootEntry('gems', { table: 'gems', rolls: [2, 4] });
+  boss.setTable('gems', gems);
+  return boss;
+};
+
+/**
+ * Sums the quantities of the item drops of a tree.
+ * @param {any[]} drops
+ * @param {Record<string, number>} [totals={}]
+ */
+const sumDrops = (drops, totals = {}) => {
+  for (const drop of drops) {
+    if (drop.table === null) totals[drop.id] = (totals[drop.id] || 0) + drop.quantity;
+    sumDrops(drop.children, totals);
+  }
+  return totals;
+};
+
+const testLoot = () => {
+  logSection('Loot tables', '🎁');
+  const boss = createBoss();
+  const previousDraws = [];
+  /** @type {Set<number>} */
+  const rubyQuantities = new Set();
+  let rolledGems = 0;
+  let ok = true;
+
+  for (let i = 0; i < 200; i++) {
+    const { drops, items } = boss.rollLoot({ rolls: 2, previousDraws });
+    const gold = drops.filter((d) => d.id === 'gold');
+    ok &&= gold.length === 1 && gold[0].guaranteed && gold[0].prob === null;
+    ok &&= items.gold >= 10 && items.gold <= 20;
+    // Guaranteed items are excluded from the weighted rolls
+    ok &&= drops.filter((d) => !d.guaranteed).length === 2;
+    ok &&= !('gems' in items);
+    ok &&= JSON.stringify(sumDrops(drops)) === JSON.stringify(items);
+
+    for (const drop of drops.filter((d) => d.table === 'gems')) {
+      rolledGems++;
+      ok &&= drop.quantity === 0 && drop.children.length >= 2 && drop.children.length <= 4;
+      for (const child of drop.children) {
+        if (child.id === 'ruby') rubyQuantities.add(child.quantity);
+        else ok &&= child.quantity === 1;
+      }
+    }
+  }
+
+  console.assert(ok, 'loot drops should follow their entries');
+  console.assert(previousDraws.length === 0, 'previousDraws should not be modified');
+  console.assert(rolledGems > 0, 'the gems sub-table should be rolled');
+  console.assert(
+    [...rubyQuantities].sort().join() === '1,2,3',
+    'quantity ranges should include both ends',
+  );
+  logSuccess('Guaranteed drops, quantity ranges and sub-tables build the drop tree');
+};
+
+const testLootJson = () => {
+  logSection('Loot export / load', '💾');
+  const boss = createBoss(7);
+  const json = boss.exportToJson();
+  const loaded = new TinyAdvancedRaffle();
+  loaded.loadFromJson(JSON.parse(JSON.stringify(json)));
+
+  console.assert(loaded.hasTable('gems'), 'sub-tables should be loaded');
+  console.assert(loaded.getTable('gems') !== boss.getTable('gems'), 'sub-tables should be new');
+  console.assert(
+    JSON.stringify(loaded.exportToJson()) === JSON.stringify(json),
+    'the loaded raffle should export the same state',
+  );
+  console.assert(
+    JSON.stringify(loaded.getLootEntry('gems')) === JSON.stringify(boss.getLootEntry('gems')),
+    'loot entries should be loaded',
+  );
+
+  let same = true;
+  for (let i = 0; i < 50; i++)
+    same &&=
+      JSON.stringify(loaded.rollLoot({ rolls: [1, 3] })) ===
+      JSON.stringify(boss.rollLoot({ rolls: [1, 3] }));
+  console.assert(same, 'seeded loaded raffles should roll the same loot');
+  logSuccess('exportToJson() / loadFromJson() keep sub-tables and loot entries');
+};
+
+/**
+ * Reference Wilson score interval.
+ * @param {number} count
+ * @param {number} n
+ * @param {number} z
+ */
+const wilson = (count, n, z) => {
+  const p = count / n;
+  const denom = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return [center - margin, center + margin];
+};
+
+const testSimulation = () => {
+  logSection('Simulation reports', '📊');
+  const raffle = new TinyAdvancedRaffle({ seed: 3 });
+  raffle.addItem('common', { weight: 8 });
+  raffle.addItem('rare', { weight: 2, label: 'Rare, "shiny"' });
+
+  const report = raffle.simulate({ draws: 500, runs: 4, seed: 11 });
+  console.assert(report.totalDraws === 2000 && report.emptyDraws === 0, 'every draw should count');
+  const counts = report.items.reduce((sum, item) => sum + item.count, 0);
+  console.assert(counts === report.totalDraws, 'item counts should add up to the draws');
+  console.assert(
+    JSON.stringify(raffle.simulate({ draws: 500, runs: 4, seed: 11 })) === JSON.stringify(report),
+    'the same seed should give the same report',
+  );
+
+  let ok = true;
+  for (const item of report.items) {
+    const [low, high] = wilson(item.count, report.totalDraws, 1.959963984540054);
+    ok &&= Math.abs(item.ciLow - low) < 1e-6 && Math.abs(item.ciHigh - high) < 1e-6;
+    ok &&= item.ciLow <= item.rate && item.rate <= item.ciHigh;
+  }
+  console.assert(ok, 'the 95% interval should be the Wilson score interval');
+  const rare = report.items.find((item) => item.id === 'rare');
+  console.assert(rare?.initialRate === 0.2, 'initialRate should come from the weights');
+  console.assert(rare && rare.ciLow < 0.2 && rare.ciHigh > 0.2, 'the interval should hold 20%');
+
+  const wide = raffle.simulate({ draws: 500, runs: 4, seed: 11, confidence: 0.99 });
+  const wideRare = wide.items.find((item) => item.id === 'rare');
+  console.assert(
+    rare && wideRare && wideRare.rate === rare.rate && wideRare.ciLow < rare.ciLow,
+    'a higher confidence should widen the interval of the same draws',
+  );
+  logSuccess('simulate() reports reproducible rates with Wilson intervals');
+
+  const csv = raffle.simulationToCsv(report, ';').split('\n');
+  console.assert(csv.length === report.items.length + 1, 'CSV should have one line per item');
+  console.assert(
+    csv[0] ===
+      'id;label;count;rate;ciLow;ciHigh;initialRate;expectedDrawsToHit;runsWithHit;pityActiveDraws;pityTriggers',
+    'CSV should start with the header line',
+  );
+  console.assert(
+    csv[2].startsWith(`rare;"Rare, ""shiny""";${rare?.count};`),
+    'cells with quotes should be escaped',
+  );
+  console.assert(
+    raffle.simulationToCsv(report).split('\n')[2].startsWith('rare,"Rare, ""shiny"""'),
+    'cells with the separator should be quoted',
+  );
+  logSuccess('simulationToCsv() writes one escaped line per item');
+};
+
+const testTableLoops = () => {
+  logSection('Sub-table loops', '🔁');
+  const a = new TinyAdvancedRaffle({ seed: 1 });
+  const b = new TinyAdvancedRaffle({ seed: 2 });
+  const c = new TinyAdvancedRaffle({ seed: 3 });
+  a.addItem('coin');
+  b.addItem('gem');
+  c.addItem('relic');
+
+  console.assert(
+    throws(() => a.setTable('self', a)),
+    'a raffle should not be its own sub-table',
+  );
+
+  a.setTable('b', b);
+  console.assert(
+    throws(() => b.setTable('a', a)),
+    'a direct loop between two tables should be rejected',
+  );
+  console.assert(!b.hasTable('a'), 'a rejected table should not be registered');
+
+  b.setTable('c', c);
+  console.assert(
+    throws(() => c.setTable('a', a)),
+    'an indirect loop through a nested table should be rejected',
+  );
+
+  a.setTable('c', c);
+  console.assert(a.hasTable('c'), 'sharing a table between branches is not a loop');
+  console.assert(
+    typeof JSON.stringify(a.exportToJson()) === 'string',
+    'exporting a shared table should not overflow the stack',
+  );
+  logSuccess('setTable() rejects direct and indirect loops');
+};
+
+const testProvablyFair = () => {
+  logSection('Provably-fair draws', '🔐');
+  const boss = createBoss(5);
+  boss.getTable('gems')?.enableProvablyFair({ serverSeed: 'gems-secret' });
+  const { serverSeedHash, nonce } = boss.enableProvablyFair({
+    serverSeed: 'boss-secret',
+    clientSeed: 'player-1',
+  });
+  console.assert(
+    serverSeedHash === boss.hashServerSeed('boss-secret') && nonce === 0,
+    'enabling should commit to the server seed hash',
+  );
+
+  /** @type {any[]} */
+  const receipts = [];
+  boss.on('fairDraw', (receipt) => receipts.push(receipt));
+  for (let i = 0; i < 5; i++) boss.rollLoot({ rolls: [1, 3] });
+  boss.drawOne();
+  boss.drawMany(5);
+
+  console.assert(receipts.length === 7, 'every public call should produce one receipt');
+  console.assert(
+    receipts.map((r) => r.nonce).join() === '0,1,2,3,4,5,6',
+    'each call should use exactly one nonce, sub-table rolls included',
+  );
+  console.assert(
+    boss.getTable('gems')?.getFairState().nonce === 0,
+    'sub-tables should draw from the stream of the parent call',
+  );
+  console.assert(
+    receipts[0].state.tables.length === 1 && receipts[5].state.tables.length === 0,
+    'only loot receipts should include the sub-tables',
+  );
+
+  const serverSeed = boss.revealServerSeed();
+  console.assert(!boss.isProvablyFair, 'revealing should disable the fair mode');
+  const verified = receipts.map((r) => TinyAdvancedRaffle.verifyDraw(r, serverSeed));
+  console.assert(
+    verified.every((v) => v.valid && v.hashMatches && v.resultMatches),
+    'every receipt should replay to the same result',
+  );
+  logSuccess('Commit → draw → reveal → verifyDraw() replays every call');
+
+  const wrongSeed = TinyAdvancedRaffle.verifyDraw(receipts[0], 'not-the-seed');
+  console.assert(!wrongSeed.valid && !wrongSeed.hashMatches, 'a wrong seed should be rejected');
+
+  const tamperedState = JSON.parse(JSON.stringify(receipts[0]));
+  for (const [id, entry] of tamperedState.state.loot)
+    if (id === 'gold') entry.quantity = { min: 1000, max: 1000 };
+  const badState = TinyAdvancedRaffle.verifyDraw(tamperedState, serverSeed);
+  console.assert(
+    !badState.valid && badState.hashMatches && !badState.resultMatches,
+    'a tampered state should not replay to the same result',
+  );
+
+  const tamperedResult = JSON.parse(JSON.stringify(receipts[6]));
+  tamperedResult.result[0].id = 'legendary';
+  console.assert(
+    !TinyAdvancedRaffle.verifyDraw(tamperedResult, serverSeed).valid,
+    'a tampered result should be rejected',
+  );
+
+  const tamperedNonce = { ...receipts[6], nonce: receipts[6].nonce + 1 };
+  console.assert(
+    !TinyAdvancedRaffle.verifyDraw(tamperedNonce, serverSeed).valid,
+    'a receipt with another nonce should be rejected',
+  );
+  logSuccess('Tampered seeds, states and results are rejected');
+};
+
+const testTinyAdvancedRaffle = async () => {
+  testLoot();
+  testLootJson();
+  testTableLoops();
+  testSimulation();
+  testProvablyFair();
+
+  logSection('All raffle tests completed!', '🥳');
+};
+
+export default testTinyAdvancedRaffle;
@@ -0,0 +1,239 @@
+import { TinyDayNightCycle } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const testLeapDayRoundTrip = () => {
+  logSection('Leap day serialization', '📅');
+  const cycle = new TinyDayNightCycle();
+  cycle.setCalendar({
+    months: MONTH_DAYS.map((days, index) => ({
+      name: `M${index + 1}`,
+      days,
+      leapDays: +(index === 1),
+    })),
+    leapRule: { every: 4, except: 100, unless: 400 },
+  });
+  cycle.setDate({ year: 2024, month: 2, day: 29 });
+
+  const restored = TinyDayNightCycle.fromJSON(cycle.toJSON());
+  console.assert(
+    restored.currentYear === 2024 && restored.currentMonth === 2 && restored.currentDay === 29,
+    'Feb 29 should survive a toJSON/fromJSON round-trip',
+  );
+  logSuccess('Feb 29 survives a toJSON/fromJSON round-trip');
+};
+
+const testClockTimer = () => {
+  logSection('Clock driver timer', '⏱️');
+  const countTimers = () =>
+    process.getActiveResourcesInfo().filter((type) => type === 'Timeout').length;
+  const before = countTimers();
+  const cycle = new TinyDayNightCycle();
+  cycle.startClock({ timeScale: 60 });
+  console.assert(cycle.isClockRunning, 'clock should be running');
+  console.assert(countTimers() === before, 'clock timer should not keep the process alive');
+  cycle.stopClock();
+  logSuccess("The clock timer is unref'd");
+};
+
+const testLightCurve = () => {
+  logSection('Continuous light model', '🌅');
+  const cycle = new TinyDayNightCycle();
+  const step = cycle.minuteSize;
+  let previous = cycle.getAmbientLight(0);
+  let maxJump = 0;
+  for (let seconds = step; seconds <= cycle.daySize; seconds += step) {
+    const light = cycle.getAmbientLight(seconds % cycle.daySize);
+    console.assert(light >= 0 && light <= 1, 'ambient light should stay between 0 and 1');
+    maxJump = Math.max(maxJump, Math.abs(light - previous));
+    previous = light;
+  }
+  console.assert(maxJump < 0.05, `ambient light should not jump (max jump ${maxJump})`);
+  logSuccess('Ambient light changes smoothly over a whole day');
+
+  const noon = 12 * cycle.hourSize;
+  console.assert(cycle.getAmbientLight(noon) > cycle.getAmbientLight(0), 'noon should be brighter');
+  console.assert(cycle.getSunPosition(noon).isAboveHorizon, 'sun should be up at noon');
+  console.assert(!cycle.getSunPosition(0).isAboveHorizon, 'sun should be down at midnight');
+  console.assert(/^#[0-9a-f]{6}$/i.test(cycle.getSkyColor(noon).hex), 'sky color should be hex');
+  logSuccess('Noon is brighter than midnight and the sun follows the day');
+};
+
+/**
+ * Creates a cycle with the Gregorian calendar (year 1, day 1 is a Monday).
+ * @param {Object} [options={}]
+ * @param {any} [options.leapRule]
+ */
+const createGregorian = ({ leapRule = { every: 4, except: 100, unless: 400 } } = {}) => {
+  const cycle = new TinyDayNightCycle();
+  cycle.setCalendar({
+    months: MONTH_DAYS.map((days, index) => ({
+      name: `M${index + 1}`,
+      days,
+      leapDays: +(index === 1),
+    })),
+    weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    epochWeekday: 1,
+    leapRule,
+  });
+  return cycle;
+};
+
+const testLeapRules = () => {
+  logSection('Leap rules', '🗓️');
+  const cycle = createGregorian();
+  console.assert(
+    [2024, 2000, 1900, 2023].map((year) => cycle.isLeapYear(year)).join() ===
+      'true,true,false,false',
+    'every 4 years, except every 100 unless every 400',
+  );
+  console.assert(cycle.getDaysInMonth(2, 2024) === 29, 'leap days should extend February');
+  console.assert(cycle.getDaysInMonth(2, 1900) === 28, 'century years should not be leap');
+  console.assert(
+    cycle.getDaysInYear(2024) === 366 && cycle.getDaysInYear(2023) === 365,
+    'year lengths should include the leap days',
+  );
+
+  const custom = createGregorian({ leapRule: (/** @type {number} */ year) => year % 5 === 0 });
+  console.assert(custom.isLeapYear(2025) && !custom.isLeapYear(2024), 'function rules apply');
+
+  cycle.setDate({ year: 2024, month: 2, day: 29 });
+  cycle.setCalendar({ leapRule: null });
+  console.assert(cycle.currentDay === 28, 'the current date should be clamped to the calendar');
+  logSuccess('Leap rules change month and year lengths');
+};
+
+const testDateArithmetic = () => {
+  logSection('Date arithmetic', '➗');
+  const cycle = createGregorian();
+  const newYearsEve = { year: 2023, month: 12, day: 31 };
+  console.assert(
+    JSON.stringify(cycle.addDays(newYearsEve, 1)) === '{"year":2024,"month":1,"day":1}',
+    'adding a day should cross into the next year',
+  );
+  console.assert(
+    JSON.stringify(cycle.addDays({ year: 2024, month: 1, day: 1 }, -1)) ===
+      JSON.stringify(newYearsEve),
+    'subtracting a day should go back a year',
+  );
+  console.assert(
+    JSON.stringify(cycle.addDays({ year: 1, month: 1, day: 1 }, -1)) ===
+      '{"year":0,"month":12,"day":31}',
+    'dates before the epoch should work',
+  );
+  console.assert(
+    cycle.diffDays(newYearsEve, { year: 2024, month: 3, day: 1 }) === 61,
+    'the leap day should be counted',
+  );
+  console.assert(
+    cycle.diffDays({ year: 2024, month: 1, day: 1 }, { year: 2025, month: 1, day: 1 }) === 366,
+    'a leap year should last 366 days',
+  );
+
+  let ok = true;
+  for (const days of [-800, -366, -1, 0, 59, 365, 1461, 40000]) {
+    const date = cycle.addDays(newYearsEve, days);
+    ok &&= cycle.diffDays(newYearsEve, date) === days;
+  }
+  console.assert(ok, 'diffDays should undo addDays');
+  logSuccess('addDays() and diffDays() cross year boundaries and leap days');
+
+  console.assert(
+    cycle.formatDate('{weekday} {year}-{month2}-{day2}', { year: 2024, month: 2, day: 29 }) ===
+      'Thu 2024-02-29',
+    'formatDate should use the weekday of the date',
+  );
+  console.assert(
+    cycle.formatDate('{weekday}, {dayOrdinal} of {month}', { year: 2024, month: 1, day: 1 }) ===
+      'Mon, 1st of M1',
+    'formatDate should use month names and ordinals',
+  );
+  console.assert(
+    [2, 3, 11, 22, 23]
+      .map((day) => cycle.formatDate('{dayOrdinal}', { year: 1, month: 1, day }))
+      .join() === '2nd,3rd,11th,22nd,23rd',
+    'ordinals should follow the English suffixes',
+  );
+  console.assert(cycle.formatDate('{unknown}') === '{unknown}', 'unknown placeholders stay');
+  logSuccess('formatDate() fills weekdays, ordinals and padded numbers');
+};
+
+const testHolidaysAndSchedules = () => {
+  logSection('Holidays and schedules', '🎉');
+  const cycle = createGregorian();
+  cycle.addHoliday('last-feb', 'Last of February', { month: 2, day: -1 });
+  console.assert(
+    cycle.getDate({ year: 2024, month: 2, day: 29 }).holidays.join() === 'Last of February' &&
+      cycle.getDate({ year: 2023, month: 2, day: 28 }).holidays.length === 1 &&
+      cycle.getDate({ year: 2024, month: 2, day: 28 }).holidays.length === 0,
+    'negative days should count from the end of the month',
+  );
+
+  /** @type {string[]} */
+  const holidays = [];
+  cycle.on('holiday', ({ date }) => holidays.push(`${date.month}-${date.day}`));
+  cycle.setDate({ year: 2024, month: 2, day: 27 });
+  cycle.nextDay(3);
+  console.assert(holidays.join() === '2-29', 'holiday events should fire on their date');
+  logSuccess('Holidays follow leap years');
+
+  cycle.setDate({ year: 2023, month: 12, day: 30 });
+  cycle.currentSeconds = 0;
+  /** @type {string[]} */
+  const everyOther = [];
+  /** @type {number[]} */
+  const noons = [];
+  let mondays = 0;
+  let firstOfYear = 0;
+  cycle.schedule(
+    'every-other-day',
+    { every: 2, from: { year: 2023, month: 12, day: 30 } },
+    ({ date }) => everyOther.push(`${date.month}-${date.day}`),
+  );
+  cycle.schedule('noon', { hour: 12 }, ({ hour }) => noons.push(/** @type {number} */ (hour)));
+  cycle.schedule('monday', { weekday: 'Mon' }, () => mondays++);
+  cycle.schedule('january', { month: 1 }, () => firstOfYear++, { once: true });
+
+  cycle.addTime({ hours: 24 * 10 });
+  console.assert(
+    everyOther.join() === '1-1,1-3,1-5,1-7,1-9',
+    'recurring schedules should fire on every matching day',
+  );
+  console.assert(noons.length === 10 && noons.every((h) => h === 12), 'hour rules fire daily');
+  console.assert(mondays === 2, 'weekday rules should fire once a week (Jan 1 and Jan 8)');
+  console.assert(firstOfYear === 1 && !cycle.hasSchedule('january'), 'once schedules are removed');
+
+  cycle.addTime({ hours: -48 });
+  console.assert(everyOther.length === 5 && noons.length === 10, 'going back should not fire');
+  console.assert(cycle.unschedule('noon') && !cycle.hasSchedule('noon'), 'unschedule works');
+  logSuccess('Recurring schedules fire while addTime() crosses days and hours');
+};
+
+const testTinyDayNightCycle = async () => {
+  testLeapDayRoundTrip();
+  testLightCurve();
+  testClockTimer();
+  testLeapRules();
+  testDateArithmetic();
+  testHolidaysAndSchedules();
+
+  logSection('All day/night cycle tests completed!', '🥳');
+};
+
+export default testTinyDayNightCycle;
@@ -0,0 +1,88 @@
+import { TinyEvents } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+const testListeners = async () => {
+  logSection('Wildcards and priorities', '✳️');
+  const events = new TinyEvents();
+  /** @type {string[]} */
+  const calls = [];
+  events.on('inventory.add', () => calls.push('exact'));
+  events.on('inventory.*', () => calls.push('wildcard'));
+  events.on('**', () => calls.push('all'), { priority: 10 });
+  events.emit('inventory.add');
+  events.emit('shop.buy');
+  console.assert(calls.join() === 'all,exact,wildcard,all', 'unexpected listener order');
+  logSuccess('Wildcard listeners match and higher priorities run first');
+
+  logSection('Async emits', '⏳');
+  const asyncEvents = new TinyEvents();
+  asyncEvents.on('save', async () => 'saved');
+  asyncEvents.on('save', async () => {
+    throw new Error('disk full');
+  });
+  const [result] = await asyncEvents.emitAsync('save');
+  console.assert(result.called && result.results.length === 2, 'every listener should run');
+  console.assert(result.errors[0]?.message === 'disk full', 'errors should be collected');
+  logSuccess('emitAsync() awaits every listener and collects errors');
+
+  const waiting = asyncEvents.waitFor('ready', { filter: (value) => value > 1 });
+  asyncEvents.emit('ready', 1);
+  asyncEvents.emit('ready', 2);
+  console.assert((await waiting)[0] === 2, 'waitFor should resolve with the filtered payload');
+  console.assert(asyncEvents.listenerCount('ready') === 0, 'waitFor should remove its listener');
+  logSuccess('waitFor() resolves with the first matching payload');
+};
+
+const testInterceptors = () => {
+  logSection('Interceptors', '🛂');
+  const events = new TinyEvents();
+  /** @type {any[]} */
+  const received = [];
+  events.on('chat', (text) => received.push(text));
+  events.addInterceptor({
+    event: 'chat',
+    before: (context) => {
+      if (context.payload[0] === 'spam') context.cancel();
+      else context.payload = [context.payload[0].toUpperCase()];
+    },
+  });
+  events.emit('chat', 'hello');
+  events.emit('chat', 'spam');
+  console.assert(received.join() === 'HELLO', 'interceptors should change and cancel payloads');
+  logSuccess('before hooks can change payloads and cancel emissions');
+
+  logSection('Sticky events', '📌');
+  events.setSticky('config.*');
+  events.emit('config.theme', 'dark');
+  events.emit('config.theme', 'light');
+  /** @type {string[]} */
+  const replayed = [];
+  events.on('config.theme', (theme) => replayed.push(theme));
+  console.assert(replayed.join() === 'light', 'late listeners should get the latest emission');
+  console.assert(events.getHistory('config.*').length === 1, 'history should follow the limit');
+  logSuccess('Late listeners receive the saved sticky emission');
+};
+
+const testTinyEvents = async () => {
+  await testListeners();
+  testInterceptors();
+
+  logSection('All event tests completed!', '🥳');
+};
+
+export default testTinyEvents;
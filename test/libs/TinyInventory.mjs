@@ -0,0 +1,340 @@
+import {
+  TinyInventory,
+  TinyInventoryShop,
+  TinyInventoryTradeSession,
+} from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+/**
+ * Counts the quantity of an item in the normal slots.
+ * @param {TinyInventory} inv
+ * @param {string} itemId
+ * @returns {number}
+ */
+const countItem = (inv, itemId) =>
+  inv.items.reduce((total, item) => total + (item && item.id === itemId ? item.quantity : 0), 0);
+
+const testCraftLockedSlots = () => {
+  logSection('Crafting skips locked slots', '🔒');
+  TinyInventory.defineItem({ id: 'test_wood', maxStack: 10 });
+  TinyInventory.defineItem({ id: 'test_plank', maxStack: 10 });
+  TinyInventory.defineRecipe({
+    id: 'test_plank_recipe',
+    inputs: [{ itemId: 'test_wood', quantity: 3, metadata: () => true }],
+    outputs: [{ itemId: 'test_plank', quantity: 1 }],
+  });
+
+  const inv = new TinyInventory();
+  inv.setItem({ slotIndex: 0, item: { id: 'test_wood', quantity: 1, metadata: {} } });
+  inv.setItem({ slotIndex: 1, item: { id: 'test_wood', quantity: 2, metadata: {} } });
+  inv.lockSlot(0);
+
+  console.assert(inv.canCraft('test_plank_recipe') === false, 'locked wood should not count');
+  const failed = inv.craft('test_plank_recipe');
+  console.assert(!failed.success && failed.reason === 'ingredients', 'craft should fail');
+  console.assert(countItem(inv, 'test_plank') === 0, 'no plank should be produced');
+  logSuccess('Locked ingredients are not available');
+
+  inv.setItem({ slotIndex: 2, item: { id: 'test_wood', quantity: 1, metadata: {} } });
+  const result = inv.craft('test_plank_recipe');
+  console.assert(result.success, 'craft should succeed with enough unlocked wood');
+  console.assert(inv.getItemFrom(0)?.quantity === 1, 'locked stack should be untouched');
+  console.assert(countItem(inv, 'test_wood') === 1, 'unlocked wood should be consumed');
+  console.assert(countItem(inv, 'test_plank') === 1, 'plank should be produced');
+  logSuccess('Only unlocked stacks are consumed');
+};
+
+const testCraftSpace = () => {
+  logSection('Crafting is atomic', '⚒️');
+  TinyInventory.defineItem({ id: 'test_log', maxStack: 10 });
+  TinyInventory.defineItem({ id: 'test_stick', maxStack: 10 });
+  TinyInventory.defineItem({ id: 'test_bark', maxStack: 10 });
+  TinyInventory.defineRecipe({
+    id: 'test_stick_recipe',
+    inputs: [{ itemId: 'test_log', quantity: 1 }],
+    outputs: [
+      { itemId: 'test_stick', quantity: 2 },
+      { itemId: 'test_bark', quantity: 1 },
+    ],
+  });
+
+  // Consuming one log frees no slot, so the outputs have nowhere to go
+  const inv = new TinyInventory({ maxSlots: 1 });
+  inv.addItem({ itemId: 'test_log', quantity: 3 });
+  const result = inv.craft('test_stick_recipe');
+  console.assert(!result.success && result.reason === 'space', 'craft should fail on space');
+  console.assert(countItem(inv, 'test_log') === 3, 'ingredients should be restored');
+  console.assert(countItem(inv, 'test_stick') === 0, 'no output should be produced');
+  logSuccess('Failed crafts leave the inventory unchanged');
+};
+
+const testCraftTools = () => {
+  logSection('Crafting keeps tools', '🔨');
+  TinyInventory.defineItem({ id: 'test_flint', maxStack: 10 });
+  TinyInventory.defineItem({ id: 'test_spark', maxStack: 10 });
+  TinyInventory.defineRecipe({
+    id: 'test_spark_recipe',
+    inputs: [{ itemId: 'test_flint', quantity: 1 }],
+    outputs: [{ itemId: 'test_spark', quantity: 1 }],
+    tools: [{ itemId: 'test_flint', quantity: 1 }],
+  });
+
+  const inv = new TinyInventory({ specialSlots: { hand: { type: null } } });
+  inv.addItem({ itemId: 'test_flint', quantity: 1 });
+  console.assert(inv.canCraft('test_spark_recipe') === false, 'the tool cannot be an input');
+  console.assert(
+    !inv.getCraftableRecipes().includes('test_spark_recipe'),
+    'the recipe should not be listed',
+  );
+  const failed = inv.craft('test_spark_recipe');
+  console.assert(!failed.success && failed.reason === 'ingredients', 'craft should fail');
+  console.assert(countItem(inv, 'test_flint') === 1, 'the tool should be kept');
+
+  inv.addItem({ itemId: 'test_flint', quantity: 1 });
+  console.assert(inv.craft('test_spark_recipe').success, 'a second flint should be consumed');
+  console.assert(countItem(inv, 'test_flint') === 1, 'one flint should stay as the tool');
+  console.assert(inv.canCraft('test_spark_recipe', 1) === false, 'the last flint is the tool');
+  logSuccess('Stacks counted as tools are not consumed');
+
+  inv.setSpecialSlot({ slotId: 'hand', item: { id: 'test_flint', quantity: 1, metadata: {} } });
+  console.assert(
+    inv.getCraftableRecipes().includes('test_spark_recipe'),
+    'the equipped flint should be the tool',
+  );
+  console.assert(inv.craft('test_spark_recipe').success, 'the normal flint should be consumed');
+  console.assert(countItem(inv, 'test_flint') === 0, 'normal flint should be used up');
+  console.assert(inv.getSpecialItem('hand')?.id === 'test_flint', 'equipped tool should stay');
+  console.assert(countItem(inv, 'test_spark') === 2, 'sparks should be produced');
+  logSuccess('Equipped tools free the normal stacks for the inputs');
+};
+
+const testTransactions = () => {
+  logSection('Transactions and undo/redo', '↩️');
+  TinyInventory.defineItem({ id: 'test_arrow', maxStack: 50 });
+
+  const inv = new TinyInventory();
+  let threw = false;
+  try {
+    inv.transaction(() => {
+      inv.addItem({ itemId: 'test_arrow', quantity: 10 });
+      throw new Error('abort');
+    });
+  } catch {
+    threw = true;
+  }
+  console.assert(threw && countItem(inv, 'test_arrow') === 0, 'failed transactions roll back');
+  logSuccess('Throwing inside a transaction restores the inventory');
+
+  inv.transaction(() => inv.addItem({ itemId: 'test_arrow', quantity: 10 }), 'Loot arrows');
+  inv.transaction(() => inv.removeItem({ itemId: 'test_arrow', quantity: 4 }), 'Shoot');
+  console.assert(inv.undo() && countItem(inv, 'test_arrow') === 10, 'undo should restore');
+  console.assert(inv.redo() && countItem(inv, 'test_arrow') === 6, 'redo should re-apply');
+  console.assert(inv.undo() && inv.undo() && !inv.undo(), 'history should have two entries');
+  console.assert(countItem(inv, 'test_arrow') === 0, 'undoing everything empties the slots');
+  logSuccess('undo() and redo() walk the transaction history');
+};
+
+const testTradeUndo = () => {
+  logSection('Completed trades cannot be undone', '🤝');
+  TinyInventory.defineItem({ id: 'test_gold', maxStack: 100 });
+  TinyInventory.defineItem({ id: 'test_sword' });
+
+  const a = new TinyInventory();
+  const b = new TinyInventory();
+  a.transaction(() => a.addItem({ itemId: 'test_sword' }), 'Loot sword');
+  b.transaction(() => b.addItem({ itemId: 'test_gold', quantity: 50 }), 'Loot gold');
+
+  const trade = new TinyInventoryTradeSession(a, b);
+  trade.offerItem({ side: 'a', slotIndex: 0 });
+  trade.offerItem({ side: 'b', slotIndex: 0, quantity: 50 });
+  trade.accept('a');
+  console.assert(trade.accept('b') === 'completed', 'trade should complete');
+
+  console.assert(a.undo() === false && b.undo() === false, 'trade should not be undoable');
+  console.assert(
+    countItem(a, 'test_sword') === 0 && countItem(a, 'test_gold') === 50,
+    'A should keep the gold',
+  );
+  console.assert(
+    countItem(b, 'test_sword') === 1 && countItem(b, 'test_gold') === 0,
+    'B should keep the sword',
+  );
+  logSuccess('Undo after a trade restores nothing');
+};
+
+const testShop = () => {
+  logSection('Shop operations', '🏪');
+  TinyInventory.defineItem({ id: 'test_potion', maxStack: 10 });
+
+  const shop = new TinyInventoryShop({
+    inventory: new TinyInventory(),
+    currencyItem: 'test_gold',
+  });
+  shop.inventory.addItem({ itemId: 'test_potion', quantity: 5 });
+  shop.setPrice('test_potion', { buyPrice: 10 });
+
+  const player = new TinyInventory();
+  player.transaction(() => player.addItem({ itemId: 'test_gold', quantity: 30 }), 'Loot gold');
+  const customer = { inventory: player };
+  console.assert(shop.buy({ itemId: 'test_potion', customer }).success, 'buy should succeed');
+  console.assert(player.undo() === false, 'purchase should not be undoable');
+  console.assert(
+    countItem(player, 'test_gold') === 20 && countItem(player, 'test_potion') === 1,
+    'player should keep the potion and pay',
+  );
+  console.assert(countItem(shop.inventory, 'test_gold') === 10, 'shop should keep the gold');
+  logSuccess('Undo after a purchase restores nothing');
+
+  // The only slot holds a locked potion stack: new potions cannot merge into it
+  const locked = new TinyInventory({ maxSlots: 1 });
+  locked.addItem({ itemId: 'test_potion', quantity: 1 });
+  locked.lockSlot(0);
+  const walletShop = new TinyInventoryShop({ inventory: new TinyInventory() });
+  walletShop.inventory.addItem({ itemId: 'test_potion', quantity: 5 });
+  walletShop.setPrice('test_potion', { buyPrice: 10 });
+  const quote = walletShop.quote({
+    action: 'buy',
+    itemId: 'test_potion',
+    customer: { inventory: locked, wallet: { balance: 100 } },
+  });
+  console.assert(!quote.valid && quote.reason === 'space', 'locked stacks should not fit');
+  logSuccess('Quotes respect the slot locks of the real inventory');
+
+  let threw = false;
+  try {
+    shop.setPrice('test_potion', { buyPrice: 5, sellPrice: 2.5 });
+  } catch {
+    threw = true;
+  }
+  console.assert(threw, 'fractional prices should throw with a currency item');
+  logSuccess('Fractional prices are rejected with a currency item');
+};
+
+const testFullGrid = () => {
+  logSection('forceSpace on a full grid', '🧱');
+  TinyInventory.defineItem({ id: 'test_helmet' });
+  TinyInventory.defineItem({ id: 'test_stone' });
+  TinyInventory.defineItem({ id: 'test_blade', durability: 1, breakInto: 'test_broken_blade' });
+  TinyInventory.defineItem({ id: 'test_broken_blade' });
+  TinyInventory.defineItem({ id: 'test_fruit', lifetime: 10, expireInto: 'test_rotten_fruit' });
+  TinyInventory.defineItem({ id: 'test_rotten_fruit' });
+
+  let now = 0;
+  const inv = new TinyInventory({
+    grid: { width: 1, height: 1 },
+    specialSlots: { head: { type: null } },
+    clock: () => now,
+  });
+  inv.setSpecialSlot({ slotId: 'head', item: { id: 'test_helmet', quantity: 1, metadata: {} } });
+  inv.addItem({ itemId: 'test_stone' });
+
+  const unequipped = inv.unequipItem({ slotId: 'head', forceSpace: true });
+  console.assert(unequipped === false, 'unequip should fail on a full grid');
+  console.assert(inv.getSpecialItem('head')?.id === 'test_helmet', 'helmet should stay equipped');
+  logSuccess('Unequipped items that do not fit stay equipped');
+
+  inv.setSpecialSlot({ slotId: 'head', item: { id: 'test_blade', quantity: 1, metadata: {} } });
+  console.assert(inv.damageItem({ specialSlot: 'head' }) === false, 'blade should not break');
+  console.assert(inv.getSpecialItem('head')?.id === 'test_blade', 'blade should stay in place');
+  logSuccess('Broken units without room for the replacement stay in place');
+
+  inv.setSpecialSlot({ slotId: 'head', item: null });
+  inv.setSpecialSlot({
+    slotId: 'head',
+    item: { id: 'test_fruit', quantity: 1, metadata: {}, expiresAt: 5 },
+  });
+  now = 10;
+  console.assert(inv.processExpired().length === 0, 'fruit should not expire yet');
+  console.assert(inv.getSpecialItem('head')?.id === 'test_fruit', 'fruit should stay in place');
+  inv.deleteItem(0);
+  console.assert(inv.processExpired().length === 1, 'fruit should expire once there is room');
+  console.assert(countItem(inv, 'test_rotten_fruit') === 1, 'rotten fruit should be added');
+  logSuccess('Expired stacks without room for the replacement stay in place');
+
+  TinyInventory.defineItem({ id: 'test_shard', maxStack: 5 });
+  TinyInventory.defineItem({ id: 'test_glass', durability: 1, breakInto: 'test_shard' });
+  const tight = new TinyInventory({
+    grid: { width: 1, height: 1 },
+    specialSlots: { hand: { type: null } },
+  });
+  tight.addItem({ itemId: 'test_glass' });
+  console.assert(tight.damageItem({ slotIndex: 0 }), 'the freed cell should hold the replacement');
+  console.assert(tight.getItemFrom(0)?.id === 'test_shard', 'the shard should take the cell');
+  tight.setSpecialSlot({ slotId: 'hand', item: { id: 'test_glass', quantity: 1, metadata: {} } });
+  console.assert(tight.damageItem({ specialSlot: 'hand' }), 'replacements should fill stacks');
+  console.assert(tight.getItemFrom(0)?.quantity === 2, 'the shard stack should grow');
+  logSuccess('Replacements fit in freed cells and in existing stacks of a full grid');
+
+  const packed = new TinyInventory({ grid: { width: 3, height: 1 } });
+  packed.placeItemAt({ itemId: 'test_stone', x: 2, y: 0 });
+  /** @type {number[]} */
+  const moved = [];
+  packed.onSetItem(({ index }) => moved.push(index));
+  console.assert(packed.packGrid() && moved.join() === '0', 'packGrid should emit set events');
+  logSuccess('packGrid triggers a set event for every moved stack');
+};
+
+const testExpiry = () => {
+  logSection('Expiry stacking and replacements', '🍎');
+  TinyInventory.defineItem({
+    id: 'test_apple',
+    maxStack: 10,
+    lifetime: 60000,
+    expiryStep: 1000,
+    expireInto: 'test_rotten_apple',
+  });
+  TinyInventory.defineItem({ id: 'test_rotten_apple', maxStack: 10 });
+
+  let now = 100;
+  const inv = new TinyInventory({ clock: () => now });
+  inv.addItem({ itemId: 'test_apple', quantity: 2 });
+  now = 250;
+  inv.addItem({ itemId: 'test_apple', quantity: 3 });
+  console.assert(inv.getItemFrom(0)?.quantity === 5, 'apples from the same step should merge');
+  logSuccess('Stacks created within the same expiry step merge');
+
+  inv.addItem({ itemId: 'test_rotten_apple', quantity: 4 });
+  /** @type {any[]} */
+  const replacements = [];
+  inv.onItemExpire(({ replacement }) => replacements.push(replacement));
+  now = 61000;
+  inv.processExpired();
+  console.assert(
+    replacements.length === 1 &&
+      replacements[0].id === 'test_rotten_apple' &&
+      replacements[0].quantity === 5,
+    'replacement should report the created units',
+  );
+  console.assert(countItem(inv, 'test_rotten_apple') === 9, 'rotten apples should be added');
+  logSuccess('Expire events report the created units, not the merged stack');
+};
+
+const testTinyInventory = async () => {
+  testCraftLockedSlots();
+  testCraftSpace();
+  testCraftTools();
+  testTransactions();
+  testTradeUndo();
+  testShop();
+  testFullGrid();
+  testExpiry();
+
+  logSection('All inventory tests completed!', '🥳');
+};
+
+export default testTinyInventory;
@@ -149,6 +149,89 @@ const testLevelUp = async () => {
   logInfo(`Missing EXP: ${missing}`);
   logSuccess('getMissingExp returned correct value');
 
+  logSection('Experience curves', '📐');
+  const expCurve = new TinyLevelUp(10, 100, { curve: 'exponential', growth: 2 });
+  console.assert(expCurve.getExpForLevel(1) === 100, 'exponential level 1 failed');
+  console.assert(expCurve.getExpForLevel(4) === 800, 'exponential level 4 failed');
+  const polyCurve = new TinyLevelUp(10, 10, { curve: 'polynomial', exponent: 3 });
+  console.assert(polyCurve.getExpForLevel(3) === 270, 'polynomial curve failed');
+  const tableCurve = new TinyLevelUp(10, 100, { curve: 'table', table: [50, 75, 120] });
+  console.assert(tableCurve.getExpForLevel(2) === 75, 'table curve failed');
+  console.assert(tableCurve.getExpForLevel(9) === 120, 'table curve should repeat the last entry');
+  const customCurve = new TinyLevelUp(10, 100, { curve: (level) => level * 7 });
+  console.assert(customCurve.getExpForLevel(5) === 35, 'custom curve failed');
+  logSuccess('Linear, exponential, polynomial, table and custom curves work');
+
+  logSection('Multiple levels in one call', '🚀');
+  const multiLeveler = new TinyLevelUp(10, 100, { skillPointsPerLevel: 2 });
+  const multiUser = multiLeveler.createUser();
+  const levelUps = [];
+  multiLeveler.on('levelUp', (data) => levelUps.push(data));
+  multiLeveler.give(multiUser, 650, 'extra');
+  logUser(multiUser, 'After give(650, "extra")');
+  console.assert(multiUser.level === 4 && multiUser.exp === 50, 'Should reach level 4 with 50 EXP');
+  console.assert(levelUps.length === 1, 'levelUp should be emitted once per call');
+  console.assert(levelUps[0].levels.join(',') === '2,3,4', 'levels crossed are wrong');
+  console.assert(multiUser.skillPoints === 6, 'Skill points should be granted per level');
+  multiLeveler.set(multiUser, 100);
+  console.assert(multiUser.level === 4, 'Reaching exact requirement should not level up');
+  logSuccess('levelUp lists every crossed level');
+
+  logSection('Level cap and prestige', '👑');
+  const capLeveler = new TinyLevelUp(10, 100, { maxLevel: 3, prestigeBonus: 0.5 });
+  const capUser = capLeveler.createUser();
+  let capReached = false;
+  capLeveler.on('maxLevel', () => (capReached = true));
+  capLeveler.give(capUser, 10000, 'extra');
+  console.assert(capUser.level === 3 && capUser.exp === 300, 'Level cap should clamp the user');
+  console.assert(capReached, 'maxLevel event should be emitted');
+  capLeveler.prestige(capUser);
+  console.assert(capUser.prestige === 1 && capUser.level === 1, 'Prestige should reset the level');
+  capLeveler.give(capUser, 60, 'extra');
+  console.assert(capUser.level === 1 && capUser.exp === 90, 'Prestige bonus should apply');
+  let prestigeFailed = false;
+  try {
+    capLeveler.prestige(capUser);
+  } catch (_) {
+    prestigeFailed = true;
+  }
+  console.assert(prestigeFailed, 'Prestige below the cap should throw');
+  logSuccess('Level cap and prestige work');
+
+  logSection('Skill tree', '🌳');
+  const skillLeveler = new TinyLevelUp(10, 100);
+  skillLeveler.defineSkill({ id: 'fireball', maxRank: 2 });
+  skillLeveler.defineSkill({
+    id: 'meteor',
+    cost: 2,
+    minLevel: 3,
+    requires: [{ id: 'fireball', rank: 2 }],
+  });
+  const mage = skillLeveler.createUser();
+  skillLeveler.give(mage, 300, 'extra');
+  console.assert(mage.level === 3 && mage.skillPoints === 2, 'Mage should have 2 points');
+  console.assert(
+    skillLeveler.getSkillBlockReason(mage, 'meteor') === 'requires',
+    'meteor should require fireball',
+  );
+  skillLeveler.learnSkill(mage, 'fireball');
+  skillLeveler.learnSkill(mage, 'fireball');
+  console.assert(
+    skillLeveler.getSkillBlockReason(mage, 'fireball') === 'maxRank',
+    'fireball should be maxed',
+  );
+  console.assert(
+    skillLeveler.getSkillBlockReason(mage, 'meteor') === 'points',
+    'meteor should need points',
+  );
+  skillLeveler.give(mage, 700, 'extra');
+  console.assert(skillLeveler.learnSkill(mage, 'meteor') === 1, 'meteor should be learned');
+  console.assert(
+    skillLeveler.resetSkills(mage) === 4 && mage.skillPoints === 4,
+    'resetSkills should refund',
+  );
+  logSuccess('Skills respect points, ranks, levels and prerequisites');
+
   logSection('All tests completed!', '🥳');
   logSuccess('Everything passed without errors!');
 };
@@ -0,0 +1,151 @@
+import { TinyNeedBar } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+/**
+ * Creates a bar watching the given thresholds, recording every crossing.
+ * @param {number} decay
+ * @param {number[]} percents
+ * @param {'down'|'up'|'both'} [direction='down']
+ */
+const createWatchedBar = (decay, percents, direction = 'down') => {
+  const bar = new TinyNeedBar(100, decay);
+  /** @type {string[]} */
+  const fired = [];
+  for (const percent of percents)
+    bar.setThreshold(`t${percent}`, percent, (c) => fired.push(`${c.key}@${c.tick}`), direction);
+  return { bar, fired };
+};
+
+/**
+ * Compares one `advance(ticks)` call with the same amount of `tick()` calls.
+ * @param {number} decay
+ * @param {number[]} percents
+ * @param {number} ticks
+ * @returns {boolean}
+ */
+const advanceMatchesTicks = (decay, percents, ticks) => {
+  const batch = createWatchedBar(decay, percents);
+  batch.bar.advance(ticks);
+
+  const single = createWatchedBar(decay, percents);
+  /** @type {string[]} */
+  const steps = [];
+  for (let i = 1; i <= ticks; i++)
+    for (const c of single.bar.tick().crossed) steps.push(`${c.key}@${i}`);
+
+  return (
+    batch.fired.join() === steps.join() &&
+    single.fired.length === steps.length &&
+    Math.abs(batch.bar.currentValue - single.bar.currentValue) < 1e-9
+  );
+};
+
+const testCrossingTicks = () => {
+  logSection('advance() vs tick()', '⏩');
+  const { bar, fired } = createWatchedBar(0.1, [70]);
+  bar.advance(400);
+  console.assert(fired.join() === 't70@300', `70% with decay 0.1 should cross at tick 300`);
+
+  const single = createWatchedBar(0.1, [70]);
+  let crossedAt = 0;
+  for (let i = 1; i <= 400 && !crossedAt; i++) if (single.bar.tick().crossed.length) crossedAt = i;
+  console.assert(crossedAt === 300, `single ticks should also cross at 300, got ${crossedAt}`);
+  logSuccess('Float drift of single ticks does not delay a crossing');
+
+  const percents = [90, 70, 50, 33.3, 10, 0];
+  for (const decay of [0.1, 0.3, 0.7, 1 / 3, 0.05, 2.5])
+    console.assert(
+      advanceMatchesTicks(decay, percents, 2500),
+      `advance(n) and n ticks should cross the same thresholds (decay ${decay})`,
+    );
+  logSuccess('advance(n) reports the same crossings as n tick() calls');
+
+  const once = createWatchedBar(0.1, [70]);
+  for (let i = 0; i < 400; i++) once.bar.tick();
+  console.assert(once.fired.length === 1, 'a threshold should only fire once per crossing');
+  logSuccess('A crossed threshold does not fire again on the next ticks');
+};
+
+const testAdvance = () => {
+  logSection('advance() and advanceBy()', '⏱️');
+  const bar = new TinyNeedBar(100, 2);
+  const result = bar.advance(10, 5);
+  console.assert(
+    result.ticks === 10 && result.removedTotal === 20,
+    'advance should apply all ticks',
+  );
+  console.assert(bar.currentValue === 80, 'the value should drop by decay * ticks');
+
+  /** @type {number[]} */
+  const ticks = [];
+  bar.setThreshold('half', 50, (c) => ticks.push(c.tick));
+  bar.advance(20, 10);
+  console.assert(ticks.join() === '25', 'tickOffset should be added to the crossing tick');
+
+  bar.advance(1000);
+  console.assert(bar.currentValue === 0, 'the clamped value should stop at zero');
+  console.assert(bar.infiniteValue === 100 - 2 * 1030, 'the infinite value should keep going');
+
+  const timed = new TinyNeedBar(100, 1);
+  timed.tickInterval = 250;
+  const byTime = timed.advanceBy(1100);
+  console.assert(byTime.ticks === 4 && byTime.leftoverMs === 100, 'only whole ticks should apply');
+  console.assert(timed.currentValue === 96, 'advanceBy should use the tick interval');
+
+  let invalid = false;
+  try {
+    timed.advance(1.5);
+  } catch {
+    invalid = true;
+  }
+  console.assert(invalid, 'advance should reject non-integer ticks');
+  logSuccess('advance() and advanceBy() apply whole ticks in closed form');
+};
+
+const testThresholds = () => {
+  logSection('Threshold directions', '🎚️');
+  const { bar, fired } = createWatchedBar(-1, [50], 'up');
+  bar.infiniteValue = 40;
+  bar.advance(15);
+  console.assert(fired.join() === 't50@10', 'rising values should cross "up" thresholds');
+
+  const both = createWatchedBar(5, [50], 'both');
+  both.bar.advance(11);
+  both.bar.setFactor('main', -5);
+  both.bar.advance(10);
+  console.assert(both.fired.join() === 't50@10,t50@1', '"both" should fire in each direction');
+
+  const down = createWatchedBar(-1, [50], 'down');
+  down.bar.infiniteValue = 40;
+  down.bar.advance(20);
+  console.assert(down.fired.length === 0, '"down" thresholds should ignore rising values');
+
+  console.assert(bar.hasThreshold('t50') && bar.removeThreshold('t50'), 'remove should work');
+  console.assert(!bar.hasThreshold('t50'), 'removed thresholds should be gone');
+  logSuccess('Thresholds fire only in their watched direction');
+};
+
+const testTinyNeedBar = async () => {
+  testCrossingTicks();
+  testAdvance();
+  testThresholds();
+
+  logSection('All need bar tests completed!', '🥳');
+};
+
+export default testTinyNeedBar;
@@ -0,0 +1,127 @@
+import { TinyNeedManager } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+/**
+ * Creates hunger and energy needs. Low hunger makes energy decay faster,
+ * and high energy makes hunger decay faster.
+ */
+const createNeeds = () => {
+  const needs = new TinyNeedManager();
+  needs.createBar('hunger', 100, 1);
+  needs.createBar('energy', 100, 1);
+  needs.setRule('starving', { source: 'hunger', below: 50, target: 'energy', amount: 0.5 });
+  needs.setRule('rested', { source: 'energy', above: 60, target: 'hunger', amount: 1 });
+  return needs;
+};
+
+/**
+ * Watches thresholds on every bar, recording the crossings.
+ * @param {TinyNeedManager} needs
+ * @param {string[]} fired
+ */
+const watch = (needs, fired) => {
+  for (const name of needs.names)
+    for (const percent of [75, 50, 25, 0])
+      needs
+        .getBar(name)
+        .setThreshold(`${name}${percent}`, percent, (c) => fired.push(`${c.key}@${c.tick}`));
+};
+
+const testRuleBoundaries = () => {
+  logSection('Rules during advance()', '🔗');
+  const needs = new TinyNeedManager();
+  needs.createBar('hunger', 100, 1);
+  needs.createBar('energy', 100, 1);
+  needs.setRule('starving', { source: 'hunger', below: 50, target: 'energy', amount: 0.5 });
+
+  const results = needs.advance(80);
+  // The rule turns on once hunger is below 50% (after 51 ticks): 51 ticks at 1, then 29 at 1.5
+  console.assert(needs.getBar('hunger').currentValue === 20, 'hunger should decay normally');
+  console.assert(needs.getBar('energy').currentValue === 5.5, 'energy should decay faster');
+  console.assert(results.energy.ticks === 80, 'results should cover every segment');
+  console.assert(results.energy.removedTotal === 94.5, 'removed totals should be combined');
+  console.assert(results.energy.prevValue === 100, 'prevValue should be from the first segment');
+  console.assert(needs.isRuleActive('starving'), 'the rule should be active at the end');
+  console.assert(needs.getBar('energy').hasFactor('starving'), 'the factor should be applied');
+  logSuccess('A "below" rule changes the target factor in the middle of advance()');
+
+  const rested = new TinyNeedManager();
+  rested.createBar('hunger', 100, 1);
+  rested.createBar('energy', 100, 1);
+  rested.setRule('rested', { source: 'energy', above: 60, target: 'hunger', amount: 1 });
+  console.assert(rested.isRuleActive('rested'), '"above" rules should start active');
+  rested.advance(50);
+  // Energy stays above 60% for 40 ticks: 40 ticks at 2, then 10 at 1
+  console.assert(rested.getBar('hunger').currentValue === 10, 'hunger should slow down');
+  console.assert(!rested.getBar('hunger').hasFactor('rested'), 'the factor should be removed');
+  logSuccess('An "above" rule removes its factor in the middle of advance()');
+};
+
+const testSegments = () => {
+  logSection('Segments vs single ticks', '✂️');
+  const batch = createNeeds();
+  /** @type {string[]} */
+  const batchFired = [];
+  watch(batch, batchFired);
+  batch.advance(120);
+
+  const single = createNeeds();
+  watch(single, []);
+  /** @type {string[]} */
+  const singleFired = [];
+  for (let i = 1; i <= 120; i++)
+    for (const result of Object.values(single.tick()))
+      for (const c of result.crossed) singleFired.push(`${c.key}@${i}`);
+
+  for (const name of ['hunger', 'energy'])
+    console.assert(
+      Math.abs(batch.getBar(name).infiniteValue - single.getBar(name).infiniteValue) < 1e-9,
+      `${name} should match after the same amount of ticks`,
+    );
+  console.assert(
+    [...batchFired].sort().join() === [...singleFired].sort().join(),
+    'crossings should report the same ticks as single tick() calls',
+  );
+  logSuccess('Chained rules give the same result as calling tick() repeatedly');
+
+  const crossedTicks = batchFired.map((entry) => Number(entry.split('@')[1]));
+  console.assert(
+    crossedTicks.every((tick) => tick >= 1 && tick <= 120),
+    'crossing ticks should be relative to the whole call, not to a segment',
+  );
+  // Hunger decays 2 per tick while energy is above 60%
+  console.assert(batchFired.includes('hunger50@25'), 'hunger should hit 50% on tick 25');
+  logSuccess('Crossing ticks are offset by the segments before them');
+
+  const restored = TinyNeedManager.fromJSON(createNeeds().toJSON());
+  restored.advance(120);
+  console.assert(
+    restored.getBar('energy').infiniteValue === batch.getBar('energy').infiniteValue,
+    'a restored manager should advance the same way',
+  );
+  logSuccess('Serialized managers keep their rules');
+};
+
+const testTinyNeedManager = async () => {
+  testRuleBoundaries();
+  testSegments();
+
+  logSection('All need manager tests completed!', '🥳');
+};
+
+export default testTinyNeedManager;
@@ -48,4 +48,227 @@ const executeTinyPromiseQueue = async () => {
   });
 };
 
-export default executeTinyPromiseQueue;
+const executeTinyPromiseQueueAdvanced = async () => {
+  // Two tasks at a time, started paused so priorities apply to every task
+  const queue = new TinyPromiseQueue({ concurrency: 2, paused: true });
+
+  /** @type {string[]} */
+  const started = [];
+  let running = 0;
+  let maxRunning = 0;
+  const createTask =
+    (name, duration = 100) =>
+    () =>
+      new Promise((resolveTask) => {
+        console.log(`\x1b[34mStarted task:\x1b[0m \x1b[32m${name}\x1b[0m`);
+        started.push(name);
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        setTimeout(() => {
+          console.log(`\x1b[33mFinished task:\x1b[0m \x1b[32m${name}\x1b[0m`);
+          running--;
+          resolveTask(name);
+        }, duration);
+      });
+
+  queue.enqueue(createTask('Low'), { id: 'low' });
+  queue.enqueue(createTask('High'), { id: 'high', priority: 10 });
+  queue.enqueue(createTask('Medium'), { id: 'medium', priority: 5 });
+
+  // A flaky task which only works on the third attempt
+  /** @type {number[]} */
+  const attempts = [];
+  const flaky = queue
+    .enqueue(
+      async ({ attempt }) => {
+        console.log(`\x1b[35mFlaky attempt:\x1b[0m ${attempt}`);
+        attempts.push(attempt);
+        if (attempt < 3) throw new Error('Flaky failure');
+        return 'Flaky';
+      },
+      { retries: 3, retryDelay: 20, backoff: 'exponential' },
+    )
+    .then((result) => {
+      console.log(`\x1b[32mFlaky result:\x1b[0m ${result}`);
+      return result;
+    });
+
+  // A slow task aborted by its timeout
+  let slowStarted = 0;
+  const slow = queue
+    .enqueue(
+      ({ signal }) =>
+        new Promise((resolveTask, rejectTask) => {
+          slowStarted = Date.now();
+          const timer = setTimeout(resolveTask, 1000);
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            rejectTask(signal.reason);
+          });
+        }),
+      { id: 'slow', timeout: 50 },
+    )
+    .then(
+      () => null,
+      (err) => {
+        console.log(`\x1b[31mSlow task:\x1b[0m ${err.message}`);
+        return { message: err.message, elapsed: Date.now() - slowStarted };
+      },
+    );
+
+  const queuedIds = queue.getQueuedIds().map(({ id }) => id);
+  console.log(`\x1b[36mQueued IDs:\x1b[0m`, queue.getQueuedIds());
+  console.assert(
+    queuedIds.join() === 'high,medium,low,slow',
+    'tasks should be queued by priority, then in insertion order',
+  );
+  console.assert(started.length === 0, 'a paused queue should not start tasks');
+  queue.resume();
+  console.assert(
+    queue.getRunningIds().join() === 'high,medium',
+    'resuming should fill both slots at once',
+  );
+
+  await queue.onEmpty();
+  console.log(`\x1b[36mQueue empty, running:\x1b[0m`, queue.getRunningIds());
+  await queue.onIdle();
+  console.log(`\x1b[36mQueue idle:\x1b[0m ${!queue.isRunning()}`);
+
+  console.assert(maxRunning === 2, `at most two tasks should run at once (saw ${maxRunning})`);
+  console.assert(
+    started.join() === 'High,Medium,Low',
+    'higher priorities should start first, in queue order',
+  );
+  console.assert(
+    (await flaky) === 'Flaky' && attempts.join() === '1,2,3',
+    'the flaky task should be retried until its third attempt',
+  );
+  const timedOut = await slow;
+  console.assert(
+    timedOut?.message === 'The function timed out on TinyPromiseQueue.' && timedOut.elapsed < 1000,
+    'the slow task should be aborted by its timeout',
+  );
+  console.assert(!queue.isRunning() && queue.getQueueSize() === 0, 'the queue should be idle');
+};
+
+const executeTinyPromiseQueuePoints = async () => {
+  console.log('\n\x1b[36mTinyPromiseQueue points test\x1b[0m\n');
+  /** @type {string[]} */
+  const events = [];
+  const createTask =
+    (name, duration = 30) =>
+    () =>
+      new Promise((resolveTask) => {
+        events.push(`start:${name}`);
+        setTimeout(() => {
+          events.push(`end:${name}`);
+          resolveTask(name);
+        }, duration);
+      });
+
+  // Points respect a paused queue
+  const paused = new TinyPromiseQueue({ paused: true });
+  const point = paused.enqueuePoint(createTask('P1'), 'p1');
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  console.assert(events.length === 0, 'a point should not run while the queue is paused');
+  console.assert(paused.getQueueSize() === 1, 'the point should wait in the queue');
+  paused.resume();
+  console.assert((await point) === 'P1', 'the point should run after resume()');
+
+  // Consecutive points run together, the next task waits for the whole group
+  events.length = 0;
+  const queue = new TinyPromiseQueue();
+  const group = [
+    queue.enqueuePoint(createTask('G1', 30), 'g1'),
+    queue.enqueuePoint(createTask('G2', 10), 'g2'),
+  ];
+  const after = queue.enqueue(createTask('A'), 0, 'a');
+  const late = queue.enqueuePoint(createTask('G3'), 'g3');
+  await Promise.all([...group, after, late]);
+  console.log(`\x1b[36mPoint events:\x1b[0m`, events);
+  console.assert(
+    events.join() === 'start:G1,start:G2,end:G2,end:G1,start:A,end:A,start:G3,end:G3',
+    'points should run as a group and keep their place in the queue',
+  );
+};
+
+const executeTinyPromiseQueueJobs = async () => {
+  console.log('\n\x1b[36mTinyPromiseQueue jobs test\x1b[0m\n');
+
+  // A fake JSON storage shared by both "sessions"
+  const data = new Map();
+  const storage = {
+    getJson: (name) => data.get(name) ?? [],
+    setJson: (name, value) => data.set(name, JSON.parse(JSON.stringify(value))),
+  };
+
+  // First session: the job fails once, then the page is "reloaded"
+  /** @type {number[]} */
+  const firstAttempts = [];
+  const first = new TinyPromiseQueue({ store: TinyPromiseQueue.createStorageStore(storage) });
+  first.registerHandler('send', async (payload, { attempt }) => {
+    console.log(`\x1b[34mFirst session attempt:\x1b[0m ${attempt} (${payload.to})`);
+    firstAttempts.push(attempt);
+    throw new Error('Offline');
+  });
+  first
+    .addJob('send', { to: 'yasmin' }, { id: 'mail', retries: 3, retryDelay: 1000 })
+    .catch(() => {});
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  first.cancelTask('mail');
+  await first.saveJobs();
+  console.log(`\x1b[36mSaved jobs after cancel:\x1b[0m`, data.get('tinyPromiseQueue:jobs'));
+  console.assert(firstAttempts.join() === '1', 'the job should wait for its retry delay');
+  console.assert(
+    data.get('tinyPromiseQueue:jobs').length === 0,
+    'canceled jobs should not be saved',
+  );
+
+  first
+    .addJob('send', { to: 'yasmin' }, { id: 'mail2', retries: 3, retryDelay: 1000 })
+    .catch(() => {});
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  first.pause();
+  await first.saveJobs();
+  console.assert(
+    data
+      .get('tinyPromiseQueue:jobs')
+      .map((/** @type {any} */ job) => job.id)
+      .join() === 'mail2',
+    'the pending job should be saved',
+  );
+
+  // Second session: the saved job is resumed with its attempt count
+  /** @type {number[]} */
+  const secondAttempts = [];
+  const second = new TinyPromiseQueue({ store: TinyPromiseQueue.createStorageStore(storage) });
+  second.registerHandler('send', async (payload, { attempt }) => {
+    console.log(`\x1b[32mSecond session attempt:\x1b[0m ${attempt} (${payload.to})`);
+    secondAttempts.push(attempt);
+    return 'sent';
+  });
+  const resumed = await second.resumeJobs();
+  console.log(`\x1b[36mResumed jobs:\x1b[0m`, resumed);
+  console.assert(resumed.join() === 'mail2', 'the saved job should be resumed');
+  await second.onIdle();
+  await second.saveJobs();
+  console.log(`\x1b[36mSaved jobs after resume:\x1b[0m`, data.get('tinyPromiseQueue:jobs'));
+  console.assert(
+    secondAttempts.join() === '2',
+    'the resumed job should continue from its next attempt',
+  );
+  console.assert(
+    data.get('tinyPromiseQueue:jobs').length === 0,
+    'finished jobs should be removed from the store',
+  );
+  first.cancelTask('mail2');
+};
+
+const executeAllTinyPromiseQueue = async () => {
+  await executeTinyPromiseQueue();
+  await executeTinyPromiseQueueAdvanced();
+  await executeTinyPromiseQueuePoints();
+  await executeTinyPromiseQueueJobs();
+};
+
+export default executeAllTinyPromiseQueue;
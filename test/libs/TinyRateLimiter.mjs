@@ -1,4 +1,12 @@
-import { TinyRateLimiter, ColorSafeStringify } from '../../dist/v1/index.mjs';
+import { mkdtemp, rm, writeFile, utimes, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  TinyRateLimiter,
+  TinyRateLimiterMemoryStore,
+  TinyRateLimiterFileStore,
+  ColorSafeStringify,
+} from '../../dist/v1/index.mjs';
 
 const colorizer = new ColorSafeStringify();
 const stringifyJson = (json, space = 0) => colorizer.colorize(JSON.stringify(json, null, space));
@@ -262,9 +270,125 @@ const testRateLimit = async () => {
   console.log(colorText('cyan', '💥 Rate limiter destroyed. ✅'));
 };
 
+const storeTestRateLimit = async () => {
+  // 🗄️ Two limiters sharing the same store act like two workers
+  const store = new TinyRateLimiterMemoryStore();
+  const workerA = new TinyRateLimiter({ maxHits: 3, interval: 1000, store });
+  const workerB = new TinyRateLimiter({ maxHits: 3, interval: 1000, store });
+
+  const userId = 'sharedUser';
+  console.log(colorText('cyan', '🗄️ Starting shared store test...'));
+
+  for (let i = 1; i <= 4; i++) {
+    const worker = i % 2 === 0 ? workerB : workerA;
+    await worker.hitAsync(userId);
+    const limitedA = await workerA.isRateLimitedAsync(userId);
+    const limitedB = await workerB.isRateLimitedAsync(userId);
+    console.log(
+      `${colorText('yellow', `[Hit ${i}]`)} Worker ${i % 2 === 0 ? 'B' : 'A'} → A sees: ${
+        limitedA ? colorText('red', '❌ LIMITED') : colorText('green', '✅ ALLOWED')
+      } | B sees: ${limitedB ? colorText('red', '❌ LIMITED') : colorText('green', '✅ ALLOWED')}`,
+    );
+  }
+
+  await workerA.assignToGroupAsync(userId, 'sharedGroup');
+  console.log(
+    colorText('gray', `🔗 Group seen by worker B: ${await workerB.getGroupIdAsync(userId)}`),
+  );
+  console.log(
+    colorText('gray', '📊 Shared group metrics:'),
+    stringifyJson(await workerB.getMetricsAsync('sharedGroup')),
+  );
+
+  console.log(colorText('blue', '⏳ Waiting 1.1s for the window to pass...'));
+  await sleep(1100);
+  console.log(
+    `${colorText('magenta', '[After wait]')} ${
+      (await workerB.isRateLimitedAsync(userId))
+        ? colorText('red', '❌ LIMITED')
+        : colorText('green', '✅ ALLOWED')
+    }`,
+  );
+
+  let threw = false;
+  try {
+    workerA.hit(userId);
+  } catch {
+    threw = true;
+  }
+  console.assert(threw, 'sync hit() should throw in store mode');
+  console.log(colorText('gray', '🚫 Sync hit() rejected in store mode'));
+
+  workerA.destroy();
+  workerB.destroy();
+  await store.clear();
+  console.log(colorText('cyan', '💥 Shared store test finished. ✅'));
+};
+
+const algorithmTestRateLimit = async () => {
+  const rateLimiter = new TinyRateLimiter({ maxHits: 2, interval: 400 });
+  console.log(colorText('cyan', '⚙️ Starting algorithm test...'));
+
+  for (const algorithm of TinyRateLimiter.ALGORITHMS) {
+    rateLimiter.setGroupAlgorithm(algorithm, {
+      algorithm,
+      burst: algorithm === 'sliding-log' ? null : 3,
+    });
+    console.log(
+      colorText('magenta', `\n🔧 ${algorithm}`),
+      stringifyJson(rateLimiter.getGroupAlgorithm(algorithm)),
+    );
+
+    for (let i = 1; i <= 4; i++) {
+      const result = rateLimiter.hit(algorithm);
+      console.log(
+        `${colorText('yellow', `[Hit ${i}]`)} ${
+          result.allowed ? colorText('green', '✅ ALLOWED') : colorText('red', '❌ REJECTED')
+        } | remaining: ${result.remaining} | retryAfter: ${result.retryAfter}ms | delay: ${result.delay}ms`,
+      );
+    }
+
+    await sleep(250);
+    const info = rateLimiter.getRateLimitInfo(algorithm);
+    console.log(
+      `${colorText('blue', '[After 250ms]')} limited: ${info.limited} | remaining: ${info.remaining} | resetAfter: ${info.resetAfter}ms`,
+    );
+  }
+
+  rateLimiter.destroy();
+  console.log(colorText('cyan', '💥 Algorithm test finished. ✅'));
+};
+
+const staleLockTestRateLimit = async () => {
+  // 🔐 A lock left behind by a crashed process must not block the key forever
+  const dir = await mkdtemp(join(tmpdir(), 'tiny-rate-limiter-'));
+  const store = new TinyRateLimiterFileStore({ dir, lockTimeout: 1000, staleLock: 100 });
+  const lock = join(dir, `${encodeURIComponent('crashed')}.json.lock`);
+  console.log(colorText('cyan', '🔐 Starting stale lock test...'));
+
+  await writeFile(lock, 'crashed-owner', 'utf-8');
+  const old = new Date(Date.now() - 1000);
+  await utimes(lock, old, old);
+
+  await store.set('crashed', 1);
+  console.assert((await store.get('crashed')) === 1, 'write should succeed after a stale lock');
+  const lockRemoved = await access(lock).then(
+    () => false,
+    () => true,
+  );
+  console.assert(lockRemoved, 'no lock should be left after the write');
+  console.log(colorText('gray', '🧹 Stale lock removed and key written'));
+
+  await rm(dir, { recursive: true, force: true });
+  console.log(colorText('cyan', '💥 Stale lock test finished. ✅'));
+};
+
 const allTestRateLimit = async () => {
   await singleTestRateLimit();
   await testRateLimit();
+  await storeTestRateLimit();
+  await algorithmTestRateLimit();
+  await staleLockTestRateLimit();
 };
 
 export default allTestRateLimit;
@@ -0,0 +1,184 @@
+import {
+  TinyRateLimiter,
+  TinyRateLimiterMemoryStore,
+  TinyRateLimiterMiddleware,
+} from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+/**
+ * Creates a fake Node request.
+ * @param {Object} [options]
+ * @param {string} [options.url='/']
+ * @param {string} [options.ip='10.0.0.1']
+ * @param {any} [options.user]
+ * @param {Record<string, string>} [options.headers={}]
+ */
+const createRequest = ({ url = '/', ip = '10.0.0.1', user, headers = {} } = {}) => ({
+  method: 'GET',
+  url,
+  headers,
+  socket: { remoteAddress: ip },
+  user,
+});
+
+/** Creates a fake Node response recording its headers and body. */
+const createResponse = () => ({
+  statusCode: 200,
+  headersSent: false,
+  /** @type {Record<string, string|number>} */
+  headers: {},
+  body: '',
+  /**
+   * @param {string} name
+   * @param {string|number} value
+   */
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  /** @param {string} [body] */
+  end(body = '') {
+    this.body = body;
+    this.headersSent = true;
+  },
+});
+
+/**
+ * Sends several requests from the same client.
+ * @param {TinyRateLimiterMiddleware} middleware
+ * @param {() => any} makeRequest
+ * @param {number} amount
+ * @returns {Promise<boolean[]>} Results of `handle()`.
+ */
+const sendMany = async (middleware, makeRequest, amount) => {
+  const results = [];
+  for (let i = 0; i < amount; i++)
+    results.push(await middleware.handle(makeRequest(), createResponse()));
+  return results;
+};
+
+const testTinyRateLimiterMiddleware = async () => {
+  const limiters = [];
+  /** @param {Object} options */
+  const createLimiter = (options) => {
+    const limiter = new TinyRateLimiter({ maxHits: 2, interval: 60000, ...options });
+    limiters.push(limiter);
+    return limiter;
+  };
+
+  logSection('IP keys', '🌐');
+  const byIp = new TinyRateLimiterMiddleware({ limiter: createLimiter() });
+  const ipResults = await sendMany(byIp, () => createRequest(), 3);
+  console.assert(ipResults.join() === 'true,true,false', 'third request should be limited');
+  console.assert(
+    await byIp.handle(createRequest({ ip: '10.0.0.2' }), createResponse()),
+    'other IPs should be accepted',
+  );
+  logSuccess('Requests are limited per IP');
+
+  logSection('Forwarded IPs', '🛡️');
+  /** @param {string} forwarded */
+  const proxied = (forwarded) =>
+    createRequest({ ip: '10.0.0.254', headers: { 'x-forwarded-for': forwarded } });
+  const behindProxy = new TinyRateLimiterMiddleware({ limiter: createLimiter(), trustProxy: true });
+  console.assert(
+    behindProxy.getIp(proxied('203.0.113.7')) === '203.0.113.7',
+    'the address added by the proxy should be the client IP',
+  );
+  console.assert(
+    (await behindProxy.resolveKey(proxied('6.6.6.6, 203.0.113.7'))) ===
+      (await behindProxy.resolveKey(proxied('203.0.113.7'))),
+    'a spoofed X-Forwarded-For prefix should not change the key',
+  );
+  const spoofed = await sendMany(behindProxy, () => proxied(`${Math.random()}, 203.0.113.7`), 3);
+  console.assert(spoofed.join() === 'true,true,false', 'spoofed prefixes should share one limit');
+  const twoHops = new TinyRateLimiterMiddleware({ limiter: createLimiter(), trustProxy: 2 });
+  console.assert(
+    twoHops.getIp(proxied('6.6.6.6, 203.0.113.7, 10.0.0.3')) === '203.0.113.7',
+    'the client IP should be read two hops from the right',
+  );
+  console.assert(
+    byIp.getIp(proxied('203.0.113.7')) === '10.0.0.254',
+    'X-Forwarded-For should be ignored without trustProxy',
+  );
+  logSuccess('Only addresses added by trusted proxies are used');
+
+  logSection('User keys without a user', '👤');
+  const byUser = new TinyRateLimiterMiddleware({ limiter: createLimiter(), key: 'user' });
+  console.assert(
+    (await byUser.resolveKey(createRequest({ user: { id: 7 } }))) === '7',
+    'user id should be the key',
+  );
+  console.assert(
+    (await byUser.resolveKey(createRequest())) === '10.0.0.1',
+    'anonymous requests should use the IP',
+  );
+  const anonResults = await sendMany(byUser, () => createRequest(), 3);
+  console.assert(anonResults.join() === 'true,true,false', 'anonymous requests should be limited');
+  logSuccess('Anonymous requests fall back to the IP key');
+
+  logSection('Allow list and skip paths', '⏭️');
+  const skipping = new TinyRateLimiterMiddleware({
+    limiter: createLimiter(),
+    allowList: ['10.0.0.9'],
+    skipPaths: ['/health', '/static/*'],
+  });
+  const allowed = await sendMany(skipping, () => createRequest({ ip: '10.0.0.9' }), 3);
+  console.assert(!allowed.includes(false), 'allowed keys should never be limited');
+  const health = await sendMany(skipping, () => createRequest({ url: '/health?full=1' }), 3);
+  const assets = await sendMany(skipping, () => createRequest({ url: '/static/app.js' }), 3);
+  console.assert(!health.includes(false) && !assets.includes(false), 'paths should be skipped');
+  logSuccess('Allowed keys and skipped paths are never limited');
+
+  logSection('Limited responses', '🚫');
+  const limited = new TinyRateLimiterMiddleware({ limiter: createLimiter() });
+  await sendMany(limited, () => createRequest(), 2);
+  const res = createResponse();
+  let nextCalled = false;
+  const accepted = await limited.handle(createRequest(), res, () => (nextCalled = true));
+  console.assert(!accepted && !nextCalled, 'limited requests should not call next');
+  console.assert(res.statusCode === 429 && res.body === 'Too Many Requests', 'should send 429');
+  console.assert(
+    res.headers['RateLimit-Limit'] === '2' &&
+      res.headers['RateLimit-Remaining'] === '0' &&
+      res.headers['RateLimit-Policy'] === '2;w=60' &&
+      Number(res.headers['Retry-After']) > 0,
+    'limited responses should have rate limit headers',
+  );
+  logSuccess('Rejections send 429 with RateLimit-* and Retry-After headers');
+
+  logSection('Store algorithms in headers', '🗄️');
+  const storeLimiter = createLimiter({ store: new TinyRateLimiterMemoryStore() });
+  await storeLimiter.setGroupAlgorithmAsync('10.0.0.1', {
+    algorithm: 'token-bucket',
+    limit: 5,
+    interval: 10000,
+  });
+  const stored = new TinyRateLimiterMiddleware({ limiter: storeLimiter });
+  const storeRes = createResponse();
+  await stored.handle(createRequest(), storeRes);
+  console.assert(
+    storeRes.headers['RateLimit-Policy'] === '5;w=10',
+    'policy should use the stored algorithm',
+  );
+  logSuccess('Policy headers use the algorithm stored for the group');
+
+  for (const limiter of limiters) limiter.destroy();
+  logSection('All middleware tests completed!', '🥳');
+};
+
+export default testTinyRateLimiterMiddleware;
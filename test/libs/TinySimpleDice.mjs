@@ -0,0 +1,247 @@
+import { TinySimpleDice } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+/**
+ * RNG returning the given values in order (then `0`).
+ * @param {...number} values
+ */
+const sequence =
+  (...values) =>
+  () =>
+    values.shift() ?? 0;
+
+/**
+ * Returns the error message of a call, or null when it does not throw.
+ * @param {() => any} fn
+ * @returns {string|null}
+ */
+const errorOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err instanceof Error ? err.message : String(err);
+  }
+};
+
+const testKeepDrop = () => {
+  logSection('Keep and drop', '✂️');
+  let ok = true;
+  for (let seed = 1; seed <= 50; seed++) {
+    const result = TinySimpleDice.rollNotation('4d6kh3 + 2', seed);
+    const [term] = result.terms;
+    const kept = term.dice.filter((die) => !die.dropped);
+    const dropped = term.dice.filter((die) => die.dropped);
+    ok &&= term.dice.length === 4 && dropped.length === 1;
+    ok &&= kept.every((die) => die.value >= dropped[0].value);
+    ok &&= term.value === kept.reduce((sum, die) => sum + die.value, 0);
+    ok &&= result.total === term.value + 2 && result.evaluated === `(${term.value}) + 2`;
+  }
+  console.assert(ok, '4d6kh3 should keep the three highest dice');
+
+  // d6 values: 0.1 → 1, 0.5 → 4, 0.99 → 6
+  const rolls = () => sequence(0.5, 0.1, 0.99, 0.5, 0.1);
+  console.assert(TinySimpleDice.rollNotation('5d6kl2', rolls()).total === 2, 'kl keeps lowest');
+  console.assert(TinySimpleDice.rollNotation('5d6dh2', rolls()).total === 6, 'dh drops highest');
+  console.assert(TinySimpleDice.rollNotation('5d6dl2', rolls()).total === 14, 'dl drops lowest');
+  console.assert(TinySimpleDice.rollNotation('5d6k', rolls()).total === 6, 'k keeps one highest');
+  logSuccess('Keep/drop highest and lowest mark the right dice as dropped');
+};
+
+const testExplodeAndReroll = () => {
+  logSection('Exploding dice and rerolls', '💥');
+  const exploded = TinySimpleDice.rollNotation('d6!', sequence(0.99, 0.99, 0.1));
+  const dice = exploded.terms[0].dice;
+  console.assert(exploded.total === 13 && dice.length === 3, 'each 6 should add another die');
+  console.assert(
+    dice.map((die) => `${die.exploded}/${die.fromExplosion}`).join() ===
+      'true/false,true/true,false/true',
+    'the breakdown should show which dice exploded',
+  );
+  const custom = TinySimpleDice.rollNotation('d6!>=5', sequence(0.7, 0.1));
+  console.assert(custom.total === 6, 'explosions should follow the compare point');
+
+  const reroll = TinySimpleDice.rollNotation('d6r1', sequence(0.1, 0.1, 0.5));
+  console.assert(
+    reroll.total === 4 && reroll.terms[0].dice[0].rerolled.join() === '1,1',
+    'r1 should reroll every 1',
+  );
+  const once = TinySimpleDice.rollNotation('d6ro1', sequence(0.1, 0.1, 0.5));
+  console.assert(
+    once.total === 1 && once.terms[0].dice[0].rerolled.join() === '1',
+    'ro1 should only reroll once',
+  );
+  const below = TinySimpleDice.rollNotation('d6r<3', sequence(0.2, 0.1, 0.99));
+  console.assert(below.total === 6, 'rerolls should accept compare points');
+  logSuccess('Explosions and rerolls keep every die in the breakdown');
+};
+
+const testSuccessAndFate = () => {
+  logSection('Success counting and special dice', '🎯');
+  // d10 values: 0.05 → 1, 0.5 → 6, 0.65 → 7, 0.95 → 10
+  const pool = TinySimpleDice.rollNotation('4d10>=7f1', sequence(0.65, 0.95, 0.5, 0.05));
+  const [term] = pool.terms;
+  console.assert(term.successes === 2 && term.failures === 1, 'successes and failures count');
+  console.assert(pool.total === 1, 'the term value should be successes minus failures');
+  console.assert(
+    term.dice.map((die) => `${die.success}/${die.failure}`).join() ===
+      'true/false,true/false,false/false,false/true',
+    'each die should be marked as success or failure',
+  );
+
+  let fateOk = true;
+  for (let seed = 1; seed <= 50; seed++) {
+    const fate = TinySimpleDice.rollNotation('4dF', seed);
+    fateOk &&= fate.terms[0].sides === 'F' && fate.total >= -4 && fate.total <= 4;
+    fateOk &&= fate.terms[0].dice.every((die) => [-1, 0, 1].includes(die.value));
+  }
+  console.assert(fateOk, 'Fate dice should roll -1, 0 or +1');
+  console.assert(TinySimpleDice.parseDiceTerm('d%').sides === 100, 'd% should be a d100');
+  logSuccess('Success pools, Fate dice and percentile dice follow the notation');
+};
+
+const testNotationErrors = () => {
+  logSection('Invalid expressions', '🚫');
+  for (const expression of ['d6 d6', '2(d6)', '(d6)(d6)', 'd20 5'])
+    console.assert(
+      errorOf(() => TinySimpleDice.rollNotation(expression))?.startsWith('Missing operator'),
+      `"${expression}" should be rejected as a parse error`,
+    );
+  console.assert(
+    errorOf(() => TinySimpleDice.tokenizeNotation('d6 d6')) ===
+      'Missing operator between "d6" and "d6" in "d6 d6".',
+    'the error should name the adjacent terms',
+  );
+  for (const expression of ['d0', '0d6', 'd6f1', 'd1!', '2 + x', ''])
+    console.assert(
+      errorOf(() => TinySimpleDice.rollNotation(expression)) !== null,
+      `"${expression}" should be rejected`,
+    );
+  console.assert(
+    TinySimpleDice.rollNotation('-(d6) * (2 + 1)', sequence(0.5)).total === -12,
+    'operators and parentheses should still work',
+  );
+  logSuccess('Malformed expressions throw clear errors');
+};
+
+/**
+ * Probability of a value in a PMF.
+ * @param {{ value: number, probability: number }[]} pmf
+ * @param {number} value
+ */
+const probabilityOf = (pmf, value) => pmf.find((o) => o.value === value)?.probability ?? 0;
+
+/** @param {number} a @param {number} b */
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+const testAnalyze = () => {
+  logSection('Probability analysis', '📈');
+  const twoDice = TinySimpleDice.analyze('2d6');
+  console.assert(twoDice.min === 2 && twoDice.max === 12, '2d6 should range from 2 to 12');
+  console.assert(near(twoDice.mean, 7), '2d6 should average 7');
+  console.assert(near(twoDice.variance, 35 / 6), '2d6 variance should be 35/6');
+  console.assert(near(probabilityOf(twoDice.pmf, 7), 6 / 36), 'P(7) should be 6/36');
+  console.assert(near(probabilityOf(twoDice.pmf, 2), 1 / 36), 'P(2) should be 1/36');
+  console.assert(
+    near(
+      twoDice.pmf.reduce((sum, o) => sum + o.probability, 0),
+      1,
+    ),
+    'the PMF should add up to 1',
+  );
+
+  console.assert(near(TinySimpleDice.analyze('4d6kh3').mean, 15869 / 1296), '4d6kh3 mean');
+  console.assert(near(TinySimpleDice.analyze('d6!').mean, 4.2), 'd6! mean should be 4.2');
+  console.assert(near(TinySimpleDice.analyze('4dF').mean, 0), '4dF should average 0');
+  console.assert(near(TinySimpleDice.analyze('d6r1').mean, 4), 'd6r1 should average 4');
+  console.assert(near(TinySimpleDice.analyze('2d6 * 2 + 1').mean, 15), 'arithmetic should apply');
+  const pool = TinySimpleDice.analyze('2d10>=7');
+  console.assert(near(probabilityOf(pool.pmf, 2), 0.16), 'two successes should be 0.4²');
+  console.assert(
+    errorOf(() => TinySimpleDice.analyze('4d6kh3!')) !== null,
+    'keep/drop with exploding dice should be unsupported',
+  );
+  console.assert(
+    errorOf(() => TinySimpleDice.analyze('d6 / (d2 - 1)')) !== null,
+    'possible divisions by zero should be rejected',
+  );
+  logSuccess('analyze() returns the exact PMF, mean and variance');
+
+  const started = Date.now();
+  console.assert(
+    errorOf(() => TinySimpleDice.analyze('1000d10kh500')) !== null,
+    'huge pools should exceed MAX_ANALYZE_STEPS',
+  );
+  console.assert(Date.now() - started < 5000, 'the budget should stop the work early');
+  const maxSteps = TinySimpleDice.MAX_ANALYZE_STEPS;
+  TinySimpleDice.MAX_ANALYZE_STEPS = 10;
+  console.assert(
+    errorOf(() => TinySimpleDice.analyze('3d6')) !== null,
+    'a lower MAX_ANALYZE_STEPS should reject smaller expressions',
+  );
+  TinySimpleDice.MAX_ANALYZE_STEPS = maxSteps;
+  console.assert(TinySimpleDice.analyze('3d6').max === 18, 'the default budget should be back');
+  logSuccess('MAX_ANALYZE_STEPS caps the work of a single call');
+};
+
+const testSeeds = () => {
+  logSection('Seeded rolls', '🌱');
+  const expression = '4d6kh3 + d20! - 2dF';
+  console.assert(
+    JSON.stringify(TinySimpleDice.rollNotation(expression, 42)) ===
+      JSON.stringify(TinySimpleDice.rollNotation(expression, 42)),
+    'the same seed should give the same breakdown',
+  );
+  const rng = TinySimpleDice.makeSeededRng(9);
+  const first = [1, 2, 3].map(() => TinySimpleDice.rollNotation('d100', rng).total);
+  const again = TinySimpleDice.makeSeededRng(9);
+  const second = [1, 2, 3].map(() => TinySimpleDice.rollNotation('d100', again).total);
+  console.assert(first.join() === second.join(), 'a shared RNG should continue the sequence');
+
+  const a = new TinySimpleDice({ maxValue: 20, seed: 123 });
+  const b = new TinySimpleDice({ maxValue: 20, seed: 123 });
+  const rollsA = [a.roll(), a.rollNotation(expression).total, a.roll()];
+  const rollsB = [b.roll(), b.rollNotation(expression).total, b.roll()];
+  console.assert(rollsA.join() === rollsB.join(), 'instance rolls should follow the seed');
+
+  a.seed = 123;
+  console.assert(a.roll() === rollsA[0], 'setting the seed should restart the sequence');
+  console.assert(
+    JSON.stringify(new TinySimpleDice({ maxValue: 6, seed: 5 }).rollNotation(expression)) ===
+      JSON.stringify(TinySimpleDice.rollNotation(expression, 5)),
+    'instance rollNotation should use the instance RNG',
+  );
+
+  const custom = new TinySimpleDice({ maxValue: 6, rng: sequence(0.99, 0.1) });
+  console.assert(custom.seed === null, 'a custom RNG should clear the seed');
+  console.assert(custom.rollNotation('2d6').total === 7, 'instance rollNotation should use rng');
+  logSuccess('Static seeds, shared RNGs and instance seeds are reproducible');
+};
+
+const testTinySimpleDice = async () => {
+  testKeepDrop();
+  testExplodeAndReroll();
+  testSuccessAndFate();
+  testNotationErrors();
+  testAnalyze();
+  testSeeds();
+
+  logSection('All dice tests completed!', '🥳');
+};
+
+export default testTinySimpleDice;
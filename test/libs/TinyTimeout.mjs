@@ -0,0 +1,84 @@
+import { TinyTimeout } from '../../dist/v1/index.mjs';
+
+// ANSI colors
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const logSection = (title, emoji = '🧪') => {
+  console.log(`${COLORS.bold}${COLORS.cyan}\n${emoji}  ${title}${COLORS.reset}`);
+};
+
+const logSuccess = (text) => {
+  console.log(`${COLORS.green}✅ ${text}${COLORS.reset}`);
+};
+
+const testScheduler = () => {
+  logSection('Scheduler on a manual clock', '📅');
+  const clock = TinyTimeout.createManualClock(0);
+  const timer = new TinyTimeout({ clock });
+
+  let runs = 0;
+  timer.schedule('tick', () => runs++, { interval: 1000 });
+  clock.advance(5500);
+  console.assert(runs === 5, 'interval job should run once per second');
+  timer.pause('tick');
+  clock.advance(5000);
+  console.assert(runs === 5, 'paused jobs should not run');
+  timer.resume('tick');
+  clock.advance(500);
+  console.assert(runs === 6, 'resumed jobs should keep their remaining time');
+  logSuccess('Interval jobs follow the manual clock, including pauses');
+
+  timer.destroy();
+  console.assert(clock.getPendingCount() === 0, 'destroy should cancel every timer');
+  logSuccess('destroy() cancels every pending timer');
+};
+
+const testDynamicTimeouts = async () => {
+  logSection('set() and waitForTrue() on a manual clock', '🧠');
+  const clock = TinyTimeout.createManualClock(0);
+  const timer = new TinyTimeout({ clock, cooldownWatcherTime: 1000 });
+
+  /** @type {number[]} */
+  const fired = [];
+  timer.set('spam', () => fired.push(clock.now()), 100);
+  timer.set('spam', () => fired.push(clock.now()), 100);
+  timer.set('spam', () => fired.push(clock.now()), 100, 150);
+  clock.advance(200);
+  console.assert(fired.join() === '0,100,150', 'delays should grow with use and respect the limit');
+  logSuccess('set() delays grow with use and run on the clock');
+
+  // Three uses, decremented once per second by the cooldown watcher
+  clock.advance(3000);
+  timer.set('spam', () => fired.push(clock.now()), 100);
+  clock.advance(0);
+  console.assert(fired.length === 4, 'cooldown watcher should reset the counter');
+  logSuccess('The cooldown watcher runs on the clock');
+
+  let ready = false;
+  let resolved = false;
+  const waiting = timer.waitForTrue(() => ready, 50).then(() => (resolved = true));
+  clock.advance(200);
+  await Promise.resolve();
+  console.assert(!resolved, 'waitForTrue should keep polling');
+  ready = true;
+  clock.advance(50);
+  await waiting;
+  console.assert(resolved, 'waitForTrue should resolve once the value is true');
+  logSuccess('waitForTrue() polls with the clock');
+
+  timer.destroy();
+};
+
+const testTinyTimeout = async () => {
+  testScheduler();
+  await testDynamicTimeouts();
+
+  logSection('All timeout tests completed!', '🥳');
+};
+
+export default testTinyTimeout;
@@ -65,6 +65,7 @@ addModule(1, './src/v1/build/TinyLevelUp.mjs', 'TinyLevelUp', true);
 addModule(1, './src/v1/build/TinyPromiseQueue.mjs', 'TinyPromiseQueue', true);
 addModule(1, './src/v1/build/ColorSafeStringify.mjs', 'ColorSafeStringify', true);
 addModule(1, './src/v1/build/TinyRateLimiter.mjs', 'TinyRateLimiter', true);
+addModule(1, './src/v1/build/TinyRateLimiterMemoryStore.mjs', 'TinyRateLimiterMemoryStore', true);
 addModule(1, './src/v1/build/TinyNotifyCenter.mjs', 'TinyNotifyCenter', true);
 addModule(1, './src/v1/build/TinyToastNotify.mjs', 'TinyToastNotify', true);
 addModule(1, './src/v1/build/TinyDragDropDetector.mjs', 'TinyDragDropDetector', true);
@@ -91,9 +92,12 @@ addModule(1, './src/v1/build/TinyAdvancedRaffle.mjs', 'TinyAdvancedRaffle', true
 addModule(1, './src/v1/build/TinyArrayPaginator.mjs', 'TinyArrayPaginator', true);
 addModule(1, './src/v1/build/TinyInventory.mjs', 'TinyInventory', true);
 addModule(1, './src/v1/build/TinyInventoryTrader.mjs', 'TinyInventoryTrader', true);
+addModule(1, './src/v1/build/TinyInventoryShop.mjs', 'TinyInventoryShop', true);
+addModule(1, './src/v1/build/TinyInventoryTradeSession.mjs', 'TinyInventoryTradeSession', true);
 addModule(1, './src/v1/build/TinyCookieConsent.mjs', 'TinyCookieConsent', true);
 addModule(1, './src/v1/build/TinyI18.mjs', 'TinyI18', true);
 addModule(1, './src/v1/build/TinyNeedBar.mjs', 'TinyNeedBar', true);
+addModule(1, './src/v1/build/TinyNeedManager.mjs', 'TinyNeedManager', true);
 addModule(1, './src/v1/build/TinySimpleDice.mjs', 'TinySimpleDice', true);
 addModule(1, './src/v1/build/TinyElementObserver.mjs', 'TinyElementObserver', true);
 addModule(1, './src/v1/build/TinyLoadingScreen.mjs', 'TinyLoadingScreen', true);